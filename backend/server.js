@@ -158,7 +158,8 @@ const corsOptions = {
     'Authorization', 
     'X-Requested-With',
     'Accept',
-    'Origin'
+    'Origin',
+    'X-Household-Id'
   ],
   exposedHeaders: ['Authorization'],
   maxAge: 86400, // Cache preflight for 24 hours
@@ -282,7 +283,23 @@ app.get('/api/docs', (req, res) => {
       notifications: '/api/v1/notifications',
       expiry: '/api/v1/expiry',
       search: '/api/v1/search',
-      inventory: '/api/v1/inventory'
+      inventory: '/api/v1/inventory',
+      analytics: '/api/v1/analytics',
+      households: '/api/v1/households',
+      shoppingLists: '/api/v1/shopping-lists',
+      prices: '/api/v1/prices',
+      products: '/api/v1/products',
+      shelfLifeRules: '/api/v1/shelf-life-rules',
+      recipes: '/api/v1/recipes',
+      mealPlans: '/api/v1/meal-plans',
+      budgets: '/api/v1/budgets',
+      exchangeRates: '/api/v1/exchange-rates',
+      receipts: '/api/v1/receipts',
+      suppliers: '/api/v1/suppliers',
+      purchaseOrders: '/api/v1/purchase-orders',
+      sales: '/api/v1/sales',
+      markdowns: '/api/v1/markdowns',
+      stocktakes: '/api/v1/stocktakes'
     }
   });
 });
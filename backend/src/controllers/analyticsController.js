@@ -0,0 +1,232 @@
+/**
+ * ============================================
+ * Analytics Controller
+ * ============================================
+ * Exposes the analytics service reports
+ * to the dashboard and reports screens.
+ *
+ * Features:
+ * - Dashboard statistics
+ * - Expense and category spending reports
+ * - Waste analysis
+ * - Consumption patterns and monthly trends
+ * - Report export (CSV, XLSX, PDF, JSON)
+ * ============================================
+ */
+
+const analyticsService = require('../services/analyticsService');
+const exportService = require('../services/exportService');
+const { getDateRange, startOfDay, endOfDay } = require('../utils/dateHelpers');
+
+/**
+ * Resolve the reporting window from query params
+ * Explicit startDate/endDate win over period (default: month)
+ * @param {object} query - Request query
+ * @returns {object} - { startDate, endDate }
+ */
+const resolveDateRange = (query) => {
+  const { period = 'month', startDate, endDate } = query;
+  const range = getDateRange(period);
+
+  return {
+    startDate: startDate ? startOfDay(startDate) : range.startDate,
+    endDate: endDate ? endOfDay(endDate) : range.endDate
+  };
+};
+
+exports.resolveDateRange = resolveDateRange;
+
+/**
+ * @desc    Get dashboard statistics
+ * @route   GET /api/v1/analytics/dashboard
+ * @access  Private
+ */
+exports.getDashboard = async (req, res) => {
+  try {
+    const stats = await analyticsService.getDashboardStats(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Error fetching dashboard stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dashboard statistics',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get expense report
+ * @route   GET /api/v1/analytics/expenses
+ * @access  Private
+ * @query   period (week/month/year) or startDate, endDate
+ */
+exports.getExpenseReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = resolveDateRange(req.query);
+
+    const report = await analyticsService.getExpenseReport(req.user, startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error fetching expense report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch expense report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get waste analysis
+ * @route   GET /api/v1/analytics/waste
+ * @access  Private
+ * @query   period (week/month/year) or startDate, endDate
+ */
+exports.getWasteAnalysis = async (req, res) => {
+  try {
+    const { startDate, endDate } = resolveDateRange(req.query);
+
+    const report = await analyticsService.getWasteAnalysis(req.user, startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error fetching waste analysis:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waste analysis',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get consumption patterns
+ * @route   GET /api/v1/analytics/consumption
+ * @access  Private
+ * @query   days (default: 30)
+ */
+exports.getConsumptionPatterns = async (req, res) => {
+  try {
+    const days = req.query.days || 30;
+
+    const report = await analyticsService.getConsumptionPatterns(req.user, days);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error fetching consumption patterns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch consumption patterns',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get monthly spending trends
+ * @route   GET /api/v1/analytics/trends
+ * @access  Private
+ * @query   months (default: 6)
+ */
+exports.getMonthlyTrends = async (req, res) => {
+  try {
+    const months = req.query.months || 6;
+
+    const report = await analyticsService.getMonthlyTrends(req.user, months);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error fetching monthly trends:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch monthly trends',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get category-wise spending report
+ * @route   GET /api/v1/analytics/category-spending
+ * @access  Private
+ * @query   period (week/month/year) or startDate, endDate
+ */
+exports.getCategorySpending = async (req, res) => {
+  try {
+    const { startDate, endDate } = resolveDateRange(req.query);
+
+    const report = await analyticsService.getCategorySpendingReport(req.user, startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error fetching category spending:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch category spending report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Export a report as a downloadable file
+ * @route   GET /api/v1/analytics/export
+ * @access  Private
+ * @query   type, format (csv/xlsx/pdf/json, default: csv), period or startDate, endDate, days, months
+ */
+exports.exportReport = async (req, res) => {
+  try {
+    const { type, format = 'csv', days, months } = req.query;
+    const { startDate, endDate } = resolveDateRange(req.query);
+
+    const report = await analyticsService.getReport(req.user, type, {
+      startDate,
+      endDate,
+      days,
+      months
+    });
+
+    await exportService.sendReport(res, type, format, report);
+
+  } catch (error) {
+    console.error('Error exporting report:', error);
+
+    // Headers already sent means the stream broke mid-download
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export report',
+      error: error.message
+    });
+  }
+};
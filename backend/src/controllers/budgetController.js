@@ -0,0 +1,248 @@
+/**
+ * ============================================
+ * Budget Controller
+ * ============================================
+ * Spending limits for the active pantry
+ *
+ * Features:
+ * - Budget CRUD (overall or per category,
+ *   weekly or monthly)
+ * - Spent vs remaining with projection to the
+ *   end of the period
+ * ============================================
+ */
+
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const budgetService = require('../services/budgetService');
+const { ownerFilter, ownerFields, categoryFilter } = require('../utils/householdScope');
+
+/**
+ * Find a budget in the active pantry
+ */
+const findBudget = (user, id) => Budget.findOne({ _id: id, ...ownerFilter(user) })
+  .populate('category', 'name icon color');
+
+/**
+ * Whether a category can be used by the user
+ */
+const categoryExists = async (user, categoryId) => {
+  return !!(await Category.findOne({ _id: categoryId, ...categoryFilter(user) }));
+};
+
+/**
+ * @desc    Get budgets with spending for the current period
+ * @route   GET /api/v1/budgets
+ * @access  Private
+ * @query   period, category, active
+ */
+exports.getBudgets = async (req, res) => {
+  try {
+    const query = ownerFilter(req.user);
+    const { period, category, active } = req.query;
+
+    if (period) query.period = period;
+    if (category) query.category = category;
+    if (active !== undefined) query.isActive = active === 'true';
+
+    const budgets = await Budget.find(query)
+      .populate('category', 'name icon color')
+      .sort({ createdAt: -1 });
+
+    const data = await Promise.all(budgets.map(async budget => ({
+      ...budget.toObject(),
+      status: await budgetService.getStatus(budget)
+    })));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+
+  } catch (error) {
+    console.error('Error fetching budgets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch budgets',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a budget with its spending
+ * @route   GET /api/v1/budgets/:id
+ * @access  Private
+ * @query   date (any date in the period, default: today)
+ */
+exports.getBudget = async (req, res) => {
+  try {
+    const budget = await findBudget(req.user, req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...budget.toObject(),
+        status: await budgetService.getStatus(budget, date)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching budget:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch budget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a budget
+ * @route   POST /api/v1/budgets
+ * @access  Private
+ * @body    amount, period, category (omit for overall), currency, name, alertThresholds
+ */
+exports.createBudget = async (req, res) => {
+  try {
+    const { name, category, period, amount, currency, alertThresholds } = req.body;
+
+    if (category && !(await categoryExists(req.user, category))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID'
+      });
+    }
+
+    const budget = await Budget.create({
+      ...ownerFields(req.user),
+      name,
+      category: category || null,
+      period,
+      amount,
+      currency,
+      alertThresholds
+    });
+
+    await budget.populate('category', 'name icon color');
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...budget.toObject(),
+        status: await budgetService.getStatus(budget)
+      },
+      message: 'Budget created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating budget:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create budget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a budget
+ * @route   PUT /api/v1/budgets/:id
+ * @access  Private
+ * @body    name, category, period, amount, currency, alertThresholds, isActive
+ */
+exports.updateBudget = async (req, res) => {
+  try {
+    const budget = await findBudget(req.user, req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    const { name, category, period, amount, currency, alertThresholds, isActive } = req.body;
+
+    if (category && !(await categoryExists(req.user, category))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID'
+      });
+    }
+
+    if (name !== undefined) budget.name = name;
+    if (category !== undefined) budget.category = category || null;
+    if (period !== undefined) budget.period = period;
+    if (amount !== undefined) budget.amount = amount;
+    if (currency !== undefined) budget.currency = currency;
+    if (alertThresholds !== undefined) budget.alertThresholds = alertThresholds;
+    if (isActive !== undefined) budget.isActive = isActive;
+
+    // A different limit or period starts alerting afresh
+    if (amount !== undefined || period !== undefined || alertThresholds !== undefined) {
+      budget.alertsSent = [];
+    }
+
+    await budget.save();
+    await budget.populate('category', 'name icon color');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...budget.toObject(),
+        status: await budgetService.getStatus(budget)
+      },
+      message: 'Budget updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating budget:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update budget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a budget
+ * @route   DELETE /api/v1/budgets/:id
+ * @access  Private
+ */
+exports.deleteBudget = async (req, res) => {
+  try {
+    const budget = await Budget.findOneAndDelete({ _id: req.params.id, ...ownerFilter(req.user) });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Budget deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting budget:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete budget',
+      error: error.message
+    });
+  }
+};
@@ -6,6 +6,7 @@
 const Category = require('../models/Category');
 const Grocery = require('../models/Grocery');
 const { validationResult } = require('express-validator');
+const { ownerFilter, categoryFilter } = require('../utils/householdScope');
 
 /**
  * Get all categories
@@ -14,14 +15,14 @@ const { validationResult } = require('express-validator');
  */
 exports.getAllCategories = async (req, res) => {
   try {
-    const categories = await Category.find()
+    const categories = await Category.find(categoryFilter(req.user))
       .sort({ name: 1 });
 
-    // Get item count for each category (for current user)
+    // Get item count for each category (for the active pantry)
     const categoriesWithCount = await Promise.all(
       categories.map(async (category) => {
         const count = await Grocery.countDocuments({
-          userId: req.user.userId,
+          ...ownerFilter(req.user),
           category: category._id
         });
         return {
@@ -53,7 +54,10 @@ exports.getAllCategories = async (req, res) => {
  */
 exports.getCategoryById = async (req, res) => {
   try {
-    const category = await Category.findById(req.params.id);
+    const category = await Category.findOne({
+      _id: req.params.id,
+      ...categoryFilter(req.user)
+    });
 
     if (!category) {
       return res.status(404).json({
@@ -64,7 +68,7 @@ exports.getCategoryById = async (req, res) => {
 
     // Get item count
     const itemCount = await Grocery.countDocuments({
-      userId: req. user.userId,
+      ...ownerFilter(req.user),
       category: category._id
     });
 
@@ -105,7 +109,8 @@ exports.createCategory = async (req, res) => {
 
     // Check if category already exists
     const existingCategory = await Category.findOne({ 
-      name: { $regex: new RegExp(`^${name}$`, 'i') }
+      name: { $regex: new RegExp(`^${name}$`, 'i') },
+      ...categoryFilter(req.user)
     });
 
     if (existingCategory) {
@@ -120,6 +125,7 @@ exports.createCategory = async (req, res) => {
       description,
       icon:  icon || '🛒',
       color:  color || '#4CAF50',
+      household: req.user.household || null,
       createdAt: new Date(),
       updatedAt: new Date()
     });
@@ -149,7 +155,11 @@ exports.createCategory = async (req, res) => {
  */
 exports.updateCategory = async (req, res) => {
   try {
-    const category = await Category.findById(req.params.id);
+    const category = await Category.findOne({
+      _id: req.params.id,
+      household: req.user.household || null,
+      user: null
+    });
 
     if (!category) {
       return res.status(404).json({
@@ -164,7 +174,8 @@ exports.updateCategory = async (req, res) => {
     if (name && name !== category.name) {
       const existingCategory = await Category.findOne({
         name: { $regex:  new RegExp(`^${name}$`, 'i') },
-        _id: { $ne: req.params.id }
+        _id: { $ne: req.params.id },
+        ...categoryFilter(req.user)
       });
 
       if (existingCategory) {
@@ -207,7 +218,11 @@ exports.updateCategory = async (req, res) => {
  */
 exports.deleteCategory = async (req, res) => {
   try {
-    const category = await Category.findById(req.params.id);
+    const category = await Category.findOne({
+      _id: req.params.id,
+      household: req.user.household || null,
+      user: null
+    });
 
     if (!category) {
       return res.status(404).json({
@@ -268,7 +283,9 @@ exports.seedCategories = async (req, res) => {
 
     // Check which categories already exist
     const existingCategories = await Category.find({
-      name: { $in: defaultCategories.map(cat => cat.name) }
+      name: { $in: defaultCategories.map(cat => cat.name) },
+      household: null,
+      user: null
     });
 
     const existingNames = existingCategories. map(cat => cat.name);
@@ -0,0 +1,231 @@
+/**
+ * ============================================
+ * Exchange Rate Controller
+ * ============================================
+ * Local table of historical exchange rates
+ *
+ * Features:
+ * - Rate history by pair and date range
+ * - Conversion at the rate of a given date
+ * - Manual entries and CSV/ECB XML imports
+ *   (admin)
+ * ============================================
+ */
+
+const ExchangeRate = require('../models/ExchangeRate');
+const exchangeRateService = require('../services/exchangeRateService');
+const { EXCHANGE_RATE_SOURCES } = require('../utils/constants');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * @desc    Get exchange rates, newest first
+ * @route   GET /api/v1/exchange-rates
+ * @access  Private
+ * @query   base, currency, from, to, limit
+ */
+exports.getRates = async (req, res) => {
+  try {
+    const { base, currency, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    const query = {};
+    if (base) query.base = base.toUpperCase();
+    if (currency) query.currency = currency.toUpperCase();
+
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+    }
+
+    const rates = await ExchangeRate.find(query)
+      .sort({ date: -1, base: 1, currency: 1 })
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: rates.length,
+      data: rates
+    });
+
+  } catch (error) {
+    console.error('Error fetching exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch exchange rates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Convert an amount at the rate of a date
+ * @route   GET /api/v1/exchange-rates/convert
+ * @access  Private
+ * @query   amount, from, to (default: base currency), date (default: today)
+ */
+exports.convertAmount = async (req, res) => {
+  try {
+    const amount = parseFloat(req.query.amount);
+    const from = req.query.from.toUpperCase();
+    const to = (req.query.to || req.user.currency).toUpperCase();
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    const converted = await exchangeRateService.convert(amount, from, to, date);
+
+    if (converted === null) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate known for ${from} to ${to}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        amount,
+        from,
+        to,
+        date,
+        rate: amount ? converted / amount : null,
+        converted: Math.round(converted * 100) / 100
+      }
+    });
+
+  } catch (error) {
+    console.error('Error converting amount:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to convert amount',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Set the rate of a pair for a day
+ * @route   POST /api/v1/exchange-rates
+ * @access  Private (admin)
+ * @body    base, currency, rate, date
+ */
+exports.createRate = async (req, res) => {
+  try {
+    let entry;
+    try {
+      entry = exchangeRateService.normalizeRate(req.body);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { base: entry.base, currency: entry.currency, date: entry.date },
+      {
+        $set: { rate: entry.rate, source: EXCHANGE_RATE_SOURCES.MANUAL },
+        $setOnInsert: { createdBy: req.user.id }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: rate,
+      message: 'Exchange rate saved successfully'
+    });
+
+  } catch (error) {
+    console.error('Error saving exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save exchange rate',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Import rates from a CSV or ECB XML file
+ * @route   POST /api/v1/exchange-rates/import
+ * @access  Private (admin)
+ * @body    file (multipart) or rates: [{ base, currency, rate, date }]
+ */
+exports.importRates = async (req, res) => {
+  try {
+    let records;
+    let source = EXCHANGE_RATE_SOURCES.CSV;
+
+    if (req.file) {
+      try {
+        ({ records, source } = exchangeRateService.parseRateFile(req.file.buffer, req.file.originalname));
+      } catch (error) {
+        if (!error.statusCode) throw error;
+
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+    } else if (Array.isArray(req.body.rates)) {
+      records = exchangeRateService.normalizeRecords(req.body.rates);
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a file or provide a rates array'
+      });
+    }
+
+    const result = await exchangeRateService.importRates(records, {
+      source,
+      userId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${result.imported} new and updated ${result.updated} exchange rates`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error importing exchange rates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import exchange rates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a rate
+ * @route   DELETE /api/v1/exchange-rates/:id
+ * @access  Private (admin)
+ */
+exports.deleteRate = async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findByIdAndDelete(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete exchange rate',
+      error: error.message
+    });
+  }
+};
@@ -16,6 +16,25 @@
 const Grocery = require('../models/Grocery');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const { ownerFilter } = require('../utils/householdScope');
+
+/**
+ * Sum the quantity of a set of lots
+ */
+const sumLots = (lots) => lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+/**
+ * Expiry date that matters for a set of matching lots
+ * (earliest effective lot date, so an opened lot counts by its "use within"
+ * date; items without lots use their own effective date)
+ */
+const firstExpiry = (item, lots) => {
+  if (lots.length === 0) return item.effectiveExpiryDate;
+
+  return lots
+    .map(lot => item.getLotExpiryDate(lot))
+    .reduce((earliest, date) => (date < earliest ? date : earliest));
+};
 
 /**
  * @desc    Get all items expiring within specified days
@@ -25,7 +44,6 @@ const Notification = require('../models/Notification');
  */
 exports.getExpiringSoon = async (req, res) => {
   try {
-    const userId = req.user.id; // From auth middleware
     const days = parseInt(req.query.days) || 7;
 
     // Calculate date threshold
@@ -37,25 +55,25 @@ exports.getExpiringSoon = async (req, res) => {
     futureDate.setHours(23, 59, 59, 999);
 
     // Find items expiring within the specified days
+    // (any lot in stock expiring in the window)
     const expiringItems = await Grocery. find({
-      user: userId,
-      expiryDate: {
-        $gte: today,
-        $lte: futureDate
-      },
-      quantity: { $gt: 0 } // Only items in stock
+      ...ownerFilter(req.user),
+      ...Grocery.expiryFilter({ $gte: today, $lte: futureDate })
     })
       .populate('category', 'name icon color')
       .sort({ expiryDate: 1 }); // Earliest expiry first
 
     // Add days remaining to each item
     const itemsWithDaysRemaining = expiringItems. map(item => {
+      const expiringLots = item.getLotsExpiringBetween(today, futureDate);
       const daysRemaining = Math.ceil(
-        (item.expiryDate - today) / (1000 * 60 * 60 * 24)
+        (firstExpiry(item, expiringLots) - today) / (1000 * 60 * 60 * 24)
       );
       
       return {
         ...item. toObject(),
+        expiringLots,
+        expiringQuantity: expiringLots.length > 0 ? sumLots(expiringLots) : item.quantity,
         daysRemaining,
         urgencyLevel: daysRemaining <= 2 ? 'critical' : 
                       daysRemaining <= 5 ? 'warning' : 'normal'
@@ -86,28 +104,30 @@ exports.getExpiringSoon = async (req, res) => {
  */
 exports. getExpiredItems = async (req, res) => {
   try {
-    const userId = req.user.id;
     
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
     // Find items that have already expired
+    // (any lot still in stock past its date)
     const expiredItems = await Grocery.find({
-      user: userId,
-      expiryDate: { $lt: today },
-      quantity: { $gt: 0 } // Only items still in stock
+      ...ownerFilter(req.user),
+      ...Grocery.expiryFilter({ $lt: today })
     })
       .populate('category', 'name icon color')
       .sort({ expiryDate: -1 }); // Most recently expired first
 
     // Calculate days expired
     const itemsWithDaysExpired = expiredItems.map(item => {
+      const expiredLots = item.getExpiredLots();
       const daysExpired = Math.ceil(
-        (today - item.expiryDate) / (1000 * 60 * 60 * 24)
+        (today - firstExpiry(item, expiredLots)) / (1000 * 60 * 60 * 24)
       );
       
       return {
         ...item.toObject(),
+        expiredLots,
+        expiredQuantity: expiredLots.length > 0 ? sumLots(expiredLots) : item.quantity,
         daysExpired
       };
     });
@@ -137,9 +157,8 @@ exports. getExpiredItems = async (req, res) => {
 exports.checkExpiryStatus = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
 
-    const item = await Grocery. findOne({ _id: id, user: userId })
+    const item = await Grocery. findOne({ _id: id, ...ownerFilter(req.user) })
       .populate('category', 'name icon color');
 
     if (!item) {
@@ -154,10 +173,13 @@ exports.checkExpiryStatus = async (req, res) => {
 
     let status, daysRemaining, urgencyLevel, recommendation;
 
-    if (item.expiryDate < today) {
+    // Opened items count by their "use within" date when it comes first
+    const expiryDate = item.effectiveExpiryDate;
+
+    if (expiryDate < today) {
       // Expired
       const daysExpired = Math.ceil(
-        (today - item.expiryDate) / (1000 * 60 * 60 * 24)
+        (today - expiryDate) / (1000 * 60 * 60 * 24)
       );
       
       status = 'expired';
@@ -168,7 +190,7 @@ exports.checkExpiryStatus = async (req, res) => {
     } else {
       // Not expired yet
       daysRemaining = Math.ceil(
-        (item.expiryDate - today) / (1000 * 60 * 60 * 24)
+        (expiryDate - today) / (1000 * 60 * 60 * 24)
       );
 
       if (daysRemaining === 0) {
@@ -203,8 +225,25 @@ exports.checkExpiryStatus = async (req, res) => {
           daysRemaining,
           urgencyLevel,
           recommendation,
-          expiryDate: item.expiryDate
-        }
+          expiryDate,
+          printedExpiryDate: item.expiryDate,
+          openedAt: item.openedAt,
+          openedExpiryDate: item.openedExpiryDate
+        },
+        lots: item.lots.map(lot => {
+          const lotExpiry = item.getLotExpiryDate(lot);
+
+          return {
+            _id: lot._id,
+            quantity: lot.quantity,
+            purchaseDate: lot.purchaseDate,
+            expiryDate: lotExpiry,
+            opened: !!item.openedLot && lot._id.equals(item.openedLot),
+            daysRemaining: lotExpiry
+              ? Math.ceil((lotExpiry - today) / (1000 * 60 * 60 * 24))
+              : null
+          };
+        })
       }
     });
 
@@ -225,7 +264,6 @@ exports.checkExpiryStatus = async (req, res) => {
  */
 exports.getExpirySummary = async (req, res) => {
   try {
-    const userId = req. user.id;
     
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -250,35 +288,31 @@ exports.getExpirySummary = async (req, res) => {
     ] = await Promise.all([
       // Already expired
       Grocery.countDocuments({
-        user: userId,
-        expiryDate:  { $lt: today },
-        quantity: { $gt:  0 }
+        ...ownerFilter(req.user),
+        ...Grocery.expiryFilter({ $lt: today })
       }),
       
       // Expiring today
       Grocery.countDocuments({
-        user: userId,
-        expiryDate: { $gte: today, $lt: tomorrow },
-        quantity: { $gt: 0 }
+        ...ownerFilter(req.user),
+        ...Grocery.expiryFilter({ $gte: today, $lt: tomorrow })
       }),
       
       // Expiring in 3 days
       Grocery.countDocuments({
-        user: userId,
-        expiryDate: { $gte: today, $lte: threeDays },
-        quantity: { $gt: 0 }
+        ...ownerFilter(req.user),
+        ...Grocery.expiryFilter({ $gte: today, $lte: threeDays })
       }),
       
       // Expiring in 7 days
       Grocery.countDocuments({
-        user: userId,
-        expiryDate:  { $gte: today, $lte: sevenDays },
-        quantity: { $gt:  0 }
+        ...ownerFilter(req.user),
+        ...Grocery.expiryFilter({ $gte: today, $lte: sevenDays })
       }),
       
       // Total items with expiry
       Grocery.countDocuments({
-        user: userId,
+        ...ownerFilter(req.user),
         expiryDate:  { $exists: true },
         quantity: { $gt:  0 }
       })
@@ -336,16 +370,17 @@ exports.sendExpiryNotifications = async (req, res) => {
 
     // Find items expiring within 3 days
     const expiringItems = await Grocery.find({
-      user: userId,
-      expiryDate: { $gte: today, $lte: threeDays },
-      quantity: { $gt: 0 }
+      ...ownerFilter(req.user),
+      ...Grocery.expiryFilter({ $gte: today, $lte: threeDays })
     });
 
     const notifications = [];
 
     for (const item of expiringItems) {
+      const expiringLots = item.getLotsExpiringBetween(today, threeDays);
+      const expiryDate = firstExpiry(item, expiringLots);
       const daysRemaining = Math.ceil(
-        (item.expiryDate - today) / (1000 * 60 * 60 * 24)
+        (expiryDate - today) / (1000 * 60 * 60 * 24)
       );
 
       let title, message, priority;
@@ -372,9 +407,11 @@ exports.sendExpiryNotifications = async (req, res) => {
         message,
         priority,
         relatedItem: item._id,
+        household: item.household,
         metadata: {
           itemName: item.name,
-          expiryDate: item.expiryDate,
+          expiryDate,
+          quantity: expiringLots.length > 0 ? sumLots(expiringLots) : item.quantity,
           daysRemaining
         }
       });
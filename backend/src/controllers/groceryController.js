@@ -4,9 +4,22 @@
  * Implements the core functionality of the grocery management system
  */
 
+const mongoose = require('mongoose');
 const Grocery = require('../models/Grocery');
 const Category = require('../models/Category');
+const MealPlan = require('../models/MealPlan');
+const ConsumptionEvent = require('../models/ConsumptionEvent');
 const { validationResult } = require('express-validator');
+const { ownerFilter, ownerFields, categoryFilter } = require('../utils/householdScope');
+const { normalizeUnit } = require('../utils/unitConverter');
+const priceService = require('../services/priceService');
+const productService = require('../services/productService');
+const wasteService = require('../services/wasteService');
+const forecastService = require('../services/forecastService');
+const exchangeRateService = require('../services/exchangeRateService');
+const groceryImportService = require('../services/groceryImportService');
+const { parseDataFile } = require('../utils/fileHelpers');
+const { PRICE_SOURCES, CONSUMPTION_TYPES } = require('../utils/constants');
 
 /**
  * Get all grocery items for the logged-in user
@@ -26,7 +39,7 @@ exports.getAllGroceries = async (req, res) => {
     } = req.query;
 
     // Build query
-    const query = { userId: req.user.userId };
+    const query = ownerFilter(req.user);
 
     // Filter by category
     if (category) {
@@ -90,7 +103,7 @@ exports.getGroceryById = async (req, res) => {
   try {
     const grocery = await Grocery.findOne({
       _id: req.params.id,
-      userId: req.user.userId
+      ...ownerFilter(req.user)
     }).populate('category', 'name icon color');
 
     if (!grocery) {
@@ -100,9 +113,13 @@ exports.getGroceryById = async (req, res) => {
       });
     }
 
+    // When the item is expected to run out, from its usage so far
+    const usage = await forecastService.getUsageIndex(ownerFilter(req.user));
+
     res.status(200).json({
       success: true,
-      data:  grocery
+      data:  grocery,
+      forecast: forecastService.forecastGrocery(grocery, usage)
     });
 
   } catch (error) {
@@ -117,6 +134,7 @@ exports.getGroceryById = async (req, res) => {
 
 /**
  * Create a new grocery item
+ * Missing fields are auto-filled from the product catalog when a barcode is posted
  * @route POST /api/groceries
  * @access Private
  */
@@ -131,6 +149,8 @@ exports.createGrocery = async (req, res) => {
       });
     }
 
+    const { fields, product } = await productService.autofillGrocery(req.user, req.body);
+
     const {
       name,
       description,
@@ -144,33 +164,59 @@ exports.createGrocery = async (req, res) => {
       barcode,
       imageUrl,
       notes,
-      status
-    } = req.body;
+      status,
+      unitSize,
+      density,
+      lowStockThreshold,
+      lowStockUnit,
+      brand,
+      store,
+      currency
+    } = fields;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Item name is required (barcode not found in product catalog)'
+      });
+    }
+
+    if (!category) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please select a category'
+      });
+    }
 
     // Verify category exists
-    if (category) {
-      const categoryExists = await Category.findById(category);
-      if (!categoryExists) {
-        return res. status(400).json({
-          success: false,
-          message:  'Invalid category ID'
-        });
-      }
+    const categoryExists = await Category.findOne({ _id: category, ...categoryFilter(req.user) });
+    if (!categoryExists) {
+      return res. status(400).json({
+        success: false,
+        message:  'Invalid category ID'
+      });
     }
 
     // Create grocery item
     const grocery = new Grocery({
-      userId: req.user.userId,
+      ...ownerFields(req.user),
       name,
       description,
       category,
       quantity,
-      unit:  unit || 'pcs',
+      unit:  normalizeUnit(unit) || 'pcs',
+      unitSize,
+      density,
+      lowStockThreshold,
+      lowStockUnit: normalizeUnit(lowStockUnit),
       price,
+      currency: currency || req.user.currency,
       purchaseDate:  purchaseDate || new Date(),
       expiryDate,
       location,
       barcode,
+      brand,
+      store,
       imageUrl,
       notes,
       status:  status || 'active',
@@ -178,15 +224,20 @@ exports.createGrocery = async (req, res) => {
       updatedAt: new Date()
     });
 
+    grocery.logMovement(CONSUMPTION_TYPES.RESTOCK, grocery.quantity, { actor: req.user.id });
+
     await grocery.save();
 
+    await priceService.recordPurchase(grocery, PRICE_SOURCES.CREATE);
+
     // Populate category before sending response
     await grocery.populate('category', 'name icon color');
 
     res.status(201).json({
       success: true,
       message:  'Grocery item created successfully',
-      data: grocery
+      data: grocery,
+      autofilledFrom: product ? product._id : null
     });
 
   } catch (error) {
@@ -208,7 +259,7 @@ exports.updateGrocery = async (req, res) => {
   try {
     const grocery = await Grocery.findOne({
       _id: req.params.id,
-      userId: req.user.userId
+      ...ownerFilter(req.user)
     });
 
     if (!grocery) {
@@ -231,12 +282,18 @@ exports.updateGrocery = async (req, res) => {
       barcode,
       imageUrl,
       notes,
-      status
+      status,
+      unitSize,
+      density,
+      lowStockThreshold,
+      lowStockUnit,
+      openedAt,
+      currency
     } = req.body;
 
     // Verify category if provided
     if (category && category !== grocery.category.toString()) {
-      const categoryExists = await Category.findById(category);
+      const categoryExists = await Category.findOne({ _id: category, ...categoryFilter(req.user) });
       if (!categoryExists) {
         return res.status(400).json({
           success: false,
@@ -245,23 +302,97 @@ exports.updateGrocery = async (req, res) => {
       }
     }
 
+    // With several lots, dates belong to individual lots
+    if (grocery.lots.length > 1 && (expiryDate !== undefined || purchaseDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This item has several lots. Update the dates on a lot instead.'
+      });
+    }
+
+    // A single lot mirrors the item fields
+    const [onlyLot] = grocery.lots.length === 1 ? grocery.lots : [];
+
     // Update fields
     if (name) grocery.name = name;
     if (description !== undefined) grocery.description = description;
     if (category) grocery.category = category;
-    if (quantity !== undefined) grocery.quantity = quantity;
-    if (unit) grocery.unit = unit;
-    if (price !== undefined) grocery.price = price;
-    if (purchaseDate) grocery.purchaseDate = purchaseDate;
-    if (expiryDate !== undefined) grocery.expiryDate = expiryDate;
+    if (unitSize !== undefined) grocery.unitSize = unitSize;
+    if (density !== undefined) grocery.density = density;
+
+    // Stored quantities move to the new unit; quantities sent along are in the new unit
+    let unitFactor = 1;
+    if (unit) {
+      const itemUnit = normalizeUnit(unit);
+      if (!itemUnit) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown unit "${unit}"`
+        });
+      }
+
+      try {
+        unitFactor = grocery.changeUnit(itemUnit);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
+    if (quantity !== undefined) grocery.setQuantity(Number(quantity), { actor: req.user.id });
+    if (lowStockThreshold !== undefined) grocery.lowStockThreshold = lowStockThreshold;
+    if (lowStockUnit !== undefined) grocery.lowStockUnit = normalizeUnit(lowStockUnit);
+    if (price !== undefined) {
+      grocery.price = price;
+      if (onlyLot) onlyLot.price = price;
+    }
+    if (currency) grocery.currency = currency;
+    if (purchaseDate) {
+      grocery.purchaseDate = purchaseDate;
+      if (onlyLot) onlyLot.purchaseDate = purchaseDate;
+    }
+    if (expiryDate !== undefined) {
+      grocery.expiryDate = expiryDate;
+      grocery.expiryEstimated = false;
+      if (onlyLot) {
+        onlyLot.expiryDate = expiryDate;
+        onlyLot.expiryEstimated = false;
+      }
+    }
     if (location) grocery.location = location;
+    if (openedAt !== undefined) {
+      // null marks the item as sealed again
+      if (openedAt) {
+        grocery.open(new Date(openedAt));
+      } else {
+        grocery.openedAt = null;
+        grocery.openedLot = null;
+      }
+    }
     if (barcode) grocery.barcode = barcode;
     if (imageUrl) grocery.imageUrl = imageUrl;
     if (notes !== undefined) grocery.notes = notes;
     if (status) grocery.status = status;
 
     grocery.updatedAt = new Date();
-    await grocery.save();
+
+    if (unitFactor !== 1 && grocery.reservedQuantity > 0) {
+      // Meal plan reservations are kept in the item's unit too
+      await mongoose.connection.transaction(async (session) => {
+        await grocery.save({ session });
+        await MealPlan.updateMany(
+          { 'meals.reservations.grocery': grocery._id },
+          { $mul: { 'meals.$[].reservations.$[held].quantity': unitFactor } },
+          { arrayFilters: [{ 'held.grocery': grocery._id }], session }
+        );
+      });
+    } else {
+      await grocery.save();
+    }
 
     // Populate category
     await grocery.populate('category', 'name icon color');
@@ -291,7 +422,7 @@ exports. deleteGrocery = async (req, res) => {
   try {
     const grocery = await Grocery.findOneAndDelete({
       _id:  req.params.id,
-      userId: req.user.userId
+      ...ownerFilter(req.user)
     });
 
     if (!grocery) {
@@ -323,11 +454,11 @@ exports. deleteGrocery = async (req, res) => {
  */
 exports.consumeGrocery = async (req, res) => {
   try {
-    const { quantityConsumed } = req.body;
+    const { quantityConsumed, unit } = req.body;
 
     const grocery = await Grocery.findOne({
       _id: req. params.id,
-      userId: req.user.userId
+      ...ownerFilter(req.user)
     });
 
     if (!grocery) {
@@ -337,13 +468,31 @@ exports.consumeGrocery = async (req, res) => {
       });
     }
 
+    // Draw down first-expiring lots first (amount may be in another unit, e.g. g from kg)
     if (quantityConsumed && quantityConsumed > 0) {
-      grocery.quantity = Math.max(0, grocery.quantity - quantityConsumed);
+      let amount;
+      try {
+        amount = Math.min(grocery.toItemUnit(Number(quantityConsumed), unit), grocery.quantity);
+        grocery.assertUnreserved(amount);
+      } catch (error) {
+        return res.status(error.statusCode || 400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      const drawn = grocery.drawDown(amount);
+      grocery.logMovement(
+        CONSUMPTION_TYPES.CONSUME,
+        drawn.reduce((sum, portion) => sum + portion.quantity, 0),
+        { actor: req.user.id }
+      );
     }
 
     // If quantity reaches 0, mark as consumed
     if (grocery.quantity === 0) {
       grocery.status = 'consumed';
+      grocery.consumedAt = new Date();
     }
 
     grocery.updatedAt = new Date();
@@ -367,6 +516,168 @@ exports.consumeGrocery = async (req, res) => {
   }
 };
 
+/**
+ * Mark a grocery item as opened
+ * Its expiry then follows the "use within N days after opening" rule when sooner
+ * @route PATCH /api/groceries/:id/open
+ * @access Private
+ * @body openedAt (default: now)
+ */
+exports.openGrocery = async (req, res) => {
+  try {
+    const grocery = await Grocery.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!grocery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grocery item not found'
+      });
+    }
+
+    if (grocery.quantity === 0 || grocery.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only items in stock can be opened'
+      });
+    }
+
+    grocery.open(req.body.openedAt ? new Date(req.body.openedAt) : new Date());
+    await grocery.save();
+
+    await grocery.populate('category', 'name icon color');
+
+    res.status(200).json({
+      success: true,
+      message: 'Grocery item marked as opened',
+      data: grocery
+    });
+
+  } catch (error) {
+    console.error('Open grocery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Throw out some or all of a grocery item
+ * Records a waste event with the value lost; the item is marked wasted when nothing is left
+ * @route PATCH /api/groceries/:id/waste
+ * @access Private
+ * @body quantity (default: all), unit, reason (expired/spoiled/leftover/disliked), notes
+ */
+exports.wasteGrocery = async (req, res) => {
+  try {
+    const grocery = await Grocery.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!grocery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grocery item not found'
+      });
+    }
+
+    const { quantity, unit, reason, notes } = req.body;
+
+    let event;
+    try {
+      ({ event } = await wasteService.recordWaste(req.user, grocery, { quantity, unit, reason, notes }));
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await grocery.populate('category', 'name icon color');
+
+    res.status(200).json({
+      success: true,
+      message: `Logged ${event.quantity} ${event.unit} of ${grocery.name} as wasted`,
+      data: grocery,
+      wasteEvent: event
+    });
+
+  } catch (error) {
+    console.error('Waste grocery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the stock movements of a grocery item (consumption ledger)
+ * @route GET /api/groceries/:id/movements
+ * @access Private
+ * @query type, page, limit
+ */
+exports.getGroceryMovements = async (req, res) => {
+  try {
+    const { type, page = 1, limit = 50 } = req.query;
+
+    const grocery = await Grocery.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!grocery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grocery item not found'
+      });
+    }
+
+    const query = { grocery: grocery._id };
+    if (type) query.type = type;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [movements, total] = await Promise.all([
+      ConsumptionEvent.find(query)
+        .populate('user', 'name')
+        .sort({ occurredAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ConsumptionEvent.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get grocery movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get groceries by category
  * @route GET /api/groceries/category/:categoryId
@@ -375,7 +686,7 @@ exports.consumeGrocery = async (req, res) => {
 exports.getGroceriesByCategory = async (req, res) => {
   try {
     const groceries = await Grocery.find({
-      userId: req.user.userId,
+      ...ownerFilter(req.user),
       category: req.params.categoryId
     })
       .populate('category', 'name icon color')
@@ -403,22 +714,47 @@ exports.getGroceriesByCategory = async (req, res) => {
  */
 exports.getGroceryStats = async (req, res) => {
   try {
-    const userId = req.user.userId;
+    const scope = ownerFilter(req.user);
 
-    const stats = await Grocery.aggregate([
-      { $match: { userId: userId } },
+    // Values per currency and purchase day, converted to the base currency below
+    const valueRows = await Grocery.aggregate([
+      { $match: scope },
       {
         $group: {
-          _id: '$status',
+          _id: {
+            status: '$status',
+            currency: '$currency',
+            day: {
+              $dateToString: { format: '%Y-%m-%d', date: { $ifNull: ['$purchaseDate', '$createdAt'] } }
+            }
+          },
           count: { $sum: 1 },
           totalValue: { $sum: { $multiply: ['$quantity', '$price'] } }
         }
       }
     ]);
 
+    const rates = await exchangeRateService.getRateTableFor(
+      req.user.currency,
+      valueRows.map(row => ({ currency: row._id.currency, date: row._id.day }))
+    );
+
+    const byStatus = new Map();
+    valueRows.forEach(row => {
+      const entry = byStatus.get(row._id.status) || { _id: row._id.status, count: 0, totalValue: 0 };
+      entry.count += row.count;
+      entry.totalValue += rates.convert(row.totalValue, row._id.currency, row._id.day) || 0;
+      byStatus.set(row._id.status, entry);
+    });
+
+    const stats = Array.from(byStatus.values()).map(entry => ({
+      ...entry,
+      totalValue: Math.round(entry.totalValue * 100) / 100
+    }));
+
     // Get count by category
     const categoryStats = await Grocery.aggregate([
-      { $match: { userId: userId } },
+      { $match: scope },
       {
         $group: {
           _id: '$category',
@@ -438,8 +774,10 @@ exports.getGroceryStats = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
+        currency: req.user.currency,
         statusStats: stats,
-        categoryStats
+        categoryStats,
+        missingRates: rates.getMissing()
       }
     });
 
@@ -471,7 +809,7 @@ exports.bulkDeleteGroceries = async (req, res) => {
 
     const result = await Grocery.deleteMany({
       _id: { $in: ids },
-      userId: req.user. userId
+      ...ownerFilter(req.user)
     });
 
     res.status(200).json({
@@ -488,4 +826,258 @@ exports.bulkDeleteGroceries = async (req, res) => {
       error:  error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Import groceries from a CSV or JSON file
+ * @route POST /api/groceries/import
+ * @access Private
+ * @body file (multipart) or groceries: [...]; mode (all_or_nothing | partial),
+ *       defaultCategory (id or name), dayFirst
+ */
+exports.importGroceries = async (req, res) => {
+  try {
+    let records;
+
+    if (req.file) {
+      try {
+        records = parseDataFile(req.file.buffer, req.file.originalname);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+    } else if (Array.isArray(req.body.groceries)) {
+      records = req.body.groceries;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a file or provide a groceries array'
+      });
+    }
+
+    const { mode, defaultCategory, dayFirst } = req.body;
+
+    let result;
+    try {
+      result = await groceryImportService.importGroceries(req.user, records, {
+        mode,
+        defaultCategory,
+        dayFirst: dayFirst !== undefined ? ['true', true].includes(dayFirst) : undefined
+      });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!result.committed && result.failed > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing imported: ${result.failed} of ${result.received} rows have errors`,
+        data: result
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.failed > 0
+        ? `Imported ${result.imported} grocery items, ${result.failed} rows failed`
+        : `Imported ${result.imported} grocery items`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Import groceries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a purchase lot (restock with its own expiry date)
+ * @route POST /api/groceries/:id/lots
+ * @access Private
+ */
+exports.addGroceryLot = async (req, res) => {
+  try {
+    const grocery = await Grocery.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!grocery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grocery item not found'
+      });
+    }
+
+    const { quantity, unit, purchaseDate, expiryDate, price, store } = req.body;
+
+    try {
+      await grocery.restock(
+        Number(quantity), unit,
+        { purchaseDate, expiryDate, price, store },
+        { actor: req.user.id }
+      );
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    await priceService.recordPurchase(grocery, PRICE_SOURCES.RESTOCK);
+    await grocery.populate('category', 'name icon color');
+
+    res.status(201).json({
+      success: true,
+      message: 'Lot added successfully',
+      data: grocery
+    });
+
+  } catch (error) {
+    console.error('Add grocery lot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update a purchase lot
+ * @route PUT /api/groceries/:id/lots/:lotId
+ * @access Private
+ */
+exports.updateGroceryLot = async (req, res) => {
+  try {
+    const grocery = await Grocery.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!grocery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grocery item not found'
+      });
+    }
+
+    // Older items keep their single batch on the item until restocked
+    grocery.ensureLots();
+
+    const lot = grocery.lots.id(req.params.lotId);
+
+    if (!lot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lot not found'
+      });
+    }
+
+    const { quantity, purchaseDate, expiryDate, price, store } = req.body;
+
+    if (quantity !== undefined) {
+      grocery.logMovement(CONSUMPTION_TYPES.ADJUST, quantity - lot.quantity, { actor: req.user.id });
+      lot.quantity = quantity;
+    }
+    if (purchaseDate) lot.purchaseDate = purchaseDate;
+    if (expiryDate !== undefined) {
+      lot.expiryDate = expiryDate;
+      lot.expiryEstimated = false;
+    }
+    if (price !== undefined) lot.price = price;
+    if (store !== undefined) lot.store = store;
+
+    // Editing a lot can bring an expired or used-up item back
+    if (['consumed', 'expired'].includes(grocery.status)) {
+      grocery.status = 'active';
+      grocery.consumedAt = null;
+    }
+
+    await grocery.save();
+    await grocery.populate('category', 'name icon color');
+
+    res.status(200).json({
+      success: true,
+      message: 'Lot updated successfully',
+      data: grocery
+    });
+
+  } catch (error) {
+    console.error('Update grocery lot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a purchase lot
+ * @route DELETE /api/groceries/:id/lots/:lotId
+ * @access Private
+ */
+exports.deleteGroceryLot = async (req, res) => {
+  try {
+    const grocery = await Grocery.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!grocery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grocery item not found'
+      });
+    }
+
+    // Older items keep their single batch on the item until restocked
+    grocery.ensureLots();
+
+    const lot = grocery.lots.id(req.params.lotId);
+
+    if (!lot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lot not found'
+      });
+    }
+
+    // Empty lots are dropped on save
+    grocery.logMovement(CONSUMPTION_TYPES.ADJUST, -lot.quantity, { actor: req.user.id });
+    lot.quantity = 0;
+
+    await grocery.save();
+    await grocery.populate('category', 'name icon color');
+
+    res.status(200).json({
+      success: true,
+      message: 'Lot removed successfully',
+      data: grocery
+    });
+
+  } catch (error) {
+    console.error('Delete grocery lot error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
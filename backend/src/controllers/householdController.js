@@ -0,0 +1,627 @@
+/**
+ * ============================================
+ * Household Controller
+ * ============================================
+ * Manages shared pantries: households, their
+ * members and email invitations.
+ *
+ * Features:
+ * - Create/update/delete households
+ * - Invite members by email token
+ * - Accept invitations
+ * - Manage member roles (owner/editor/viewer)
+ * - Switch the active household
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const Household = require('../models/Household');
+const User = require('../models/User');
+const Grocery = require('../models/Grocery');
+const Category = require('../models/Category');
+const Notification = require('../models/Notification');
+const MealPlan = require('../models/MealPlan');
+const ShoppingList = require('../models/ShoppingList');
+const Recipe = require('../models/Recipe');
+const Budget = require('../models/Budget');
+const PriceWatch = require('../models/PriceWatch');
+const PriceObservation = require('../models/PriceObservation');
+const Receipt = require('../models/Receipt');
+const ShelfLifeRule = require('../models/ShelfLifeRule');
+const ConsumptionEvent = require('../models/ConsumptionEvent');
+const WasteEvent = require('../models/WasteEvent');
+const mealPlanService = require('../services/mealPlanService');
+const emailService = require('../services/emailService');
+const { generateToken, generateHash } = require('../utils/cryptoHelpers');
+const { addDays } = require('../utils/dateHelpers');
+const { HOUSEHOLD_ROLES, HOUSEHOLD_INVITATION_EXPIRY_DAYS } = require('../utils/constants');
+
+/**
+ * Find a household the user belongs to, optionally requiring roles
+ * @returns {object} - { household, error } where error is { status, message }
+ */
+const findMemberHousehold = async (householdId, userId, roles = null) => {
+  const household = await Household.findOne({
+    _id: householdId,
+    'members.user': userId
+  });
+
+  if (!household) {
+    return { error: { status: 404, message: 'Household not found' } };
+  }
+
+  if (roles && !household.hasRole(userId, ...roles)) {
+    return {
+      error: {
+        status: 403,
+        message: 'Only the household owner can perform this action'
+      }
+    };
+  }
+
+  return { household };
+};
+
+/**
+ * @desc    Create a household (creator becomes owner)
+ * @route   POST /api/v1/households
+ * @access  Private
+ */
+exports.createHousehold = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const household = await Household.create({
+      name: req.body.name,
+      owner: userId,
+      members: [{ user: userId, role: HOUSEHOLD_ROLES.OWNER }]
+    });
+
+    // Switch the creator to the new household
+    await User.findByIdAndUpdate(userId, { activeHousehold: household._id });
+
+    res.status(201).json({
+      success: true,
+      data: household,
+      message: 'Household created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating household:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create household',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get all households of the current user
+ * @route   GET /api/v1/households
+ * @access  Private
+ */
+exports.getMyHouseholds = async (req, res) => {
+  try {
+    const households = await Household.findForUser(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: households.length,
+      data: {
+        households,
+        activeHousehold: req.user.household
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching households:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch households',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a household with members and pending invitations
+ * @route   GET /api/v1/households/:id
+ * @access  Private (Members)
+ */
+exports.getHousehold = async (req, res) => {
+  try {
+    const household = await Household.findOne({
+      _id: req.params.id,
+      'members.user': req.user.id
+    })
+      .populate('members.user', 'name email profileImage')
+      .populate('invitations.invitedBy', 'name email');
+
+    if (!household) {
+      return res.status(404).json({
+        success: false,
+        message: 'Household not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: household
+    });
+
+  } catch (error) {
+    console.error('Error fetching household:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch household',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Rename a household
+ * @route   PUT /api/v1/households/:id
+ * @access  Private (Owner)
+ */
+exports.updateHousehold = async (req, res) => {
+  try {
+    const { household, error } = await findMemberHousehold(
+      req.params.id,
+      req.user.id,
+      [HOUSEHOLD_ROLES.OWNER]
+    );
+
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    household.name = req.body.name;
+    await household.save();
+
+    res.status(200).json({
+      success: true,
+      data: household,
+      message: 'Household updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating household:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update household',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a household
+ *          Groceries (with their usage, waste and price history) go back to the
+ *          personal pantry of whoever added them; shared plans, lists, recipes,
+ *          budgets, price watches, receipts and shelf-life rules are removed
+ * @route   DELETE /api/v1/households/:id
+ * @access  Private (Owner)
+ */
+exports.deleteHousehold = async (req, res) => {
+  try {
+    const { household, error } = await findMemberHousehold(
+      req.params.id,
+      req.user.id,
+      [HOUSEHOLD_ROLES.OWNER]
+    );
+
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    // Stock reserved by shared meal plans goes back to the pantry before the plans go
+    const plans = await MealPlan.find({ household: household._id });
+    for (const plan of plans) {
+      await mealPlanService.release(plan, null, { save: false });
+    }
+
+    const scope = { household: household._id };
+
+    const [groceries] = await Promise.all([
+      Grocery.updateMany(scope, { household: null }),
+      ConsumptionEvent.updateMany(scope, { household: null }),
+      WasteEvent.updateMany(scope, { household: null }),
+      PriceObservation.updateMany(scope, { household: null }),
+      Notification.deleteMany(scope),
+      MealPlan.deleteMany(scope),
+      ShoppingList.deleteMany(scope),
+      Recipe.deleteMany(scope),
+      Budget.deleteMany(scope),
+      PriceWatch.deleteMany(scope),
+      Receipt.deleteMany(scope),
+      ShelfLifeRule.deleteMany(scope),
+      User.updateMany({ activeHousehold: household._id }, { activeHousehold: null })
+    ]);
+
+    // Household categories go; groceries still in one move to a default or
+    // personal category of the same name of the grocery's owner
+    const categories = await Category.find({ household: household._id });
+    for (const category of categories) {
+      const inCategory = await Grocery.find({ category: category._id }).select('user');
+
+      const byOwner = new Map();
+      inCategory.forEach(grocery => {
+        const owner = grocery.user.toString();
+        byOwner.set(owner, [...(byOwner.get(owner) || []), grocery._id]);
+      });
+
+      for (const [owner, groceryIds] of byOwner) {
+        const target = await Category.findOne({
+          name: category.name,
+          household: null,
+          user: { $in: [null, owner] }
+        }).select('_id') || await Category.create({
+          name: category.name,
+          description: category.description,
+          icon: category.icon,
+          color: category.color,
+          sortOrder: category.sortOrder,
+          user: owner
+        });
+
+        const moved = { grocery: { $in: groceryIds }, category: category._id };
+        await Promise.all([
+          Grocery.updateMany({ _id: { $in: groceryIds } }, { category: target._id }),
+          ConsumptionEvent.updateMany(moved, { category: target._id }),
+          WasteEvent.updateMany(moved, { category: target._id })
+        ]);
+      }
+
+      await Category.deleteOne({ _id: category._id });
+    }
+
+    await household.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: `Household deleted. ${groceries.modifiedCount} items moved back to personal pantries.`
+    });
+
+  } catch (error) {
+    console.error('Error deleting household:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete household',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Invite a user by email
+ * @route   POST /api/v1/households/:id/invitations
+ * @access  Private (Owner)
+ */
+exports.inviteMember = async (req, res) => {
+  try {
+    const { email, role = HOUSEHOLD_ROLES.EDITOR } = req.body;
+
+    const { household, error } = await findMemberHousehold(
+      req.params.id,
+      req.user.id,
+      [HOUSEHOLD_ROLES.OWNER]
+    );
+
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    // Already a member?
+    const existingUser = await User.findOne({ email: email.toLowerCase() }).select('_id');
+    if (existingUser && household.getMember(existingUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of the household'
+      });
+    }
+
+    // Replace any pending invitation for the same email. Revoked with an atomic
+    // update: changing an invitation and pushing one in the same save rewrites the
+    // whole array without the (unselected) token hashes of the other invitations
+    await Household.updateOne(
+      { _id: household._id },
+      { $set: { 'invitations.$[pending].status': 'revoked' } },
+      { arrayFilters: [{ 'pending.email': email.toLowerCase(), 'pending.status': 'pending' }] }
+    );
+
+    const token = generateToken();
+
+    household.invitations.push({
+      email,
+      role,
+      tokenHash: generateHash(token),
+      invitedBy: req.user.id,
+      expiresAt: addDays(new Date(), HOUSEHOLD_INVITATION_EXPIRY_DAYS)
+    });
+
+    await household.save();
+
+    const invitation = household.invitations[household.invitations.length - 1];
+
+    await emailService.sendHouseholdInvitationEmail(
+      email,
+      household,
+      req.user,
+      token,
+      role
+    );
+
+    res.status(201).json({
+      success: true,
+      data: {
+        _id: invitation._id,
+        email: invitation.email,
+        role: invitation.role,
+        status: invitation.status,
+        expiresAt: invitation.expiresAt
+      },
+      message: `Invitation sent to ${email}`
+    });
+
+  } catch (error) {
+    console.error('Error inviting member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send invitation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/v1/households/:id/invitations/:invitationId
+ * @access  Private (Owner)
+ */
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const { household, error } = await findMemberHousehold(
+      req.params.id,
+      req.user.id,
+      [HOUSEHOLD_ROLES.OWNER]
+    );
+
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const invitation = household.invitations.id(req.params.invitationId);
+
+    if (!invitation || invitation.status !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending invitation not found'
+      });
+    }
+
+    invitation.status = 'revoked';
+    await household.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke invitation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Accept an invitation by token
+ * @route   POST /api/v1/households/invitations/accept
+ * @access  Private
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation token is required'
+      });
+    }
+
+    const tokenHash = generateHash(token);
+    const household = await Household.findByInvitationHash(tokenHash);
+
+    if (!household) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired invitation'
+      });
+    }
+
+    const invitation = household.invitations.find(inv => inv.tokenHash === tokenHash);
+
+    if (invitation.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    household.addMember(req.user.id, invitation.role);
+    invitation.status = 'accepted';
+    await household.save();
+
+    await User.findByIdAndUpdate(req.user.id, { activeHousehold: household._id });
+
+    res.status(200).json({
+      success: true,
+      data: household,
+      message: `You joined ${household.name}`
+    });
+
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Change a member's role
+ * @route   PATCH /api/v1/households/:id/members/:userId
+ * @access  Private (Owner)
+ */
+exports.updateMemberRole = async (req, res) => {
+  try {
+    const { household, error } = await findMemberHousehold(
+      req.params.id,
+      req.user.id,
+      [HOUSEHOLD_ROLES.OWNER]
+    );
+
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const member = household.getMember(req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === HOUSEHOLD_ROLES.OWNER) {
+      return res.status(400).json({
+        success: false,
+        message: "The owner's role cannot be changed"
+      });
+    }
+
+    member.role = req.body.role;
+    await household.save();
+
+    res.status(200).json({
+      success: true,
+      data: household,
+      message: 'Member role updated'
+    });
+
+  } catch (error) {
+    console.error('Error updating member role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update member role',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove a member (owner) or leave the household (self)
+ * @route   DELETE /api/v1/households/:id/members/:userId
+ * @access  Private (Owner or the member themselves)
+ */
+exports.removeMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const isSelf = userId === req.user.id.toString();
+
+    const { household, error } = await findMemberHousehold(
+      req.params.id,
+      req.user.id,
+      isSelf ? null : [HOUSEHOLD_ROLES.OWNER]
+    );
+
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    const member = household.getMember(userId);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === HOUSEHOLD_ROLES.OWNER) {
+      return res.status(400).json({
+        success: false,
+        message: 'The owner cannot leave the household. Delete it instead.'
+      });
+    }
+
+    household.removeMember(userId);
+    await household.save();
+
+    await User.updateOne(
+      { _id: userId, activeHousehold: household._id },
+      { activeHousehold: null }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: isSelf ? `You left ${household.name}` : 'Member removed'
+    });
+
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Switch the active household (null = personal pantry)
+ * @route   PUT /api/v1/households/active
+ * @access  Private
+ */
+exports.switchHousehold = async (req, res) => {
+  try {
+    const { householdId = null } = req.body;
+
+    if (householdId) {
+      if (!mongoose.isValidObjectId(householdId)) {
+        return res.status(400).json({ success: false, message: 'Invalid household ID' });
+      }
+
+      const { error } = await findMemberHousehold(householdId, req.user.id);
+
+      if (error) {
+        return res.status(error.status).json({ success: false, message: error.message });
+      }
+    }
+
+    await User.findByIdAndUpdate(req.user.id, { activeHousehold: householdId });
+
+    res.status(200).json({
+      success: true,
+      data: { activeHousehold: householdId },
+      message: householdId ? 'Switched household' : 'Switched to personal pantry'
+    });
+
+  } catch (error) {
+    console.error('Error switching household:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to switch household',
+      error: error.message
+    });
+  }
+};
@@ -3,6 +3,21 @@
  */
 
 const Inventory = require('../models/Inventory');
+const Supplier = require('../models/Supplier');
+const StockMovement = require('../models/StockMovement');
+const forecastService = require('../services/forecastService');
+const stockService = require('../services/stockService');
+
+// Copy the linked supplier's details onto the item (false if the supplier is not the owner's)
+const applySupplier = async (user, body) => {
+  if (!body.supplierId) return true;
+
+  const supplier = await Supplier.findOne({ _id: body.supplierId, storeOwner: user.id });
+  if (!supplier) return false;
+
+  body.supplier = supplier.toInventorySupplier();
+  return true;
+};
 
 exports.getAllInventory = async (req, res) => {
   try {
@@ -40,7 +55,13 @@ exports.getInventoryById = async (req, res) => {
 exports.createInventoryItem = async (req, res) => {
   try {
     req.body.storeOwner = req.user.id;
-    const item = await Inventory.create(req.body);
+    if (!(await applySupplier(req.user, req.body))) {
+      return res.status(400).json({ success: false, message: 'Supplier not found' });
+    }
+
+    const item = new Inventory(req.body);
+    item.$locals.actor = req.user.id;
+    await item.save();
 
     res.status(201).json({ success: true, data: item });
   } catch (error) {
@@ -50,16 +71,23 @@ exports.createInventoryItem = async (req, res) => {
 
 exports.updateInventoryItem = async (req, res) => {
   try {
-    const item = await Inventory.findOneAndUpdate(
-      { _id: req.params.id, storeOwner: req.user. id },
-      req.body,
-      { new: true, runValidators: true }
-    );
+    if (!(await applySupplier(req.user, req.body))) {
+      return res.status(400).json({ success: false, message: 'Supplier not found' });
+    }
+
+    const item = await Inventory.findOne({ _id: req.params.id, storeOwner: req.user.id });
 
     if (!item) {
-      return res.status(404).json({ success: false, message:  'Item not found' });
+      return res.status(404).json({ success: false, message: 'Item not found' });
     }
 
+    delete req.body.storeOwner;
+    item.set(req.body);
+
+    // Stock edits are recorded as adjustments by this user
+    item.$locals.actor = req.user.id;
+    await item.save();
+
     res.status(200).json({ success: true, data: item });
   } catch (error) {
     res.status(400).json({ success: false, message: error.message });
@@ -95,7 +123,11 @@ exports.restockItem = async (req, res) => {
       return res.status(404).json({ success: false, message:  'Item not found' });
     }
 
-    await item.restock(quantity);
+    await item.restock(quantity, {
+      actor: req.user.id,
+      reference: req.body.reference,
+      unitCost: req.body.unitCost
+    });
 
     res.status(200).json({ success: true, data: item });
   } catch (error) {
@@ -103,12 +135,109 @@ exports.restockItem = async (req, res) => {
   }
 };
 
+// Low stock items and items due for reorder (stock at the reorder level plus
+// lead-time usage), with reorder suggestions
 exports.getLowStockItems = async (req, res) => {
   try {
-    const items = await Inventory.getLowStockItems(req.user.id);
+    const items = await Inventory.find({ storeOwner: req.user.id, isActive: true })
+      .populate('category');
 
-    res.status(200).json({ success: true, count: items.length, data: items });
+    const data = items
+      .map(item => ({ ...item.toObject(), forecast: forecastService.forecastInventory(item) }))
+      .filter(item => item.isLowStock || item.forecast.reorderNow)
+      .sort((a, b) => (a.forecast.daysLeft ?? Infinity) - (b.forecast.daysLeft ?? Infinity));
+
+    res.status(200).json({ success: true, count: data.length, data });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
-};
\ No newline at end of file
+};
+
+// Stock movements of an item, newest first
+exports.getStockMovements = async (req, res) => {
+  try {
+    const { type, page = 1, limit = 50 } = req.query;
+
+    const item = await Inventory.findOne({ _id: req.params.id, storeOwner: req.user.id });
+
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+
+    const query = { inventory: item._id };
+    if (type) query.type = type;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(query)
+        .populate('user', 'name')
+        .sort({ occurredAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      StockMovement.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Record an adjustment, return, transfer or write-off
+exports.recordStockMovement = async (req, res) => {
+  try {
+    const item = await Inventory.findOne({ _id: req.params.id, storeOwner: req.user.id });
+
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+
+    const { type, quantity, reason, reference, unitCost } = req.body;
+
+    await stockService.recordMovement(req.user, item, { type, quantity, reason, reference, unitCost });
+
+    res.status(200).json({ success: true, data: item });
+  } catch (error) {
+    res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+};
+
+// Compare recorded stock with the stock recomputed from the ledger
+exports.getStockCheck = async (req, res) => {
+  try {
+    const data = await stockService.checkStock(req.user.id);
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Reset an item's stock to its ledger total
+exports.rebuildStock = async (req, res) => {
+  try {
+    const item = await Inventory.findOne({ _id: req.params.id, storeOwner: req.user.id });
+
+    if (!item) {
+      return res.status(404).json({ success: false, message: 'Item not found' });
+    }
+
+    const data = await stockService.rebuildStock(req.user, item);
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -0,0 +1,334 @@
+/**
+ * ============================================
+ * Markdown Controller
+ * ============================================
+ * Markdowns of store inventory close to expiry
+ *
+ * Features:
+ * - Markdown rule CRUD (store-wide or per
+ *   category)
+ * - Markdown history, run the rules now,
+ *   remove a markdown by hand
+ * - Recovered revenue vs write-offs report
+ * ============================================
+ */
+
+const MarkdownRule = require('../models/MarkdownRule');
+const Markdown = require('../models/Markdown');
+const Inventory = require('../models/Inventory');
+const Category = require('../models/Category');
+const markdownService = require('../services/markdownService');
+const { resolveDateRange } = require('./analyticsController');
+const { categoryFilter } = require('../utils/householdScope');
+
+const RULE_FIELDS = ['category', 'daysLeft', 'percentOff', 'isActive'];
+
+/**
+ * Whether a category can be used by the user
+ */
+const categoryExists = async (user, categoryId) => {
+  return !!(await Category.findOne({ _id: categoryId, ...categoryFilter(user) }));
+};
+
+/**
+ * @desc    Get markdown rules
+ * @route   GET /api/v1/markdowns/rules
+ * @access  Private (Store Owner/Admin)
+ */
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await MarkdownRule.find({ storeOwner: req.user.id })
+      .populate('category', 'name icon color')
+      .sort({ category: 1, daysLeft: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+
+  } catch (error) {
+    console.error('Error fetching markdown rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch markdown rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a markdown rule
+ * @route   POST /api/v1/markdowns/rules
+ * @access  Private (Store Owner/Admin)
+ * @body    daysLeft, percentOff, category (default: all inventory), isActive
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const fields = {};
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    if (fields.category && !(await categoryExists(req.user, fields.category))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const rule = await MarkdownRule.create({ ...fields, storeOwner: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Markdown rule created successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A markdown rule for these days already exists'
+      });
+    }
+
+    console.error('Error creating markdown rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create markdown rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a markdown rule (takes effect on the next markdown run)
+ * @route   PUT /api/v1/markdowns/rules/:id
+ * @access  Private (Store Owner/Admin)
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await MarkdownRule.findOne({ _id: req.params.id, storeOwner: req.user.id });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Markdown rule not found'
+      });
+    }
+
+    if (req.body.category && !(await categoryExists(req.user, req.body.category))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      message: 'Markdown rule updated successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A markdown rule for these days already exists'
+      });
+    }
+
+    console.error('Error updating markdown rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update markdown rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a markdown rule (markdowns it set end on the next run)
+ * @route   DELETE /api/v1/markdowns/rules/:id
+ * @access  Private (Store Owner/Admin)
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await MarkdownRule.findOneAndDelete({ _id: req.params.id, storeOwner: req.user.id });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Markdown rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Markdown rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting markdown rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete markdown rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get markdown history, newest first
+ * @route   GET /api/v1/markdowns
+ * @access  Private (Store Owner/Admin)
+ * @query   active, inventory, page, limit
+ */
+exports.getMarkdowns = async (req, res) => {
+  try {
+    const { active, inventory, page = 1, limit = 20 } = req.query;
+
+    const query = { storeOwner: req.user.id };
+    if (active !== undefined) query.endedAt = active === 'true' ? null : { $ne: null };
+    if (inventory) query.inventory = inventory;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [markdowns, total] = await Promise.all([
+      Markdown.find(query)
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Markdown.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        markdowns,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching markdowns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch markdowns',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Apply the markdown rules now (also runs daily)
+ * @route   POST /api/v1/markdowns/run
+ * @access  Private (Store Owner/Admin)
+ */
+exports.runMarkdowns = async (req, res) => {
+  try {
+    const result = await markdownService.applyMarkdowns(req.user.id);
+    await markdownService.sendMarkdownAlert(req.user.id, result);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        applied: result.applied.map(({ entry }) => entry),
+        ended: result.ended.map(({ item, reason }) => ({
+          inventory: item._id,
+          productName: item.productName,
+          reason
+        }))
+      },
+      message: `${result.applied.length} items marked down, ${result.ended.length} markdowns ended`
+    });
+
+  } catch (error) {
+    console.error('Error running markdowns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to run markdowns',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove an item's markdown (back to its selling price)
+ * @route   DELETE /api/v1/markdowns/items/:inventoryId
+ * @access  Private (Store Owner/Admin)
+ */
+exports.removeMarkdown = async (req, res) => {
+  try {
+    const item = await Inventory.findOne({ _id: req.params.inventoryId, storeOwner: req.user.id });
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Inventory item not found'
+      });
+    }
+
+    if (!item.markdown.entry) {
+      return res.status(400).json({
+        success: false,
+        message: `${item.productName} is not marked down`
+      });
+    }
+
+    await markdownService.removeMarkdown(item);
+
+    res.status(200).json({
+      success: true,
+      data: item,
+      message: `${item.productName} is back to ${item.sellingPrice.toFixed(2)}`
+    });
+
+  } catch (error) {
+    console.error('Error removing markdown:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove markdown',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get revenue recovered by markdowns vs stock written off
+ * @route   GET /api/v1/markdowns/report
+ * @access  Private (Store Owner/Admin)
+ * @query   period (week/month/year) or startDate, endDate
+ */
+exports.getReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = resolveDateRange(req.query);
+
+    const report = await markdownService.getReport(req.user.id, startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error fetching markdown report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch markdown report',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,435 @@
+/**
+ * ============================================
+ * Meal Plan Controller
+ * ============================================
+ * Weekly meal planning for the active pantry
+ *
+ * Features:
+ * - Plan CRUD, adding and removing meals
+ * - Reserving pantry stock for planned meals
+ * - What still needs to be bought
+ * ============================================
+ */
+
+const MealPlan = require('../models/MealPlan');
+const mealPlanService = require('../services/mealPlanService');
+const { ownerFilter, ownerFields } = require('../utils/householdScope');
+
+/**
+ * Find a plan in the active pantry
+ */
+const findPlan = (user, id) => MealPlan.findOne({ _id: id, ...ownerFilter(user) });
+
+/**
+ * Build meals from request entries
+ */
+const buildMeals = (user, entries = []) => {
+  return Promise.all(entries.map(entry => mealPlanService.buildMeal(user, entry)));
+};
+
+/**
+ * @desc    Get meal plans
+ * @route   GET /api/v1/meal-plans
+ * @access  Private
+ * @query   from, to (week start dates)
+ */
+exports.getMealPlans = async (req, res) => {
+  try {
+    const query = ownerFilter(req.user);
+    const { from, to } = req.query;
+
+    if (from || to) {
+      query.weekStart = {};
+      if (from) query.weekStart.$gte = new Date(from);
+      if (to) query.weekStart.$lte = new Date(to);
+    }
+
+    const plans = await MealPlan.find(query)
+      .populate('meals.recipe', 'name imageUrl')
+      .sort({ weekStart: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: plans.length,
+      data: plans
+    });
+
+  } catch (error) {
+    console.error('Error fetching meal plans:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch meal plans',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single meal plan
+ * @route   GET /api/v1/meal-plans/:id
+ * @access  Private
+ */
+exports.getMealPlan = async (req, res) => {
+  try {
+    const plan = await findPlan(req.user, req.params.id)
+      .populate('meals.recipe', 'name imageUrl')
+      .populate('meals.reservations.grocery', 'name unit quantity');
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal plan not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: plan
+    });
+
+  } catch (error) {
+    console.error('Error fetching meal plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch meal plan',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a meal plan for a week
+ * @route   POST /api/v1/meal-plans
+ * @access  Private
+ * @body    weekStart, name, notes, meals ([{ date, slot, recipe | title, servings, ingredients, notes }]), reserve
+ */
+exports.createMealPlan = async (req, res) => {
+  try {
+    const { weekStart, name, notes, meals, reserve } = req.body;
+
+    let built;
+    try {
+      built = await buildMeals(req.user, meals);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const plan = await MealPlan.create({
+      ...ownerFields(req.user),
+      weekStart,
+      name,
+      notes,
+      meals: built
+    });
+
+    const reservation = reserve ? await mealPlanService.reserve(req.user, plan) : null;
+
+    res.status(201).json({
+      success: true,
+      data: plan,
+      reservation,
+      message: 'Meal plan created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating meal plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create meal plan',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a meal plan
+ * Replacing the meals releases their reservations
+ * @route   PUT /api/v1/meal-plans/:id
+ * @access  Private
+ * @body    name, notes, weekStart, meals
+ */
+exports.updateMealPlan = async (req, res) => {
+  try {
+    const plan = await findPlan(req.user, req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal plan not found'
+      });
+    }
+
+    const { name, notes, weekStart, meals } = req.body;
+
+    if (meals !== undefined) {
+      let built;
+      try {
+        built = await buildMeals(req.user, meals);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      await mealPlanService.release(plan, null, { save: false });
+      plan.meals = built;
+    }
+
+    if (name !== undefined) plan.name = name;
+    if (notes !== undefined) plan.notes = notes;
+    if (weekStart !== undefined) plan.weekStart = weekStart;
+
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      data: plan,
+      message: 'Meal plan updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating meal plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update meal plan',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a meal plan (releases its reservations)
+ * @route   DELETE /api/v1/meal-plans/:id
+ * @access  Private
+ */
+exports.deleteMealPlan = async (req, res) => {
+  try {
+    const plan = await findPlan(req.user, req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal plan not found'
+      });
+    }
+
+    await mealPlanService.release(plan, null, { save: false });
+    await plan.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Meal plan deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting meal plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete meal plan',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add a meal to a plan
+ * @route   POST /api/v1/meal-plans/:id/meals
+ * @access  Private
+ * @body    date, slot, recipe | title, servings, ingredients, notes, reserve
+ */
+exports.addMeal = async (req, res) => {
+  try {
+    const plan = await findPlan(req.user, req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal plan not found'
+      });
+    }
+
+    let meal;
+    try {
+      meal = await mealPlanService.buildMeal(req.user, req.body);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    plan.meals.push(meal);
+    await plan.save();
+
+    const added = plan.meals[plan.meals.length - 1];
+    const reservation = req.body.reserve
+      ? await mealPlanService.reserve(req.user, plan, [added._id.toString()])
+      : null;
+
+    res.status(201).json({
+      success: true,
+      data: plan,
+      reservation,
+      message: 'Meal added successfully'
+    });
+
+  } catch (error) {
+    console.error('Error adding meal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add meal',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove a meal from a plan (releases its reservations)
+ * @route   DELETE /api/v1/meal-plans/:id/meals/:mealId
+ * @access  Private
+ */
+exports.removeMeal = async (req, res) => {
+  try {
+    const plan = await findPlan(req.user, req.params.id);
+    const meal = plan && plan.meals.id(req.params.mealId);
+
+    if (!meal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal not found'
+      });
+    }
+
+    await mealPlanService.release(plan, [meal._id.toString()], { save: false });
+    meal.deleteOne();
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      data: plan,
+      message: 'Meal removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Error removing meal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove meal',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reserve pantry stock for the plan's meals
+ * @route   POST /api/v1/meal-plans/:id/reserve
+ * @access  Private
+ * @body    meals (meal IDs, default: all meals not reserved yet)
+ */
+exports.reserveMealPlan = async (req, res) => {
+  try {
+    const plan = await findPlan(req.user, req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal plan not found'
+      });
+    }
+
+    const result = await mealPlanService.reserve(req.user, plan, req.body.meals || null);
+
+    res.status(200).json({
+      success: true,
+      message: `Reserved ${result.reserved} pantry items`,
+      data: { plan, ...result }
+    });
+
+  } catch (error) {
+    console.error('Error reserving meal plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reserve pantry items',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Release the plan's reservations
+ * @route   DELETE /api/v1/meal-plans/:id/reserve
+ * @access  Private
+ * @body    meals (meal IDs, default: all meals)
+ */
+exports.releaseMealPlan = async (req, res) => {
+  try {
+    const plan = await findPlan(req.user, req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal plan not found'
+      });
+    }
+
+    const released = await mealPlanService.release(plan, req.body.meals || null);
+
+    res.status(200).json({
+      success: true,
+      message: `Released ${released} reservations`,
+      data: plan
+    });
+
+  } catch (error) {
+    console.error('Error releasing meal plan:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release reservations',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    What still needs to be bought for the plan
+ * @route   GET /api/v1/meal-plans/:id/shopping-needs
+ * @access  Private
+ */
+exports.getShoppingNeeds = async (req, res) => {
+  try {
+    const plan = await findPlan(req.user, req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Meal plan not found'
+      });
+    }
+
+    const needs = await mealPlanService.getShoppingNeeds(req.user, plan);
+
+    res.status(200).json({
+      success: true,
+      count: needs.length,
+      data: needs
+    });
+
+  } catch (error) {
+    console.error('Error fetching shopping needs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shopping needs',
+      error: error.message
+    });
+  }
+};
@@ -15,6 +15,7 @@
  */
 
 const Notification = require('../models/Notification');
+const { notificationFilter } = require('../utils/householdScope');
 
 /**
  * @desc    Get all notifications for user
@@ -24,11 +25,10 @@ const Notification = require('../models/Notification');
  */
 exports.getNotifications = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { read, limit = 20, page = 1 } = req.query;
 
-    // Build query
-    const query = { user: userId };
+    // Build query (scoped to the active household)
+    const query = notificationFilter(req.user);
     
     if (read !== undefined) {
       query.isRead = read === 'true';
@@ -149,10 +149,8 @@ exports.markAsRead = async (req, res) => {
  */
 exports.markAllAsRead = async (req, res) => {
   try {
-    const userId = req.user. id;
-
     const result = await Notification.updateMany(
-      { user: userId, isRead: false },
+      { ...notificationFilter(req.user), isRead: false },
       { isRead: true, readAt: new Date() }
     );
 
@@ -179,10 +177,8 @@ exports.markAllAsRead = async (req, res) => {
  */
 exports.getUnreadCount = async (req, res) => {
   try {
-    const userId = req.user. id;
-
     const count = await Notification.countDocuments({
-      user: userId,
+      ...notificationFilter(req.user),
       isRead: false
     });
 
@@ -246,9 +242,7 @@ exports.deleteNotification = async (req, res) => {
  */
 exports.clearAllNotifications = async (req, res) => {
   try {
-    const userId = req.user. id;
-
-    const result = await Notification.deleteMany({ user: userId });
+    const result = await Notification.deleteMany(notificationFilter(req.user));
 
     res.status(200).json({
       success: true,
@@ -286,6 +280,7 @@ exports.createNotification = async (req, res) => {
 
     const notification = await Notification.create({
       user: userId,
+      household: req.user.household || null,
       type:  type || 'general',
       title,
       message,
@@ -318,11 +313,10 @@ exports.createNotification = async (req, res) => {
 exports.getNotificationsByType = async (req, res) => {
   try {
     const { type } = req. params;
-    const userId = req.user.id;
     const { limit = 20 } = req.query;
 
     const notifications = await Notification.find({
-      user: userId,
+      ...notificationFilter(req.user),
       type
     })
       .sort({ createdAt: -1 })
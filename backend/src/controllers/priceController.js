@@ -0,0 +1,316 @@
+/**
+ * ============================================
+ * Price Controller
+ * ============================================
+ * Price history, trends, store comparison and
+ * price watches for the active pantry
+ *
+ * Products are identified by ?grocery=<id>,
+ * ?barcode= or ?name=
+ * ============================================
+ */
+
+const Grocery = require('../models/Grocery');
+const PriceObservation = require('../models/PriceObservation');
+const PriceWatch = require('../models/PriceWatch');
+const priceService = require('../services/priceService');
+const { ownerFilter, ownerFields } = require('../utils/householdScope');
+const { normalizeUnit } = require('../utils/unitConverter');
+
+/**
+ * Resolve the product a request refers to
+ * @param {object} user - req.user
+ * @param {object} source - req.query or req.body ({ grocery, barcode, name })
+ * @returns {object|null} - { productKey, name, barcode }
+ */
+const resolveProduct = async (user, { grocery, barcode, name }) => {
+  if (grocery) {
+    const item = await Grocery.findOne({ _id: grocery, ...ownerFilter(user) })
+      .select('name barcode');
+
+    if (!item) return null;
+
+    return {
+      productKey: PriceObservation.buildProductKey(item),
+      name: item.name,
+      barcode: item.barcode
+    };
+  }
+
+  if (barcode || name) {
+    return {
+      productKey: PriceObservation.buildProductKey({ barcode, name }),
+      name: name || barcode,
+      barcode
+    };
+  }
+
+  return null;
+};
+
+/**
+ * @desc    Get price history of a product
+ * @route   GET /api/v1/prices/history
+ * @access  Private
+ * @query   grocery | barcode | name, days (default: 365), store
+ */
+exports.getPriceHistory = async (req, res) => {
+  try {
+    const product = await resolveProduct(req.user, req.query);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found. Provide a grocery, barcode or name.'
+      });
+    }
+
+    const history = await priceService.getHistory(ownerFilter(req.user), product.productKey, {
+      days: parseInt(req.query.days) || 365,
+      store: req.query.store
+    });
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch price history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get price trend of a product for charting
+ * @route   GET /api/v1/prices/trend
+ * @access  Private
+ * @query   grocery | barcode | name, days (default: 180), interval (day/week/month)
+ */
+exports.getPriceTrend = async (req, res) => {
+  try {
+    const product = await resolveProduct(req.user, req.query);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found. Provide a grocery, barcode or name.'
+      });
+    }
+
+    const trend = await priceService.getTrend(ownerFilter(req.user), product.productKey, {
+      days: parseInt(req.query.days) || 180,
+      interval: req.query.interval || 'week'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: trend
+    });
+
+  } catch (error) {
+    console.error('Error fetching price trend:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch price trend',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Compare a product's prices across stores
+ * @route   GET /api/v1/prices/compare
+ * @access  Private
+ * @query   grocery | barcode | name, days (default: 90)
+ */
+exports.compareStorePrices = async (req, res) => {
+  try {
+    const product = await resolveProduct(req.user, req.query);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found. Provide a grocery, barcode or name.'
+      });
+    }
+
+    const comparison = await priceService.compareStores(ownerFilter(req.user), product.productKey, {
+      days: parseInt(req.query.days) || 90
+    });
+
+    res.status(200).json({
+      success: true,
+      data: comparison
+    });
+
+  } catch (error) {
+    console.error('Error comparing store prices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare store prices',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get my price watches
+ * @route   GET /api/v1/prices/watches
+ * @access  Private
+ */
+exports.getPriceWatches = async (req, res) => {
+  try {
+    const watches = await PriceWatch.find({
+      user: req.user.id,
+      household: req.user.household || null
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: watches.length,
+      data: watches
+    });
+
+  } catch (error) {
+    console.error('Error fetching price watches:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch price watches',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Watch a product's price
+ * @route   POST /api/v1/prices/watches
+ * @access  Private
+ * @body    grocery | barcode | name, targetPrice, unit, risePercent
+ */
+exports.createPriceWatch = async (req, res) => {
+  try {
+    const product = await resolveProduct(req.user, req.body);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found. Provide a grocery, barcode or name.'
+      });
+    }
+
+    const { targetPrice, unit, risePercent } = req.body;
+
+    const existing = await PriceWatch.findOne({
+      ...ownerFields(req.user),
+      productKey: product.productKey
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already watching this product'
+      });
+    }
+
+    const watch = await PriceWatch.create({
+      ...ownerFields(req.user),
+      ...product,
+      targetPrice,
+      unit: normalizeUnit(unit),
+      risePercent
+    });
+
+    res.status(201).json({
+      success: true,
+      data: watch,
+      message: `Watching prices for ${watch.name}`
+    });
+
+  } catch (error) {
+    console.error('Error creating price watch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create price watch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a price watch
+ * @route   PUT /api/v1/prices/watches/:id
+ * @access  Private
+ * @body    targetPrice, unit, risePercent, isActive
+ */
+exports.updatePriceWatch = async (req, res) => {
+  try {
+    const watch = await PriceWatch.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!watch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price watch not found'
+      });
+    }
+
+    const { targetPrice, unit, risePercent, isActive } = req.body;
+
+    if (targetPrice !== undefined) watch.targetPrice = targetPrice;
+    if (unit !== undefined) watch.unit = normalizeUnit(unit);
+    if (risePercent !== undefined) watch.risePercent = risePercent;
+    if (isActive !== undefined) watch.isActive = isActive;
+
+    await watch.save();
+
+    res.status(200).json({
+      success: true,
+      data: watch,
+      message: 'Price watch updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating price watch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update price watch',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Stop watching a product
+ * @route   DELETE /api/v1/prices/watches/:id
+ * @access  Private
+ */
+exports.deletePriceWatch = async (req, res) => {
+  try {
+    const watch = await PriceWatch.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+
+    if (!watch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Price watch not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Price watch deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting price watch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete price watch',
+      error: error.message
+    });
+  }
+};
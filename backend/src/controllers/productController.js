@@ -0,0 +1,337 @@
+/**
+ * ============================================
+ * Product Controller
+ * ============================================
+ * Shared product catalog for barcode lookup
+ *
+ * Features:
+ * - Catalog search and barcode lookup
+ * - Manual product entries
+ * - Bulk import (CSV/TSV/JSON/JSON Lines)
+ * ============================================
+ */
+
+const Product = require('../models/Product');
+const productService = require('../services/productService');
+const { parseDataFile } = require('../utils/fileHelpers');
+const { normalizeUnit } = require('../utils/unitConverter');
+const { PRODUCT_SOURCES } = require('../utils/constants');
+
+/**
+ * Check the user may change a catalog entry (admin or creator)
+ */
+const canManage = (user, product) => {
+  return user.role === 'admin' ||
+    (product.createdBy && product.createdBy.toString() === user.id.toString());
+};
+
+/**
+ * @desc    Search the product catalog
+ * @route   GET /api/v1/products
+ * @access  Private
+ * @query   q, category, limit (default: 20), page
+ */
+exports.getProducts = async (req, res) => {
+  try {
+    const { q, category } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = parseInt(req.query.page) || 1;
+
+    const query = {};
+
+    if (q) {
+      query.$or = [
+        { name: { $regex: q, $options: 'i' } },
+        { brand: { $regex: q, $options: 'i' } },
+        { barcode: q }
+      ];
+    }
+
+    if (category) {
+      query.category = { $regex: category, $options: 'i' };
+    }
+
+    const [products, total] = await Promise.all([
+      Product.find(query)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Product.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: products.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: products
+    });
+
+  } catch (error) {
+    console.error('Error fetching products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch products',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Look up a product by barcode
+ * @route   GET /api/v1/products/barcode/:code
+ * @access  Private
+ */
+exports.getProductByBarcode = async (req, res) => {
+  try {
+    const product = await Product.findByBarcode(req.params.code);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found in catalog'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+
+  } catch (error) {
+    console.error('Error looking up product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up product',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a product
+ * @route   GET /api/v1/products/:id
+ * @access  Private
+ */
+exports.getProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: product
+    });
+
+  } catch (error) {
+    console.error('Error fetching product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add a product to the catalog
+ * @route   POST /api/v1/products
+ * @access  Private
+ * @body    barcode, name, brand, category, unit, unitSize, shelfLife,
+ *          defaultLocation, imageUrl
+ */
+exports.createProduct = async (req, res) => {
+  try {
+    const { barcode, name, brand, category, unit, unitSize, shelfLife, defaultLocation, imageUrl } = req.body;
+
+    if (await Product.exists({ barcode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A product with this barcode already exists'
+      });
+    }
+
+    const product = await Product.create({
+      barcode,
+      name,
+      brand,
+      category,
+      unit: normalizeUnit(unit) || undefined,
+      unitSize,
+      shelfLife,
+      defaultLocation,
+      imageUrl,
+      source: PRODUCT_SOURCES.MANUAL,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: product,
+      message: 'Product added to catalog'
+    });
+
+  } catch (error) {
+    console.error('Error creating product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create product',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a product
+ * @route   PUT /api/v1/products/:id
+ * @access  Private (admin or creator)
+ */
+exports.updateProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (!canManage(req.user, product)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin or the product creator can update this product'
+      });
+    }
+
+    const fields = ['name', 'brand', 'category', 'unitSize', 'defaultLocation', 'imageUrl'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) product[field] = req.body[field];
+    });
+
+    if (req.body.unit !== undefined) product.unit = normalizeUnit(req.body.unit);
+
+    if (req.body.shelfLife) {
+      Object.entries(req.body.shelfLife).forEach(([location, days]) => {
+        product.shelfLife[location] = days;
+      });
+    }
+
+    await product.save();
+
+    res.status(200).json({
+      success: true,
+      data: product,
+      message: 'Product updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update product',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a product
+ * @route   DELETE /api/v1/products/:id
+ * @access  Private (admin or creator)
+ */
+exports.deleteProduct = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (!canManage(req.user, product)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only an admin or the product creator can delete this product'
+      });
+    }
+
+    await product.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Product deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting product:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete product',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Bulk import products (Open Food Facts style dump)
+ * @route   POST /api/v1/products/import
+ * @access  Private (admin)
+ * @body    file (multipart CSV/TSV/JSON/JSON Lines) or products (JSON array),
+ *          overwrite (default: true)
+ */
+exports.importProducts = async (req, res) => {
+  try {
+    let records;
+
+    if (req.file) {
+      try {
+        records = parseDataFile(req.file.buffer, req.file.originalname);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+    } else if (Array.isArray(req.body.products)) {
+      records = req.body.products;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a file or provide a products array'
+      });
+    }
+
+    const overwrite = !['false', false].includes(req.body.overwrite);
+
+    const result = await productService.importProducts(records, {
+      userId: req.user.id,
+      overwrite
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${result.imported} new and updated ${result.updated} products`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error importing products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import products',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,352 @@
+/**
+ * ============================================
+ * Purchase Order Controller
+ * ============================================
+ * Stock orders to suppliers
+ *
+ * Features:
+ * - Draft orders from inventory items
+ * - Email orders to suppliers
+ * - Receive deliveries into inventory
+ * ============================================
+ */
+
+const PurchaseOrder = require('../models/PurchaseOrder');
+const purchaseOrderService = require('../services/purchaseOrderService');
+const { PURCHASE_ORDER_STATUS } = require('../utils/constants');
+
+/**
+ * Find a purchase order of the store owner
+ */
+const findOrder = (user, id) => PurchaseOrder.findOne({ _id: id, storeOwner: user.id });
+
+/**
+ * Respond to a client error from the service (other errors are rethrown)
+ */
+const sendClientError = (res, error) => {
+  if (!error.statusCode) throw error;
+
+  return res.status(error.statusCode).json({
+    success: false,
+    message: error.message
+  });
+};
+
+/**
+ * @desc    Get purchase orders, newest first
+ * @route   GET /api/v1/purchase-orders
+ * @access  Private (Store Owner/Admin)
+ * @query   status, supplier, page, limit
+ */
+exports.getPurchaseOrders = async (req, res) => {
+  try {
+    const { status, supplier, page = 1, limit = 20 } = req.query;
+
+    const query = { storeOwner: req.user.id };
+    if (status) query.status = status;
+    if (supplier) query.supplier = supplier;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [orders, total] = await Promise.all([
+      PurchaseOrder.find(query)
+        .populate('supplier', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      PurchaseOrder.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orders,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase orders',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a purchase order
+ * @route   GET /api/v1/purchase-orders/:id
+ * @access  Private (Store Owner/Admin)
+ */
+exports.getPurchaseOrder = async (req, res) => {
+  try {
+    const order = await findOrder(req.user, req.params.id)
+      .populate('supplier')
+      .populate('items.inventory', 'productName stockQuantity unit reorderLevel');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order
+    });
+
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch purchase order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a draft purchase order
+ * @route   POST /api/v1/purchase-orders
+ * @access  Private (Store Owner/Admin)
+ * @body    supplier, items [{ inventory, quantity, unitCost }], expectedDate, notes
+ */
+exports.createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplier, items, expectedDate, notes } = req.body;
+
+    let order;
+    try {
+      order = await purchaseOrderService.createOrder(req.user, { supplier, items, expectedDate, notes });
+    } catch (error) {
+      return sendClientError(res, error);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: order,
+      message: `Purchase order ${order.orderNumber} created`
+    });
+
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create purchase order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Edit a draft purchase order
+ * @route   PUT /api/v1/purchase-orders/:id
+ * @access  Private (Store Owner/Admin)
+ * @body    supplier, items, expectedDate, notes
+ */
+exports.updatePurchaseOrder = async (req, res) => {
+  try {
+    const order = await findOrder(req.user, req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const { supplier, items, expectedDate, notes } = req.body;
+
+    try {
+      await purchaseOrderService.updateOrder(req.user, order, { supplier, items, expectedDate, notes });
+    } catch (error) {
+      return sendClientError(res, error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order,
+      message: 'Purchase order updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update purchase order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Send a draft purchase order (emails it to the supplier)
+ * @route   POST /api/v1/purchase-orders/:id/send
+ * @access  Private (Store Owner/Admin)
+ * @body    email (false = mark as sent without emailing)
+ */
+exports.sendPurchaseOrder = async (req, res) => {
+  try {
+    const order = await findOrder(req.user, req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const email = req.body.email !== false;
+
+    try {
+      await purchaseOrderService.sendOrder(req.user, order, { email });
+    } catch (error) {
+      return sendClientError(res, error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order,
+      message: email
+        ? `Purchase order ${order.orderNumber} emailed to the supplier`
+        : `Purchase order ${order.orderNumber} marked as sent`
+    });
+
+  } catch (error) {
+    console.error('Error sending purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send purchase order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Receive a delivery into inventory
+ * @route   POST /api/v1/purchase-orders/:id/receive
+ * @access  Private (Store Owner/Admin)
+ * @body    items [{ inventory, quantity }] (default: everything outstanding), notes
+ */
+exports.receivePurchaseOrder = async (req, res) => {
+  try {
+    const order = await findOrder(req.user, req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const { items, notes } = req.body;
+
+    try {
+      await purchaseOrderService.receiveOrder(req.user, order, { items, notes });
+    } catch (error) {
+      return sendClientError(res, error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order,
+      message: order.status === PURCHASE_ORDER_STATUS.RECEIVED
+        ? `Purchase order ${order.orderNumber} fully received`
+        : `Delivery recorded for purchase order ${order.orderNumber}`
+    });
+
+  } catch (error) {
+    console.error('Error receiving purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive purchase order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a purchase order
+ * @route   POST /api/v1/purchase-orders/:id/cancel
+ * @access  Private (Store Owner/Admin)
+ */
+exports.cancelPurchaseOrder = async (req, res) => {
+  try {
+    const order = await findOrder(req.user, req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    try {
+      await purchaseOrderService.cancelOrder(order);
+    } catch (error) {
+      return sendClientError(res, error);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: order,
+      message: `Purchase order ${order.orderNumber} cancelled`
+    });
+
+  } catch (error) {
+    console.error('Error cancelling purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel purchase order',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a draft purchase order
+ * @route   DELETE /api/v1/purchase-orders/:id
+ * @access  Private (Store Owner/Admin)
+ */
+exports.deletePurchaseOrder = async (req, res) => {
+  try {
+    const order = await findOrder(req.user, req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    if (order.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only draft purchase orders can be deleted. Cancel the order instead'
+      });
+    }
+
+    await order.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase order deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting purchase order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete purchase order',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,235 @@
+/**
+ * ============================================
+ * Receipt Controller
+ * ============================================
+ * Receipt uploads for the active pantry
+ *
+ * Features:
+ * - Upload an image, PDF or text e-receipt
+ *   (or paste its text) to get a draft
+ * - Confirm a draft to add its items as
+ *   groceries with their purchase prices
+ * ============================================
+ */
+
+const Receipt = require('../models/Receipt');
+const receiptService = require('../services/receiptService');
+const { ownerFilter } = require('../utils/householdScope');
+
+/**
+ * Find a receipt in the active pantry
+ */
+const findReceipt = (user, id) => Receipt.findOne({ _id: id, ...ownerFilter(user) });
+
+/**
+ * @desc    Get receipts, newest first
+ * @route   GET /api/v1/receipts
+ * @access  Private
+ * @query   status, page, limit
+ */
+exports.getReceipts = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = ownerFilter(req.user);
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [receipts, total] = await Promise.all([
+      Receipt.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Receipt.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        receipts,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching receipts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a receipt with the text it was read from
+ * @route   GET /api/v1/receipts/:id
+ * @access  Private
+ */
+exports.getReceipt = async (req, res) => {
+  try {
+    const receipt = await findReceipt(req.user, req.params.id)
+      .select('+rawText')
+      .populate('items.category', 'name icon color');
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: receipt
+    });
+
+  } catch (error) {
+    console.error('Error fetching receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch receipt',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Read a receipt into a draft
+ * @route   POST /api/v1/receipts
+ * @access  Private
+ * @body    receipt (multipart: image, PDF or text file) or text; dayFirst
+ */
+exports.createReceipt = async (req, res) => {
+  try {
+    const { text, dayFirst } = req.body;
+
+    if (!req.file && !(text && text.trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a receipt or provide its text'
+      });
+    }
+
+    const receipt = await receiptService.createDraft(req.user, {
+      file: req.file,
+      text,
+      dayFirst: dayFirst !== undefined ? ['true', true].includes(dayFirst) : undefined
+    });
+
+    await receipt.populate('items.category', 'name icon color');
+
+    res.status(201).json({
+      success: true,
+      data: receipt,
+      message: `Found ${receipt.items.length} items. Check them and confirm to add them to your pantry`
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error reading receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read receipt',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Confirm a draft: add its items as groceries
+ * @route   POST /api/v1/receipts/:id/confirm
+ * @access  Private
+ * @body    items (edited draft items; skip: true leaves one out), store, purchaseDate,
+ *          currency, category (default for items without one), location
+ */
+exports.confirmReceipt = async (req, res) => {
+  try {
+    const receipt = await findReceipt(req.user, req.params.id);
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    const { items, store, purchaseDate, currency, category, location } = req.body;
+
+    let result;
+    try {
+      result = await receiptService.confirmReceipt(req.user, receipt, {
+        items,
+        store,
+        purchaseDate,
+        currency,
+        category,
+        location
+      });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: `Added ${result.groceries.length} items to your pantry`
+    });
+
+  } catch (error) {
+    console.error('Error confirming receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm receipt',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a receipt (groceries already created are kept)
+ * @route   DELETE /api/v1/receipts/:id
+ * @access  Private
+ */
+exports.deleteReceipt = async (req, res) => {
+  try {
+    const receipt = await Receipt.findOneAndDelete({ _id: req.params.id, ...ownerFilter(req.user) });
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Receipt not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Receipt deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting receipt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete receipt',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,391 @@
+/**
+ * ============================================
+ * Recipe Controller
+ * ============================================
+ * Recipe book of the active pantry
+ *
+ * Features:
+ * - Recipe CRUD
+ * - Import (JSON / schema.org JSON-LD)
+ * - Suggestions ranked by ingredients in
+ *   stock and soon-to-expire groceries
+ * - Cooking (consumes ingredients, dry run)
+ * ============================================
+ */
+
+const Recipe = require('../models/Recipe');
+const recipeService = require('../services/recipeService');
+const { ownerFilter, ownerFields } = require('../utils/householdScope');
+const { parseDataFile } = require('../utils/fileHelpers');
+
+const RECIPE_FIELDS = [
+  'name', 'description', 'ingredients', 'steps', 'tags',
+  'servings', 'prepTime', 'cookTime', 'imageUrl', 'sourceUrl'
+];
+
+/**
+ * Recipe fields present in the request body, with parsed ingredients
+ */
+const pickRecipeFields = (body) => {
+  const fields = {};
+
+  RECIPE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (Array.isArray(fields.ingredients)) {
+    fields.ingredients = fields.ingredients
+      .map(ingredient => recipeService.normalizeIngredient(ingredient))
+      .filter(Boolean);
+  }
+
+  return fields;
+};
+
+/**
+ * @desc    Get recipes
+ * @route   GET /api/v1/recipes
+ * @access  Private
+ * @query   q, tag, limit (default: 20), page
+ */
+exports.getRecipes = async (req, res) => {
+  try {
+    const { q, tag } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = parseInt(req.query.page) || 1;
+
+    const query = ownerFilter(req.user);
+
+    if (q) {
+      query.$or = [
+        { name: { $regex: q, $options: 'i' } },
+        { 'ingredients.name': { $regex: q, $options: 'i' } }
+      ];
+    }
+
+    if (tag) query.tags = tag.toLowerCase();
+
+    const [recipes, total] = await Promise.all([
+      Recipe.find(query)
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Recipe.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: recipes.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: recipes
+    });
+
+  } catch (error) {
+    console.error('Error fetching recipes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recipes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Suggest recipes by ingredients in stock, favouring expiring items
+ * @route   GET /api/v1/recipes/suggestions
+ * @access  Private
+ * @query   days (expiry window, default: 3), limit (default: 10), tags, servings
+ */
+exports.getRecipeSuggestions = async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 3;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const servings = parseInt(req.query.servings) || null;
+    const tags = req.query.tags
+      ? req.query.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+      : [];
+
+    const suggestions = await recipeService.rankRecipes(req.user, { days, limit, tags, servings });
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+
+  } catch (error) {
+    console.error('Error suggesting recipes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to suggest recipes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get single recipe
+ * @route   GET /api/v1/recipes/:id
+ * @access  Private
+ */
+exports.getRecipe = async (req, res) => {
+  try {
+    const recipe = await Recipe.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: recipe
+    });
+
+  } catch (error) {
+    console.error('Error fetching recipe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recipe',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create recipe
+ * @route   POST /api/v1/recipes
+ * @access  Private
+ * @body    name, ingredients (lines or { name, quantity, unit, optional }), steps, tags,
+ *          servings, prepTime, cookTime, description, imageUrl, sourceUrl
+ */
+exports.createRecipe = async (req, res) => {
+  try {
+    const recipe = await Recipe.create({
+      ...pickRecipeFields(req.body),
+      ...ownerFields(req.user)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: recipe,
+      message: 'Recipe created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating recipe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create recipe',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update recipe
+ * @route   PUT /api/v1/recipes/:id
+ * @access  Private
+ */
+exports.updateRecipe = async (req, res) => {
+  try {
+    const recipe = await Recipe.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    recipe.set(pickRecipeFields(req.body));
+    await recipe.save();
+
+    res.status(200).json({
+      success: true,
+      data: recipe,
+      message: 'Recipe updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating recipe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update recipe',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete recipe
+ * @route   DELETE /api/v1/recipes/:id
+ * @access  Private
+ */
+exports.deleteRecipe = async (req, res) => {
+  try {
+    const recipe = await Recipe.findOneAndDelete({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Recipe deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting recipe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete recipe',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Import recipes from a JSON / JSON-LD file or body
+ * @route   POST /api/v1/recipes/import
+ * @access  Private
+ * @body    file (multipart) or recipes (array of native or schema.org Recipe objects)
+ */
+exports.importRecipes = async (req, res) => {
+  try {
+    let data;
+
+    if (req.file) {
+      try {
+        data = parseDataFile(req.file.buffer, req.file.originalname);
+      } catch (error) {
+        if (!error.statusCode) throw error;
+
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+    } else if (req.body.recipes || req.body['@type'] || req.body['@graph']) {
+      data = req.body.recipes || req.body;
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a file or provide a recipes array'
+      });
+    }
+
+    const result = await recipeService.importRecipes(req.user, data);
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${result.imported} recipes`,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error importing recipes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import recipes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cooking response: shortfall and consumed items
+ */
+const sendCookResult = (res, result) => {
+  const message = result.dryRun
+    ? `Dry run: ${result.consumed.length} items would be used`
+    : `Cooked using ${result.consumed.length} items`;
+
+  res.status(200).json({
+    success: true,
+    message: result.canCook ? message : `${message}, ${result.shortfall.length} ingredients short`,
+    data: result
+  });
+};
+
+/**
+ * @desc    Cook with an ingredient list: consume matching groceries
+ * @route   POST /api/v1/recipes/cook
+ * @access  Private
+ * @body    ingredients (lines or { name, quantity, unit, optional }), multiplier (default: 1), dryRun
+ */
+exports.cookIngredients = async (req, res) => {
+  try {
+    const { ingredients, multiplier = 1, dryRun = false } = req.body;
+
+    const result = await recipeService.cook(req.user, ingredients, {
+      multiplier: Number(multiplier),
+      dryRun: dryRun === true || dryRun === 'true'
+    });
+
+    sendCookResult(res, result);
+
+  } catch (error) {
+    console.error('Error cooking ingredients:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to consume ingredients',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Cook a saved recipe: consume its ingredients
+ * @route   POST /api/v1/recipes/:id/cook
+ * @access  Private
+ * @body    servings (default: recipe servings) or multiplier, dryRun
+ */
+exports.cookRecipe = async (req, res) => {
+  try {
+    const recipe = await Recipe.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!recipe) {
+      return res.status(404).json({
+        success: false,
+        message: 'Recipe not found'
+      });
+    }
+
+    const { servings, multiplier, dryRun = false } = req.body;
+
+    const result = await recipeService.cook(req.user, recipe.ingredients.map(i => i.toObject()), {
+      multiplier: servings ? Number(servings) / recipe.servings : Number(multiplier || 1),
+      dryRun: dryRun === true || dryRun === 'true'
+    });
+
+    sendCookResult(res, result);
+
+  } catch (error) {
+    console.error('Error cooking recipe:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cook recipe',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,225 @@
+/**
+ * ============================================
+ * Sale Controller
+ * ============================================
+ * Point-of-sale sales of store inventory
+ *
+ * Features:
+ * - Record sales (stock is reduced with the
+ *   sale; oversells are rejected)
+ * - Full or partial refunds
+ * - Daily revenue and profit report
+ * ============================================
+ */
+
+const Sale = require('../models/Sale');
+const saleService = require('../services/saleService');
+const { resolveDateRange } = require('./analyticsController');
+const { startOfDay, endOfDay } = require('../utils/dateHelpers');
+const { SALE_STATUS } = require('../utils/constants');
+
+/**
+ * Find a sale of the store owner
+ */
+const findSale = (user, id) => Sale.findOne({ _id: id, storeOwner: user.id });
+
+/**
+ * @desc    Get sales, newest first
+ * @route   GET /api/v1/sales
+ * @access  Private (Store Owner/Admin)
+ * @query   status, startDate, endDate, page, limit
+ */
+exports.getSales = async (req, res) => {
+  try {
+    const { status, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const query = { storeOwner: req.user.id };
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.soldAt = {};
+      if (startDate) query.soldAt.$gte = startOfDay(startDate);
+      if (endDate) query.soldAt.$lte = endOfDay(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [sales, total] = await Promise.all([
+      Sale.find(query)
+        .sort({ soldAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Sale.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sales,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching sales:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sales',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a sale
+ * @route   GET /api/v1/sales/:id
+ * @access  Private (Store Owner/Admin)
+ */
+exports.getSale = async (req, res) => {
+  try {
+    const sale = await findSale(req.user, req.params.id)
+      .populate('soldBy', 'name')
+      .populate('refunds.refundedBy', 'name');
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: sale
+    });
+
+  } catch (error) {
+    console.error('Error fetching sale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sale',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Record a sale
+ * @route   POST /api/v1/sales
+ * @access  Private (Store Owner/Admin)
+ * @body    items [{ inventory, quantity, unitPrice (default: markdown or selling price), discount }],
+ *          discount, taxRate, paymentMethod, notes
+ */
+exports.createSale = async (req, res) => {
+  try {
+    const { items, discount, taxRate, paymentMethod, notes } = req.body;
+
+    let sale;
+    try {
+      sale = await saleService.createSale(req.user, { items, discount, taxRate, paymentMethod, notes });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: sale,
+      message: `Sale ${sale.saleNumber} recorded`
+    });
+
+  } catch (error) {
+    console.error('Error recording sale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record sale',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Refund a sale in full or in part
+ * @route   POST /api/v1/sales/:id/refund
+ * @access  Private (Store Owner/Admin)
+ * @body    items [{ inventory, quantity }] (default: everything not yet refunded),
+ *          restock (default true), reason
+ */
+exports.refundSale = async (req, res) => {
+  try {
+    const sale = await findSale(req.user, req.params.id);
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sale not found'
+      });
+    }
+
+    const { items, restock, reason } = req.body;
+
+    try {
+      await saleService.refundSale(req.user, sale, { items, restock, reason });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const [refund] = sale.refunds.slice(-1);
+
+    res.status(200).json({
+      success: true,
+      data: sale,
+      message: sale.status === SALE_STATUS.REFUNDED
+        ? `Sale ${sale.saleNumber} fully refunded (${refund.amount.toFixed(2)} ${sale.currency})`
+        : `Refunded ${refund.amount.toFixed(2)} ${sale.currency} of sale ${sale.saleNumber}`
+    });
+
+  } catch (error) {
+    console.error('Error refunding sale:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund sale',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get daily revenue and profit, net of refunds
+ * @route   GET /api/v1/sales/reports/daily
+ * @access  Private (Store Owner/Admin)
+ * @query   period (week/month/year) or startDate, endDate
+ */
+exports.getDailyReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = resolveDateRange(req.query);
+
+    const report = await saleService.getDailyReport(req.user.id, startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Error fetching sales report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sales report',
+      error: error.message
+    });
+  }
+};
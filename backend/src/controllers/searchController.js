@@ -16,6 +16,8 @@
 const Grocery = require('../models/Grocery');
 const Category = require('../models/Category');
 const User = require('../models/User');
+const Product = require('../models/Product');
+const { ownerFilter } = require('../utils/householdScope');
 
 /**
  * @desc    Global search for grocery items
@@ -39,7 +41,7 @@ exports. searchGroceries = async (req, res) => {
     } = req.query;
 
     // Build search query
-    const searchQuery = { user: userId };
+    const searchQuery = ownerFilter(req.user);
 
     // Text search
     if (q) {
@@ -146,7 +148,6 @@ exports. searchGroceries = async (req, res) => {
  */
 exports.advancedFilter = async (req, res) => {
   try {
-    const userId = req.user.id;
     const {
       categories,      // Array of category IDs
       priceRange,      // { min, max }
@@ -159,7 +160,7 @@ exports.advancedFilter = async (req, res) => {
       page = 1
     } = req.body;
 
-    const filterQuery = { user: userId };
+    const filterQuery = ownerFilter(req.user);
 
     // Categories filter
     if (categories && categories.length > 0) {
@@ -256,7 +257,6 @@ exports.advancedFilter = async (req, res) => {
  */
 exports.getSearchSuggestions = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { q } = req. query;
 
     if (!q || q.length < 2) {
@@ -268,7 +268,7 @@ exports.getSearchSuggestions = async (req, res) => {
 
     // Find matching items
     const suggestions = await Grocery.find({
-      user: userId,
+      ...ownerFilter(req.user),
       name: { $regex: q, $options: 'i' }
     })
       .select('name category')
@@ -353,6 +353,7 @@ exports.clearRecentSearches = async (req, res) => {
 
 /**
  * @desc    Search by barcode/QR code
+ *          Falls back to the shared product catalog for items not in the pantry
  * @route   GET /api/search/barcode/: code
  * @access  Private
  */
@@ -362,11 +363,22 @@ exports.searchByBarcode = async (req, res) => {
     const { code } = req. params;
 
     const item = await Grocery.findOne({
-      user: userId,
+      ...ownerFilter(req.user),
       barcode: code
     }).populate('category', 'name icon color');
 
-    if (!item) {
+    if (item) {
+      return res.status(200).json({
+        success: true,
+        source: 'pantry',
+        data: item
+      });
+    }
+
+    // Not in the pantry yet: fall back to the shared product catalog
+    const product = await Product.findByBarcode(code);
+
+    if (!product) {
       return res.status(404).json({
         success: false,
         message: 'Item not found with this barcode'
@@ -375,7 +387,8 @@ exports.searchByBarcode = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      data: item
+      source: 'catalog',
+      data: product
     });
 
   } catch (error) {
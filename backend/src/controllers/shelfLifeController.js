@@ -0,0 +1,227 @@
+/**
+ * ============================================
+ * Shelf Life Controller
+ * ============================================
+ * Manages shelf-life rules for the active pantry
+ *
+ * Features:
+ * - Rule CRUD (per product or category,
+ *   per storage location, opened/unopened)
+ * - Shelf-life prediction preview
+ * ============================================
+ */
+
+const ShelfLifeRule = require('../models/ShelfLifeRule');
+const Category = require('../models/Category');
+const { ownerFilter, ownerFields, categoryFilter } = require('../utils/householdScope');
+
+/**
+ * Check a category is visible in the active pantry
+ */
+const isValidCategory = async (user, categoryId) => {
+  if (!categoryId) return true;
+  return !!(await Category.exists({ _id: categoryId, ...categoryFilter(user) }));
+};
+
+/**
+ * @desc    Get shelf-life rules
+ * @route   GET /api/v1/shelf-life-rules
+ * @access  Private
+ * @query   category, location, opened
+ */
+exports.getShelfLifeRules = async (req, res) => {
+  try {
+    const query = ownerFilter(req.user);
+    const { category, location, opened } = req.query;
+
+    if (category) query.category = category;
+    if (location) query.location = location;
+    if (opened !== undefined) query.opened = opened === 'true';
+
+    const rules = await ShelfLifeRule.find(query)
+      .populate('category', 'name icon color')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rules.length,
+      data: rules
+    });
+
+  } catch (error) {
+    console.error('Error fetching shelf-life rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shelf-life rules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Preview the predicted shelf life of a product
+ * @route   GET /api/v1/shelf-life-rules/predict
+ * @access  Private
+ * @query   category, barcode, name, location (default: pantry), opened, purchaseDate
+ */
+exports.predictShelfLife = async (req, res) => {
+  try {
+    const { category, barcode, name, location, opened, purchaseDate } = req.query;
+
+    if (!(await isValidCategory(req.user, category))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID'
+      });
+    }
+
+    const prediction = await ShelfLifeRule.resolveShelfLife(
+      { ...ownerFields(req.user), category, barcode, name, location },
+      { opened: opened === 'true' }
+    );
+
+    const expiryDate = new Date(purchaseDate || Date.now());
+    expiryDate.setDate(expiryDate.getDate() + prediction.days);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...prediction,
+        location: location || 'pantry',
+        opened: opened === 'true',
+        expiryDate
+      }
+    });
+
+  } catch (error) {
+    console.error('Error predicting shelf life:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to predict shelf life',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a shelf-life rule
+ * @route   POST /api/v1/shelf-life-rules
+ * @access  Private
+ * @body    barcode | productName | category, location, opened, days, notes
+ */
+exports.createShelfLifeRule = async (req, res) => {
+  try {
+    const { barcode, productName, category, location, opened, days, notes } = req.body;
+
+    if (!(await isValidCategory(req.user, category))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID'
+      });
+    }
+
+    const rule = await ShelfLifeRule.create({
+      ...ownerFields(req.user),
+      barcode,
+      productName,
+      category,
+      location: location || null,
+      opened: !!opened,
+      days,
+      notes
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Shelf-life rule created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating shelf-life rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create shelf-life rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a shelf-life rule
+ * @route   PUT /api/v1/shelf-life-rules/:id
+ * @access  Private
+ * @body    location, opened, days, notes
+ */
+exports.updateShelfLifeRule = async (req, res) => {
+  try {
+    const rule = await ShelfLifeRule.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shelf-life rule not found'
+      });
+    }
+
+    const { location, opened, days, notes } = req.body;
+
+    if (location !== undefined) rule.location = location || null;
+    if (opened !== undefined) rule.opened = opened;
+    if (days !== undefined) rule.days = days;
+    if (notes !== undefined) rule.notes = notes;
+
+    await rule.save();
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      message: 'Shelf-life rule updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating shelf-life rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shelf-life rule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a shelf-life rule
+ * @route   DELETE /api/v1/shelf-life-rules/:id
+ * @access  Private
+ */
+exports.deleteShelfLifeRule = async (req, res) => {
+  try {
+    const rule = await ShelfLifeRule.findOneAndDelete({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shelf-life rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Shelf-life rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting shelf-life rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete shelf-life rule',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,620 @@
+/**
+ * ============================================
+ * Shopping List Controller
+ * ============================================
+ * Manages shopping lists for the active pantry
+ *
+ * Features:
+ * - List CRUD
+ * - Manual items
+ * - Suggestions from low-stock, expired and
+ *   consumed groceries
+ * - Check-off into new groceries
+ * - Per-store grouping
+ * ============================================
+ */
+
+const ShoppingList = require('../models/ShoppingList');
+const Category = require('../models/Category');
+const shoppingListService = require('../services/shoppingListService');
+const { ownerFilter, ownerFields, categoryFilter } = require('../utils/householdScope');
+const { SHOPPING_ITEM_SOURCES } = require('../utils/constants');
+
+/**
+ * Parse ?sources=low_stock,expired into a list of suggestion sources
+ */
+const parseSources = (sources) => {
+  if (!sources) return undefined;
+
+  return sources
+    .split(',')
+    .map(source => source.trim())
+    .filter(source => source && source !== SHOPPING_ITEM_SOURCES.MANUAL);
+};
+
+/**
+ * Check a category is visible in the active pantry
+ */
+const isValidCategory = async (user, categoryId) => {
+  if (!categoryId) return true;
+  return !!(await Category.exists({ _id: categoryId, ...categoryFilter(user) }));
+};
+
+/**
+ * @desc    Get shopping lists
+ * @route   GET /api/v1/shopping-lists
+ * @access  Private
+ * @query   status (active/completed/archived)
+ */
+exports.getShoppingLists = async (req, res) => {
+  try {
+    const query = ownerFilter(req.user);
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const lists = await ShoppingList.find(query).sort({ updatedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: lists.length,
+      data: lists
+    });
+
+  } catch (error) {
+    console.error('Error fetching shopping lists:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shopping lists',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Preview suggested items
+ * @route   GET /api/v1/shopping-lists/suggestions
+ * @access  Private
+ * @query   sources (comma separated), days (consumed within, default: 14)
+ */
+exports.getSuggestions = async (req, res) => {
+  try {
+    const suggestions = await shoppingListService.getSuggestions(req.user, {
+      sources: parseSources(req.query.sources),
+      consumedWithinDays: parseInt(req.query.days) || 14
+    });
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+
+  } catch (error) {
+    console.error('Error fetching shopping suggestions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shopping suggestions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a shopping list
+ * @route   GET /api/v1/shopping-lists/:id
+ * @access  Private
+ */
+exports.getShoppingList = async (req, res) => {
+  try {
+    const list = await ShoppingList.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    }).populate('items.category', 'name icon color');
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shopping list not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: list
+    });
+
+  } catch (error) {
+    console.error('Error fetching shopping list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shopping list',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a shopping list grouped by store
+ * @route   GET /api/v1/shopping-lists/:id/stores
+ * @access  Private
+ */
+exports.getShoppingListByStore = async (req, res) => {
+  try {
+    const list = await ShoppingList.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    }).populate('items.category', 'name icon color');
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shopping list not found'
+      });
+    }
+
+    const stores = list.groupByStore();
+
+    res.status(200).json({
+      success: true,
+      count: stores.length,
+      data: {
+        _id: list._id,
+        name: list.name,
+        status: list.status,
+        estimatedTotal: list.estimatedTotal,
+        stores
+      }
+    });
+
+  } catch (error) {
+    console.error('Error grouping shopping list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to group shopping list by store',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a shopping list
+ * @route   POST /api/v1/shopping-lists
+ * @access  Private
+ * @body    name, store, items, includeSuggestions
+ */
+exports.createShoppingList = async (req, res) => {
+  try {
+    const { name, store, items = [], includeSuggestions = false } = req.body;
+
+    for (const item of items) {
+      if (!(await isValidCategory(req.user, item.category))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category ID'
+        });
+      }
+    }
+
+    const list = new ShoppingList({
+      ...ownerFields(req.user),
+      name,
+      store,
+      items: items.map(item => ({
+        ...item,
+        source: SHOPPING_ITEM_SOURCES.MANUAL,
+        addedBy: req.user.id
+      }))
+    });
+
+    if (includeSuggestions) {
+      const suggestions = await shoppingListService.getSuggestions(req.user);
+      shoppingListService.addSuggestionsToList(list, suggestions, req.user.id);
+    }
+
+    await list.save();
+
+    res.status(201).json({
+      success: true,
+      data: list,
+      message: 'Shopping list created successfully'
+    });
+
+  } catch (error) {
+    console.error('Error creating shopping list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create shopping list',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a shopping list
+ * @route   PUT /api/v1/shopping-lists/:id
+ * @access  Private
+ * @body    name, store, status
+ */
+exports.updateShoppingList = async (req, res) => {
+  try {
+    const list = await ShoppingList.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shopping list not found'
+      });
+    }
+
+    const { name, store, status } = req.body;
+
+    if (name) list.name = name;
+    if (store !== undefined) list.store = store;
+    if (status) list.status = status;
+
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      data: list,
+      message: 'Shopping list updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating shopping list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shopping list',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a shopping list
+ * @route   DELETE /api/v1/shopping-lists/:id
+ * @access  Private
+ */
+exports.deleteShoppingList = async (req, res) => {
+  try {
+    const list = await ShoppingList.findOneAndDelete({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shopping list not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Shopping list deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting shopping list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete shopping list',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add a manual item
+ * @route   POST /api/v1/shopping-lists/:id/items
+ * @access  Private
+ */
+exports.addItem = async (req, res) => {
+  try {
+    const list = await ShoppingList.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shopping list not found'
+      });
+    }
+
+    if (!(await isValidCategory(req.user, req.body.category))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID'
+      });
+    }
+
+    const {
+      name,
+      quantity,
+      unit,
+      category,
+      brand,
+      barcode,
+      location,
+      store,
+      estimatedPrice,
+      notes
+    } = req.body;
+
+    list.items.push({
+      name,
+      quantity,
+      unit,
+      category,
+      brand,
+      barcode,
+      location,
+      store,
+      estimatedPrice,
+      notes,
+      source: SHOPPING_ITEM_SOURCES.MANUAL,
+      addedBy: req.user.id
+    });
+
+    await list.save();
+
+    res.status(201).json({
+      success: true,
+      data: list.items[list.items.length - 1],
+      message: 'Item added to shopping list'
+    });
+
+  } catch (error) {
+    console.error('Error adding shopping list item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add item',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Add suggested items to a list
+ * @route   POST /api/v1/shopping-lists/:id/suggestions
+ * @access  Private
+ * @body    sources (array), days (consumed within, default: 14)
+ */
+exports.addSuggestions = async (req, res) => {
+  try {
+    const list = await ShoppingList.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shopping list not found'
+      });
+    }
+
+    const { sources, days } = req.body;
+
+    const suggestions = await shoppingListService.getSuggestions(req.user, {
+      sources: Array.isArray(sources) ? sources : parseSources(sources),
+      consumedWithinDays: parseInt(days) || 14
+    });
+
+    const added = shoppingListService.addSuggestionsToList(list, suggestions, req.user.id);
+
+    if (added > 0) {
+      await list.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      count: added,
+      data: list,
+      message: `${added} suggested items added`
+    });
+
+  } catch (error) {
+    console.error('Error adding shopping suggestions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add suggestions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update an item
+ * @route   PUT /api/v1/shopping-lists/:id/items/:itemId
+ * @access  Private
+ */
+exports.updateItem = async (req, res) => {
+  try {
+    const list = await ShoppingList.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    const item = list && list.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shopping list item not found'
+      });
+    }
+
+    if (!(await isValidCategory(req.user, req.body.category))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID'
+      });
+    }
+
+    const fields = [
+      'name',
+      'quantity',
+      'unit',
+      'category',
+      'brand',
+      'barcode',
+      'location',
+      'store',
+      'estimatedPrice',
+      'notes'
+    ];
+
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        item[field] = req.body[field];
+      }
+    });
+
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      data: item,
+      message: 'Item updated successfully'
+    });
+
+  } catch (error) {
+    console.error('Error updating shopping list item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update item',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Remove an item
+ * @route   DELETE /api/v1/shopping-lists/:id/items/:itemId
+ * @access  Private
+ */
+exports.removeItem = async (req, res) => {
+  try {
+    const list = await ShoppingList.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    const item = list && list.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shopping list item not found'
+      });
+    }
+
+    item.deleteOne();
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removed from shopping list'
+    });
+
+  } catch (error) {
+    console.error('Error removing shopping list item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove item',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Check off a bought item and add it to the pantry
+ * @route   POST /api/v1/shopping-lists/:id/items/:itemId/check
+ * @access  Private
+ * @body    quantity, price, expiryDate, location, category, purchaseDate, store,
+ *          addToPantry (default: true)
+ */
+exports.checkOffItem = async (req, res) => {
+  try {
+    const list = await ShoppingList.findOne({
+      _id: req.params.id,
+      ...ownerFilter(req.user)
+    });
+
+    const item = list && list.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shopping list item not found'
+      });
+    }
+
+    if (item.isChecked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Item is already checked off'
+      });
+    }
+
+    const { addToPantry = true, ...details } = req.body;
+    let grocery = null;
+
+    if (addToPantry) {
+      const category = details.category || item.category;
+
+      if (!category) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please select a category for this item before adding it to the pantry'
+        });
+      }
+
+      if (!(await isValidCategory(req.user, category))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category ID'
+        });
+      }
+
+      grocery = await shoppingListService.createGroceryFromItem(req.user, item, {
+        ...details,
+        store: details.store || item.store || list.store
+      });
+      await grocery.populate('category', 'name icon color');
+    }
+
+    item.isChecked = true;
+    item.checkedAt = new Date();
+    item.checkedBy = req.user.id;
+    item.grocery = grocery ? grocery._id : null;
+
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        item,
+        grocery,
+        listStatus: list.status
+      },
+      message: grocery ? 'Item checked off and added to pantry' : 'Item checked off'
+    });
+
+  } catch (error) {
+    console.error('Error checking off shopping list item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check off item',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,374 @@
+/**
+ * ============================================
+ * Stocktake Controller
+ * ============================================
+ * Physical counts (cycle counts) of store
+ * inventory
+ *
+ * Features:
+ * - Open a stocktake for the whole store or a
+ *   category
+ * - Enter counts or scan barcodes
+ * - Variances with their cost impact
+ * - Approve (post adjustments) or cancel
+ * ============================================
+ */
+
+const Stocktake = require('../models/Stocktake');
+const Category = require('../models/Category');
+const stocktakeService = require('../services/stocktakeService');
+const { categoryFilter } = require('../utils/householdScope');
+
+/**
+ * Find a stocktake of the store owner
+ */
+const findStocktake = (user, id) => Stocktake.findOne({ _id: id, storeOwner: user.id });
+
+/**
+ * @desc    Get stocktakes, newest first
+ * @route   GET /api/v1/stocktakes
+ * @access  Private (Store Owner/Admin)
+ * @query   status, page, limit
+ */
+exports.getStocktakes = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { storeOwner: req.user.id };
+    if (status) query.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [stocktakes, total] = await Promise.all([
+      Stocktake.find(query)
+        .select('-items')
+        .populate('category', 'name icon color')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Stocktake.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stocktakes,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching stocktakes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stocktakes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a stocktake with its items
+ * @route   GET /api/v1/stocktakes/:id
+ * @access  Private (Store Owner/Admin)
+ */
+exports.getStocktake = async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req.user, req.params.id)
+      .populate('category', 'name icon color');
+
+    if (!stocktake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stocktake not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: stocktake
+    });
+
+  } catch (error) {
+    console.error('Error fetching stocktake:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stocktake',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Open a stocktake (one open stocktake at a time)
+ * @route   POST /api/v1/stocktakes
+ * @access  Private (Store Owner/Admin)
+ * @body    category (default: whole store), notes
+ */
+exports.openStocktake = async (req, res) => {
+  try {
+    const { category, notes } = req.body;
+
+    if (category && !(await Category.findOne({ _id: category, ...categoryFilter(req.user) }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    let stocktake;
+    try {
+      stocktake = await stocktakeService.openStocktake(req.user, { category, notes });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: stocktake,
+      message: `Stocktake ${stocktake.number} opened with ${stocktake.items.length} items to count`
+    });
+
+  } catch (error) {
+    console.error('Error opening stocktake:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open stocktake',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Enter counted quantities
+ * @route   POST /api/v1/stocktakes/:id/counts
+ * @access  Private (Store Owner/Admin)
+ * @body    counts [{ inventory | barcode | sku, quantity }],
+ *          add (add to the quantity counted so far; default: replace it)
+ */
+exports.recordCounts = async (req, res) => {
+  try {
+    let stocktake = await findStocktake(req.user, req.params.id);
+
+    if (!stocktake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stocktake not found'
+      });
+    }
+
+    try {
+      stocktake = await stocktakeService.recordCounts(req.user, stocktake, req.body.counts, req.body.add === true);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: stocktake,
+      message: `${stocktake.countedItems} of ${stocktake.items.length} items counted`
+    });
+
+  } catch (error) {
+    console.error('Error recording stocktake counts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record counts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Count one scan of a barcode
+ * @route   POST /api/v1/stocktakes/:id/scan
+ * @access  Private (Store Owner/Admin)
+ * @body    barcode, quantity (default 1)
+ */
+exports.scanBarcode = async (req, res) => {
+  try {
+    let stocktake = await findStocktake(req.user, req.params.id);
+
+    if (!stocktake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stocktake not found'
+      });
+    }
+
+    const { barcode, quantity = 1 } = req.body;
+
+    try {
+      stocktake = await stocktakeService.recordCounts(req.user, stocktake, [{ barcode, quantity }], true);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const item = stocktake.findItem({ barcode });
+
+    res.status(200).json({
+      success: true,
+      data: item,
+      message: `${item.productName}: ${item.counted} ${item.unit} counted`
+    });
+
+  } catch (error) {
+    console.error('Error scanning stocktake barcode:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record scan',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get variances against recorded stock with their cost impact
+ * @route   GET /api/v1/stocktakes/:id/variances
+ * @access  Private (Store Owner/Admin)
+ * @query   zeroUncounted (preview items not counted as out of stock)
+ */
+exports.getVariances = async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req.user, req.params.id);
+
+    if (!stocktake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stocktake not found'
+      });
+    }
+
+    const variances = await stocktakeService.getVariances(stocktake, {
+      zeroUncounted: req.query.zeroUncounted === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        number: stocktake.number,
+        status: stocktake.status,
+        ...variances
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching stocktake variances:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stocktake variances',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Approve a stocktake: post the variances as stock adjustments
+ * @route   POST /api/v1/stocktakes/:id/approve
+ * @access  Private (Store Owner/Admin)
+ * @body    zeroUncounted (items not counted are out of stock; default: left as recorded)
+ */
+exports.approveStocktake = async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req.user, req.params.id);
+
+    if (!stocktake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stocktake not found'
+      });
+    }
+
+    try {
+      await stocktakeService.approveStocktake(req.user, stocktake, {
+        zeroUncounted: req.body.zeroUncounted === true
+      });
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const adjusted = stocktake.items.filter(item => item.adjustment).length;
+
+    res.status(200).json({
+      success: true,
+      data: stocktake,
+      message: `Stocktake ${stocktake.number} approved: ${adjusted} items adjusted (${stocktake.adjustmentCost.toFixed(2)} at cost)`
+    });
+
+  } catch (error) {
+    console.error('Error approving stocktake:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve stocktake',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Cancel an open stocktake
+ * @route   POST /api/v1/stocktakes/:id/cancel
+ * @access  Private (Store Owner/Admin)
+ */
+exports.cancelStocktake = async (req, res) => {
+  try {
+    const stocktake = await findStocktake(req.user, req.params.id);
+
+    if (!stocktake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stocktake not found'
+      });
+    }
+
+    try {
+      await stocktakeService.cancelStocktake(stocktake);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: stocktake,
+      message: `Stocktake ${stocktake.number} cancelled`
+    });
+
+  } catch (error) {
+    console.error('Error cancelling stocktake:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel stocktake',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,220 @@
+/**
+ * ============================================
+ * Supplier Controller
+ * ============================================
+ * Suppliers of a store owner's inventory
+ *
+ * Features:
+ * - Supplier CRUD
+ * - Linked inventory items keep the supplier's
+ *   contact details and lead time in sync
+ * ============================================
+ */
+
+const Supplier = require('../models/Supplier');
+const Inventory = require('../models/Inventory');
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+const SUPPLIER_FIELDS = ['name', 'contact', 'email', 'phone', 'address', 'leadTimeDays', 'notes', 'isActive'];
+
+/**
+ * @desc    Get suppliers
+ * @route   GET /api/v1/suppliers
+ * @access  Private (Store Owner/Admin)
+ * @query   active, search
+ */
+exports.getSuppliers = async (req, res) => {
+  try {
+    const { active, search } = req.query;
+
+    const query = { storeOwner: req.user.id };
+    if (active !== undefined) query.isActive = active === 'true';
+    if (search) {
+      query.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const suppliers = await Supplier.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: suppliers.length,
+      data: suppliers
+    });
+
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suppliers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a supplier with its inventory items
+ * @route   GET /api/v1/suppliers/:id
+ * @access  Private (Store Owner/Admin)
+ */
+exports.getSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({ _id: req.params.id, storeOwner: req.user.id });
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const items = await Inventory.find({ supplierId: supplier._id, storeOwner: req.user.id })
+      .select('productName sku stockQuantity unit reorderLevel costPrice isActive');
+
+    res.status(200).json({
+      success: true,
+      data: { ...supplier.toObject(), items }
+    });
+
+  } catch (error) {
+    console.error('Error fetching supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch supplier',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a supplier
+ * @route   POST /api/v1/suppliers
+ * @access  Private (Store Owner/Admin)
+ */
+exports.createSupplier = async (req, res) => {
+  try {
+    const fields = {};
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+
+    const supplier = await Supplier.create({ ...fields, storeOwner: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: supplier,
+      message: 'Supplier created successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A supplier with this name already exists'
+      });
+    }
+
+    console.error('Error creating supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create supplier',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a supplier (and the supplier details on its inventory items)
+ * @route   PUT /api/v1/suppliers/:id
+ * @access  Private (Store Owner/Admin)
+ */
+exports.updateSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({ _id: req.params.id, storeOwner: req.user.id });
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    SUPPLIER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) supplier[field] = req.body[field];
+    });
+
+    await supplier.save();
+
+    await Inventory.updateMany(
+      { supplierId: supplier._id, storeOwner: req.user.id },
+      { supplier: supplier.toInventorySupplier() }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: supplier,
+      message: 'Supplier updated successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A supplier with this name already exists'
+      });
+    }
+
+    console.error('Error updating supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update supplier',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a supplier without purchase orders (deactivate the others)
+ * @route   DELETE /api/v1/suppliers/:id
+ * @access  Private (Store Owner/Admin)
+ */
+exports.deleteSupplier = async (req, res) => {
+  try {
+    const supplier = await Supplier.findOne({ _id: req.params.id, storeOwner: req.user.id });
+
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const orders = await PurchaseOrder.countDocuments({ supplier: supplier._id });
+    if (orders > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${supplier.name} has ${orders} purchase orders. Deactivate the supplier instead`
+      });
+    }
+
+    // Inventory items keep the supplier details, without the link
+    await Inventory.updateMany(
+      { supplierId: supplier._id, storeOwner: req.user.id },
+      { supplierId: null }
+    );
+
+    await supplier.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Supplier deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting supplier:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete supplier',
+      error: error.message
+    });
+  }
+};
@@ -5,6 +5,7 @@
 
 const User = require('../models/User');
 const bcrypt = require('bcryptjs');
+const { CURRENCIES, DEFAULT_CURRENCY } = require('../utils/constants');
 
 /**
  * Get user profile
@@ -208,10 +209,18 @@ exports. updatePreferences = async (req, res) => {
       pushNotifications,
       expiryAlertDays,
       theme,
-      language 
+      language,
+      currency
     } = req.body;
 
-    const user = await User. findById(req.user.userId);
+    if (currency && !Object.values(CURRENCIES).includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid currency'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -230,7 +239,8 @@ exports. updatePreferences = async (req, res) => {
         : user.preferences.pushNotifications,
       expiryAlertDays: expiryAlertDays || user.preferences.expiryAlertDays || 3,
       theme: theme || user.preferences.theme || 'light',
-      language: language || user.preferences.language || 'en'
+      language: language || user.preferences.language || 'en',
+      currency: currency || user.preferences.currency || DEFAULT_CURRENCY
     };
 
     user. updatedAt = new Date();
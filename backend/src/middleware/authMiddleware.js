@@ -9,12 +9,58 @@
  * - JWT token verification
  * - User authentication
  * - Role-based authorization
+ * - Household membership resolution
  * - Token expiry handling
  * ============================================
  */
 
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Household = require('../models/Household');
+const { DEFAULT_CURRENCY } = require('../utils/constants');
+
+/**
+ * Resolve the household a request acts on
+ * X-Household-Id header wins over the user's saved active household
+ * @returns {object|null} - { household, role } or null for personal pantry
+ */
+const resolveHousehold = async (req, user) => {
+  const requestedId = req.headers['x-household-id'];
+  const householdId = requestedId || user.activeHousehold;
+
+  if (!householdId || householdId === 'personal') {
+    return null;
+  }
+
+  if (!mongoose.isValidObjectId(householdId)) {
+    const error = new Error('Invalid X-Household-Id header.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const household = await Household.findOne({
+    _id: householdId,
+    'members.user': user._id
+  }).select('name members');
+
+  if (!household) {
+    // Explicitly requested household must be valid
+    if (requestedId) {
+      const error = new Error('You are not a member of this household.');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    // Stale saved household (e.g. user was removed) - fall back to personal
+    return null;
+  }
+
+  return {
+    household: household._id,
+    role: household.getMember(user._id).role
+  };
+};
 
 /**
  * @desc    Protect routes - Verify JWT token
@@ -67,12 +113,26 @@ exports.protect = async (req, res, next) => {
         });
       }
 
+      // Resolve active household membership
+      let membership;
+      try {
+        membership = await resolveHousehold(req, user);
+      } catch (error) {
+        return res.status(error.statusCode || 500).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       // Attach user to request object
       req.user = {
         id: user._id,
         email: user.email,
         name: user.name,
-        role: user.role
+        role: user.role,
+        currency: (user.preferences && user.preferences.currency) || DEFAULT_CURRENCY,
+        household: membership ? membership.household : null,
+        householdRole: membership ? membership.role : null
       };
 
       next();
@@ -140,6 +200,37 @@ exports.authorize = (...roles) => {
   };
 };
 
+/**
+ * @desc    Authorize household roles for the active household
+ *          Personal pantries are always fully writable by their owner
+ * @param   {...string} roles - Allowed household roles (e.g., 'owner', 'editor')
+ * @middleware
+ */
+exports.authorizeHousehold = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authenticated. Please login first.'
+      });
+    }
+
+    if (!req.user.household) {
+      return next();
+    }
+
+    if (!roles.includes(req.user.householdRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Household role '${req.user.householdRole}' cannot perform this action.`,
+        requiredRoles: roles
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * @desc    Check if user owns the resource
  * @param   {string} paramName - Name of the param containing userId
@@ -3,7 +3,8 @@
  * File Upload Middleware
  * ============================================
  * Handles file uploads using Multer
- * Supports image uploads for grocery items
+ * Supports image uploads for grocery items,
+ * receipts and data file imports
  * ============================================
  */
 
@@ -11,6 +12,11 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+// Max file sizes
+const IMAGE_MAX_SIZE = 5 * 1024 * 1024; // 5MB
+const DATA_FILE_MAX_SIZE = 20 * 1024 * 1024; // 20MB
+const RECEIPT_MAX_SIZE = 10 * 1024 * 1024; // 10MB
+
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, '../../uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -61,30 +67,104 @@ const imageFilter = (req, file, cb) => {
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB max file size
+    fileSize: IMAGE_MAX_SIZE
   },
   fileFilter: imageFilter
 });
 
+/**
+ * File filter - Only allow data files (CSV/TSV/JSON/XML)
+ */
+const dataFileFilter = (req, file, cb) => {
+  const allowedTypes = /csv|tsv|txt|json|jsonl|ndjson|xml/;
+
+  if (allowedTypes.test(path.extname(file.originalname).toLowerCase())) {
+    return cb(null, true);
+  }
+
+  cb(new Error('Only data files are allowed (csv, tsv, txt, json, jsonl, xml)'));
+};
+
+/**
+ * Configure multer for data imports (kept in memory, never written to disk)
+ */
+const dataUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: DATA_FILE_MAX_SIZE
+  },
+  fileFilter: dataFileFilter
+});
+
+/**
+ * File filter - Receipts: images, PDF or plain-text e-receipts
+ */
+const receiptFilter = (req, file, cb) => {
+  // Check extension
+  const extname = /^\.(jpe?g|png|gif|webp|pdf|txt)$/.test(
+    path.extname(file.originalname).toLowerCase()
+  );
+
+  // Check mimetype
+  const mimetype = /^(image\/(jpeg|png|gif|webp)|application\/pdf|text\/plain)$/.test(file.mimetype);
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  }
+
+  cb(new Error('Only receipt images, PDF or text files are allowed (jpeg, jpg, png, gif, webp, pdf, txt)'));
+};
+
+/**
+ * Configure multer for receipts
+ */
+const receiptUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: RECEIPT_MAX_SIZE
+  },
+  fileFilter: receiptFilter
+});
+
+/**
+ * Remember the size limit of the upload for error messages
+ */
+const withSizeLimit = (maxSize, middleware) => (req, res, next) => {
+  req.uploadMaxSize = maxSize;
+  middleware(req, res, next);
+};
+
 /**
  * @desc    Upload single image
  * @field   image
  */
-exports.uploadSingleImage = upload.single('image');
+exports.uploadSingleImage = withSizeLimit(IMAGE_MAX_SIZE, upload.single('image'));
 
 /**
  * @desc    Upload multiple images (max 5)
  * @field   images
  */
-exports. uploadMultipleImages = upload. array('images', 5);
+exports. uploadMultipleImages = withSizeLimit(IMAGE_MAX_SIZE, upload. array('images', 5));
 
 /**
  * @desc    Upload with custom field names
  */
-exports.uploadFields = upload.fields([
+exports.uploadFields = withSizeLimit(IMAGE_MAX_SIZE, upload.fields([
   { name: 'groceryImage', maxCount: 1 },
   { name: 'receiptImage', maxCount: 1 }
-]);
+]));
+
+/**
+ * @desc    Upload a single data file for imports
+ * @field   file
+ */
+exports.uploadDataFile = withSizeLimit(DATA_FILE_MAX_SIZE, dataUpload.single('file'));
+
+/**
+ * @desc    Upload a receipt (image, PDF or text)
+ * @field   receipt
+ */
+exports.uploadReceipt = withSizeLimit(RECEIPT_MAX_SIZE, receiptUpload.single('receipt'));
 
 /**
  * @desc    Process uploaded file
@@ -141,9 +221,11 @@ exports. deleteFile = (filename) => {
 exports.handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
+      const maxSize = req.uploadMaxSize || IMAGE_MAX_SIZE;
+
       return res.status(400).json({
         success: false,
-        message: 'File size too large. Maximum allowed size is 5MB.'
+        message: `File size too large. Maximum allowed size is ${maxSize / (1024 * 1024)}MB.`
       });
     }
     
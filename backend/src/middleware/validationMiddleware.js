@@ -8,6 +8,25 @@
  */
 
 const { body, param, query, validationResult } = require('express-validator');
+const {
+  REPORT_TYPES,
+  EXPORT_FORMATS,
+  MEASUREMENT_UNITS,
+  STORAGE_LOCATIONS,
+  SHOPPING_LIST_STATUS,
+  MEAL_SLOTS,
+  WASTE_REASONS,
+  BUDGET_PERIODS,
+  CURRENCIES,
+  RECEIPT_STATUS,
+  IMPORT_MODES,
+  PURCHASE_ORDER_STATUS,
+  STOCK_MOVEMENT_TYPES,
+  SALE_STATUS,
+  PAYMENT_METHODS,
+  STOCKTAKE_STATUS
+} = require('../utils/constants');
+const { normalizeUnit, normalizeRecipeUnit } = require('../utils/unitConverter');
 
 /**
  * @desc    Handle validation errors
@@ -31,6 +50,27 @@ exports.handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * @desc    Check a plain object against validation chains, outside a request
+ *          (e.g. rows of a bulk import); sanitizers update the object in place
+ * @param   {Array} rules - Validation chains
+ * @param   {object} data - Fields to check
+ * @returns {Array} - [{ field, message, value }]
+ */
+exports.checkFields = async (rules, data) => {
+  const req = { body: data };
+
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+
+  return validationResult(req).array().map(err => ({
+    field: err.path || err.param,
+    message: err.msg,
+    value: err.value
+  }));
+};
+
 /**
  * User Registration Validation
  */
@@ -76,9 +116,12 @@ exports.validateLogin = [
 
 /**
  * Create Grocery Item Validation
+ * The field rules are also applied to each row of a grocery import
  */
-exports.validateCreateGrocery = [
+exports.groceryFieldRules = [
+  // Name and quantity may be omitted when a barcode is posted (catalog auto-fill)
   body('name')
+    .if((value, { req }) => !req.body.barcode || value !== undefined)
     .trim()
     .notEmpty().withMessage('Item name is required')
     .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
@@ -92,18 +135,23 @@ exports.validateCreateGrocery = [
     .isString().withMessage('Category ID must be a string'),
 
   body('quantity')
+    .if((value, { req }) => !req.body.barcode || value !== undefined)
     .notEmpty().withMessage('Quantity is required')
     .isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
 
   body('unit')
     .optional()
-    .isIn(['Kg', 'kg', 'Grams', 'g', 'Liters', 'l', 'ml', 'Pieces', 'pcs', 'dozen', 'Packet', 'pack'])
+    .custom(value => !!normalizeUnit(value))
     .withMessage('Invalid unit'),
 
   body('price')
     .optional()
     .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
 
+  body('currency')
+    .optional()
+    .isIn(Object.values(CURRENCIES)).withMessage('Invalid currency'),
+
   body('expiryDate')
     .optional()
     .isISO8601().withMessage('Invalid expiry date format'),
@@ -114,9 +162,54 @@ exports.validateCreateGrocery = [
     .isString()
     .isLength({ min: 8, max: 20 }).withMessage('Barcode must be between 8 and 20 characters'),
 
+  body('store')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Store name cannot exceed 50 characters'),
+
+  body('unitSize.quantity')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Unit size must be greater than 0'),
+
+  body('unitSize.unit')
+    .optional()
+    .isIn(Object.values(MEASUREMENT_UNITS)).withMessage('Invalid unit size unit'),
+
+  body('density')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0 }).withMessage('Density must be greater than 0'),
+
+  body('lowStockThreshold')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Low stock threshold must be a positive number'),
+
+  body('lowStockUnit')
+    .optional({ values: 'null' })
+    .custom(value => !!normalizeUnit(value))
+    .withMessage('Invalid low stock unit'),
+
   body('minQuantity')
     .optional()
-    .isFloat({ min: 0 }).withMessage('Minimum quantity must be a positive number'),
+    .isFloat({ min: 0 }).withMessage('Minimum quantity must be a positive number')
+];
+
+exports.validateCreateGrocery = [
+  ...exports.groceryFieldRules,
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Grocery Import Validation (rows are checked by the import itself)
+ */
+exports.validateImportGroceries = [
+  body('mode')
+    .optional()
+    .isIn(Object.values(IMPORT_MODES)).withMessage('Invalid import mode'),
+
+  body('defaultCategory')
+    .optional()
+    .isString().withMessage('Default category must be a category ID or name'),
 
   exports.handleValidationErrors
 ];
@@ -149,18 +242,130 @@ exports. validateUpdateGrocery = [
     .optional()
     .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
 
+  body('currency')
+    .optional()
+    .isIn(Object.values(CURRENCIES)).withMessage('Invalid currency'),
+
   body('expiryDate')
     .optional()
     .isISO8601().withMessage('Invalid expiry date format'),
 
   body('unit')
     .optional()
-    .isString().withMessage('Unit must be a string'),
+    .custom(value => !!normalizeUnit(value))
+    .withMessage('Invalid unit'),
+
+  body('unitSize.quantity')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Unit size must be greater than 0'),
+
+  body('unitSize.unit')
+    .optional()
+    .isIn(Object.values(MEASUREMENT_UNITS)).withMessage('Invalid unit size unit'),
+
+  body('density')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0 }).withMessage('Density must be greater than 0'),
+
+  body('lowStockThreshold')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Low stock threshold must be a positive number'),
+
+  body('lowStockUnit')
+    .optional({ values: 'null' })
+    .custom(value => !!normalizeUnit(value))
+    .withMessage('Invalid low stock unit'),
 
   body('minQuantity')
     .optional()
     .isFloat({ min: 0 }).withMessage('Minimum quantity must be a positive number'),
 
+  body('openedAt')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Invalid opened date format'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Open Grocery Item Validation
+ */
+exports.validateOpenGrocery = [
+  body('openedAt')
+    .optional()
+    .isISO8601().withMessage('Invalid opened date format'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateWasteGrocery = [
+  body('quantity')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+
+  body('unit')
+    .optional()
+    .custom(value => !!normalizeUnit(value))
+    .withMessage('Invalid unit'),
+
+  body('reason')
+    .notEmpty().withMessage('Waste reason is required')
+    .isIn(Object.values(WASTE_REASONS)).withMessage('Invalid waste reason'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Grocery Lot Validation
+ */
+const groceryLotFields = [
+  body('price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+
+  body('purchaseDate')
+    .optional()
+    .isISO8601().withMessage('Invalid purchase date format'),
+
+  body('expiryDate')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Invalid expiry date format'),
+
+  body('store')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 50 }).withMessage('Store name cannot exceed 50 characters')
+];
+
+exports.validateAddGroceryLot = [
+  body('quantity')
+    .notEmpty().withMessage('Quantity is required')
+    .isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+
+  body('unit')
+    .optional()
+    .custom(value => !!normalizeUnit(value))
+    .withMessage('Invalid unit'),
+
+  ...groceryLotFields,
+
+  exports.handleValidationErrors
+];
+
+exports.validateUpdateGroceryLot = [
+  param('lotId')
+    .isMongoId().withMessage('Invalid lot ID'),
+
+  body('quantity')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
+
+  ...groceryLotFields,
+
   exports.handleValidationErrors
 ];
 
@@ -272,6 +477,1378 @@ exports.validateSearch = [
   exports.handleValidationErrors
 ];
 
+/**
+ * Analytics Query Validation
+ */
+exports.validateAnalyticsQuery = [
+  query('period')
+    .optional()
+    .isIn(['week', 'month', 'year'])
+    .withMessage('Period must be week, month or year'),
+
+  query('startDate')
+    .optional()
+    .isISO8601().withMessage('Invalid start date format'),
+
+  query('endDate')
+    .optional()
+    .isISO8601().withMessage('Invalid end date format')
+    .custom((value, { req }) => {
+      if (req.query.startDate && new Date(value) < new Date(req.query.startDate)) {
+        throw new Error('End date must be after start date');
+      }
+      return true;
+    }),
+
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+    .toInt(),
+
+  query('months')
+    .optional()
+    .isInt({ min: 1, max: 24 }).withMessage('Months must be between 1 and 24')
+    .toInt(),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Report Export Validation
+ */
+exports.validateExportQuery = [
+  query('type')
+    .notEmpty().withMessage('Report type is required')
+    .isIn(Object.values(REPORT_TYPES))
+    .withMessage(`Report type must be one of: ${Object.values(REPORT_TYPES).join(', ')}`),
+
+  query('format')
+    .optional()
+    .isIn(Object.values(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.values(EXPORT_FORMATS).join(', ')}`),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Household Validation
+ */
+exports.validateHousehold = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Household name is required')
+    .isLength({ min: 2, max: 50 }).withMessage('Household name must be between 2 and 50 characters'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Household Invitation Validation
+ */
+exports.validateHouseholdInvitation = [
+  body('email')
+    .trim()
+    .notEmpty().withMessage('Email is required')
+    .isEmail().withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+
+  body('role')
+    .optional()
+    .isIn(['editor', 'viewer']).withMessage('Role must be editor or viewer'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Household Member Role Validation
+ */
+exports.validateHouseholdMemberRole = [
+  param('userId')
+    .isMongoId().withMessage('Invalid user ID'),
+
+  body('role')
+    .notEmpty().withMessage('Role is required')
+    .isIn(['editor', 'viewer']).withMessage('Role must be editor or viewer'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Create Shopping List Validation
+ */
+exports.validateCreateShoppingList = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('List name is required')
+    .isLength({ max: 100 }).withMessage('List name cannot exceed 100 characters'),
+
+  body('store')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Store name cannot exceed 50 characters'),
+
+  body('items')
+    .optional()
+    .isArray().withMessage('Items must be an array'),
+
+  body('items.*.name')
+    .trim()
+    .notEmpty().withMessage('Item name is required'),
+
+  body('items.*.category')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('items.*.unit')
+    .optional()
+    .isIn(Object.values(MEASUREMENT_UNITS)).withMessage('Invalid unit'),
+
+  body('includeSuggestions')
+    .optional()
+    .isBoolean().withMessage('includeSuggestions must be true or false'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Update Shopping List Validation
+ */
+exports.validateUpdateShoppingList = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('List name must be between 1 and 100 characters'),
+
+  body('store')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Store name cannot exceed 50 characters'),
+
+  body('status')
+    .optional()
+    .isIn(Object.values(SHOPPING_LIST_STATUS)).withMessage('Invalid list status'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Shopping List Item Validation
+ */
+const shoppingItemFields = [
+  body('quantity')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
+
+  body('unit')
+    .optional()
+    .isIn(Object.values(MEASUREMENT_UNITS)).withMessage('Invalid unit'),
+
+  body('category')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('location')
+    .optional()
+    .isIn(Object.values(STORAGE_LOCATIONS)).withMessage('Invalid storage location'),
+
+  body('store')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Store name cannot exceed 50 characters'),
+
+  body('estimatedPrice')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Price must be a positive number')
+];
+
+exports.validateShoppingListItem = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Item name is required')
+    .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+
+  ...shoppingItemFields,
+
+  exports.handleValidationErrors
+];
+
+exports.validateUpdateShoppingListItem = [
+  param('itemId')
+    .isMongoId().withMessage('Invalid item ID'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+
+  ...shoppingItemFields,
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Shopping List Check-off Validation
+ */
+exports.validateCheckOffItem = [
+  param('itemId')
+    .isMongoId().withMessage('Invalid item ID'),
+
+  body('quantity')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
+
+  body('price')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+
+  body('category')
+    .optional()
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('location')
+    .optional()
+    .isIn(Object.values(STORAGE_LOCATIONS)).withMessage('Invalid storage location'),
+
+  body('purchaseDate')
+    .optional()
+    .isISO8601().withMessage('Invalid purchase date format'),
+
+  body('expiryDate')
+    .optional()
+    .isISO8601().withMessage('Invalid expiry date format'),
+
+  body('addToPantry')
+    .optional()
+    .isBoolean().withMessage('addToPantry must be true or false'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Price Query Validation
+ */
+exports.validatePriceQuery = [
+  query('grocery')
+    .optional()
+    .isMongoId().withMessage('Invalid grocery ID'),
+
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 1825 }).withMessage('Days must be between 1 and 1825'),
+
+  query('interval')
+    .optional()
+    .isIn(['day', 'week', 'month']).withMessage('Interval must be day, week or month'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Price Watch Validation
+ */
+exports.validatePriceWatch = [
+  body('grocery')
+    .optional()
+    .isMongoId().withMessage('Invalid grocery ID'),
+
+  body('targetPrice')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Target price must be a positive number'),
+
+  body('unit')
+    .optional({ values: 'null' })
+    .custom(value => !!normalizeUnit(value))
+    .withMessage('Invalid unit'),
+
+  body('risePercent')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Rise percentage must be a positive number'),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be true or false'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Product Catalog Validation
+ */
+const productFields = [
+  body('brand')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Brand name cannot exceed 50 characters'),
+
+  body('category')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 50 }).withMessage('Category name cannot exceed 50 characters'),
+
+  body('unit')
+    .optional()
+    .custom(value => !!normalizeUnit(value))
+    .withMessage('Invalid unit'),
+
+  body('unitSize.quantity')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Unit size must be greater than 0'),
+
+  body('unitSize.unit')
+    .optional()
+    .isIn(Object.values(MEASUREMENT_UNITS)).withMessage('Invalid unit size unit'),
+
+  body('shelfLife')
+    .optional()
+    .isObject().withMessage('Shelf life must be an object of days per location')
+    .custom(value => Object.keys(value).every(location =>
+      Object.values(STORAGE_LOCATIONS).includes(location)))
+    .withMessage('Invalid storage location in shelf life'),
+
+  body('shelfLife.*')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 }).withMessage('Shelf life must be a positive number of days'),
+
+  body('defaultLocation')
+    .optional()
+    .isIn(Object.values(STORAGE_LOCATIONS)).withMessage('Invalid storage location'),
+
+  body('imageUrl')
+    .optional({ values: 'null' })
+    .isURL().withMessage('Invalid image URL')
+];
+
+exports.validateCreateProduct = [
+  body('barcode')
+    .trim()
+    .notEmpty().withMessage('Barcode is required')
+    .matches(/^[0-9]{8,20}$/).withMessage('Barcode must be 8 to 20 digits'),
+
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Product name is required')
+    .isLength({ max: 100 }).withMessage('Product name cannot exceed 100 characters'),
+
+  ...productFields,
+
+  exports.handleValidationErrors
+];
+
+exports.validateUpdateProduct = [
+  param('id')
+    .isMongoId().withMessage('Invalid product ID'),
+
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Product name cannot be empty')
+    .isLength({ max: 100 }).withMessage('Product name cannot exceed 100 characters'),
+
+  ...productFields,
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Shelf Life Rule Validation
+ */
+exports.validateCreateShelfLifeRule = [
+  body('barcode')
+    .optional({ values: 'null' })
+    .trim()
+    .matches(/^[0-9]{8,20}$/).withMessage('Barcode must be 8 to 20 digits'),
+
+  body('productName')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Product name must be between 1 and 100 characters'),
+
+  body('category')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body()
+    .custom(value => !!(value.barcode || value.productName || value.category))
+    .withMessage('Provide a barcode, product name or category'),
+
+  body('location')
+    .optional({ values: 'null' })
+    .isIn(Object.values(STORAGE_LOCATIONS)).withMessage('Invalid storage location'),
+
+  body('opened')
+    .optional()
+    .isBoolean().withMessage('Opened must be true or false'),
+
+  body('days')
+    .notEmpty().withMessage('Shelf life in days is required')
+    .isInt({ min: 0 }).withMessage('Shelf life must be a positive number of days'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Notes cannot exceed 200 characters'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateUpdateShelfLifeRule = [
+  param('id')
+    .isMongoId().withMessage('Invalid rule ID'),
+
+  body('location')
+    .optional({ values: 'null' })
+    .isIn(Object.values(STORAGE_LOCATIONS)).withMessage('Invalid storage location'),
+
+  body('opened')
+    .optional()
+    .isBoolean().withMessage('Opened must be true or false'),
+
+  body('days')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Shelf life must be a positive number of days'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 200 }).withMessage('Notes cannot exceed 200 characters'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateShelfLifePrediction = [
+  query('category')
+    .optional()
+    .isMongoId().withMessage('Invalid category ID'),
+
+  query('location')
+    .optional()
+    .isIn(Object.values(STORAGE_LOCATIONS)).withMessage('Invalid storage location'),
+
+  query('opened')
+    .optional()
+    .isBoolean().withMessage('Opened must be true or false'),
+
+  query('purchaseDate')
+    .optional()
+    .isISO8601().withMessage('Invalid purchase date format'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Recipe Validation
+ */
+// Ingredient lines ("2 cups flour") or { name, quantity, unit, optional }
+const ingredientFields = (path = 'ingredients') => [
+  body(`${path}.*`)
+    .custom(value => typeof value === 'string' ? value.trim() !== '' : !!(value && value.name))
+    .withMessage('Each ingredient needs a name'),
+
+  body(`${path}.*.quantity`)
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Ingredient quantity cannot be negative'),
+
+  body(`${path}.*.unit`)
+    .optional({ values: 'null' })
+    .custom(value => !!normalizeRecipeUnit(value))
+    .withMessage('Invalid ingredient unit')
+];
+
+const recipeFields = [
+  ...ingredientFields(),
+
+  body('steps')
+    .optional()
+    .isArray().withMessage('Steps must be an array'),
+
+  body('tags')
+    .optional()
+    .isArray().withMessage('Tags must be an array'),
+
+  body('servings')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Servings must be at least 1'),
+
+  body(['prepTime', 'cookTime'])
+    .optional({ values: 'null' })
+    .isInt({ min: 0 }).withMessage('Time must be a positive number of minutes'),
+
+  body(['imageUrl', 'sourceUrl'])
+    .optional({ values: 'null' })
+    .isURL().withMessage('Invalid URL')
+];
+
+exports.validateCreateRecipe = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Recipe name is required')
+    .isLength({ max: 150 }).withMessage('Recipe name cannot exceed 150 characters'),
+
+  body('ingredients')
+    .isArray({ min: 1 }).withMessage('Recipe needs at least one ingredient'),
+
+  ...recipeFields,
+
+  exports.handleValidationErrors
+];
+
+exports.validateUpdateRecipe = [
+  param('id')
+    .isMongoId().withMessage('Invalid recipe ID'),
+
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Recipe name cannot be empty')
+    .isLength({ max: 150 }).withMessage('Recipe name cannot exceed 150 characters'),
+
+  body('ingredients')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Recipe needs at least one ingredient'),
+
+  ...recipeFields,
+
+  exports.handleValidationErrors
+];
+
+const cookFields = [
+  body('multiplier')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Multiplier must be greater than 0'),
+
+  body('dryRun')
+    .optional()
+    .isBoolean().withMessage('Dry run must be true or false')
+];
+
+exports.validateCookIngredients = [
+  body('ingredients')
+    .isArray({ min: 1 }).withMessage('Provide at least one ingredient'),
+
+  ...ingredientFields(),
+
+  ...cookFields,
+
+  exports.handleValidationErrors
+];
+
+exports.validateCookRecipe = [
+  param('id')
+    .isMongoId().withMessage('Invalid recipe ID'),
+
+  body('servings')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Servings must be at least 1'),
+
+  ...cookFields,
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Meal Plan Validation
+ */
+// Meal fields at a path prefix ('' for a single meal, 'meals.*.' in a plan)
+const mealFields = (prefix = '') => [
+  body(`${prefix}date`)
+    .notEmpty().withMessage('Meal date is required')
+    .isISO8601().withMessage('Invalid meal date format'),
+
+  body(`${prefix}slot`)
+    .isIn(Object.values(MEAL_SLOTS)).withMessage('Invalid meal slot'),
+
+  body(`${prefix}recipe`)
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid recipe ID'),
+
+  body(prefix ? prefix.slice(0, -1) : undefined)
+    .custom(meal => !!(meal && (meal.recipe || (meal.title && String(meal.title).trim()))))
+    .withMessage('Meal needs a recipe or a title'),
+
+  body(`${prefix}title`)
+    .optional()
+    .trim()
+    .isLength({ max: 150 }).withMessage('Meal title cannot exceed 150 characters'),
+
+  body(`${prefix}servings`)
+    .optional({ values: 'null' })
+    .isInt({ min: 1 }).withMessage('Servings must be at least 1'),
+
+  body(`${prefix}ingredients`)
+    .optional()
+    .isArray().withMessage('Ingredients must be an array'),
+
+  ...ingredientFields(`${prefix}ingredients`),
+
+  body(`${prefix}notes`)
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+exports.validateCreateMealPlan = [
+  body('weekStart')
+    .notEmpty().withMessage('Week start date is required')
+    .isISO8601().withMessage('Invalid week start date format'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+
+  body('meals')
+    .optional()
+    .isArray().withMessage('Meals must be an array'),
+
+  ...mealFields('meals.*.'),
+
+  body('reserve')
+    .optional()
+    .isBoolean().withMessage('Reserve must be true or false'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateUpdateMealPlan = [
+  param('id')
+    .isMongoId().withMessage('Invalid meal plan ID'),
+
+  body('weekStart')
+    .optional()
+    .isISO8601().withMessage('Invalid week start date format'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+
+  body('meals')
+    .optional()
+    .isArray().withMessage('Meals must be an array'),
+
+  ...mealFields('meals.*.'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateAddMeal = [
+  param('id')
+    .isMongoId().withMessage('Invalid meal plan ID'),
+
+  ...mealFields(),
+
+  body('reserve')
+    .optional()
+    .isBoolean().withMessage('Reserve must be true or false'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateMealPlanMeal = [
+  param('id')
+    .isMongoId().withMessage('Invalid meal plan ID'),
+
+  param('mealId')
+    .isMongoId().withMessage('Invalid meal ID'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateMealReservation = [
+  param('id')
+    .isMongoId().withMessage('Invalid meal plan ID'),
+
+  body('meals')
+    .optional()
+    .isArray().withMessage('Meals must be an array of meal IDs'),
+
+  body('meals.*')
+    .isMongoId().withMessage('Invalid meal ID'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Budget Validation
+ */
+const budgetFields = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+
+  body('category')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('period')
+    .optional()
+    .isIn(Object.values(BUDGET_PERIODS)).withMessage('Invalid budget period'),
+
+  body('currency')
+    .optional()
+    .isIn(Object.values(CURRENCIES)).withMessage('Invalid currency'),
+
+  body('alertThresholds')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Alert thresholds must be a non-empty array'),
+
+  body('alertThresholds.*')
+    .isFloat({ gt: 0, max: 1000 }).withMessage('Alert thresholds must be percentages above 0')
+];
+
+exports.validateCreateBudget = [
+  body('amount')
+    .notEmpty().withMessage('Budget amount is required')
+    .isFloat({ min: 0 }).withMessage('Budget amount must be a positive number'),
+
+  ...budgetFields,
+
+  exports.handleValidationErrors
+];
+
+exports.validateUpdateBudget = [
+  param('id')
+    .isMongoId().withMessage('Invalid budget ID'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Budget amount must be a positive number'),
+
+  ...budgetFields,
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be true or false'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Receipt Validation
+ */
+exports.validateGetReceipts = [
+  query('status')
+    .optional()
+    .isIn(Object.values(RECEIPT_STATUS)).withMessage('Invalid receipt status'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateConfirmReceipt = [
+  param('id')
+    .isMongoId().withMessage('Invalid receipt ID'),
+
+  body('items')
+    .optional()
+    .isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+
+  body('items.*.name')
+    .trim()
+    .notEmpty().withMessage('Item name is required')
+    .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+
+  body('items.*.quantity')
+    .isFloat({ gt: 0 }).withMessage('Quantity must be a positive number'),
+
+  body('items.*.unitPrice')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+
+  body('items.*.category')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('items.*.expiryDate')
+    .optional()
+    .isISO8601().withMessage('Invalid date format'),
+
+  body('items.*.location')
+    .optional()
+    .isIn(Object.values(STORAGE_LOCATIONS)).withMessage('Invalid storage location'),
+
+  body('category')
+    .optional()
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('location')
+    .optional()
+    .isIn(Object.values(STORAGE_LOCATIONS)).withMessage('Invalid storage location'),
+
+  body('store')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }).withMessage('Store name cannot exceed 50 characters'),
+
+  body('purchaseDate')
+    .optional()
+    .isISO8601().withMessage('Invalid date format'),
+
+  body('currency')
+    .optional()
+    .isIn(Object.values(CURRENCIES)).withMessage('Invalid currency'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Supplier Validation
+ */
+const supplierFields = [
+  body('contact')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Contact name cannot exceed 100 characters'),
+
+  body('email')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isEmail().withMessage('Please provide a valid email')
+    .normalizeEmail(),
+
+  body('phone')
+    .optional()
+    .trim()
+    .isLength({ max: 30 }).withMessage('Phone number cannot exceed 30 characters'),
+
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 300 }).withMessage('Address cannot exceed 300 characters'),
+
+  body('leadTimeDays')
+    .optional()
+    .isInt({ min: 0, max: 365 }).withMessage('Lead time must be between 0 and 365 days')
+    .toInt(),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be true or false')
+    .toBoolean()
+];
+
+exports.validateCreateSupplier = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Supplier name is required')
+    .isLength({ max: 100 }).withMessage('Supplier name cannot exceed 100 characters'),
+
+  ...supplierFields,
+
+  exports.handleValidationErrors
+];
+
+exports.validateUpdateSupplier = [
+  param('id')
+    .isMongoId().withMessage('Invalid supplier ID'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Supplier name must be between 1 and 100 characters'),
+
+  ...supplierFields,
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Purchase Order Validation
+ */
+const purchaseOrderItemRules = [
+  body('items.*.inventory')
+    .isMongoId().withMessage('Invalid inventory item ID'),
+
+  body('items.*.quantity')
+    .isFloat({ gt: 0 }).withMessage('Quantity must be a positive number')
+    .toFloat(),
+
+  body('items.*.unitCost')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Unit cost must be a positive number')
+    .toFloat()
+];
+
+exports.validateGetPurchaseOrders = [
+  query('status')
+    .optional()
+    .isIn(Object.values(PURCHASE_ORDER_STATUS)).withMessage('Invalid purchase order status'),
+
+  query('supplier')
+    .optional()
+    .isMongoId().withMessage('Invalid supplier ID'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateCreatePurchaseOrder = [
+  body('supplier')
+    .isMongoId().withMessage('Please select a supplier'),
+
+  body('items')
+    .isArray({ min: 1 }).withMessage('A purchase order needs at least one item'),
+
+  ...purchaseOrderItemRules,
+
+  body('expectedDate')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Invalid date format'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateUpdatePurchaseOrder = [
+  param('id')
+    .isMongoId().withMessage('Invalid purchase order ID'),
+
+  body('supplier')
+    .optional()
+    .isMongoId().withMessage('Invalid supplier ID'),
+
+  body('items')
+    .optional()
+    .isArray({ min: 1 }).withMessage('A purchase order needs at least one item'),
+
+  ...purchaseOrderItemRules,
+
+  body('expectedDate')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('Invalid date format'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateSendPurchaseOrder = [
+  param('id')
+    .isMongoId().withMessage('Invalid purchase order ID'),
+
+  body('email')
+    .optional()
+    .isBoolean().withMessage('email must be true or false')
+    .toBoolean(),
+
+  exports.handleValidationErrors
+];
+
+exports.validateReceivePurchaseOrder = [
+  param('id')
+    .isMongoId().withMessage('Invalid purchase order ID'),
+
+  body('items')
+    .optional()
+    .isArray().withMessage('Items must be an array'),
+
+  body('items.*.inventory')
+    .isMongoId().withMessage('Invalid inventory item ID'),
+
+  body('items.*.quantity')
+    .isFloat({ min: 0 }).withMessage('Quantity must be a positive number')
+    .toFloat(),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Stock Movement Validation
+ */
+exports.validateGetStockMovements = [
+  param('id')
+    .isMongoId().withMessage('Invalid inventory item ID'),
+
+  query('type')
+    .optional()
+    .isIn(Object.values(STOCK_MOVEMENT_TYPES)).withMessage('Invalid movement type'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  exports.handleValidationErrors
+];
+
+// Receipts go through restocks and purchase orders, sales through reduceStock
+exports.validateStockMovement = [
+  param('id')
+    .isMongoId().withMessage('Invalid inventory item ID'),
+
+  body('type')
+    .isIn([
+      STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+      STOCK_MOVEMENT_TYPES.RETURN,
+      STOCK_MOVEMENT_TYPES.TRANSFER,
+      STOCK_MOVEMENT_TYPES.WRITE_OFF
+    ]).withMessage('Movement type must be adjustment, return, transfer or write_off'),
+
+  body('quantity')
+    .isFloat().withMessage('Quantity must be a number')
+    .toFloat(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }).withMessage('Reference cannot exceed 100 characters'),
+
+  body('unitCost')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Unit cost must be a positive number')
+    .toFloat(),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Sale Validation
+ */
+exports.validateGetSales = [
+  query('status')
+    .optional()
+    .isIn(Object.values(SALE_STATUS)).withMessage('Invalid sale status'),
+
+  query('startDate')
+    .optional()
+    .isISO8601().withMessage('Invalid start date format'),
+
+  query('endDate')
+    .optional()
+    .isISO8601().withMessage('Invalid end date format'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateCreateSale = [
+  body('items')
+    .isArray({ min: 1 }).withMessage('A sale needs at least one item'),
+
+  body('items.*.inventory')
+    .isMongoId().withMessage('Invalid inventory item ID'),
+
+  body('items.*.quantity')
+    .isFloat({ gt: 0 }).withMessage('Quantity must be a positive number')
+    .toFloat(),
+
+  body('items.*.unitPrice')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Price must be a positive number')
+    .toFloat(),
+
+  body('items.*.discount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Discount must be a positive number')
+    .toFloat(),
+
+  body('discount')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('Discount must be a positive number')
+    .toFloat(),
+
+  body('taxRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100')
+    .toFloat(),
+
+  body('paymentMethod')
+    .optional()
+    .isIn(Object.values(PAYMENT_METHODS)).withMessage('Invalid payment method'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateRefundSale = [
+  param('id')
+    .isMongoId().withMessage('Invalid sale ID'),
+
+  body('items')
+    .optional()
+    .isArray().withMessage('Items must be an array'),
+
+  body('items.*.inventory')
+    .isMongoId().withMessage('Invalid inventory item ID'),
+
+  body('items.*.quantity')
+    .isFloat({ gt: 0 }).withMessage('Quantity must be a positive number')
+    .toFloat(),
+
+  body('restock')
+    .optional()
+    .isBoolean().withMessage('restock must be true or false')
+    .toBoolean(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Markdown Validation
+ */
+const markdownRuleFields = [
+  body('category')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('isActive')
+    .optional()
+    .isBoolean().withMessage('isActive must be true or false')
+    .toBoolean()
+];
+
+exports.validateCreateMarkdownRule = [
+  body('daysLeft')
+    .isInt({ min: 0, max: 365 }).withMessage('Days before expiry must be between 0 and 365')
+    .toInt(),
+
+  body('percentOff')
+    .isInt({ min: 1, max: 100 }).withMessage('Percent off must be between 1 and 100')
+    .toInt(),
+
+  ...markdownRuleFields,
+
+  exports.handleValidationErrors
+];
+
+exports.validateUpdateMarkdownRule = [
+  param('id')
+    .isMongoId().withMessage('Invalid markdown rule ID'),
+
+  body('daysLeft')
+    .optional()
+    .isInt({ min: 0, max: 365 }).withMessage('Days before expiry must be between 0 and 365')
+    .toInt(),
+
+  body('percentOff')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Percent off must be between 1 and 100')
+    .toInt(),
+
+  ...markdownRuleFields,
+
+  exports.handleValidationErrors
+];
+
+exports.validateGetMarkdowns = [
+  query('active')
+    .optional()
+    .isBoolean().withMessage('active must be true or false'),
+
+  query('inventory')
+    .optional()
+    .isMongoId().withMessage('Invalid inventory item ID'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateRemoveMarkdown = [
+  param('inventoryId')
+    .isMongoId().withMessage('Invalid inventory item ID'),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Stocktake Validation
+ */
+exports.validateGetStocktakes = [
+  query('status')
+    .optional()
+    .isIn(Object.values(STOCKTAKE_STATUS)).withMessage('Invalid stocktake status'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateOpenStocktake = [
+  body('category')
+    .optional({ values: 'null' })
+    .isMongoId().withMessage('Invalid category ID'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateStocktakeCounts = [
+  param('id')
+    .isMongoId().withMessage('Invalid stocktake ID'),
+
+  body('counts')
+    .isArray({ min: 1 }).withMessage('Enter at least one count'),
+
+  body('counts.*')
+    .custom(count => !!(count && (count.inventory || count.barcode || count.sku)))
+    .withMessage('Each count needs an inventory item, barcode or SKU'),
+
+  body('counts.*.inventory')
+    .optional()
+    .isMongoId().withMessage('Invalid inventory item ID'),
+
+  body('counts.*.barcode')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('Barcode cannot be empty'),
+
+  body('counts.*.sku')
+    .optional()
+    .trim()
+    .notEmpty().withMessage('SKU cannot be empty'),
+
+  body('counts.*.quantity')
+    .isFloat({ min: 0 }).withMessage('Counted quantity must be 0 or more')
+    .toFloat(),
+
+  body('add')
+    .optional()
+    .isBoolean().withMessage('add must be true or false')
+    .toBoolean(),
+
+  exports.handleValidationErrors
+];
+
+exports.validateStocktakeScan = [
+  param('id')
+    .isMongoId().withMessage('Invalid stocktake ID'),
+
+  body('barcode')
+    .trim()
+    .notEmpty().withMessage('Barcode is required'),
+
+  body('quantity')
+    .optional()
+    .isFloat({ gt: 0 }).withMessage('Quantity must be a positive number')
+    .toFloat(),
+
+  exports.handleValidationErrors
+];
+
+exports.validateStocktakeVariances = [
+  param('id')
+    .isMongoId().withMessage('Invalid stocktake ID'),
+
+  query('zeroUncounted')
+    .optional()
+    .isBoolean().withMessage('zeroUncounted must be true or false'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateApproveStocktake = [
+  param('id')
+    .isMongoId().withMessage('Invalid stocktake ID'),
+
+  body('zeroUncounted')
+    .optional()
+    .isBoolean().withMessage('zeroUncounted must be true or false')
+    .toBoolean(),
+
+  exports.handleValidationErrors
+];
+
+/**
+ * Exchange Rate Validation
+ */
+exports.validateCreateRate = [
+  body('base')
+    .trim()
+    .notEmpty().withMessage('Base currency is required')
+    .matches(/^[A-Za-z]{3}$/).withMessage('Currency codes have three letters'),
+
+  body('currency')
+    .trim()
+    .notEmpty().withMessage('Currency is required')
+    .matches(/^[A-Za-z]{3}$/).withMessage('Currency codes have three letters'),
+
+  body('rate')
+    .notEmpty().withMessage('Rate is required')
+    .isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+
+  body('date')
+    .notEmpty().withMessage('Rate date is required')
+    .isISO8601().withMessage('Invalid date format'),
+
+  exports.handleValidationErrors
+];
+
+exports.validateConvertAmount = [
+  query('amount')
+    .notEmpty().withMessage('Amount is required')
+    .isFloat().withMessage('Amount must be a number'),
+
+  query('from')
+    .notEmpty().withMessage('Source currency is required')
+    .matches(/^[A-Za-z]{3}$/).withMessage('Currency codes have three letters'),
+
+  query('to')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/).withMessage('Currency codes have three letters'),
+
+  query('date')
+    .optional()
+    .isISO8601().withMessage('Invalid date format'),
+
+  exports.handleValidationErrors
+];
+
 /**
  * Email Validation
  */
@@ -0,0 +1,55 @@
+/**
+ * ============================================
+ * Migration Runner
+ * ============================================
+ * Brings an existing database in line with the
+ * current schemas (npm run migrate)
+ *
+ * Every migration is safe to run more than once
+ * ============================================
+ */
+
+const path = require('path');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '../../.env') });
+
+const logger = require('../utils/logger');
+const Category = require('../models/Category');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/smart-grocery';
+
+const migrations = [
+  {
+    name: 'category-indexes',
+    // Category names used to be unique across the whole database (name_1);
+    // they are now unique per household and user, so household and personal
+    // categories can reuse default names
+    up: async () => {
+      const dropped = await Category.syncIndexes();
+      return dropped.length > 0 ? `dropped ${dropped.join(', ')}` : 'indexes already up to date';
+    }
+  }
+];
+
+const runMigrations = async () => {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    logger.info(`📊 Migrating database: ${mongoose.connection.name}`);
+
+    for (const migration of migrations) {
+      const result = await migration.up();
+      logger.success(`✅ ${migration.name}: ${result}`);
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+};
+
+runMigrations();
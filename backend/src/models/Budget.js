@@ -0,0 +1,169 @@
+/**
+ * ============================================
+ * Budget Model
+ * ============================================
+ * Spending limits for the active pantry
+ *
+ * Features:
+ * - Overall or per-category limits
+ * - Weekly (Monday to Sunday) or monthly
+ *   periods
+ * - Alert thresholds in percent of the limit,
+ *   each sent once per period
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { BUDGET_PERIODS, CURRENCIES, DEFAULT_CURRENCY } = require('../utils/constants');
+
+const DEFAULT_THRESHOLDS = [80, 100];
+
+// Threshold alerts already sent
+const alertSchema = new mongoose.Schema({
+  periodStart: {
+    type: Date,
+    required: true
+  },
+
+  threshold: {
+    type: Number,
+    required: true
+  },
+
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const budgetSchema = new mongoose.Schema({
+  // Owner
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Budget must belong to a user'],
+    index: true
+  },
+
+  // Shared pantry (null = personal)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+    index: true
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  // null = overall budget
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  period: {
+    type: String,
+    enum: Object.values(BUDGET_PERIODS),
+    default: BUDGET_PERIODS.MONTHLY
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Budget amount is required'],
+    min: [0, 'Budget amount cannot be negative']
+  },
+
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    enum: Object.values(CURRENCIES)
+  },
+
+  // Percent of the amount that triggers an alert
+  alertThresholds: {
+    type: [Number],
+    default: DEFAULT_THRESHOLDS,
+    validate: {
+      validator: (thresholds) => thresholds.every(threshold => threshold > 0),
+      message: 'Alert thresholds must be positive percentages'
+    }
+  },
+
+  alertsSent: [alertSchema],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+budgetSchema.index({ user: 1, household: 1, isActive: 1 });
+budgetSchema.index({ household: 1, isActive: 1 });
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+// Keep thresholds sorted and unique
+budgetSchema.pre('save', function(next) {
+  if (this.isModified('alertThresholds')) {
+    this.alertThresholds = [...new Set(this.alertThresholds)].sort((a, b) => a - b);
+  }
+  next();
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Period containing a date: { start, end } (end exclusive)
+budgetSchema.methods.getPeriodRange = function(date = new Date()) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+
+  if (this.period === BUDGET_PERIODS.WEEKLY) {
+    // Weeks start on Monday
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+
+    const end = new Date(start);
+    end.setDate(end.getDate() + 7);
+    return { start, end };
+  }
+
+  start.setDate(1);
+  const end = new Date(start);
+  end.setMonth(end.getMonth() + 1);
+  return { start, end };
+};
+
+// Thresholds reached by a spent percentage that were not alerted this period
+budgetSchema.methods.getPendingAlerts = function(percentUsed, periodStart) {
+  const sent = this.alertsSent
+    .filter(alert => alert.periodStart.getTime() === periodStart.getTime())
+    .map(alert => alert.threshold);
+
+  return this.alertThresholds.filter(threshold =>
+    percentUsed >= threshold && !sent.includes(threshold)
+  );
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Budget = mongoose.model('Budget', budgetSchema);
+
+module.exports = Budget;
@@ -18,7 +18,6 @@ const categorySchema = new mongoose.Schema({
   name: {
     type: String,
     required:  [true, 'Category name is required'],
-    unique: true,
     trim: true,
     minlength: [2, 'Category name must be at least 2 characters'],
     maxlength:  [50, 'Category name cannot exceed 50 characters']
@@ -43,6 +42,21 @@ const categorySchema = new mongoose.Schema({
     match: [/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/, 'Please provide a valid hex color']
   },
 
+  // Household-specific category (null = shared default category)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+    index: true
+  },
+
+  // Personal category of one user (groceries kept from a deleted household)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
   // Hierarchy (optional)
   parent: {
     type: mongoose.Schema.Types.ObjectId,
@@ -81,7 +95,8 @@ const categorySchema = new mongoose.Schema({
 // ============================================
 // INDEXES
 // ============================================
-categorySchema.index({ name: 1 });
+// Unique per household / user; older databases keep their previous unique index until `npm run migrate`
+categorySchema.index({ name: 1, household: 1, user: 1 }, { unique: true });
 categorySchema.index({ isActive: 1, sortOrder: 1 });
 
 // ============================================
@@ -175,7 +190,7 @@ categorySchema.statics.seedDefaults = async function() {
   
   for (const cat of defaultCategories) {
     await this.findOneAndUpdate(
-      { name:  cat.name },
+      { name:  cat.name, household: null, user: null },
       cat,
       { upsert:  true, new: true }
     );
@@ -0,0 +1,190 @@
+/**
+ * ============================================
+ * Consumption Event Model
+ * ============================================
+ * Append-only ledger of stock movements of
+ * grocery items
+ *
+ * Features:
+ * - One entry per consume, restock, waste or
+ *   manual adjustment
+ * - Quantity in the item's unit (adjustments
+ *   are signed), so an item's entries add up
+ *   to its stock
+ * - Actor and source (manual, recipe, auto,
+ *   import)
+ * - Entries cannot be changed or removed
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { CONSUMPTION_TYPES, CONSUMPTION_SOURCES } = require('../utils/constants');
+
+const consumptionEventSchema = new mongoose.Schema({
+  // Who made the change
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Consumption event must have an actor'],
+    index: true
+  },
+
+  // Shared pantry (null = personal)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+    index: true
+  },
+
+  grocery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grocery',
+    required: true,
+    index: true
+  },
+
+  // Snapshot of the item for reporting
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  type: {
+    type: String,
+    enum: Object.values(CONSUMPTION_TYPES),
+    required: true
+  },
+
+  // Item unit; positive except for adjustments
+  quantity: {
+    type: Number,
+    required: true
+  },
+
+  unit: {
+    type: String,
+    required: true
+  },
+
+  // Conversion details of the item, for summing across units
+  unitSize: {
+    quantity: Number,
+    unit: String
+  },
+
+  density: {
+    type: Number,
+    default: null
+  },
+
+  source: {
+    type: String,
+    enum: Object.values(CONSUMPTION_SOURCES),
+    default: CONSUMPTION_SOURCES.MANUAL
+  },
+
+  occurredAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+consumptionEventSchema.index({ user: 1, type: 1, occurredAt: -1 });
+consumptionEventSchema.index({ household: 1, type: 1, occurredAt: -1 });
+consumptionEventSchema.index({ grocery: 1, occurredAt: -1 });
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+// The ledger is append-only
+const rejectChange = function(next) {
+  next(new Error('Consumption events cannot be changed or removed'));
+};
+
+consumptionEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+consumptionEventSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+consumptionEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Consumption per item over the last `days` days, with daily usage rate
+// owner is a user id or a scope filter (ownerFilter(req.user))
+consumptionEventSchema.statics.getUsageRates = async function(owner, days = 30) {
+  const scope = owner && owner.constructor === Object ? owner : { user: owner };
+
+  const since = new Date();
+  since.setDate(since.getDate() - days);
+
+  const events = await this.find({
+    ...scope,
+    type: CONSUMPTION_TYPES.CONSUME,
+    occurredAt: { $gte: since }
+  })
+    .populate('category', 'name icon color')
+    .sort({ occurredAt: 1 });
+
+  // One entry per item and unit (an item's unit may have changed)
+  const usage = new Map();
+  events.forEach(event => {
+    const key = `${event.grocery}|${event.unit}`;
+    const entry = usage.get(key) || {
+      grocery: event.grocery,
+      name: event.name,
+      category: event.category,
+      unit: event.unit,
+      unitSize: event.unitSize,
+      density: event.density,
+      consumed: 0,
+      events: 0,
+      firstAt: event.occurredAt,
+      lastAt: null
+    };
+
+    entry.name = event.name;
+    entry.consumed += event.quantity;
+    entry.events++;
+    entry.lastAt = event.occurredAt;
+    usage.set(key, entry);
+  });
+
+  return Array.from(usage.values()).map(entry => ({
+    ...entry,
+    consumed: parseFloat(entry.consumed.toFixed(3)),
+    perDay: parseFloat((entry.consumed / days).toFixed(3))
+  }));
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const ConsumptionEvent = mongoose.model('ConsumptionEvent', consumptionEventSchema);
+
+module.exports = ConsumptionEvent;
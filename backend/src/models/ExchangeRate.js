@@ -0,0 +1,94 @@
+/**
+ * ============================================
+ * Exchange Rate Model
+ * ============================================
+ * Locally managed table of historical
+ * exchange rates
+ *
+ * Features:
+ * - One rate per base/currency pair and day
+ *   (1 base = rate currency)
+ * - Manual entries or imports (CSV, ECB XML)
+ * - Shared by all users
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { EXCHANGE_RATE_SOURCES } = require('../utils/constants');
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+const exchangeRateSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    required: [true, 'Base currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [CURRENCY_CODE, 'Currency codes have three letters']
+  },
+
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    trim: true,
+    match: [CURRENCY_CODE, 'Currency codes have three letters']
+  },
+
+  // Units of currency per one unit of base
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+
+  // Day the rate applies from (midnight UTC)
+  date: {
+    type: Date,
+    required: [true, 'Rate date is required']
+  },
+
+  source: {
+    type: String,
+    enum: Object.values(EXCHANGE_RATE_SOURCES),
+    default: EXCHANGE_RATE_SOURCES.MANUAL
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+exchangeRateSchema.index({ base: 1, currency: 1, date: -1 }, { unique: true });
+exchangeRateSchema.index({ currency: 1, date: -1 });
+exchangeRateSchema.index({ date: -1 });
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+// Rates apply to whole days
+exchangeRateSchema.pre('validate', function(next) {
+  if (this.date) {
+    const day = new Date(this.date);
+    day.setUTCHours(0, 0, 0, 0);
+    this.date = day;
+  }
+  next();
+});
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
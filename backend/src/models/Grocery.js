@@ -10,10 +10,85 @@
  * - Expiry date management
  * - Price tracking
  * - Barcode support
+ * - Purchase lots (FEFO consumption)
+ * - Unit conversion (per-product unit size/density)
+ * - Predicted expiry from shelf-life rules
+ * - Opened state ("use within N days after opening")
+ * - Stock movements logged to the consumption ledger
  * ============================================
  */
 
 const mongoose = require('mongoose');
+const ShelfLifeRule = require('./ShelfLifeRule');
+const ConsumptionEvent = require('./ConsumptionEvent');
+const { convert, getConversionOptions } = require('../utils/unitConverter');
+const {
+  SHELF_LIFE_SOURCES,
+  CONSUMPTION_TYPES,
+  CURRENCIES,
+  DEFAULT_CURRENCY
+} = require('../utils/constants');
+
+// A batch of the same product bought together
+const lotSchema = new mongoose.Schema({
+  quantity: {
+    type: Number,
+    required: [true, 'Please specify lot quantity'],
+    min: [0, 'Quantity cannot be negative']
+  },
+
+  purchaseDate: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiryDate: {
+    type: Date,
+    default: null
+  },
+
+  // Expiry was predicted from shelf-life rules, not entered
+  expiryEstimated: {
+    type: Boolean,
+    default: false
+  },
+
+  // Unit price paid for this lot
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: 0
+  },
+
+  store: {
+    type: String,
+    trim: true
+  },
+
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Order lots first-expiring-first-out
+ * Lots without expiry go last, ties broken by purchase date
+ */
+const fefoOrder = (a, b) => {
+  if (a.expiryDate && b.expiryDate && a.expiryDate - b.expiryDate !== 0) {
+    return a.expiryDate - b.expiryDate;
+  }
+  if (a.expiryDate && !b.expiryDate) return -1;
+  if (!a.expiryDate && b.expiryDate) return 1;
+  return new Date(a.purchaseDate) - new Date(b.purchaseDate);
+};
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
 
 const grocerySchema = new mongoose. Schema({
   // Owner
@@ -24,6 +99,14 @@ const grocerySchema = new mongoose. Schema({
     index: true
   },
 
+  // Shared pantry (null = personal item)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+    index: true
+  },
+
   // Basic Information
   name: {
     type: String,
@@ -60,6 +143,28 @@ const grocerySchema = new mongoose. Schema({
     default: 'pcs'
   },
 
+  // What one unit of this product holds (e.g. 1 can = 400 g)
+  unitSize: {
+    quantity: {
+      type: Number,
+      min: [0, 'Unit size cannot be negative']
+    },
+    unit: {
+      type: String,
+      enum: ['kg', 'g', 'l', 'ml', 'pcs', 'dozen', 'pack', 'bottle', 'can', 'box']
+    }
+  },
+
+  // Grams per millilitre, for mass <-> volume conversion
+  density: {
+    type: Number,
+    min: [0, 'Density cannot be negative'],
+    default: null
+  },
+
+  // Purchase lots; when present, quantity/expiryDate/price are derived from them
+  lots: [lotSchema],
+
   // Pricing
   price: {
     type: Number,
@@ -69,8 +174,15 @@ const grocerySchema = new mongoose. Schema({
 
   currency: {
     type: String,
-    default: 'USD',
-    enum: ['USD', 'EUR', 'GBP', 'PKR', 'INR']
+    default: DEFAULT_CURRENCY,
+    enum: Object.values(CURRENCIES)
+  },
+
+  // Where it was last bought
+  store: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Store name cannot exceed 50 characters']
   },
 
   // Dates
@@ -84,6 +196,34 @@ const grocerySchema = new mongoose. Schema({
     index: true
   },
 
+  // Expiry was predicted from shelf-life rules, not entered
+  expiryEstimated: {
+    type: Boolean,
+    default: false
+  },
+
+  expiryEstimateSource: {
+    type: String,
+    enum: [...Object.values(SHELF_LIFE_SOURCES), null],
+    default: null
+  },
+
+  // Opened package: the lot in use and its "use within" date
+  openedAt: {
+    type: Date,
+    default: null
+  },
+
+  openedLot: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
+  openedExpiryDate: {
+    type: Date,
+    default: null
+  },
+
   // Storage
   location: {
     type: String,
@@ -143,6 +283,20 @@ const grocerySchema = new mongoose. Schema({
     default: 5
   },
 
+  // Unit of the threshold (defaults to the item's unit)
+  lowStockUnit: {
+    type: String,
+    enum: ['kg', 'g', 'l', 'ml', 'pcs', 'dozen', 'pack', 'bottle', 'can', 'box', null],
+    default: null
+  },
+
+  // Quantity held for planned meals (item unit)
+  reservedQuantity: {
+    type: Number,
+    min: [0, 'Reserved quantity cannot be negative'],
+    default: 0
+  },
+
   // Timestamps
   createdAt: {
     type: Date,
@@ -172,6 +326,9 @@ const grocerySchema = new mongoose. Schema({
 grocerySchema.index({ user: 1, status: 1 });
 grocerySchema.index({ user: 1, category: 1 });
 grocerySchema.index({ user: 1, expiryDate: 1 });
+grocerySchema.index({ household: 1, status: 1 });
+grocerySchema.index({ household: 1, expiryDate: 1 });
+grocerySchema.index({ 'lots.expiryDate': 1 });
 grocerySchema.index({ createdAt: -1 });
 grocerySchema.index({ name: 'text', description: 'text' }); // Text search
 
@@ -179,14 +336,23 @@ grocerySchema.index({ name: 'text', description: 'text' }); // Text search
 // VIRTUAL FIELDS
 // ============================================
 
+// Expiry that applies now: the printed date, or the "use within" date once opened
+grocerySchema.virtual('effectiveExpiryDate').get(function() {
+  if (this.openedExpiryDate && (!this.expiryDate || this.openedExpiryDate < this.expiryDate)) {
+    return this.openedExpiryDate;
+  }
+  return this.expiryDate || null;
+});
+
 // Days until expiry
 grocerySchema. virtual('daysUntilExpiry').get(function() {
-  if (!this.expiryDate) return null;
+  const effectiveExpiry = this.effectiveExpiryDate;
+  if (!effectiveExpiry) return null;
   
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   
-  const expiry = new Date(this.expiryDate);
+  const expiry = new Date(effectiveExpiry);
   expiry.setHours(0, 0, 0, 0);
   
   const diffTime = expiry - today;
@@ -210,9 +376,22 @@ grocerySchema.virtual('expiryStatus').get(function() {
 
 // Total value
 grocerySchema.virtual('totalValue').get(function() {
+  if (this.lots && this.lots.length > 0) {
+    return this.lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0);
+  }
   return this.quantity * this.price;
 });
 
+// Number of lots in stock
+grocerySchema.virtual('lotCount').get(function() {
+  return this.lots ? this.lots.length : 0;
+});
+
+// Quantity not reserved for planned meals
+grocerySchema.virtual('availableQuantity').get(function() {
+  return Math.max((this.quantity || 0) - (this.reservedQuantity || 0), 0);
+});
+
 // ============================================
 // MIDDLEWARE
 // ============================================
@@ -223,9 +402,102 @@ grocerySchema.pre('save', function(next) {
   next();
 });
 
-// Check low stock status before saving
+// Predict missing expiry dates, and re-predict estimates when the item moves
+grocerySchema.pre('save', async function() {
+  const moved = !this.isNew && this.isModified('location');
+  const needsEstimate = (entry) => !entry.expiryDate || (moved && entry.expiryEstimated);
+
+  const targets = this.lots.length > 0 ? this.lots.filter(needsEstimate) : [this].filter(needsEstimate);
+  if (targets.length === 0) return;
+
+  const { days, source } = await ShelfLifeRule.resolveShelfLife(this);
+
+  targets.forEach(entry => {
+    const expiry = new Date(entry.purchaseDate || Date.now());
+    expiry.setDate(expiry.getDate() + days);
+
+    entry.expiryDate = expiry;
+    entry.expiryEstimated = true;
+  });
+
+  this.expiryEstimateSource = source;
+});
+
+// Start new items with a first lot
 grocerySchema.pre('save', function(next) {
-  if (this.quantity <= this.lowStockThreshold) {
+  if (this.isNew) {
+    this.ensureLots();
+  }
+  next();
+});
+
+// Derive quantity, expiry and price from lots
+grocerySchema.pre('save', function(next) {
+  if (!this.lots || this.lots.length === 0) {
+    return next();
+  }
+
+  // Drop used-up lots and keep the rest in FEFO order
+  const remaining = this.lots.filter(lot => lot.quantity > 0).sort(fefoOrder);
+  this.lots = remaining;
+
+  this.quantity = remaining.reduce((sum, lot) => sum + lot.quantity, 0);
+
+  if (remaining.length > 0) {
+    this.expiryDate = remaining[0].expiryDate;
+    this.expiryEstimated = remaining[0].expiryEstimated;
+  }
+
+  if (!remaining.some(lot => lot.expiryEstimated)) {
+    this.expiryEstimateSource = null;
+  }
+
+  // Current price is the most recent purchase
+  const latest = remaining.reduce(
+    (newest, lot) => (!newest || lot.purchaseDate > newest.purchaseDate ? lot : newest),
+    null
+  );
+  if (latest) {
+    this.price = latest.price;
+    this.purchaseDate = latest.purchaseDate;
+    if (latest.store) this.store = latest.store;
+  }
+
+  next();
+});
+
+// "Use within" date of the opened package
+grocerySchema.pre('save', async function() {
+  // The opened lot has been used up: the next package is still sealed
+  if (this.openedLot && !this.lots.some(lot => lot._id.equals(this.openedLot))) {
+    this.openedAt = null;
+    this.openedLot = null;
+  }
+
+  if (!this.openedAt || this.quantity === 0) {
+    this.openedExpiryDate = null;
+    return;
+  }
+
+  if (this.openedExpiryDate && !this.isModified('openedAt') && !this.isModified('location')) {
+    return;
+  }
+
+  const { days } = await ShelfLifeRule.resolveShelfLife(this, { opened: true });
+
+  const useBy = new Date(this.openedAt);
+  useBy.setDate(useBy.getDate() + days);
+  this.openedExpiryDate = useBy;
+});
+
+// Check low stock status before saving (reserved stock does not count)
+grocerySchema.pre('save', function(next) {
+  // Consumed stock may no longer cover the reservation
+  if (this.reservedQuantity > this.quantity) {
+    this.reservedQuantity = this.quantity;
+  }
+
+  if (this.availableQuantity <= this.getLowStockThreshold()) {
     this.isLowStock = true;
   } else {
     this.isLowStock = false;
@@ -235,11 +507,16 @@ grocerySchema.pre('save', function(next) {
 
 // Auto-update status based on expiry
 grocerySchema. pre('save', function(next) {
-  if (this.expiryDate) {
+  if (this.lots && this.lots.length > 0) {
+    // Only expired once every lot is past its date
+    if (this.status === 'active' && this.getExpiredLots().length === this.lots.length) {
+      this.status = 'expired';
+    }
+  } else if (this.effectiveExpiryDate) {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
-    if (this.expiryDate < today && this.status === 'active') {
+    if (this.effectiveExpiryDate < today && this.status === 'active') {
       this.status = 'expired';
     }
   }
@@ -252,17 +529,215 @@ grocerySchema. pre('save', function(next) {
   next();
 });
 
+// Write queued stock movements to the consumption ledger
+// (in the same session, so they commit with the item)
+grocerySchema.post('save', async function() {
+  const movements = this.$locals.movements;
+  if (!movements || movements.length === 0) return;
+
+  this.$locals.movements = [];
+  await ConsumptionEvent.insertMany(movements, { session: this.$session() });
+});
+
 // ============================================
 // INSTANCE METHODS
 // ============================================
 
-// Consume item (reduce quantity)
-grocerySchema.methods.consume = async function(amount) {
+// Queue a stock movement for the consumption ledger (written on save)
+// quantity is in the item's unit; adjustments are signed
+// context: { actor (default: item owner), source, occurredAt }
+grocerySchema.methods.logMovement = function(type, quantity, context = {}) {
+  if (!quantity) return this;
+
+  if (!this.$locals.movements) this.$locals.movements = [];
+
+  this.$locals.movements.push({
+    user: context.actor || this.user,
+    household: this.household || null,
+    grocery: this._id,
+    name: this.name,
+    category: this.category && this.category._id ? this.category._id : this.category,
+    type,
+    quantity,
+    unit: this.unit,
+    unitSize: this.unitSize ? { quantity: this.unitSize.quantity, unit: this.unitSize.unit } : undefined,
+    density: this.density,
+    source: context.source,
+    occurredAt: context.occurredAt || new Date()
+  });
+
+  return this;
+};
+
+// Convert a single-batch item into a first lot
+// (the lot takes the item's id, so the lots API can address it before it is saved)
+grocerySchema.methods.ensureLots = function() {
+  if (this.lots.length === 0 && this.quantity > 0) {
+    this.lots.push({
+      _id: this._id,
+      quantity: this.quantity,
+      purchaseDate: this.purchaseDate,
+      expiryDate: this.expiryDate,
+      expiryEstimated: this.expiryEstimated,
+      price: this.price,
+      store: this.store
+    });
+  }
+  return this;
+};
+
+// Add a purchase lot (not saved)
+grocerySchema.methods.addLot = function({ quantity, purchaseDate, expiryDate, price, store } = {}) {
+  this.ensureLots();
+
+  this.lots.push({
+    quantity,
+    purchaseDate: purchaseDate || new Date(),
+    expiryDate: expiryDate || null,
+    price: price !== undefined ? price : this.price,
+    store: store || this.store
+  });
+
+  const lot = this.lots[this.lots.length - 1];
+  this.quantity = this.lots.reduce((sum, l) => sum + l.quantity, 0);
+
+  const lotExpired = lot.expiryDate && lot.expiryDate < startOfToday();
+
+  if (['consumed', 'expired'].includes(this.status) && !lotExpired) {
+    this.status = 'active';
+    this.consumedAt = null;
+  }
+
+  return lot;
+};
+
+// Check that amount can be taken without using stock reserved for planned meals
+// Throws (statusCode 409) when it would cut into reserved stock
+grocerySchema.methods.assertUnreserved = function(amount) {
+  if (!(this.reservedQuantity > 0) || amount <= this.availableQuantity + 1e-9) {
+    return this;
+  }
+
+  const format = (value) => parseFloat(value.toFixed(3));
+  const error = new Error(
+    `Only ${format(this.availableQuantity)} ${this.unit} of ${this.name} is free; ` +
+    `${format(this.reservedQuantity)} ${this.unit} is reserved for planned meals. Release the reservation first`
+  );
+  error.statusCode = 409;
+  throw error;
+};
+
+// Take amount out of the lots, first-expiring-first-out (not saved)
+// Returns [{ lotId, quantity, price, expiryDate }] drawn per lot
+grocerySchema.methods.drawDown = function(amount) {
   if (amount > this.quantity) {
     throw new Error('Cannot consume more than available quantity');
   }
-  
-  this.quantity -= amount;
+
+  if (this.lots.length === 0) {
+    this.quantity -= amount;
+    return [{ lotId: null, quantity: amount, price: this.price, expiryDate: this.expiryDate }];
+  }
+
+  const drawn = [];
+  let left = amount;
+
+  for (const lot of [...this.lots].sort(fefoOrder)) {
+    if (left <= 0) break;
+
+    const take = Math.min(lot.quantity, left);
+    if (take <= 0) continue;
+
+    lot.quantity -= take;
+    left -= take;
+    drawn.push({ lotId: lot._id, quantity: take, price: lot.price, expiryDate: lot.expiryDate });
+  }
+
+  this.quantity = this.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  return drawn;
+};
+
+// Set the total quantity, adjusting lots (not saved)
+// Increases go to the newest lot, decreases are drawn down FEFO
+// The change is logged as an adjustment (context: { actor, source })
+grocerySchema.methods.setQuantity = function(quantity, context = {}) {
+  const diff = quantity - this.quantity;
+  this.logMovement(CONSUMPTION_TYPES.ADJUST, diff, context);
+
+  if (this.lots.length === 0) {
+    this.quantity = quantity;
+    return this;
+  }
+
+  if (diff < 0) {
+    this.drawDown(-diff);
+  } else if (diff > 0) {
+    const newest = this.lots.reduce(
+      (latest, lot) => (lot.purchaseDate > latest.purchaseDate ? lot : latest)
+    );
+    newest.quantity += diff;
+    this.quantity = quantity;
+  }
+
+  return this;
+};
+
+// Convert an amount in any compatible unit to the item's unit
+grocerySchema.methods.toItemUnit = function(amount, unit) {
+  if (!unit || unit === this.unit) return amount;
+  return convert(amount, unit, this.unit, getConversionOptions(this));
+};
+
+// Switch the item to another unit, converting what is stored in the old one:
+// quantities (item, lots, reserved), prices per unit and a threshold without
+// its own unit (not saved)
+// Returns the factor (new units per old unit); throws (statusCode 400) when the
+// units cannot be converted
+grocerySchema.methods.changeUnit = function(unit) {
+  if (unit === this.unit) return 1;
+
+  const factor = convert(1, this.unit, unit, getConversionOptions(this));
+  const scale = (value) => Math.round(value * factor * 1e6) / 1e6;
+  const perUnit = (price) => (price > 0 ? Math.round(price / factor * 1e6) / 1e6 : price);
+
+  this.quantity = scale(this.quantity);
+  this.reservedQuantity = scale(this.reservedQuantity || 0);
+  this.price = perUnit(this.price);
+  if (!this.lowStockUnit) this.lowStockThreshold = scale(this.lowStockThreshold);
+
+  this.lots.forEach(lot => {
+    lot.quantity = scale(lot.quantity);
+    lot.price = perUnit(lot.price);
+  });
+
+  this.unit = unit;
+  return factor;
+};
+
+// Low-stock threshold in the item's unit
+grocerySchema.methods.getLowStockThreshold = function() {
+  if (!this.lowStockUnit || this.lowStockUnit === this.unit) {
+    return this.lowStockThreshold;
+  }
+
+  try {
+    return this.toItemUnit(this.lowStockThreshold, this.lowStockUnit);
+  } catch (error) {
+    // Incompatible threshold unit - compare raw numbers
+    return this.lowStockThreshold;
+  }
+};
+
+// Consume item (reduce quantity, first-expiring lots first)
+// amount may be given in any unit convertible to the item's unit
+// context: { actor, source } for the consumption ledger
+grocerySchema.methods.consume = async function(amount, unit, context = {}) {
+  const drawn = this.drawDown(this.toItemUnit(amount, unit));
+  this.logMovement(
+    CONSUMPTION_TYPES.CONSUME,
+    drawn.reduce((sum, portion) => sum + portion.quantity, 0),
+    context
+  );
   
   if (this.quantity === 0) {
     this.status = 'consumed';
@@ -272,66 +747,132 @@ grocerySchema.methods.consume = async function(amount) {
   return await this.save();
 };
 
-// Restock item
-grocerySchema.methods.restock = async function(amount) {
-  this.quantity += amount;
-  
-  if (this.status === 'consumed') {
-    this.status = 'active';
+// Restock item with a new purchase lot
+// amount (and lot price per unit) may be given in any convertible unit
+// context: { actor, source } for the consumption ledger
+grocerySchema.methods.restock = async function(amount, unit, lotDetails = {}, context = {}) {
+  const quantity = this.toItemUnit(amount, unit);
+  const details = { ...lotDetails, quantity };
+
+  if (lotDetails.price !== undefined && quantity > 0) {
+    details.price = (lotDetails.price * amount) / quantity;
   }
+
+  this.addLot(details);
+  this.logMovement(CONSUMPTION_TYPES.RESTOCK, quantity, context);
   
   return await this.save();
 };
 
+// Open the package in use (the first lot, FEFO) (not saved)
+grocerySchema.methods.open = function(openedAt = new Date()) {
+  this.ensureLots();
+
+  const [inUse] = this.lots.filter(lot => lot.quantity > 0).sort(fefoOrder);
+
+  this.openedAt = openedAt;
+  this.openedLot = inUse ? inUse._id : null;
+
+  return this;
+};
+
+// Expiry that applies to a lot (the opened lot uses its "use within" date if sooner)
+grocerySchema.methods.getLotExpiryDate = function(lot) {
+  const isOpened = this.openedLot && this.openedExpiryDate && lot._id.equals(this.openedLot);
+
+  if (isOpened && (!lot.expiryDate || this.openedExpiryDate < lot.expiryDate)) {
+    return this.openedExpiryDate;
+  }
+  return lot.expiryDate;
+};
+
+// Lots expiring between two dates (inclusive)
+grocerySchema.methods.getLotsExpiringBetween = function(from, to) {
+  return this.lots.filter(lot => {
+    const expiry = this.getLotExpiryDate(lot);
+    return lot.quantity > 0 && expiry && expiry >= from && expiry <= to;
+  });
+};
+
+// Lots already past their expiry date
+grocerySchema.methods.getExpiredLots = function() {
+  const today = startOfToday();
+  return this.lots.filter(lot => {
+    const expiry = this.getLotExpiryDate(lot);
+    return lot.quantity > 0 && expiry && expiry < today;
+  });
+};
+
 // Check if expired
 grocerySchema.methods.isExpired = function() {
-  if (!this.expiryDate) return false;
+  if (!this.effectiveExpiryDate) return false;
   
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   
-  return this.expiryDate < today;
+  return this.effectiveExpiryDate < today;
 };
 
 // ============================================
 // STATIC METHODS
 // ============================================
 
-// Get items expiring within days
-grocerySchema.statics. getExpiringSoon = async function(userId, days = 7) {
+// Filter for items with stock whose expiry matches a date condition
+// Checks each lot, the item itself when it has no lots, and the opened package
+grocerySchema.statics.expiryFilter = function(dateCondition) {
+  return {
+    $or: [
+      { lots: { $elemMatch: { quantity: { $gt: 0 }, expiryDate: dateCondition } } },
+      { 'lots.0': { $exists: false }, quantity: { $gt: 0 }, expiryDate: dateCondition },
+      { quantity: { $gt: 0 }, openedExpiryDate: dateCondition }
+    ]
+  };
+};
+
+// Get items with a lot expiring within days
+// owner is a user id or a scope filter (ownerFilter(req.user))
+grocerySchema.statics. getExpiringSoon = async function(owner, days = 7) {
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   
   const futureDate = new Date(today);
   futureDate.setDate(today.getDate() + days);
+
+  const scope = owner && owner.constructor === Object ? owner : { user: owner };
   
   return await this.find({
-    user: userId,
-    expiryDate:  { $gte: today, $lte: futureDate },
+    ...scope,
+    ...this.expiryFilter({ $gte: today, $lte: futureDate }),
     status: 'active'
   })
     .populate('category')
     .sort({ expiryDate: 1 });
 };
 
-// Get expired items
-grocerySchema.statics.getExpired = async function(userId) {
+// Get items with an expired lot
+// owner is a user id or a scope filter (ownerFilter(req.user))
+grocerySchema.statics.getExpired = async function(owner) {
   const today = new Date();
   today.setHours(0, 0, 0, 0);
+
+  const scope = owner && owner.constructor === Object ? owner : { user: owner };
   
   return await this. find({
-    user: userId,
-    expiryDate: { $lt: today },
+    ...scope,
+    ...this.expiryFilter({ $lt: today }),
     status: { $in: ['active', 'expired'] }
   })
     .populate('category')
     .sort({ expiryDate: -1 });
 };
 
-// Get low stock items
-grocerySchema. statics.getLowStock = async function(userId) {
+// Get low stock items (by quantity not reserved for planned meals)
+// owner is a user id or a scope filter (ownerFilter(req.user))
+grocerySchema. statics.getLowStock = async function(owner) {
+  const scope = owner && owner.constructor === Object ? owner : { user: owner };
+
   return await this.find({
-    user: userId,
+    ...scope,
     isLowStock: true,
     status: 'active'
   })
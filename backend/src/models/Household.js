@@ -0,0 +1,215 @@
+/**
+ * ============================================
+ * Household Model
+ * ============================================
+ * Represents a shared pantry managed by
+ * several users
+ *
+ * Features:
+ * - Members with roles (owner/editor/viewer)
+ * - Email invitations with hashed tokens
+ * - Membership and role checks
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { HOUSEHOLD_ROLES } = require('../utils/constants');
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Member must reference a user']
+  },
+
+  role: {
+    type: String,
+    enum: Object.values(HOUSEHOLD_ROLES),
+    default: HOUSEHOLD_ROLES.EDITOR
+  },
+
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Invitation email is required'],
+    lowercase: true,
+    trim: true
+  },
+
+  role: {
+    type: String,
+    enum: [HOUSEHOLD_ROLES.EDITOR, HOUSEHOLD_ROLES.VIEWER],
+    default: HOUSEHOLD_ROLES.EDITOR
+  },
+
+  // SHA256 of the token sent by email
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked', 'expired'],
+    default: 'pending'
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const householdSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a household name'],
+    trim: true,
+    minlength: [2, 'Household name must be at least 2 characters'],
+    maxlength: [50, 'Household name cannot exceed 50 characters']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Household must have an owner'],
+    index: true
+  },
+
+  members: [memberSchema],
+
+  invitations: [invitationSchema],
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+householdSchema.index({ 'members.user': 1 });
+householdSchema.index({ 'invitations.tokenHash': 1 });
+
+// ============================================
+// VIRTUAL FIELDS
+// ============================================
+
+// Number of members
+householdSchema.virtual('memberCount').get(function() {
+  return this.members ? this.members.length : 0;
+});
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+householdSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Get membership entry for a user
+householdSchema.methods.getMember = function(userId) {
+  return this.members.find(
+    member => (member.user._id || member.user).toString() === userId.toString()
+  ) || null;
+};
+
+// Check if user has one of the given roles
+householdSchema.methods.hasRole = function(userId, ...roles) {
+  const member = this.getMember(userId);
+  return !!member && roles.includes(member.role);
+};
+
+// Add a member (no-op if already a member)
+householdSchema.methods.addMember = function(userId, role = HOUSEHOLD_ROLES.EDITOR) {
+  if (!this.getMember(userId)) {
+    this.members.push({ user: userId, role });
+  }
+  return this;
+};
+
+// Remove a member
+householdSchema.methods.removeMember = function(userId) {
+  this.members = this.members.filter(
+    member => (member.user._id || member.user).toString() !== userId.toString()
+  );
+  return this;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Get all households a user belongs to
+householdSchema.statics.findForUser = async function(userId) {
+  return await this.find({ 'members.user': userId })
+    .populate('members.user', 'name email profileImage')
+    .sort({ createdAt: 1 });
+};
+
+// Pantries a user gets reminders for: their personal pantry and every household
+// they belong to (scope filters like ownerFilter)
+householdSchema.statics.getPantryScopes = async function(userId) {
+  const households = await this.find({ 'members.user': userId }).select('_id');
+
+  return [
+    { user: userId, household: null },
+    ...households.map(household => ({ household: household._id }))
+  ];
+};
+
+// Find a pending, unexpired invitation by token hash
+householdSchema.statics.findByInvitationHash = async function(tokenHash) {
+  return await this.findOne({
+    invitations: {
+      $elemMatch: {
+        tokenHash,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      }
+    }
+  }).select('+invitations.tokenHash');
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Household = mongoose.model('Household', householdSchema);
+
+module.exports = Household;
@@ -7,13 +7,20 @@
  * 
  * Features:
  * - Stock management
- * - Supplier information
+ * - Supplier information (linked supplier
+ *   record, purchase orders)
+ * - Every stock change recorded in the stock
+ *   movement ledger
+ * - Markdowns of stock close to expiry
  * - Batch tracking
  * - Low stock alerts
+ * - Daily usage rate (reorder forecasts)
  * ============================================
  */
 
 const mongoose = require('mongoose');
+const StockMovement = require('./StockMovement');
+const { STOCK_MOVEMENT_TYPES } = require('../utils/constants');
 
 const inventorySchema = new mongoose.Schema({
   // Store Owner
@@ -90,11 +97,46 @@ const inventorySchema = new mongoose.Schema({
     min: [0, 'Selling price cannot be negative']
   },
 
+  // Temporary sale price while the item is marked down before expiry
+  markdown: {
+    price: { type: Number, default: null, min: [0, 'Markdown price cannot be negative'] },
+    percentOff: { type: Number, default: null },
+    // Markdown history entry
+    entry: { type: mongoose.Schema.Types.ObjectId, ref: 'Markdown', default: null },
+    appliedAt: { type: Date, default: null }
+  },
+
+  // Supplier record (the embedded details below are kept in sync with it)
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    default: null,
+    index: true
+  },
+
   // Supplier
   supplier: {
     name: { type: String, trim: true },
     contact: { type: String, trim:  true },
-    email: { type: String, trim: true }
+    email: { type: String, trim: true },
+    // Days between ordering and delivery
+    leadTimeDays: {
+      type: Number,
+      min: [0, 'Lead time cannot be negative'],
+      default: 0
+    }
+  },
+
+  // Stock sold or used since usageSince (for the daily usage rate)
+  stockUsed: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  usageSince: {
+    type: Date,
+    default: Date.now
   },
 
   // Dates
@@ -145,6 +187,13 @@ inventorySchema.virtual('isLowStock').get(function() {
   return this.stockQuantity <= this.reorderLevel;
 });
 
+// Price charged now (the markdown price while marked down)
+inventorySchema.virtual('currentPrice').get(function() {
+  return this.markdown && this.markdown.price !== null && this.markdown.price !== undefined
+    ? this.markdown.price
+    : this.sellingPrice;
+});
+
 // Profit margin
 inventorySchema.virtual('profitMargin').get(function() {
   return this.sellingPrice - this.costPrice;
@@ -165,25 +214,131 @@ inventorySchema.pre('save', function(next) {
   next();
 });
 
+// Stock as last loaded or saved, to detect changes made without a movement
+inventorySchema.post('init', function() {
+  this.$locals.savedStock = this.stockQuantity;
+});
+
+// Every stock change goes in the ledger: a change not explained by the queued
+// movements (opening stock, edits) is recorded as an adjustment
+inventorySchema.pre('save', function(next) {
+  if (!this.$locals.movements) this.$locals.movements = [];
+  const movements = this.$locals.movements;
+
+  const queued = movements.reduce((sum, movement) => sum + movement.quantity, 0);
+
+  // Stock before this save (unknown if the item was not loaded with its stock)
+  const known = this.isNew || this.$locals.savedStock !== undefined;
+  const previous = this.isNew ? 0 : (known ? this.$locals.savedStock : this.stockQuantity - queued);
+  const unexplained = parseFloat((this.stockQuantity - previous - queued).toFixed(3));
+
+  if (known && unexplained !== 0 && !this.$locals.skipLedger) {
+    this.logMovement(STOCK_MOVEMENT_TYPES.ADJUSTMENT, unexplained, {
+      actor: this.$locals.actor,
+      reason: this.isNew ? 'Opening stock' : 'Stock quantity edited'
+    });
+  }
+
+  // Without the catch-all adjustment, the queued movements lead up to the saved stock
+  let balance = this.$locals.skipLedger ? this.stockQuantity - queued : previous;
+  movements.forEach(movement => {
+    balance = parseFloat((balance + movement.quantity).toFixed(3));
+    movement.balance = balance;
+  });
+
+  next();
+});
+
+// Write queued stock movements to the ledger
+// (in the same session, so they commit with the item)
+inventorySchema.post('save', async function() {
+  this.$locals.savedStock = this.stockQuantity;
+  this.$locals.skipLedger = false;
+
+  const movements = this.$locals.movements;
+  if (!movements || movements.length === 0) return;
+
+  this.$locals.movements = [];
+  await StockMovement.insertMany(movements, { session: this.$session() });
+});
+
+// Stock changes must be saved through the document so they reach the ledger
+inventorySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function(next) {
+  const update = this.getUpdate() || {};
+  const changesStock = ['stockQuantity', '$set.stockQuantity', '$inc.stockQuantity', '$setOnInsert.stockQuantity']
+    .some(path => path.split('.').reduce((value, key) => (value ? value[key] : undefined), update) !== undefined);
+
+  if (changesStock) {
+    return next(new Error('Stock quantity can only be changed through stock movements'));
+  }
+  next();
+});
+
 // ============================================
 // INSTANCE METHODS
 // ============================================
 
-inventorySchema.methods.restock = async function(quantity) {
+// Queue a stock movement for the ledger (written on save)
+// quantity is the signed change in stock
+// context: { actor (default: store owner), unitCost (default: cost price),
+//            reference, referenceId, referenceModel, reason, occurredAt }
+inventorySchema.methods.logMovement = function(type, quantity, context = {}) {
+  if (!quantity) return this;
+
+  if (!this.$locals.movements) this.$locals.movements = [];
+
+  this.$locals.movements.push({
+    storeOwner: this.storeOwner,
+    inventory: this._id,
+    productName: this.productName,
+    sku: this.sku || null,
+    type,
+    quantity,
+    unit: this.unit,
+    unitCost: context.unitCost ?? this.costPrice ?? null,
+    reference: context.reference || null,
+    referenceId: context.referenceId || null,
+    referenceModel: context.referenceModel || null,
+    reason: context.reason,
+    user: context.actor || this.storeOwner,
+    occurredAt: context.occurredAt || new Date()
+  });
+
+  return this;
+};
+
+inventorySchema.methods.restock = async function(quantity, context = {}) {
   this.stockQuantity += quantity;
   this.lastRestockDate = Date.now();
+  this.logMovement(STOCK_MOVEMENT_TYPES.RECEIPT, quantity, context);
   return await this.save();
 };
 
-inventorySchema.methods.reduceStock = async function(quantity) {
+inventorySchema.methods.reduceStock = async function(quantity, context = {}) {
   if (quantity > this.stockQuantity) {
     throw new Error('Insufficient stock');
   }
   
   this.stockQuantity -= quantity;
+  this.stockUsed += quantity;
+  this.logMovement(STOCK_MOVEMENT_TYPES.SALE, -quantity, context);
   return await this.save();
 };
 
+// Sold stock coming back (e.g. refunds)
+inventorySchema.methods.returnStock = async function(quantity, context = {}) {
+  this.stockQuantity += quantity;
+  this.stockUsed = Math.max(0, this.stockUsed - quantity);
+  this.logMovement(STOCK_MOVEMENT_TYPES.RETURN, quantity, context);
+  return await this.save();
+};
+
+// Average stock used per day since usage tracking started
+inventorySchema.methods.getDailyUsage = function() {
+  const days = (Date.now() - new Date(this.usageSince || this.createdAt).getTime()) / (24 * 60 * 60 * 1000);
+  return (this.stockUsed || 0) / Math.max(days, 1);
+};
+
 // ============================================
 // STATIC METHODS
 // ============================================
@@ -0,0 +1,128 @@
+/**
+ * ============================================
+ * Markdown Model
+ * ============================================
+ * History of temporary sale prices set on
+ * expiring inventory
+ *
+ * Features:
+ * - Rule, percent off and prices at the time
+ *   of the markdown
+ * - Start and end (replaced by another rule,
+ *   sold out, expired or removed)
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { MARKDOWN_END_REASONS } = require('../utils/constants');
+
+const markdownSchema = new mongoose.Schema({
+  // Store Owner
+  storeOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Markdown must belong to a store owner'],
+    index: true
+  },
+
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true,
+    index: true
+  },
+
+  // Snapshot of the item for reporting
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Rule that set the markdown (null = set by hand)
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MarkdownRule',
+    default: null
+  },
+
+  percentOff: {
+    type: Number,
+    required: true
+  },
+
+  // Selling price before and during the markdown
+  originalPrice: {
+    type: Number,
+    required: true
+  },
+
+  price: {
+    type: Number,
+    required: true
+  },
+
+  costPrice: {
+    type: Number,
+    default: null
+  },
+
+  expiryDate: {
+    type: Date,
+    required: true
+  },
+
+  daysLeft: {
+    type: Number,
+    required: true
+  },
+
+  // Stock when the markdown started
+  stockQuantity: {
+    type: Number,
+    default: 0
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  endedAt: {
+    type: Date,
+    default: null
+  },
+
+  endReason: {
+    type: String,
+    enum: [...Object.values(MARKDOWN_END_REASONS), null],
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+markdownSchema.index({ storeOwner: 1, startedAt: -1 });
+markdownSchema.index({ storeOwner: 1, endedAt: 1 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+markdownSchema.virtual('isActive').get(function() {
+  return !this.endedAt;
+});
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Markdown = mongoose.model('Markdown', markdownSchema);
+
+module.exports = Markdown;
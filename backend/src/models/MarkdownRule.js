@@ -0,0 +1,85 @@
+/**
+ * ============================================
+ * Markdown Rule Model
+ * ============================================
+ * Store owner rules for discounting inventory
+ * close to its expiry date
+ *
+ * Features:
+ * - Percent off from a number of days before
+ *   expiry (e.g. 30% at 3 days, 50% at 1 day)
+ * - Rules for a category replace the store-wide
+ *   rules for items in that category
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+
+const markdownRuleSchema = new mongoose.Schema({
+  // Store Owner
+  storeOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Markdown rule must belong to a store owner'],
+    index: true
+  },
+
+  // Category the rule applies to (null = all inventory)
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  // Applies when this many days or fewer are left before expiry
+  daysLeft: {
+    type: Number,
+    required: [true, 'Days before expiry is required'],
+    min: [0, 'Days before expiry cannot be negative'],
+    max: [365, 'Days before expiry cannot exceed 365']
+  },
+
+  percentOff: {
+    type: Number,
+    required: [true, 'Percent off is required'],
+    min: [1, 'Percent off must be at least 1'],
+    max: [100, 'Percent off cannot exceed 100']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+markdownRuleSchema.index({ storeOwner: 1, category: 1, daysLeft: 1 }, { unique: true });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Rule for an item with `daysLeft` days to expiry: the one with the fewest days
+// that still covers it (category rules replace store-wide rules)
+markdownRuleSchema.statics.resolve = function(rules, category, daysLeft) {
+  const categoryId = category && category._id ? category._id : category;
+  const forCategory = rules.filter(rule => rule.category && categoryId && rule.category.equals(categoryId));
+  const candidates = forCategory.length > 0 ? forCategory : rules.filter(rule => !rule.category);
+
+  return candidates
+    .filter(rule => rule.isActive && daysLeft <= rule.daysLeft)
+    .sort((a, b) => a.daysLeft - b.daysLeft)[0] || null;
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const MarkdownRule = mongoose.model('MarkdownRule', markdownRuleSchema);
+
+module.exports = MarkdownRule;
@@ -0,0 +1,234 @@
+/**
+ * ============================================
+ * Meal Plan Model
+ * ============================================
+ * Weekly meal plans for the active pantry
+ *
+ * Features:
+ * - Days x meal slots -> dishes (from a recipe,
+ *   with an ingredient list, or free text)
+ * - Pantry reservations per meal, so the same
+ *   stock is not planned twice
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { MEAL_SLOTS } = require('../utils/constants');
+
+const DAYS_PER_WEEK = 7;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Ingredient name is required'],
+    trim: true
+  },
+
+  // null for "to taste" ingredients
+  quantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative'],
+    default: null
+  },
+
+  unit: {
+    type: String,
+    default: null
+  },
+
+  optional: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Pantry stock held for a meal (quantity in the grocery's unit)
+const reservationSchema = new mongoose.Schema({
+  grocery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grocery',
+    required: true
+  },
+
+  ingredient: {
+    type: String,
+    required: true
+  },
+
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Reserved quantity cannot be negative']
+  }
+}, { _id: false });
+
+const mealSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: [true, 'Meal date is required']
+  },
+
+  slot: {
+    type: String,
+    enum: Object.values(MEAL_SLOTS),
+    required: [true, 'Meal slot is required']
+  },
+
+  // Dish from the recipe book (optional)
+  recipe: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Recipe',
+    default: null
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Meal title is required'],
+    trim: true,
+    maxlength: [150, 'Meal title cannot exceed 150 characters']
+  },
+
+  servings: {
+    type: Number,
+    min: [1, 'Servings must be at least 1'],
+    default: null
+  },
+
+  // Ingredients for the planned servings (empty for free-text meals)
+  ingredients: [ingredientSchema],
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  reservations: [reservationSchema],
+
+  reservedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const mealPlanSchema = new mongoose.Schema({
+  // Owner
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Meal plan must belong to a user'],
+    index: true
+  },
+
+  // Shared pantry (null = personal)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+    index: true
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  // First day of the planned week
+  weekStart: {
+    type: Date,
+    required: [true, 'Week start date is required']
+  },
+
+  meals: [mealSchema],
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+mealPlanSchema.index({ user: 1, household: 1, weekStart: -1 });
+
+// ============================================
+// VIRTUAL FIELDS
+// ============================================
+
+// Last moment of the planned week
+mealPlanSchema.virtual('weekEnd').get(function() {
+  if (!this.weekStart) return null;
+
+  const end = new Date(this.weekStart);
+  end.setDate(end.getDate() + DAYS_PER_WEEK);
+  end.setMilliseconds(-1);
+  return end;
+});
+
+// Meals grouped by day, in slot order
+mealPlanSchema.virtual('days').get(function() {
+  if (!this.weekStart) return [];
+
+  const slots = Object.values(MEAL_SLOTS);
+
+  return Array.from({ length: DAYS_PER_WEEK }, (value, index) => {
+    const date = new Date(this.weekStart);
+    date.setDate(date.getDate() + index);
+
+    const meals = (this.meals || [])
+      .filter(meal => new Date(meal.date).toDateString() === date.toDateString())
+      .sort((a, b) => slots.indexOf(a.slot) - slots.indexOf(b.slot));
+
+    return { date, meals };
+  });
+});
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+// Plans start at midnight; meals are stored by day
+mealPlanSchema.pre('validate', function(next) {
+  if (this.weekStart) {
+    this.weekStart = startOfDay(this.weekStart);
+  }
+
+  (this.meals || []).forEach(meal => {
+    if (meal.date) meal.date = startOfDay(meal.date);
+
+    if (this.weekStart && meal.date && (meal.date < this.weekStart || meal.date > this.weekEnd)) {
+      this.invalidate('meals', `Meal "${meal.title}" is outside the planned week`);
+    }
+  });
+
+  next();
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Meals whose ingredients have been reserved from the pantry
+mealPlanSchema.methods.getReservedMeals = function() {
+  return this.meals.filter(meal => meal.reservedAt);
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const MealPlan = mongoose.model('MealPlan', mealPlanSchema);
+
+module.exports = MealPlan;
@@ -23,6 +23,13 @@ const notificationSchema = new mongoose.Schema({
     index: true
   },
 
+  // Household the notification relates to (null = personal)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null
+  },
+
   // Notification Details
   type: {
     type: String,
@@ -32,7 +39,9 @@ const notificationSchema = new mongoose.Schema({
       'price_alert',
       'general',
       'system',
-      'reminder'
+      'reminder',
+      'budget_alert',
+      'markdown'
     ],
     required: [true, 'Notification type is required'],
     index:  true
@@ -135,6 +144,7 @@ const notificationSchema = new mongoose.Schema({
 // ============================================
 notificationSchema.index({ user: 1, isRead: 1, createdAt: -1 });
 notificationSchema.index({ user: 1, type: 1 });
+notificationSchema.index({ user: 1, household: 1, createdAt: -1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
 
 // ============================================
@@ -0,0 +1,143 @@
+/**
+ * ============================================
+ * Price Observation Model
+ * ============================================
+ * One price paid for a product at a store
+ *
+ * Features:
+ * - Recorded on grocery create/restock
+ * - Unit price in the item's unit plus a
+ *   normalized price (per kg/l/pcs) for
+ *   comparing across pack sizes
+ * - Product key (barcode or name) to group
+ *   observations across grocery items
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { PRICE_SOURCES } = require('../utils/constants');
+
+const priceObservationSchema = new mongoose.Schema({
+  // Owner
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Price observation must belong to a user'],
+    index: true
+  },
+
+  // Shared pantry (null = personal)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+    index: true
+  },
+
+  // Product
+  grocery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grocery',
+    default: null
+  },
+
+  productKey: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+
+  brand: {
+    type: String,
+    trim: true
+  },
+
+  barcode: {
+    type: String,
+    trim: true
+  },
+
+  store: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Price per item unit
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+
+  unit: {
+    type: String,
+    required: true
+  },
+
+  // Price per reporting unit (kg, l, pcs) when the unit converts
+  normalizedPrice: {
+    type: Number,
+    default: null
+  },
+
+  normalizedUnit: {
+    type: String,
+    default: null
+  },
+
+  quantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative']
+  },
+
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  source: {
+    type: String,
+    enum: Object.values(PRICE_SOURCES),
+    default: PRICE_SOURCES.CREATE
+  },
+
+  observedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+priceObservationSchema.index({ user: 1, household: 1, productKey: 1, observedAt: -1 });
+priceObservationSchema.index({ household: 1, productKey: 1, observedAt: -1 });
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Key grouping observations of the same product
+priceObservationSchema.statics.buildProductKey = function({ barcode, name }) {
+  if (barcode) return `barcode:${barcode.trim()}`;
+  return `name:${(name || '').trim().toLowerCase()}`;
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const PriceObservation = mongoose.model('PriceObservation', priceObservationSchema);
+
+module.exports = PriceObservation;
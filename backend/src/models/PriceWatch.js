@@ -0,0 +1,116 @@
+/**
+ * ============================================
+ * Price Watch Model
+ * ============================================
+ * A product a user tracks for price alerts
+ *
+ * Features:
+ * - Target price (alert when paid at or below)
+ * - Sharp rise threshold (percent over the
+ *   recent average)
+ * - Alert cooldown tracking
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { PRICE_ALERT } = require('../utils/constants');
+
+const priceWatchSchema = new mongoose.Schema({
+  // Owner (receives the alerts)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Price watch must belong to a user'],
+    index: true
+  },
+
+  // Shared pantry (null = personal)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null
+  },
+
+  // Product
+  productKey: {
+    type: String,
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+
+  barcode: {
+    type: String,
+    trim: true
+  },
+
+  // Alert when a unit price at or below this is recorded
+  targetPrice: {
+    type: Number,
+    min: [0, 'Target price cannot be negative'],
+    default: null
+  },
+
+  // Unit the target price refers to (defaults to the observed item's unit)
+  unit: {
+    type: String,
+    default: null
+  },
+
+  // Alert when a price is this many percent above the recent average
+  risePercent: {
+    type: Number,
+    min: [0, 'Rise percentage cannot be negative'],
+    default: PRICE_ALERT.DEFAULT_RISE_PERCENT
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Last alert sent
+  lastAlertAt: {
+    type: Date,
+    default: null
+  },
+
+  lastAlertType: {
+    type: String,
+    enum: ['target', 'rise', null],
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+priceWatchSchema.index({ user: 1, household: 1, productKey: 1 }, { unique: true });
+priceWatchSchema.index({ productKey: 1, isActive: 1 });
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Check whether an alert of this type may be sent now
+priceWatchSchema.methods.canAlert = function(type) {
+  if (!this.lastAlertAt || this.lastAlertType !== type) return true;
+
+  const cooldown = PRICE_ALERT.COOLDOWN_HOURS * 60 * 60 * 1000;
+  return Date.now() - this.lastAlertAt.getTime() >= cooldown;
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const PriceWatch = mongoose.model('PriceWatch', priceWatchSchema);
+
+module.exports = PriceWatch;
@@ -0,0 +1,138 @@
+/**
+ * ============================================
+ * Product Model
+ * ============================================
+ * Shared product catalog used for barcode
+ * lookup and grocery auto-fill
+ *
+ * Features:
+ * - One entry per barcode
+ * - Default category (by name), unit and
+ *   pack size
+ * - Typical shelf life per storage location
+ * - Bulk import (Open Food Facts style dumps)
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { MEASUREMENT_UNITS, STORAGE_LOCATIONS, PRODUCT_SOURCES } = require('../utils/constants');
+
+const shelfLifeField = {
+  type: Number,
+  min: [0, 'Shelf life cannot be negative'],
+  default: null
+};
+
+const productSchema = new mongoose.Schema({
+  barcode: {
+    type: String,
+    required: [true, 'Barcode is required'],
+    unique: true,
+    trim: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true,
+    maxlength: [100, 'Product name cannot exceed 100 characters']
+  },
+
+  brand: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Brand name cannot exceed 50 characters']
+  },
+
+  // Category name, matched against the pantry's categories on auto-fill
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  unit: {
+    type: String,
+    enum: Object.values(MEASUREMENT_UNITS),
+    default: MEASUREMENT_UNITS.PIECES
+  },
+
+  // Pack size (e.g. 1 can = 400 g)
+  unitSize: {
+    quantity: {
+      type: Number,
+      min: [0, 'Unit size cannot be negative']
+    },
+    unit: {
+      type: String,
+      enum: Object.values(MEASUREMENT_UNITS)
+    }
+  },
+
+  // Typical shelf life in days per storage location
+  shelfLife: {
+    fridge: shelfLifeField,
+    freezer: shelfLifeField,
+    pantry: shelfLifeField,
+    cabinet: shelfLifeField,
+    counter: shelfLifeField,
+    other: shelfLifeField
+  },
+
+  defaultLocation: {
+    type: String,
+    enum: Object.values(STORAGE_LOCATIONS),
+    default: STORAGE_LOCATIONS.PANTRY
+  },
+
+  imageUrl: {
+    type: String,
+    default: null
+  },
+
+  source: {
+    type: String,
+    enum: Object.values(PRODUCT_SOURCES),
+    default: PRODUCT_SOURCES.MANUAL
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+productSchema.index({ name: 'text', brand: 'text' });
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Typical shelf life in days for a storage location (null if unknown)
+productSchema.methods.getShelfLife = function(location) {
+  const days = this.shelfLife && this.shelfLife[location || this.defaultLocation];
+  return days === null || days === undefined ? null : days;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+productSchema.statics.findByBarcode = function(barcode) {
+  return this.findOne({ barcode: String(barcode).trim() });
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Product = mongoose.model('Product', productSchema);
+
+module.exports = Product;
@@ -0,0 +1,228 @@
+/**
+ * ============================================
+ * Purchase Order Model
+ * ============================================
+ * Stock ordered from a supplier
+ *
+ * Features:
+ * - Line items linked to inventory items
+ * - Lifecycle: draft → sent → partially
+ *   received → received (or cancelled)
+ * - Deliveries recorded as they arrive
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { PURCHASE_ORDER_STATUS } = require('../utils/constants');
+
+// Allowed status changes
+const TRANSITIONS = {
+  [PURCHASE_ORDER_STATUS.DRAFT]: [PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.CANCELLED],
+  [PURCHASE_ORDER_STATUS.SENT]: [
+    PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+    PURCHASE_ORDER_STATUS.RECEIVED,
+    PURCHASE_ORDER_STATUS.CANCELLED
+  ],
+  [PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED]: [
+    PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+    PURCHASE_ORDER_STATUS.RECEIVED,
+    PURCHASE_ORDER_STATUS.CANCELLED
+  ],
+  [PURCHASE_ORDER_STATUS.RECEIVED]: [],
+  [PURCHASE_ORDER_STATUS.CANCELLED]: []
+};
+
+const orderItemSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: [true, 'Order item must reference an inventory item']
+  },
+
+  // Copied from the inventory item when ordered
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  sku: {
+    type: String,
+    default: null
+  },
+
+  unit: {
+    type: String,
+    default: 'pcs'
+  },
+
+  quantityOrdered: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    validate: [quantity => quantity > 0, 'Quantity must be greater than 0']
+  },
+
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: [0, 'Received quantity cannot be negative']
+  },
+
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: [0, 'Unit cost cannot be negative']
+  }
+}, { _id: true });
+
+const deliverySchema = new mongoose.Schema({
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  items: [{
+    _id: false,
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory'
+    },
+    quantity: Number
+  }],
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, { _id: true });
+
+const purchaseOrderSchema = new mongoose.Schema({
+  // Store Owner
+  storeOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Purchase order must belong to a store owner'],
+    index: true
+  },
+
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: [true, 'Please select a supplier']
+  },
+
+  // PO-00001, numbered per store owner
+  orderNumber: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(PURCHASE_ORDER_STATUS),
+    default: PURCHASE_ORDER_STATUS.DRAFT
+  },
+
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'A purchase order needs at least one item']
+  },
+
+  // Requested delivery date
+  expectedDate: {
+    type: Date,
+    default: null
+  },
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  deliveries: [deliverySchema],
+
+  sentAt: {
+    type: Date,
+    default: null
+  },
+
+  receivedAt: {
+    type: Date,
+    default: null
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+purchaseOrderSchema.index({ storeOwner: 1, orderNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ storeOwner: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+// Order value at the ordered quantities
+purchaseOrderSchema.virtual('total').get(function() {
+  if (!this.items) return 0;
+  return Math.round(this.items.reduce((sum, item) => sum + item.unitCost * item.quantityOrdered, 0) * 100) / 100;
+});
+
+// Whether every line has been received in full
+purchaseOrderSchema.virtual('isFullyReceived').get(function() {
+  if (!this.items) return false;
+  return this.items.every(item => item.quantityReceived >= item.quantityOrdered);
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+purchaseOrderSchema.methods.canTransitionTo = function(status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Quantity of a line still to be delivered
+purchaseOrderSchema.methods.getOutstanding = function(item) {
+  return Math.max(0, item.quantityOrdered - item.quantityReceived);
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Next order number for a store owner
+purchaseOrderSchema.statics.nextOrderNumber = async function(storeOwner) {
+  const [latest] = await this.find({ storeOwner })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(1)
+    .select('orderNumber')
+    .lean();
+
+  const last = latest ? parseInt(latest.orderNumber.replace(/\D/g, ''), 10) || 0 : 0;
+  return `PO-${String(last + 1).padStart(5, '0')}`;
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+module.exports = PurchaseOrder;
@@ -0,0 +1,194 @@
+/**
+ * ============================================
+ * Receipt Model
+ * ============================================
+ * A shopping receipt read into line items
+ *
+ * Features:
+ * - Draft items (name, quantity, unit price,
+ *   total) for the user to check
+ * - Store, purchase date and totals
+ * - Links to the groceries created when the
+ *   draft is confirmed
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { RECEIPT_STATUS, RECEIPT_FORMATS, CURRENCIES, DEFAULT_CURRENCY } = require('../utils/constants');
+
+const receiptItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [0, 'Quantity cannot be negative']
+  },
+
+  unit: {
+    type: String,
+    default: 'pcs'
+  },
+
+  // Price per unit, after discounts
+  unitPrice: {
+    type: Number,
+    default: null,
+    min: [0, 'Price cannot be negative']
+  },
+
+  total: {
+    type: Number,
+    default: null
+  },
+
+  discount: {
+    type: Number,
+    default: 0
+  },
+
+  // Suggested from a grocery of the same name
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  // Receipt line(s) the item was read from
+  line: {
+    type: String,
+    default: null
+  },
+
+  // Created on confirmation
+  grocery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grocery',
+    default: null
+  }
+}, { _id: true });
+
+const receiptSchema = new mongoose.Schema({
+  // Who uploaded the receipt
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Receipt must belong to a user'],
+    index: true
+  },
+
+  // Shared pantry (null = personal)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+    index: true
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(RECEIPT_STATUS),
+    default: RECEIPT_STATUS.DRAFT
+  },
+
+  format: {
+    type: String,
+    enum: Object.values(RECEIPT_FORMATS),
+    required: true
+  },
+
+  // Parser that read the items
+  parser: {
+    type: String,
+    default: null
+  },
+
+  store: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Store name cannot exceed 50 characters']
+  },
+
+  purchaseDate: {
+    type: Date,
+    default: null
+  },
+
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    enum: Object.values(CURRENCIES)
+  },
+
+  items: [receiptItemSchema],
+
+  subtotal: {
+    type: Number,
+    default: null
+  },
+
+  tax: {
+    type: Number,
+    default: null
+  },
+
+  total: {
+    type: Number,
+    default: null
+  },
+
+  // Stored receipt image
+  imageUrl: {
+    type: String,
+    default: null
+  },
+
+  // Text the items were read from
+  rawText: {
+    type: String,
+    default: '',
+    select: false
+  },
+
+  // Problems found while reading (e.g. items not adding up to the total)
+  warnings: [String],
+
+  confirmedAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+receiptSchema.index({ user: 1, household: 1, createdAt: -1 });
+receiptSchema.index({ household: 1, createdAt: -1 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+// Sum of the item totals
+receiptSchema.virtual('itemsTotal').get(function() {
+  if (!this.items) return 0;
+  return Math.round(this.items.reduce((sum, item) => sum + (item.total || 0), 0) * 100) / 100;
+});
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Receipt = mongoose.model('Receipt', receiptSchema);
+
+module.exports = Receipt;
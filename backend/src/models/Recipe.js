@@ -0,0 +1,153 @@
+/**
+ * ============================================
+ * Recipe Model
+ * ============================================
+ * Recipes in the active pantry's recipe book
+ *
+ * Features:
+ * - Ingredients with quantity and unit
+ * - Steps, tags and timings
+ * - Import from JSON / schema.org Recipe
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Ingredient name is required'],
+    trim: true,
+    maxlength: [100, 'Ingredient name cannot exceed 100 characters']
+  },
+
+  // null for "to taste" ingredients
+  quantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative'],
+    default: null
+  },
+
+  // Stock or kitchen unit (cup, tbsp, tsp, oz, lb)
+  unit: {
+    type: String,
+    default: null
+  },
+
+  optional: {
+    type: Boolean,
+    default: false
+  },
+
+  // Original ingredient line, e.g. "2 cups flour, sifted"
+  raw: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const recipeSchema = new mongoose.Schema({
+  // Owner
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipe must belong to a user'],
+    index: true
+  },
+
+  // Shared pantry (null = personal)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Recipe name is required'],
+    trim: true,
+    maxlength: [150, 'Recipe name cannot exceed 150 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  ingredients: {
+    type: [ingredientSchema],
+    validate: [list => list.length > 0, 'Recipe needs at least one ingredient']
+  },
+
+  steps: [{
+    type: String,
+    trim: true
+  }],
+
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: [30, 'Tag cannot exceed 30 characters']
+  }],
+
+  servings: {
+    type: Number,
+    min: [1, 'Servings must be at least 1'],
+    default: 1
+  },
+
+  // Minutes
+  prepTime: {
+    type: Number,
+    min: [0, 'Time cannot be negative'],
+    default: null
+  },
+
+  cookTime: {
+    type: Number,
+    min: [0, 'Time cannot be negative'],
+    default: null
+  },
+
+  imageUrl: {
+    type: String,
+    default: null
+  },
+
+  sourceUrl: {
+    type: String,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+recipeSchema.index({ user: 1, household: 1, name: 1 });
+recipeSchema.index({ tags: 1 });
+recipeSchema.index({ name: 'text', 'ingredients.name': 'text', tags: 'text' });
+
+// ============================================
+// VIRTUAL FIELDS
+// ============================================
+
+recipeSchema.virtual('totalTime').get(function() {
+  if (this.prepTime === null && this.cookTime === null) return null;
+  return (this.prepTime || 0) + (this.cookTime || 0);
+});
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Recipe = mongoose.model('Recipe', recipeSchema);
+
+module.exports = Recipe;
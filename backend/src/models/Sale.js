@@ -0,0 +1,282 @@
+/**
+ * ============================================
+ * Sale Model
+ * ============================================
+ * A point-of-sale transaction of a store
+ * owner's inventory
+ *
+ * Features:
+ * - Multi-line baskets with line and basket
+ *   discounts and tax (prices exclude tax)
+ * - Cost snapshot per line for profit reports
+ * - Full or partial refunds
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { SALE_STATUS, PAYMENT_METHODS, CURRENCIES, DEFAULT_CURRENCY } = require('../utils/constants');
+
+const saleItemSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: [true, 'Sale item must reference an inventory item']
+  },
+
+  // Copied from the inventory item when sold
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  sku: {
+    type: String,
+    default: null
+  },
+
+  unit: {
+    type: String,
+    default: 'pcs'
+  },
+
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    validate: [quantity => quantity > 0, 'Quantity must be greater than 0']
+  },
+
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative']
+  },
+
+  // Selling price before any markdown
+  listPrice: {
+    type: Number,
+    default: null
+  },
+
+  // Markdown the item was sold under (expiring stock)
+  markdown: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Markdown',
+    default: null
+  },
+
+  // Cost price at the time of the sale
+  unitCost: {
+    type: Number,
+    default: 0,
+    min: [0, 'Cost cannot be negative']
+  },
+
+  // Line discount (amount)
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+
+  // Line amount after line and basket discounts, before tax
+  netTotal: {
+    type: Number,
+    default: 0
+  },
+
+  quantityRefunded: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded quantity cannot be negative'],
+    validate: [function(quantityRefunded) {
+      return quantityRefunded <= this.quantity;
+    }, 'Refunded quantity cannot exceed the quantity sold']
+  }
+}, { _id: true });
+
+const refundSchema = new mongoose.Schema({
+  refundedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  items: [{
+    _id: false,
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Inventory'
+    },
+    quantity: Number,
+    // Refunded amount before tax
+    amount: Number,
+    // Cost of the units put back into stock
+    cost: Number
+  }],
+
+  // Net amount and tax refunded
+  subtotal: Number,
+  tax: Number,
+  amount: Number,
+
+  // Whether the items went back into stock
+  restocked: {
+    type: Boolean,
+    default: true
+  },
+
+  reason: {
+    type: String,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  }
+}, { _id: true });
+
+const saleSchema = new mongoose.Schema({
+  // Store Owner
+  storeOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Sale must belong to a store owner'],
+    index: true
+  },
+
+  // S-000001, numbered per store owner
+  saleNumber: {
+    type: String,
+    required: true
+  },
+
+  // Cashier
+  soldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  soldAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(SALE_STATUS),
+    default: SALE_STATUS.COMPLETED
+  },
+
+  items: {
+    type: [saleItemSchema],
+    validate: [items => items.length > 0, 'A sale needs at least one item']
+  },
+
+  // Sum of the lines after line discounts
+  subtotal: {
+    type: Number,
+    required: true
+  },
+
+  // Basket discount (amount)
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+
+  // Tax rate in percent, applied after discounts
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot exceed 100%']
+  },
+
+  tax: {
+    type: Number,
+    default: 0
+  },
+
+  total: {
+    type: Number,
+    required: true
+  },
+
+  // Cost of the goods sold
+  costTotal: {
+    type: Number,
+    default: 0
+  },
+
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    enum: Object.values(CURRENCIES)
+  },
+
+  paymentMethod: {
+    type: String,
+    enum: Object.values(PAYMENT_METHODS),
+    default: PAYMENT_METHODS.CASH
+  },
+
+  refunds: [refundSchema],
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+saleSchema.index({ storeOwner: 1, saleNumber: 1 }, { unique: true });
+saleSchema.index({ storeOwner: 1, soldAt: -1 });
+saleSchema.index({ storeOwner: 1, 'refunds.refundedAt': -1 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+// Profit before refunds (net sales less cost of goods)
+saleSchema.virtual('profit').get(function() {
+  return Math.round((this.total - this.tax - this.costTotal) * 100) / 100;
+});
+
+saleSchema.virtual('refundedTotal').get(function() {
+  if (!this.refunds) return 0;
+  return Math.round(this.refunds.reduce((sum, refund) => sum + refund.amount, 0) * 100) / 100;
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Next sale number for a store owner
+saleSchema.statics.nextSaleNumber = async function(storeOwner, session = null) {
+  const [latest] = await this.find({ storeOwner })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(1)
+    .select('saleNumber')
+    .session(session)
+    .lean();
+
+  const last = latest ? parseInt(latest.saleNumber.replace(/\D/g, ''), 10) || 0 : 0;
+  return `S-${String(last + 1).padStart(6, '0')}`;
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Sale = mongoose.model('Sale', saleSchema);
+
+module.exports = Sale;
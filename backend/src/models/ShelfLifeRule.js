@@ -0,0 +1,201 @@
+/**
+ * ============================================
+ * Shelf Life Rule Model
+ * ============================================
+ * Custom shelf-life rules used to predict an
+ * expiry date when none is given
+ *
+ * Features:
+ * - Keyed by product (barcode or name) or
+ *   category
+ * - Optional storage location (null = any)
+ * - Separate rules for opened items
+ * - Resolution with catalog and built-in
+ *   category defaults as fallbacks
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const Product = require('./Product');
+const Category = require('./Category');
+const {
+  STORAGE_LOCATIONS,
+  SHELF_LIFE_DEFAULTS,
+  SHELF_LIFE_FALLBACK,
+  SHELF_LIFE_SOURCES
+} = require('../utils/constants');
+
+const shelfLifeRuleSchema = new mongoose.Schema({
+  // Owner
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Rule must belong to a user'],
+    index: true
+  },
+
+  // Shared pantry (null = personal)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+    index: true
+  },
+
+  // What the rule applies to: a product (barcode or name) or a category
+  barcode: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  productName: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  // Storage location (null = any location)
+  location: {
+    type: String,
+    enum: [...Object.values(STORAGE_LOCATIONS), null],
+    default: null
+  },
+
+  // Applies to opened items ("use within N days after opening")
+  opened: {
+    type: Boolean,
+    default: false
+  },
+
+  days: {
+    type: Number,
+    required: [true, 'Shelf life in days is required'],
+    min: [0, 'Shelf life cannot be negative']
+  },
+
+  notes: {
+    type: String,
+    maxlength: [200, 'Notes cannot exceed 200 characters']
+  }
+
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+shelfLifeRuleSchema.index({ household: 1, user: 1, opened: 1 });
+
+// ============================================
+// VALIDATION
+// ============================================
+
+shelfLifeRuleSchema.pre('validate', function(next) {
+  if (!this.barcode && !this.productName && !this.category) {
+    this.invalidate('category', 'Rule needs a barcode, product name or category');
+  }
+  next();
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Resolve the shelf life of an item
+ * Order: product rule > catalog entry > category rule > built-in category
+ * default > location default. Location-specific rules beat "any location".
+ * @param {object} item - Grocery-like { user, household, category, barcode, name, location }
+ * @param {object} options - { location (default: item.location), opened }
+ * @returns {object} - { days, source, rule }
+ */
+shelfLifeRuleSchema.statics.resolveShelfLife = async function(item, options = {}) {
+  const location = options.location || item.location || STORAGE_LOCATIONS.PANTRY;
+  const opened = !!options.opened;
+  const categoryId = item.category && item.category._id ? item.category._id : item.category;
+  const productName = item.name ? item.name.trim().toLowerCase() : null;
+
+  const targets = [];
+  if (item.barcode) targets.push({ barcode: item.barcode });
+  if (productName) targets.push({ productName });
+  if (categoryId) targets.push({ category: categoryId });
+
+  const rules = targets.length > 0
+    ? await this.find({
+      ...(item.household ? { household: item.household } : { user: item.user, household: null }),
+      opened,
+      location: { $in: [location, null] },
+      $or: targets
+    })
+    : [];
+
+  // Most specific rule of a kind: exact location first
+  const best = (matches) => matches.sort((a, b) => (b.location ? 1 : 0) - (a.location ? 1 : 0))[0];
+
+  const productRule = best(rules.filter(rule =>
+    (item.barcode && rule.barcode === item.barcode) ||
+    (productName && rule.productName === productName)
+  ));
+
+  if (productRule) {
+    return { days: productRule.days, source: SHELF_LIFE_SOURCES.RULE, rule: productRule._id };
+  }
+
+  // Catalog shelf life describes unopened products
+  if (item.barcode && !opened) {
+    const product = await Product.findByBarcode(item.barcode);
+    const days = product ? product.getShelfLife(location) : null;
+
+    if (days !== null) {
+      return { days, source: SHELF_LIFE_SOURCES.CATALOG, rule: null };
+    }
+  }
+
+  const categoryRule = best(rules.filter(rule =>
+    categoryId && rule.category && rule.category.toString() === categoryId.toString()
+  ));
+
+  if (categoryRule) {
+    return { days: categoryRule.days, source: SHELF_LIFE_SOURCES.RULE, rule: categoryRule._id };
+  }
+
+  let categoryName = item.category && item.category.name;
+
+  if (!categoryName && categoryId) {
+    const category = await Category.findById(categoryId).select('name');
+    categoryName = category ? category.name : null;
+  }
+
+  const defaults = categoryName && SHELF_LIFE_DEFAULTS[categoryName.toLowerCase()];
+
+  if (defaults) {
+    const days = opened
+      ? defaults.opened
+      : defaults[location] !== undefined ? defaults[location] : defaults.pantry;
+
+    return { days, source: SHELF_LIFE_SOURCES.CATEGORY_DEFAULT, rule: null };
+  }
+
+  return {
+    days: opened ? SHELF_LIFE_FALLBACK.opened : SHELF_LIFE_FALLBACK[location],
+    source: SHELF_LIFE_SOURCES.LOCATION_DEFAULT,
+    rule: null
+  };
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const ShelfLifeRule = mongoose.model('ShelfLifeRule', shelfLifeRuleSchema);
+
+module.exports = ShelfLifeRule;
@@ -0,0 +1,305 @@
+/**
+ * ============================================
+ * Shopping List Model
+ * ============================================
+ * Represents a list of things to buy
+ *
+ * Features:
+ * - Manual and auto-suggested items
+ * - Check-off tracking (linked to created grocery)
+ * - Per-store grouping
+ * - Estimated totals
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const {
+  SHOPPING_LIST_STATUS,
+  SHOPPING_ITEM_SOURCES,
+  MEASUREMENT_UNITS,
+  STORAGE_LOCATIONS
+} = require('../utils/constants');
+
+// Items without a store are grouped under this label
+const UNASSIGNED_STORE = 'Unassigned';
+
+const shoppingItemSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide item name'],
+    trim: true,
+    maxlength: [100, 'Item name cannot exceed 100 characters']
+  },
+
+  quantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative'],
+    default: 1
+  },
+
+  unit: {
+    type: String,
+    enum: Object.values(MEASUREMENT_UNITS),
+    default: 'pcs'
+  },
+
+  // Carried over to the grocery on check-off
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  brand: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Brand name cannot exceed 50 characters']
+  },
+
+  barcode: {
+    type: String,
+    trim: true
+  },
+
+  location: {
+    type: String,
+    enum: Object.values(STORAGE_LOCATIONS)
+  },
+
+  // Where to buy it (falls back to the list's store)
+  store: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Store name cannot exceed 50 characters']
+  },
+
+  // Expected unit price
+  estimatedPrice: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: 0
+  },
+
+  notes: {
+    type: String,
+    maxlength: [200, 'Notes cannot exceed 200 characters']
+  },
+
+  // Why the item is on the list
+  source: {
+    type: String,
+    enum: Object.values(SHOPPING_ITEM_SOURCES),
+    default: SHOPPING_ITEM_SOURCES.MANUAL
+  },
+
+  // Grocery that triggered the suggestion
+  sourceGrocery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grocery',
+    default: null
+  },
+
+  // Check-off
+  isChecked: {
+    type: Boolean,
+    default: false
+  },
+
+  checkedAt: {
+    type: Date,
+    default: null
+  },
+
+  checkedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Grocery created when the item was bought
+  grocery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grocery',
+    default: null
+  },
+
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const shoppingListSchema = new mongoose.Schema({
+  // Owner
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Shopping list must belong to a user'],
+    index: true
+  },
+
+  // Shared pantry (null = personal list)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Please provide a list name'],
+    trim: true,
+    maxlength: [100, 'List name cannot exceed 100 characters']
+  },
+
+  // Default store for items
+  store: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Store name cannot exceed 50 characters']
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(SHOPPING_LIST_STATUS),
+    default: SHOPPING_LIST_STATUS.ACTIVE,
+    index: true
+  },
+
+  items: [shoppingItemSchema],
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+shoppingListSchema.index({ user: 1, household: 1, status: 1 });
+shoppingListSchema.index({ household: 1, status: 1 });
+
+// ============================================
+// VIRTUAL FIELDS
+// ============================================
+
+// Number of items
+shoppingListSchema.virtual('itemCount').get(function() {
+  return this.items ? this.items.length : 0;
+});
+
+// Number of checked items
+shoppingListSchema.virtual('checkedCount').get(function() {
+  return this.items ? this.items.filter(item => item.isChecked).length : 0;
+});
+
+// Estimated total of the items still to buy
+shoppingListSchema.virtual('estimatedTotal').get(function() {
+  if (!this.items) return 0;
+
+  return this.items
+    .filter(item => !item.isChecked)
+    .reduce((sum, item) => sum + (item.quantity * item.estimatedPrice), 0);
+});
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+// Update 'updatedAt' before saving
+shoppingListSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Complete the list once everything is checked off
+shoppingListSchema.pre('save', function(next) {
+  const allChecked = this.items.length > 0 && this.items.every(item => item.isChecked);
+
+  if (allChecked && this.status === SHOPPING_LIST_STATUS.ACTIVE) {
+    this.status = SHOPPING_LIST_STATUS.COMPLETED;
+    this.completedAt = Date.now();
+  } else if (!allChecked && this.status === SHOPPING_LIST_STATUS.COMPLETED) {
+    this.status = SHOPPING_LIST_STATUS.ACTIVE;
+    this.completedAt = null;
+  }
+
+  next();
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Find an unchecked item for the same product
+shoppingListSchema.methods.findOpenItem = function({ name, unit, sourceGrocery }) {
+  return this.items.find(item => {
+    if (item.isChecked) return false;
+
+    if (sourceGrocery && item.sourceGrocery &&
+        item.sourceGrocery.toString() === sourceGrocery.toString()) {
+      return true;
+    }
+
+    return item.name.toLowerCase() === name.toLowerCase() && item.unit === (unit || 'pcs');
+  }) || null;
+};
+
+// Group items by store
+shoppingListSchema.methods.groupByStore = function() {
+  const groups = new Map();
+
+  this.items.forEach(item => {
+    const store = item.store || this.store || UNASSIGNED_STORE;
+
+    if (!groups.has(store)) {
+      groups.set(store, { store, items: [], remaining: 0, estimatedTotal: 0 });
+    }
+
+    const group = groups.get(store);
+    group.items.push(item);
+
+    if (!item.isChecked) {
+      group.remaining += 1;
+      group.estimatedTotal += item.quantity * item.estimatedPrice;
+    }
+  });
+
+  // Stores with the most left to buy first, unassigned last
+  return Array.from(groups.values()).sort((a, b) => {
+    if (a.store === UNASSIGNED_STORE) return 1;
+    if (b.store === UNASSIGNED_STORE) return -1;
+    return b.remaining - a.remaining || a.store.localeCompare(b.store);
+  });
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const ShoppingList = mongoose.model('ShoppingList', shoppingListSchema);
+
+module.exports = ShoppingList;
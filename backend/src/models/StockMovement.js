@@ -0,0 +1,193 @@
+/**
+ * ============================================
+ * Stock Movement Model
+ * ============================================
+ * Append-only ledger of stock movements of
+ * store inventory items
+ *
+ * Features:
+ * - One entry per receipt, sale, adjustment,
+ *   return, transfer or write-off
+ * - Signed quantity delta, so an item's
+ *   entries add up to its stock
+ * - Unit cost, reference (e.g. purchase
+ *   order) and the user who made the change
+ * - Entries cannot be changed or removed
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { STOCK_MOVEMENT_TYPES } = require('../utils/constants');
+
+const stockMovementSchema = new mongoose.Schema({
+  // Store Owner
+  storeOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Stock movement must belong to a store owner'],
+    index: true
+  },
+
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+
+  // Snapshot of the item for reporting
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  sku: {
+    type: String,
+    default: null
+  },
+
+  type: {
+    type: String,
+    enum: Object.values(STOCK_MOVEMENT_TYPES),
+    required: true
+  },
+
+  // Change in stock (negative for stock going out)
+  quantity: {
+    type: Number,
+    required: true
+  },
+
+  unit: {
+    type: String,
+    required: true
+  },
+
+  // Stock after the movement
+  balance: {
+    type: Number,
+    required: true
+  },
+
+  // Cost per unit at the time of the movement
+  unitCost: {
+    type: Number,
+    default: null
+  },
+
+  // What caused the movement, e.g. "PO-00012"
+  reference: {
+    type: String,
+    default: null
+  },
+
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referenceModel',
+    default: null
+  },
+
+  referenceModel: {
+    type: String,
+    default: null
+  },
+
+  reason: {
+    type: String,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+
+  // Who made the change
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Stock movement must have an actor']
+  },
+
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+stockMovementSchema.index({ inventory: 1, occurredAt: -1 });
+stockMovementSchema.index({ storeOwner: 1, type: 1, occurredAt: -1 });
+stockMovementSchema.index({ referenceId: 1 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+// Value of the movement at its unit cost
+stockMovementSchema.virtual('totalCost').get(function() {
+  if (this.unitCost === null || this.unitCost === undefined) return null;
+  return Math.round(Math.abs(this.quantity) * this.unitCost * 100) / 100;
+});
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+// The ledger is append-only
+const rejectChange = function(next) {
+  next(new Error('Stock movements cannot be changed or removed'));
+};
+
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+stockMovementSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  next();
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Stock per item as recorded in the ledger: Map of inventory id -> { quantity, movements }
+stockMovementSchema.statics.getLedgerStock = async function(storeOwner, inventoryIds = null) {
+  const match = { storeOwner: new mongoose.Types.ObjectId(String(storeOwner)) };
+  if (inventoryIds) {
+    match.inventory = { $in: inventoryIds.map(id => new mongoose.Types.ObjectId(String(id))) };
+  }
+
+  const totals = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$inventory',
+        quantity: { $sum: '$quantity' },
+        movements: { $sum: 1 },
+        lastMovementAt: { $max: '$occurredAt' }
+      }
+    }
+  ]);
+
+  return new Map(totals.map(total => [total._id.toString(), {
+    quantity: parseFloat(total.quantity.toFixed(3)),
+    movements: total.movements,
+    lastMovementAt: total.lastMovementAt
+  }]));
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+module.exports = StockMovement;
@@ -0,0 +1,224 @@
+/**
+ * ============================================
+ * Stocktake Model
+ * ============================================
+ * Physical count (cycle count) of a store
+ * owner's inventory
+ *
+ * Features:
+ * - Whole store or one category
+ * - Counted quantities per item, entered or
+ *   scanned by barcode
+ * - Approval posts the variances as stock
+ *   adjustments
+ * - One open stocktake per store; counts are
+ *   versioned so concurrent counts never
+ *   overwrite each other
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { STOCKTAKE_STATUS } = require('../utils/constants');
+
+const stocktakeItemSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: [true, 'Stocktake item must reference an inventory item']
+  },
+
+  // Copied from the inventory item when the stocktake opened
+  productName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  sku: {
+    type: String,
+    default: null
+  },
+
+  barcode: {
+    type: String,
+    default: null
+  },
+
+  unit: {
+    type: String,
+    default: 'pcs'
+  },
+
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+
+  // Stock when the stocktake opened
+  expected: {
+    type: Number,
+    default: 0
+  },
+
+  // null = not counted yet
+  counted: {
+    type: Number,
+    default: null,
+    min: [0, 'Counted quantity cannot be negative']
+  },
+
+  countedAt: {
+    type: Date,
+    default: null
+  },
+
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Set on approval: stock before the adjustment and the adjustment posted
+  stockBefore: {
+    type: Number,
+    default: null
+  },
+
+  adjustment: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+const stocktakeSchema = new mongoose.Schema({
+  // Store Owner
+  storeOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Stocktake must belong to a store owner'],
+    index: true
+  },
+
+  // ST-00001, unique per store owner
+  number: {
+    type: String,
+    required: true
+  },
+
+  // Category counted (null = whole store)
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: Object.values(STOCKTAKE_STATUS),
+    default: STOCKTAKE_STATUS.OPEN
+  },
+
+  items: [stocktakeItemSchema],
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Cost of the posted adjustments (negative = shrinkage)
+  adjustmentCost: {
+    type: Number,
+    default: null
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  // Saves fail with a VersionError if someone else saved the stocktake first
+  optimisticConcurrency: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+stocktakeSchema.index({ storeOwner: 1, number: 1 }, { unique: true });
+stocktakeSchema.index({ storeOwner: 1, createdAt: -1 });
+// Only one open stocktake per store
+stocktakeSchema.index(
+  { storeOwner: 1 },
+  { unique: true, partialFilterExpression: { status: STOCKTAKE_STATUS.OPEN }, name: 'one_open_stocktake' }
+);
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+stocktakeSchema.virtual('countedItems').get(function() {
+  if (!this.items) return 0;
+  return this.items.filter(item => item.counted !== null).length;
+});
+
+// Percentage of items counted
+stocktakeSchema.virtual('progress').get(function() {
+  if (!this.items || this.items.length === 0) return 0;
+  return Math.round(this.countedItems / this.items.length * 100);
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Line for an inventory item, barcode or SKU
+stocktakeSchema.methods.findItem = function({ inventory, barcode, sku }) {
+  return this.items.find(item =>
+    (inventory && item.inventory.toString() === inventory.toString()) ||
+    (barcode && item.barcode === barcode) ||
+    (sku && item.sku === sku)
+  ) || null;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+// Next stocktake number for a store owner
+stocktakeSchema.statics.nextNumber = async function(storeOwner) {
+  const [latest] = await this.find({ storeOwner })
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(1)
+    .select('number')
+    .lean();
+
+  const last = latest ? parseInt(latest.number.replace(/\D/g, ''), 10) || 0 : 0;
+  return `ST-${String(last + 1).padStart(5, '0')}`;
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Stocktake = mongoose.model('Stocktake', stocktakeSchema);
+
+module.exports = Stocktake;
@@ -0,0 +1,106 @@
+/**
+ * ============================================
+ * Supplier Model
+ * ============================================
+ * Suppliers a store owner orders stock from
+ *
+ * Features:
+ * - Contact details (purchase orders are
+ *   emailed to the supplier)
+ * - Lead time used for reorder forecasts of
+ *   the supplier's inventory items
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema({
+  // Store Owner
+  storeOwner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Supplier must belong to a store owner'],
+    index: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    maxlength: [100, 'Supplier name cannot exceed 100 characters']
+  },
+
+  // Contact person
+  contact: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Contact name cannot exceed 100 characters']
+  },
+
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+
+  phone: {
+    type: String,
+    trim: true
+  },
+
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Address cannot exceed 300 characters']
+  },
+
+  // Days between ordering and delivery
+  leadTimeDays: {
+    type: Number,
+    min: [0, 'Lead time cannot be negative'],
+    default: 0
+  },
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+supplierSchema.index({ storeOwner: 1, name: 1 }, { unique: true });
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+// Supplier details kept on linked inventory items
+supplierSchema.methods.toInventorySupplier = function() {
+  return {
+    name: this.name,
+    contact: this.contact || this.phone,
+    email: this.email,
+    leadTimeDays: this.leadTimeDays
+  };
+};
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+
+module.exports = Supplier;
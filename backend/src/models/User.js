@@ -14,6 +14,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { CURRENCIES, DEFAULT_CURRENCY } = require('../utils/constants');
 
 const userSchema = new mongoose.Schema({
   // Basic Information
@@ -130,9 +131,22 @@ const userSchema = new mongoose.Schema({
       default: 3,
       min: [1, 'Alert days must be at least 1'],
       max: [30, 'Alert days cannot exceed 30']
+    },
+    // Reports convert amounts to this currency
+    currency: {
+      type: String,
+      enum: Object.values(CURRENCIES),
+      default: DEFAULT_CURRENCY
     }
   },
 
+  // Shared pantry currently in use (null = personal pantry)
+  activeHousehold: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null
+  },
+
   // Recent Searches (for autocomplete)
   recentSearches: [{
     type: String,
@@ -0,0 +1,127 @@
+/**
+ * ============================================
+ * Waste Event Model
+ * ============================================
+ * A quantity of a grocery item thrown out
+ *
+ * Features:
+ * - Reason (expired, spoiled, leftover,
+ *   disliked) and notes
+ * - Value lost, from the prices of the wasted
+ *   lots
+ * - Category and location snapshot for
+ *   reporting
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const { WASTE_REASONS, STORAGE_LOCATIONS, CURRENCIES, DEFAULT_CURRENCY } = require('../utils/constants');
+
+const wasteEventSchema = new mongoose.Schema({
+  // Who logged the waste
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Waste event must belong to a user'],
+    index: true
+  },
+
+  // Shared pantry (null = personal)
+  household: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Household',
+    default: null,
+    index: true
+  },
+
+  grocery: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Grocery',
+    required: true
+  },
+
+  // Snapshot of the item when it was wasted
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  location: {
+    type: String,
+    enum: [...Object.values(STORAGE_LOCATIONS), null],
+    default: null
+  },
+
+  // Amount thrown out (item unit)
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+
+  unit: {
+    type: String,
+    required: true
+  },
+
+  // Money lost (quantity x price of the wasted lots)
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative']
+  },
+
+  // Currency of the value (the grocery's)
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    enum: Object.values(CURRENCIES)
+  },
+
+  reason: {
+    type: String,
+    enum: Object.values(WASTE_REASONS),
+    required: [true, 'Waste reason is required']
+  },
+
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+
+  // Earliest expiry of the wasted stock
+  expiryDate: {
+    type: Date,
+    default: null
+  },
+
+  wastedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+
+}, {
+  timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+wasteEventSchema.index({ user: 1, wastedAt: -1 });
+wasteEventSchema.index({ household: 1, wastedAt: -1 });
+
+// ============================================
+// EXPORT MODEL
+// ============================================
+
+const WasteEvent = mongoose.model('WasteEvent', wasteEventSchema);
+
+module.exports = WasteEvent;
@@ -0,0 +1,100 @@
+/**
+ * ============================================
+ * Analytics Routes
+ * ============================================
+ * Handles reports and statistics
+ *
+ * Routes:
+ * - GET /dashboard - Dashboard statistics
+ * - GET /expenses - Expense report
+ * - GET /waste - Waste analysis
+ * - GET /consumption - Consumption patterns
+ * - GET /trends - Monthly trends
+ * - GET /category-spending - Category spending report
+ * - GET /export - Export report file
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getDashboard,
+  getExpenseReport,
+  getWasteAnalysis,
+  getConsumptionPatterns,
+  getMonthlyTrends,
+  getCategorySpending,
+  exportReport
+} = require('../controllers/analyticsController');
+
+// Middleware
+const { protect } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { validateAnalyticsQuery, validateExportQuery } = require('../middleware/validationMiddleware');
+
+// Apply protection and rate limiting
+router.use(protect);
+router.use(apiLimiter);
+
+// ============================================
+// ANALYTICS ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/analytics/dashboard
+ * @desc    Get dashboard statistics
+ * @access  Private
+ */
+router.get('/dashboard', getDashboard);
+
+/**
+ * @route   GET /api/v1/analytics/expenses
+ * @desc    Get expense report for a date range
+ * @access  Private
+ * @query   period (week/month/year) or startDate, endDate
+ */
+router.get('/expenses', validateAnalyticsQuery, getExpenseReport);
+
+/**
+ * @route   GET /api/v1/analytics/waste
+ * @desc    Get waste analysis for a date range
+ * @access  Private
+ * @query   period (week/month/year) or startDate, endDate
+ */
+router.get('/waste', validateAnalyticsQuery, getWasteAnalysis);
+
+/**
+ * @route   GET /api/v1/analytics/consumption
+ * @desc    Get consumption patterns
+ * @access  Private
+ * @query   days (default: 30)
+ */
+router.get('/consumption', validateAnalyticsQuery, getConsumptionPatterns);
+
+/**
+ * @route   GET /api/v1/analytics/trends
+ * @desc    Get monthly spending trends
+ * @access  Private
+ * @query   months (default: 6)
+ */
+router.get('/trends', validateAnalyticsQuery, getMonthlyTrends);
+
+/**
+ * @route   GET /api/v1/analytics/category-spending
+ * @desc    Get category-wise spending report
+ * @access  Private
+ * @query   period (week/month/year) or startDate, endDate
+ */
+router.get('/category-spending', validateAnalyticsQuery, getCategorySpending);
+
+/**
+ * @route   GET /api/v1/analytics/export
+ * @desc    Download a report as CSV, XLSX, PDF or JSON
+ * @access  Private
+ * @query   type, format, period or startDate, endDate, days, months
+ */
+router.get('/export', validateExportQuery, validateAnalyticsQuery, exportReport);
+
+module.exports = router;
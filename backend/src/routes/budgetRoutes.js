@@ -0,0 +1,85 @@
+/**
+ * ============================================
+ * Budget Routes
+ * ============================================
+ * Handles grocery budgets and spending
+ *
+ * Routes:
+ * - GET /        - Get budgets with current spending
+ * - POST /       - Create budget
+ * - GET /:id     - Get budget with spending for a period
+ * - PUT /:id     - Update budget
+ * - DELETE /:id  - Delete budget
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getBudgets,
+  getBudget,
+  createBudget,
+  updateBudget,
+  deleteBudget
+} = require('../controllers/budgetController');
+
+// Middleware
+const { protect, authorizeHousehold } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const {
+  validateCreateBudget,
+  validateUpdateBudget,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection and rate limiting
+router.use(protect);
+router.use(apiLimiter);
+
+// Household viewers have read-only access
+const canEdit = authorizeHousehold('owner', 'editor');
+
+// ============================================
+// BUDGET ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/budgets
+ * @desc    Get budgets with spent, remaining and projection for the current period
+ * @access  Private
+ * @query   period, category, active
+ */
+router.get('/', getBudgets);
+
+/**
+ * @route   POST /api/v1/budgets
+ * @desc    Create budget (overall or per category)
+ * @access  Private
+ */
+router.post('/', canEdit, validateCreateBudget, createBudget);
+
+/**
+ * @route   GET /api/v1/budgets/:id
+ * @desc    Get budget with spending for a period
+ * @access  Private
+ * @query   date
+ */
+router.get('/:id', validateMongoId, getBudget);
+
+/**
+ * @route   PUT /api/v1/budgets/:id
+ * @desc    Update budget
+ * @access  Private
+ */
+router.put('/:id', canEdit, validateUpdateBudget, updateBudget);
+
+/**
+ * @route   DELETE /api/v1/budgets/:id
+ * @desc    Delete budget
+ * @access  Private
+ */
+router.delete('/:id', canEdit, validateMongoId, deleteBudget);
+
+module.exports = router;
@@ -28,7 +28,7 @@ const {
 } = require('../controllers/categoryController');
 
 // Middleware
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, authorize, authorizeHousehold } = require('../middleware/authMiddleware');
 const { apiLimiter } = require('../middleware/rateLimitMiddleware');
 const {
   validateCreateCategory,
@@ -39,6 +39,17 @@ const {
 router.use(protect);
 router.use(apiLimiter);
 
+/**
+ * Shared categories are managed by admins/store owners,
+ * household categories by household owners/editors
+ */
+const canManageCategories = (req, res, next) => {
+  if (req.user.household) {
+    return authorizeHousehold('owner', 'editor')(req, res, next);
+  }
+  return authorize('admin', 'store_owner')(req, res, next);
+};
+
 // ============================================
 // CATEGORY ROUTES
 // ============================================
@@ -52,10 +63,10 @@ router.get('/', getAllCategories);
 
 /**
  * @route   POST /api/v1/categories
- * @desc    Create new category
- * @access  Private/Admin
+ * @desc    Create new category (household category when a household is active)
+ * @access  Private/Admin or Household Owner/Editor
  */
-router.post('/', authorize('admin', 'store_owner'), validateCreateCategory, createCategory);
+router.post('/', canManageCategories, validateCreateCategory, createCategory);
 
 /**
  * @route   POST /api/v1/categories/seed
@@ -76,13 +87,13 @@ router. get('/:id', validateMongoId, getCategoryById);
  * @desc    Update category
  * @access  Private/Admin
  */
-router.put('/:id', authorize('admin', 'store_owner'), validateMongoId, updateCategory);
+router.put('/:id', canManageCategories, validateMongoId, updateCategory);
 
 /**
  * @route   DELETE /api/v1/categories/:id
  * @desc    Delete category
  * @access  Private/Admin
  */
-router.delete('/:id', authorize('admin', 'store_owner'), validateMongoId, deleteCategory);
+router.delete('/:id', canManageCategories, validateMongoId, deleteCategory);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * ============================================
+ * Exchange Rate Routes
+ * ============================================
+ * Handles the local exchange rate table
+ *
+ * Routes:
+ * - GET / - List rates
+ * - GET /convert - Convert an amount
+ * - POST / - Set a rate (admin)
+ * - POST /import - Import CSV/ECB XML (admin)
+ * - DELETE /:id - Delete a rate (admin)
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getRates,
+  convertAmount,
+  createRate,
+  importRates,
+  deleteRate
+} = require('../controllers/exchangeRateController');
+
+// Middleware
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { uploadDataFile, handleUploadError } = require('../middleware/uploadMiddleware');
+const {
+  validateCreateRate,
+  validateConvertAmount,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection and rate limiting
+router.use(protect);
+router.use(apiLimiter);
+
+// ============================================
+// RATE ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/exchange-rates
+ * @desc    List exchange rates
+ * @access  Private
+ * @query   base, currency, from, to, limit
+ */
+router.get('/', getRates);
+
+/**
+ * @route   GET /api/v1/exchange-rates/convert
+ * @desc    Convert an amount at the rate of a date
+ * @access  Private
+ * @query   amount, from, to, date
+ */
+router.get('/convert', validateConvertAmount, convertAmount);
+
+/**
+ * @route   POST /api/v1/exchange-rates
+ * @desc    Set the rate of a pair for a day
+ * @access  Private (admin)
+ */
+router.post('/', authorize('admin'), validateCreateRate, createRate);
+
+/**
+ * @route   POST /api/v1/exchange-rates/import
+ * @desc    Import rates from a CSV or ECB reference rate XML file
+ * @access  Private (admin)
+ */
+router.post('/import', authorize('admin'), uploadDataFile, handleUploadError, importRates);
+
+/**
+ * @route   DELETE /api/v1/exchange-rates/:id
+ * @desc    Delete a rate
+ * @access  Private (admin)
+ */
+router.delete('/:id', authorize('admin'), validateMongoId, deleteRate);
+
+module.exports = router;
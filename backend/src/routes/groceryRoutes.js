@@ -11,9 +11,16 @@
  * - PUT /: id - Update grocery
  * - DELETE /:id - Delete grocery
  * - PATCH /:id/consume - Consume item
+ * - PATCH /:id/open - Mark item as opened
+ * - PATCH /:id/waste - Log item as wasted
+ * - GET /:id/movements - Stock movement history
+ * - POST /:id/lots - Add purchase lot
+ * - PUT /:id/lots/:lotId - Update purchase lot
+ * - DELETE /:id/lots/:lotId - Remove purchase lot
  * - GET /category/:categoryId - Get by category
  * - GET /stats - Get statistics
  * - POST /bulk-delete - Bulk delete
+ * - POST /import - Bulk import (CSV/JSON)
  * ============================================
  */
 
@@ -28,22 +35,35 @@ const {
   updateGrocery,
   deleteGrocery,
   consumeGrocery,
+  openGrocery,
+  wasteGrocery,
+  getGroceryMovements,
   getGroceriesByCategory,
   getGroceryStats,
-  bulkDeleteGroceries
+  bulkDeleteGroceries,
+  importGroceries,
+  addGroceryLot,
+  updateGroceryLot,
+  deleteGroceryLot
 } = require('../controllers/groceryController');
 
 // Middleware
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorizeHousehold } = require('../middleware/authMiddleware');
 const { apiLimiter, uploadLimiter } = require('../middleware/rateLimitMiddleware');
 const {
   validateCreateGrocery,
   validateUpdateGrocery,
   validateMongoId,
-  validatePagination
+  validatePagination,
+  validateAddGroceryLot,
+  validateUpdateGroceryLot,
+  validateOpenGrocery,
+  validateWasteGrocery,
+  validateImportGroceries
 } = require('../middleware/validationMiddleware');
 const {
   uploadSingleImage,
+  uploadDataFile,
   processUpload,
   handleUploadError
 } = require('../middleware/uploadMiddleware');
@@ -54,6 +74,9 @@ router.use(protect);
 // Apply rate limiting
 router.use(apiLimiter);
 
+// Household viewers have read-only access
+const canEdit = authorizeHousehold('owner', 'editor');
+
 // ============================================
 // GROCERY CRUD ROUTES
 // ============================================
@@ -73,6 +96,7 @@ router. get('/', validatePagination, getAllGroceries);
  */
 router.post(
   '/',
+  canEdit,
   uploadLimiter,
   uploadSingleImage,
   handleUploadError,
@@ -100,11 +124,26 @@ router. get('/category/:categoryId', validateMongoId, getGroceriesByCategory);
  * @desc    Bulk delete grocery items
  * @access  Private
  */
-router.post('/bulk-delete', bulkDeleteGroceries);
+router.post('/bulk-delete', canEdit, bulkDeleteGroceries);
+
+/**
+ * @route   POST /api/v1/groceries/import
+ * @desc    Bulk import grocery items from CSV or JSON, with a per-row error report
+ * @access  Private
+ */
+router.post(
+  '/import',
+  canEdit,
+  uploadLimiter,
+  uploadDataFile,
+  handleUploadError,
+  validateImportGroceries,
+  importGroceries
+);
 
 /**
  * @route   GET /api/v1/groceries/: id
- * @desc    Get single grocery item by ID
+ * @desc    Get single grocery item by ID (with run-out forecast)
  * @access  Private
  */
 router.get('/:id', validateMongoId, getGroceryById);
@@ -116,6 +155,7 @@ router.get('/:id', validateMongoId, getGroceryById);
  */
 router.put(
   '/:id',
+  canEdit,
   uploadSingleImage,
   handleUploadError,
   processUpload,
@@ -128,13 +168,56 @@ router.put(
  * @desc    Delete grocery item
  * @access  Private
  */
-router.delete('/:id', validateMongoId, deleteGrocery);
+router.delete('/:id', canEdit, validateMongoId, deleteGrocery);
 
 /**
  * @route   PATCH /api/v1/groceries/:id/consume
  * @desc    Consume/reduce quantity of grocery item
  * @access  Private
  */
-router.patch('/:id/consume', validateMongoId, consumeGrocery);
+router.patch('/:id/consume', canEdit, validateMongoId, consumeGrocery);
+
+/**
+ * @route   PATCH /api/v1/groceries/:id/open
+ * @desc    Mark item as opened (expiry follows the "use within" rule)
+ * @access  Private
+ */
+router.patch('/:id/open', canEdit, validateMongoId, validateOpenGrocery, openGrocery);
+
+/**
+ * @route   PATCH /api/v1/groceries/:id/waste
+ * @desc    Throw out some or all of an item (records a waste event)
+ * @access  Private
+ */
+router.patch('/:id/waste', canEdit, validateMongoId, validateWasteGrocery, wasteGrocery);
+
+/**
+ * @route   GET /api/v1/groceries/:id/movements
+ * @desc    Consumption, restock, waste and adjustment history of an item
+ * @access  Private
+ * @query   type, page, limit
+ */
+router.get('/:id/movements', validateMongoId, validatePagination, getGroceryMovements);
+
+/**
+ * @route   POST /api/v1/groceries/:id/lots
+ * @desc    Add a purchase lot (restock with its own expiry date)
+ * @access  Private
+ */
+router.post('/:id/lots', canEdit, validateMongoId, validateAddGroceryLot, addGroceryLot);
+
+/**
+ * @route   PUT /api/v1/groceries/:id/lots/:lotId
+ * @desc    Update a purchase lot (an item without lots: its single batch, by the item's id)
+ * @access  Private
+ */
+router.put('/:id/lots/:lotId', canEdit, validateMongoId, validateUpdateGroceryLot, updateGroceryLot);
+
+/**
+ * @route   DELETE /api/v1/groceries/:id/lots/:lotId
+ * @desc    Remove a purchase lot (an item without lots: its single batch, by the item's id)
+ * @access  Private
+ */
+router.delete('/:id/lots/:lotId', canEdit, validateMongoId, deleteGroceryLot);
 
 module.exports = router;
\ No newline at end of file
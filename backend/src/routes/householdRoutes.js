@@ -0,0 +1,135 @@
+/**
+ * ============================================
+ * Household Routes
+ * ============================================
+ * Handles shared pantries and their members
+ *
+ * Routes:
+ * - GET /                                  - Get my households
+ * - POST /                                 - Create household
+ * - PUT /active                            - Switch active household
+ * - POST /invitations/accept               - Accept invitation
+ * - GET /:id                               - Get household
+ * - PUT /:id                               - Rename household
+ * - DELETE /:id                            - Delete household
+ * - POST /:id/invitations                  - Invite member
+ * - DELETE /:id/invitations/:invitationId  - Revoke invitation
+ * - PATCH /:id/members/:userId             - Change member role
+ * - DELETE /:id/members/:userId            - Remove member / leave
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  createHousehold,
+  getMyHouseholds,
+  getHousehold,
+  updateHousehold,
+  deleteHousehold,
+  inviteMember,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  switchHousehold
+} = require('../controllers/householdController');
+
+// Middleware
+const { protect } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const {
+  validateHousehold,
+  validateHouseholdInvitation,
+  validateHouseholdMemberRole,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection and rate limiting
+router.use(protect);
+router.use(apiLimiter);
+
+// ============================================
+// HOUSEHOLD ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/households
+ * @desc    Get all households of the current user
+ * @access  Private
+ */
+router.get('/', getMyHouseholds);
+
+/**
+ * @route   POST /api/v1/households
+ * @desc    Create a household
+ * @access  Private
+ */
+router.post('/', validateHousehold, createHousehold);
+
+/**
+ * @route   PUT /api/v1/households/active
+ * @desc    Switch the active household (householdId: null for personal pantry)
+ * @access  Private
+ */
+router.put('/active', switchHousehold);
+
+/**
+ * @route   POST /api/v1/households/invitations/accept
+ * @desc    Accept an invitation by token
+ * @access  Private
+ */
+router.post('/invitations/accept', acceptInvitation);
+
+/**
+ * @route   GET /api/v1/households/:id
+ * @desc    Get household with members and invitations
+ * @access  Private (Members)
+ */
+router.get('/:id', validateMongoId, getHousehold);
+
+/**
+ * @route   PUT /api/v1/households/:id
+ * @desc    Rename household
+ * @access  Private (Owner)
+ */
+router.put('/:id', validateMongoId, validateHousehold, updateHousehold);
+
+/**
+ * @route   DELETE /api/v1/households/:id
+ * @desc    Delete household
+ * @access  Private (Owner)
+ */
+router.delete('/:id', validateMongoId, deleteHousehold);
+
+/**
+ * @route   POST /api/v1/households/:id/invitations
+ * @desc    Invite a member by email
+ * @access  Private (Owner)
+ */
+router.post('/:id/invitations', validateMongoId, validateHouseholdInvitation, inviteMember);
+
+/**
+ * @route   DELETE /api/v1/households/:id/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private (Owner)
+ */
+router.delete('/:id/invitations/:invitationId', validateMongoId, revokeInvitation);
+
+/**
+ * @route   PATCH /api/v1/households/:id/members/:userId
+ * @desc    Change a member's role
+ * @access  Private (Owner)
+ */
+router.patch('/:id/members/:userId', validateMongoId, validateHouseholdMemberRole, updateMemberRole);
+
+/**
+ * @route   DELETE /api/v1/households/:id/members/:userId
+ * @desc    Remove a member, or leave when userId is yourself
+ * @access  Private (Owner or self)
+ */
+router.delete('/:id/members/:userId', validateMongoId, removeMember);
+
+module.exports = router;
@@ -19,6 +19,22 @@ const notificationRoutes = require('./notificationRoutes');
 const expiryRoutes = require('./expiryRoutes');
 const searchRoutes = require('./searchRoutes');
 const inventoryRoutes = require('./inventoryRoutes');
+const analyticsRoutes = require('./analyticsRoutes');
+const householdRoutes = require('./householdRoutes');
+const shoppingListRoutes = require('./shoppingListRoutes');
+const priceRoutes = require('./priceRoutes');
+const productRoutes = require('./productRoutes');
+const shelfLifeRoutes = require('./shelfLifeRoutes');
+const recipeRoutes = require('./recipeRoutes');
+const mealPlanRoutes = require('./mealPlanRoutes');
+const budgetRoutes = require('./budgetRoutes');
+const exchangeRateRoutes = require('./exchangeRateRoutes');
+const receiptRoutes = require('./receiptRoutes');
+const supplierRoutes = require('./supplierRoutes');
+const purchaseOrderRoutes = require('./purchaseOrderRoutes');
+const saleRoutes = require('./saleRoutes');
+const markdownRoutes = require('./markdownRoutes');
+const stocktakeRoutes = require('./stocktakeRoutes');
 
 // ============================================
 // API HEALTH CHECK
@@ -50,7 +66,23 @@ router. get('/info', (req, res) => {
         notifications: '/api/v1/notifications',
         expiry: '/api/v1/expiry',
         search: '/api/v1/search',
-        inventory: '/api/v1/inventory'
+        inventory: '/api/v1/inventory',
+        analytics: '/api/v1/analytics',
+        households: '/api/v1/households',
+        shoppingLists: '/api/v1/shopping-lists',
+        prices: '/api/v1/prices',
+        products: '/api/v1/products',
+        shelfLifeRules: '/api/v1/shelf-life-rules',
+        recipes: '/api/v1/recipes',
+        mealPlans: '/api/v1/meal-plans',
+        budgets: '/api/v1/budgets',
+        exchangeRates: '/api/v1/exchange-rates',
+        receipts: '/api/v1/receipts',
+        suppliers: '/api/v1/suppliers',
+        purchaseOrders: '/api/v1/purchase-orders',
+        sales: '/api/v1/sales',
+        markdowns: '/api/v1/markdowns',
+        stocktakes: '/api/v1/stocktakes'
       }
     }
   });
@@ -67,6 +99,22 @@ router.use('/notifications', notificationRoutes);
 router.use('/expiry', expiryRoutes);
 router.use('/search', searchRoutes);
 router.use('/inventory', inventoryRoutes);
+router.use('/analytics', analyticsRoutes);
+router.use('/households', householdRoutes);
+router.use('/shopping-lists', shoppingListRoutes);
+router.use('/prices', priceRoutes);
+router.use('/products', productRoutes);
+router.use('/shelf-life-rules', shelfLifeRoutes);
+router.use('/recipes', recipeRoutes);
+router.use('/meal-plans', mealPlanRoutes);
+router.use('/budgets', budgetRoutes);
+router.use('/exchange-rates', exchangeRateRoutes);
+router.use('/receipts', receiptRoutes);
+router.use('/suppliers', supplierRoutes);
+router.use('/purchase-orders', purchaseOrderRoutes);
+router.use('/sales', saleRoutes);
+router.use('/markdowns', markdownRoutes);
+router.use('/stocktakes', stocktakeRoutes);
 
 // ============================================
 // 404 HANDLER FOR API ROUTES
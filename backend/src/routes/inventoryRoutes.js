@@ -7,11 +7,15 @@
  * Routes:
  * - GET / - Get all inventory items
  * - POST / - Create inventory item
- * - GET /low-stock - Get low stock items
+ * - GET /low-stock - Get low stock items with reorder suggestions
  * - GET /:id - Get inventory item
  * - PUT /:id - Update inventory item
  * - DELETE /:id - Delete inventory item
  * - PATCH /:id/restock - Restock item
+ * - GET /stock-check - Compare stock with the movement ledger
+ * - GET /:id/movements - Get stock movements of an item
+ * - POST /:id/movements - Record adjustment, return, transfer or write-off
+ * - POST /:id/rebuild-stock - Reset stock to the ledger total
  * ============================================
  */
 
@@ -26,13 +30,22 @@ const {
   updateInventoryItem,
   deleteInventoryItem,
   restockItem,
-  getLowStockItems
+  getLowStockItems,
+  getStockMovements,
+  recordStockMovement,
+  getStockCheck,
+  rebuildStock
 } = require('../controllers/inventoryController');
 
 // Middleware
 const { protect, authorize } = require('../middleware/authMiddleware');
 const { apiLimiter } = require('../middleware/rateLimitMiddleware');
-const { validateMongoId, validatePagination } = require('../middleware/validationMiddleware');
+const {
+  validateMongoId,
+  validatePagination,
+  validateGetStockMovements,
+  validateStockMovement
+} = require('../middleware/validationMiddleware');
 
 // Apply protection - Only store owners and admins
 router.use(protect);
@@ -59,11 +72,18 @@ router.post('/', createInventoryItem);
 
 /**
  * @route   GET /api/v1/inventory/low-stock
- * @desc    Get low stock items
+ * @desc    Get low stock items and items due for reorder (with reorder suggestions)
  * @access  Private (Store Owner/Admin)
  */
 router.get('/low-stock', getLowStockItems);
 
+/**
+ * @route   GET /api/v1/inventory/stock-check
+ * @desc    Compare recorded stock with the stock recomputed from the movement ledger
+ * @access  Private (Store Owner/Admin)
+ */
+router.get('/stock-check', getStockCheck);
+
 /**
  * @route   GET /api/v1/inventory/:id
  * @desc    Get single inventory item
@@ -92,4 +112,26 @@ router.delete('/:id', validateMongoId, deleteInventoryItem);
  */
 router.patch('/:id/restock', validateMongoId, restockItem);
 
+/**
+ * @route   GET /api/v1/inventory/:id/movements
+ * @desc    Get stock movements of an item, newest first
+ * @access  Private (Store Owner/Admin)
+ * @query   type, page, limit
+ */
+router.get('/:id/movements', validateGetStockMovements, getStockMovements);
+
+/**
+ * @route   POST /api/v1/inventory/:id/movements
+ * @desc    Record an adjustment, return, transfer or write-off
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/:id/movements', validateStockMovement, recordStockMovement);
+
+/**
+ * @route   POST /api/v1/inventory/:id/rebuild-stock
+ * @desc    Reset stock to the movement ledger total
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/:id/rebuild-stock', validateMongoId, rebuildStock);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,117 @@
+/**
+ * ============================================
+ * Markdown Routes
+ * ============================================
+ * Handles markdowns of expiring stock (Store Owners)
+ *
+ * Routes:
+ * - GET /                      - Get markdown history
+ * - POST /run                  - Apply the markdown rules now
+ * - GET /report                - Recovered revenue vs write-offs
+ * - DELETE /items/:inventoryId - Remove an item's markdown
+ * - GET /rules                 - Get markdown rules
+ * - POST /rules                - Create markdown rule
+ * - PUT /rules/:id             - Update markdown rule
+ * - DELETE /rules/:id          - Delete markdown rule
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  getMarkdowns,
+  runMarkdowns,
+  removeMarkdown,
+  getReport
+} = require('../controllers/markdownController');
+
+// Middleware
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const {
+  validateCreateMarkdownRule,
+  validateUpdateMarkdownRule,
+  validateGetMarkdowns,
+  validateRemoveMarkdown,
+  validateAnalyticsQuery,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection - Only store owners and admins
+router.use(protect);
+router.use(authorize('store_owner', 'admin'));
+router.use(apiLimiter);
+
+// ============================================
+// MARKDOWN ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/markdowns
+ * @desc    Get markdown history, newest first
+ * @access  Private (Store Owner/Admin)
+ * @query   active, inventory, page, limit
+ */
+router.get('/', validateGetMarkdowns, getMarkdowns);
+
+/**
+ * @route   POST /api/v1/markdowns/run
+ * @desc    Apply the markdown rules now (also runs daily at 6:00 AM)
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/run', runMarkdowns);
+
+/**
+ * @route   GET /api/v1/markdowns/report
+ * @desc    Revenue recovered by markdowns vs stock written off
+ * @access  Private (Store Owner/Admin)
+ * @query   period (week/month/year) or startDate, endDate
+ */
+router.get('/report', validateAnalyticsQuery, getReport);
+
+/**
+ * @route   DELETE /api/v1/markdowns/items/:inventoryId
+ * @desc    Remove an item's markdown (stays off until its expiry date changes)
+ * @access  Private (Store Owner/Admin)
+ */
+router.delete('/items/:inventoryId', validateRemoveMarkdown, removeMarkdown);
+
+// ============================================
+// MARKDOWN RULE ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/markdowns/rules
+ * @desc    Get markdown rules
+ * @access  Private (Store Owner/Admin)
+ */
+router.get('/rules', getRules);
+
+/**
+ * @route   POST /api/v1/markdowns/rules
+ * @desc    Create markdown rule (e.g. 30% off at 3 days left)
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/rules', validateCreateMarkdownRule, createRule);
+
+/**
+ * @route   PUT /api/v1/markdowns/rules/:id
+ * @desc    Update markdown rule
+ * @access  Private (Store Owner/Admin)
+ */
+router.put('/rules/:id', validateUpdateMarkdownRule, updateRule);
+
+/**
+ * @route   DELETE /api/v1/markdowns/rules/:id
+ * @desc    Delete markdown rule
+ * @access  Private (Store Owner/Admin)
+ */
+router.delete('/rules/:id', validateMongoId, deleteRule);
+
+module.exports = router;
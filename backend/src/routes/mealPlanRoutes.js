@@ -0,0 +1,133 @@
+/**
+ * ============================================
+ * Meal Plan Routes
+ * ============================================
+ * Handles weekly meal plans and pantry
+ * reservations
+ *
+ * Routes:
+ * - GET /                        - Get meal plans
+ * - POST /                       - Create meal plan
+ * - GET /:id                     - Get single meal plan
+ * - PUT /:id                     - Update meal plan
+ * - DELETE /:id                  - Delete meal plan
+ * - POST /:id/meals              - Add meal
+ * - DELETE /:id/meals/:mealId    - Remove meal
+ * - POST /:id/reserve            - Reserve pantry stock
+ * - DELETE /:id/reserve          - Release reservations
+ * - GET /:id/shopping-needs      - What still needs to be bought
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getMealPlans,
+  getMealPlan,
+  createMealPlan,
+  updateMealPlan,
+  deleteMealPlan,
+  addMeal,
+  removeMeal,
+  reserveMealPlan,
+  releaseMealPlan,
+  getShoppingNeeds
+} = require('../controllers/mealPlanController');
+
+// Middleware
+const { protect, authorizeHousehold } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const {
+  validateCreateMealPlan,
+  validateUpdateMealPlan,
+  validateAddMeal,
+  validateMealReservation,
+  validateMealPlanMeal,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection and rate limiting
+router.use(protect);
+router.use(apiLimiter);
+
+// Household viewers have read-only access
+const canEdit = authorizeHousehold('owner', 'editor');
+
+// ============================================
+// MEAL PLAN ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/meal-plans
+ * @desc    Get meal plans
+ * @access  Private
+ * @query   from, to
+ */
+router.get('/', getMealPlans);
+
+/**
+ * @route   POST /api/v1/meal-plans
+ * @desc    Create meal plan for a week
+ * @access  Private
+ */
+router.post('/', canEdit, validateCreateMealPlan, createMealPlan);
+
+/**
+ * @route   GET /api/v1/meal-plans/:id
+ * @desc    Get single meal plan
+ * @access  Private
+ */
+router.get('/:id', validateMongoId, getMealPlan);
+
+/**
+ * @route   PUT /api/v1/meal-plans/:id
+ * @desc    Update meal plan
+ * @access  Private
+ */
+router.put('/:id', canEdit, validateUpdateMealPlan, updateMealPlan);
+
+/**
+ * @route   DELETE /api/v1/meal-plans/:id
+ * @desc    Delete meal plan and release its reservations
+ * @access  Private
+ */
+router.delete('/:id', canEdit, validateMongoId, deleteMealPlan);
+
+/**
+ * @route   POST /api/v1/meal-plans/:id/meals
+ * @desc    Add meal to a plan
+ * @access  Private
+ */
+router.post('/:id/meals', canEdit, validateAddMeal, addMeal);
+
+/**
+ * @route   DELETE /api/v1/meal-plans/:id/meals/:mealId
+ * @desc    Remove meal from a plan and release its reservations
+ * @access  Private
+ */
+router.delete('/:id/meals/:mealId', canEdit, validateMealPlanMeal, removeMeal);
+
+/**
+ * @route   POST /api/v1/meal-plans/:id/reserve
+ * @desc    Reserve pantry stock for planned meals
+ * @access  Private
+ */
+router.post('/:id/reserve', canEdit, validateMealReservation, reserveMealPlan);
+
+/**
+ * @route   DELETE /api/v1/meal-plans/:id/reserve
+ * @desc    Release reserved pantry stock
+ * @access  Private
+ */
+router.delete('/:id/reserve', canEdit, validateMealReservation, releaseMealPlan);
+
+/**
+ * @route   GET /api/v1/meal-plans/:id/shopping-needs
+ * @desc    Ingredients still to buy for the plan
+ * @access  Private
+ */
+router.get('/:id/shopping-needs', validateMongoId, getShoppingNeeds);
+
+module.exports = router;
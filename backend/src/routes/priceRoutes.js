@@ -0,0 +1,105 @@
+/**
+ * ============================================
+ * Price Routes
+ * ============================================
+ * Handles price history and price alerts
+ *
+ * Routes:
+ * - GET /history - Price history of a product
+ * - GET /trend - Price trend for charting
+ * - GET /compare - Compare prices across stores
+ * - GET /watches - Get price watches
+ * - POST /watches - Watch a product's price
+ * - PUT /watches/:id - Update price watch
+ * - DELETE /watches/:id - Delete price watch
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getPriceHistory,
+  getPriceTrend,
+  compareStorePrices,
+  getPriceWatches,
+  createPriceWatch,
+  updatePriceWatch,
+  deletePriceWatch
+} = require('../controllers/priceController');
+
+// Middleware
+const { protect } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const {
+  validatePriceQuery,
+  validatePriceWatch,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection and rate limiting
+router.use(protect);
+router.use(apiLimiter);
+
+// ============================================
+// PRICE HISTORY ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/prices/history
+ * @desc    Get price observations of a product
+ * @access  Private
+ * @query   grocery | barcode | name, days (default: 365), store
+ */
+router.get('/history', validatePriceQuery, getPriceHistory);
+
+/**
+ * @route   GET /api/v1/prices/trend
+ * @desc    Get price trend of a product
+ * @access  Private
+ * @query   grocery | barcode | name, days (default: 180), interval (day/week/month)
+ */
+router.get('/trend', validatePriceQuery, getPriceTrend);
+
+/**
+ * @route   GET /api/v1/prices/compare
+ * @desc    Compare a product's prices across stores
+ * @access  Private
+ * @query   grocery | barcode | name, days (default: 90)
+ */
+router.get('/compare', validatePriceQuery, compareStorePrices);
+
+// ============================================
+// PRICE WATCH ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/prices/watches
+ * @desc    Get price watches
+ * @access  Private
+ */
+router.get('/watches', getPriceWatches);
+
+/**
+ * @route   POST /api/v1/prices/watches
+ * @desc    Watch a product (target price / sharp rise alerts)
+ * @access  Private
+ */
+router.post('/watches', validatePriceWatch, createPriceWatch);
+
+/**
+ * @route   PUT /api/v1/prices/watches/:id
+ * @desc    Update price watch
+ * @access  Private
+ */
+router.put('/watches/:id', validateMongoId, validatePriceWatch, updatePriceWatch);
+
+/**
+ * @route   DELETE /api/v1/prices/watches/:id
+ * @desc    Delete price watch
+ * @access  Private
+ */
+router.delete('/watches/:id', validateMongoId, deletePriceWatch);
+
+module.exports = router;
@@ -0,0 +1,100 @@
+/**
+ * ============================================
+ * Product Routes
+ * ============================================
+ * Handles the shared product catalog
+ *
+ * Routes:
+ * - GET / - Search catalog
+ * - GET /barcode/:code - Look up by barcode
+ * - POST / - Add product
+ * - POST /import - Bulk import (admin)
+ * - GET /:id - Get product
+ * - PUT /:id - Update product
+ * - DELETE /:id - Delete product
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getProducts,
+  getProductByBarcode,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  importProducts
+} = require('../controllers/productController');
+
+// Middleware
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { uploadDataFile, handleUploadError } = require('../middleware/uploadMiddleware');
+const {
+  validateCreateProduct,
+  validateUpdateProduct,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection and rate limiting
+router.use(protect);
+router.use(apiLimiter);
+
+// ============================================
+// CATALOG ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/products
+ * @desc    Search the product catalog
+ * @access  Private
+ * @query   q, category, limit, page
+ */
+router.get('/', getProducts);
+
+/**
+ * @route   GET /api/v1/products/barcode/:code
+ * @desc    Look up a product by barcode
+ * @access  Private
+ */
+router.get('/barcode/:code', getProductByBarcode);
+
+/**
+ * @route   POST /api/v1/products
+ * @desc    Add a product to the catalog
+ * @access  Private
+ */
+router.post('/', validateCreateProduct, createProduct);
+
+/**
+ * @route   POST /api/v1/products/import
+ * @desc    Bulk import products from a CSV/TSV/JSON dump
+ * @access  Private (admin)
+ */
+router.post('/import', authorize('admin'), uploadDataFile, handleUploadError, importProducts);
+
+/**
+ * @route   GET /api/v1/products/:id
+ * @desc    Get a product
+ * @access  Private
+ */
+router.get('/:id', validateMongoId, getProduct);
+
+/**
+ * @route   PUT /api/v1/products/:id
+ * @desc    Update a product
+ * @access  Private (admin or creator)
+ */
+router.put('/:id', validateUpdateProduct, updateProduct);
+
+/**
+ * @route   DELETE /api/v1/products/:id
+ * @desc    Delete a product
+ * @access  Private (admin or creator)
+ */
+router.delete('/:id', validateMongoId, deleteProduct);
+
+module.exports = router;
@@ -0,0 +1,112 @@
+/**
+ * ============================================
+ * Purchase Order Routes
+ * ============================================
+ * Handles purchase orders (Store Owners)
+ *
+ * Routes:
+ * - GET /             - Get purchase orders
+ * - POST /            - Create draft purchase order
+ * - GET /:id          - Get purchase order
+ * - PUT /:id          - Edit draft purchase order
+ * - DELETE /:id       - Delete draft purchase order
+ * - POST /:id/send    - Email purchase order to the supplier
+ * - POST /:id/receive - Receive a delivery into inventory
+ * - POST /:id/cancel  - Cancel purchase order
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  cancelPurchaseOrder,
+  deletePurchaseOrder
+} = require('../controllers/purchaseOrderController');
+
+// Middleware
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const {
+  validateGetPurchaseOrders,
+  validateCreatePurchaseOrder,
+  validateUpdatePurchaseOrder,
+  validateSendPurchaseOrder,
+  validateReceivePurchaseOrder,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection - Only store owners and admins
+router.use(protect);
+router.use(authorize('store_owner', 'admin'));
+router.use(apiLimiter);
+
+// ============================================
+// PURCHASE ORDER ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/purchase-orders
+ * @desc    Get purchase orders, newest first
+ * @access  Private (Store Owner/Admin)
+ * @query   status, supplier, page, limit
+ */
+router.get('/', validateGetPurchaseOrders, getPurchaseOrders);
+
+/**
+ * @route   POST /api/v1/purchase-orders
+ * @desc    Create draft purchase order
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/', validateCreatePurchaseOrder, createPurchaseOrder);
+
+/**
+ * @route   GET /api/v1/purchase-orders/:id
+ * @desc    Get purchase order
+ * @access  Private (Store Owner/Admin)
+ */
+router.get('/:id', validateMongoId, getPurchaseOrder);
+
+/**
+ * @route   PUT /api/v1/purchase-orders/:id
+ * @desc    Edit draft purchase order
+ * @access  Private (Store Owner/Admin)
+ */
+router.put('/:id', validateUpdatePurchaseOrder, updatePurchaseOrder);
+
+/**
+ * @route   DELETE /api/v1/purchase-orders/:id
+ * @desc    Delete draft purchase order
+ * @access  Private (Store Owner/Admin)
+ */
+router.delete('/:id', validateMongoId, deletePurchaseOrder);
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/send
+ * @desc    Email purchase order to the supplier (email: false only marks it sent)
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/:id/send', validateSendPurchaseOrder, sendPurchaseOrder);
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/receive
+ * @desc    Receive a delivery (all outstanding items by default) and restock inventory
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/:id/receive', validateReceivePurchaseOrder, receivePurchaseOrder);
+
+/**
+ * @route   POST /api/v1/purchase-orders/:id/cancel
+ * @desc    Cancel purchase order
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/:id/cancel', validateMongoId, cancelPurchaseOrder);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+/**
+ * ============================================
+ * Receipt Routes
+ * ============================================
+ * Handles receipt uploads and confirmation
+ *
+ * Routes:
+ * - GET /              - Get receipts
+ * - POST /             - Upload a receipt (draft)
+ * - GET /:id           - Get receipt
+ * - POST /:id/confirm  - Add the draft items as groceries
+ * - DELETE /:id        - Delete receipt
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getReceipts,
+  getReceipt,
+  createReceipt,
+  confirmReceipt,
+  deleteReceipt
+} = require('../controllers/receiptController');
+
+// Middleware
+const { protect, authorizeHousehold } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { uploadReceipt, handleUploadError } = require('../middleware/uploadMiddleware');
+const {
+  validateGetReceipts,
+  validateConfirmReceipt,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection and rate limiting
+router.use(protect);
+router.use(apiLimiter);
+
+// Household viewers have read-only access
+const canEdit = authorizeHousehold('owner', 'editor');
+
+// ============================================
+// RECEIPT ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/receipts
+ * @desc    Get receipts, newest first
+ * @access  Private
+ * @query   status, page, limit
+ */
+router.get('/', validateGetReceipts, getReceipts);
+
+/**
+ * @route   POST /api/v1/receipts
+ * @desc    Upload a receipt image, PDF or text file (or post its text) and get a draft
+ * @access  Private
+ */
+router.post('/', canEdit, uploadReceipt, handleUploadError, createReceipt);
+
+/**
+ * @route   GET /api/v1/receipts/:id
+ * @desc    Get a receipt
+ * @access  Private
+ */
+router.get('/:id', validateMongoId, getReceipt);
+
+/**
+ * @route   POST /api/v1/receipts/:id/confirm
+ * @desc    Confirm a draft and add its items as groceries
+ * @access  Private
+ */
+router.post('/:id/confirm', canEdit, validateConfirmReceipt, confirmReceipt);
+
+/**
+ * @route   DELETE /api/v1/receipts/:id
+ * @desc    Delete a receipt
+ * @access  Private
+ */
+router.delete('/:id', canEdit, validateMongoId, deleteReceipt);
+
+module.exports = router;
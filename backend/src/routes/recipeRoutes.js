@@ -0,0 +1,124 @@
+/**
+ * ============================================
+ * Recipe Routes
+ * ============================================
+ * Handles the recipe book and suggestions
+ *
+ * Routes:
+ * - GET /              - Get recipes
+ * - GET /suggestions   - Suggest recipes from stock
+ * - POST /             - Create recipe
+ * - POST /import       - Import recipes (JSON / JSON-LD)
+ * - POST /cook         - Cook with an ingredient list
+ * - GET /:id           - Get single recipe
+ * - PUT /:id           - Update recipe
+ * - DELETE /:id        - Delete recipe
+ * - POST /:id/cook     - Cook a saved recipe
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getRecipes,
+  getRecipeSuggestions,
+  getRecipe,
+  createRecipe,
+  updateRecipe,
+  deleteRecipe,
+  importRecipes,
+  cookIngredients,
+  cookRecipe
+} = require('../controllers/recipeController');
+
+// Middleware
+const { protect, authorizeHousehold } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const { uploadDataFile, handleUploadError } = require('../middleware/uploadMiddleware');
+const {
+  validateCreateRecipe,
+  validateUpdateRecipe,
+  validateCookIngredients,
+  validateCookRecipe,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection and rate limiting
+router.use(protect);
+router.use(apiLimiter);
+
+// Household viewers have read-only access
+const canEdit = authorizeHousehold('owner', 'editor');
+
+// ============================================
+// RECIPE ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/recipes
+ * @desc    Get recipes
+ * @access  Private
+ * @query   q, tag, limit, page
+ */
+router.get('/', getRecipes);
+
+/**
+ * @route   GET /api/v1/recipes/suggestions
+ * @desc    Suggest recipes by ingredients in stock, favouring expiring items
+ * @access  Private
+ * @query   days, limit, tags, servings
+ */
+router.get('/suggestions', getRecipeSuggestions);
+
+/**
+ * @route   POST /api/v1/recipes
+ * @desc    Create recipe
+ * @access  Private
+ */
+router.post('/', canEdit, validateCreateRecipe, createRecipe);
+
+/**
+ * @route   POST /api/v1/recipes/import
+ * @desc    Import recipes from a JSON / JSON-LD file or body
+ * @access  Private
+ */
+router.post('/import', canEdit, uploadDataFile, handleUploadError, importRecipes);
+
+/**
+ * @route   POST /api/v1/recipes/cook
+ * @desc    Consume an ingredient list from the pantry (dryRun to preview)
+ * @access  Private
+ */
+router.post('/cook', canEdit, validateCookIngredients, cookIngredients);
+
+/**
+ * @route   GET /api/v1/recipes/:id
+ * @desc    Get single recipe
+ * @access  Private
+ */
+router.get('/:id', validateMongoId, getRecipe);
+
+/**
+ * @route   PUT /api/v1/recipes/:id
+ * @desc    Update recipe
+ * @access  Private
+ */
+router.put('/:id', canEdit, validateUpdateRecipe, updateRecipe);
+
+/**
+ * @route   DELETE /api/v1/recipes/:id
+ * @desc    Delete recipe
+ * @access  Private
+ */
+router.delete('/:id', canEdit, validateMongoId, deleteRecipe);
+
+/**
+ * @route   POST /api/v1/recipes/:id/cook
+ * @desc    Consume a recipe's ingredients from the pantry (dryRun to preview)
+ * @access  Private
+ */
+router.post('/:id/cook', canEdit, validateCookRecipe, cookRecipe);
+
+module.exports = router;
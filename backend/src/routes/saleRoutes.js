@@ -0,0 +1,85 @@
+/**
+ * ============================================
+ * Sale Routes
+ * ============================================
+ * Handles point-of-sale sales (Store Owners)
+ *
+ * Routes:
+ * - GET /               - Get sales
+ * - POST /              - Record a sale
+ * - GET /reports/daily  - Daily revenue and profit
+ * - GET /:id            - Get sale
+ * - POST /:id/refund    - Refund a sale in full or in part
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getSales,
+  getSale,
+  createSale,
+  refundSale,
+  getDailyReport
+} = require('../controllers/saleController');
+
+// Middleware
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const {
+  validateGetSales,
+  validateCreateSale,
+  validateRefundSale,
+  validateAnalyticsQuery,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection - Only store owners and admins
+router.use(protect);
+router.use(authorize('store_owner', 'admin'));
+router.use(apiLimiter);
+
+// ============================================
+// SALE ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/sales
+ * @desc    Get sales, newest first
+ * @access  Private (Store Owner/Admin)
+ * @query   status, startDate, endDate, page, limit
+ */
+router.get('/', validateGetSales, getSales);
+
+/**
+ * @route   POST /api/v1/sales
+ * @desc    Record a sale (reduces stock; oversells are rejected)
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/', validateCreateSale, createSale);
+
+/**
+ * @route   GET /api/v1/sales/reports/daily
+ * @desc    Daily revenue and profit, net of refunds
+ * @access  Private (Store Owner/Admin)
+ * @query   period (week/month/year) or startDate, endDate
+ */
+router.get('/reports/daily', validateAnalyticsQuery, getDailyReport);
+
+/**
+ * @route   GET /api/v1/sales/:id
+ * @desc    Get sale
+ * @access  Private (Store Owner/Admin)
+ */
+router.get('/:id', validateMongoId, getSale);
+
+/**
+ * @route   POST /api/v1/sales/:id/refund
+ * @desc    Refund a sale in full or in part
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/:id/refund', validateRefundSale, refundSale);
+
+module.exports = router;
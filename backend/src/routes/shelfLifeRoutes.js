@@ -0,0 +1,87 @@
+/**
+ * ============================================
+ * Shelf Life Routes
+ * ============================================
+ * Handles shelf-life rules used to predict
+ * missing expiry dates
+ *
+ * Routes:
+ * - GET /          - Get rules
+ * - GET /predict   - Preview predicted shelf life
+ * - POST /         - Create rule
+ * - PUT /:id       - Update rule
+ * - DELETE /:id    - Delete rule
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getShelfLifeRules,
+  predictShelfLife,
+  createShelfLifeRule,
+  updateShelfLifeRule,
+  deleteShelfLifeRule
+} = require('../controllers/shelfLifeController');
+
+// Middleware
+const { protect, authorizeHousehold } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const {
+  validateCreateShelfLifeRule,
+  validateUpdateShelfLifeRule,
+  validateShelfLifePrediction,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection and rate limiting
+router.use(protect);
+router.use(apiLimiter);
+
+// Household viewers have read-only access
+const canEdit = authorizeHousehold('owner', 'editor');
+
+// ============================================
+// SHELF LIFE ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/shelf-life-rules
+ * @desc    Get shelf-life rules
+ * @access  Private
+ * @query   category, location, opened
+ */
+router.get('/', getShelfLifeRules);
+
+/**
+ * @route   GET /api/v1/shelf-life-rules/predict
+ * @desc    Preview the predicted shelf life of a product
+ * @access  Private
+ * @query   category, barcode, name, location, opened, purchaseDate
+ */
+router.get('/predict', validateShelfLifePrediction, predictShelfLife);
+
+/**
+ * @route   POST /api/v1/shelf-life-rules
+ * @desc    Create shelf-life rule
+ * @access  Private
+ */
+router.post('/', canEdit, validateCreateShelfLifeRule, createShelfLifeRule);
+
+/**
+ * @route   PUT /api/v1/shelf-life-rules/:id
+ * @desc    Update shelf-life rule
+ * @access  Private
+ */
+router.put('/:id', canEdit, validateUpdateShelfLifeRule, updateShelfLifeRule);
+
+/**
+ * @route   DELETE /api/v1/shelf-life-rules/:id
+ * @desc    Delete shelf-life rule
+ * @access  Private
+ */
+router.delete('/:id', canEdit, validateMongoId, deleteShelfLifeRule);
+
+module.exports = router;
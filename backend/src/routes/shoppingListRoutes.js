@@ -0,0 +1,151 @@
+/**
+ * ============================================
+ * Shopping List Routes
+ * ============================================
+ * Handles shopping lists for the active pantry
+ *
+ * Routes:
+ * - GET /                              - Get shopping lists
+ * - POST /                             - Create shopping list
+ * - GET /suggestions                   - Preview suggested items
+ * - GET /:id                           - Get shopping list
+ * - GET /:id/stores                    - Get list grouped by store
+ * - PUT /:id                           - Update shopping list
+ * - DELETE /:id                        - Delete shopping list
+ * - POST /:id/items                    - Add item
+ * - POST /:id/suggestions              - Add suggested items
+ * - PUT /:id/items/:itemId             - Update item
+ * - DELETE /:id/items/:itemId          - Remove item
+ * - POST /:id/items/:itemId/check      - Check off item into pantry
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getShoppingLists,
+  getSuggestions,
+  getShoppingList,
+  getShoppingListByStore,
+  createShoppingList,
+  updateShoppingList,
+  deleteShoppingList,
+  addItem,
+  addSuggestions,
+  updateItem,
+  removeItem,
+  checkOffItem
+} = require('../controllers/shoppingListController');
+
+// Middleware
+const { protect, authorizeHousehold } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const {
+  validateCreateShoppingList,
+  validateUpdateShoppingList,
+  validateShoppingListItem,
+  validateUpdateShoppingListItem,
+  validateCheckOffItem,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection and rate limiting
+router.use(protect);
+router.use(apiLimiter);
+
+// Household viewers have read-only access
+const canEdit = authorizeHousehold('owner', 'editor');
+
+// ============================================
+// SHOPPING LIST ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/shopping-lists
+ * @desc    Get shopping lists
+ * @access  Private
+ * @query   status (active/completed/archived)
+ */
+router.get('/', getShoppingLists);
+
+/**
+ * @route   POST /api/v1/shopping-lists
+ * @desc    Create shopping list (optionally pre-filled with suggestions)
+ * @access  Private
+ */
+router.post('/', canEdit, validateCreateShoppingList, createShoppingList);
+
+/**
+ * @route   GET /api/v1/shopping-lists/suggestions
+ * @desc    Preview items suggested from low-stock, expired and consumed groceries
+ * @access  Private
+ * @query   sources (low_stock,expired,consumed), days (default: 14)
+ */
+router.get('/suggestions', getSuggestions);
+
+/**
+ * @route   GET /api/v1/shopping-lists/:id
+ * @desc    Get shopping list
+ * @access  Private
+ */
+router.get('/:id', validateMongoId, getShoppingList);
+
+/**
+ * @route   GET /api/v1/shopping-lists/:id/stores
+ * @desc    Get shopping list grouped by store
+ * @access  Private
+ */
+router.get('/:id/stores', validateMongoId, getShoppingListByStore);
+
+/**
+ * @route   PUT /api/v1/shopping-lists/:id
+ * @desc    Update shopping list
+ * @access  Private
+ */
+router.put('/:id', canEdit, validateMongoId, validateUpdateShoppingList, updateShoppingList);
+
+/**
+ * @route   DELETE /api/v1/shopping-lists/:id
+ * @desc    Delete shopping list
+ * @access  Private
+ */
+router.delete('/:id', canEdit, validateMongoId, deleteShoppingList);
+
+/**
+ * @route   POST /api/v1/shopping-lists/:id/items
+ * @desc    Add item to shopping list
+ * @access  Private
+ */
+router.post('/:id/items', canEdit, validateMongoId, validateShoppingListItem, addItem);
+
+/**
+ * @route   POST /api/v1/shopping-lists/:id/suggestions
+ * @desc    Add suggested items to shopping list
+ * @access  Private
+ */
+router.post('/:id/suggestions', canEdit, validateMongoId, addSuggestions);
+
+/**
+ * @route   PUT /api/v1/shopping-lists/:id/items/:itemId
+ * @desc    Update shopping list item
+ * @access  Private
+ */
+router.put('/:id/items/:itemId', canEdit, validateMongoId, validateUpdateShoppingListItem, updateItem);
+
+/**
+ * @route   DELETE /api/v1/shopping-lists/:id/items/:itemId
+ * @desc    Remove shopping list item
+ * @access  Private
+ */
+router.delete('/:id/items/:itemId', canEdit, validateMongoId, removeItem);
+
+/**
+ * @route   POST /api/v1/shopping-lists/:id/items/:itemId/check
+ * @desc    Check off item and add it to the pantry as a new grocery
+ * @access  Private
+ */
+router.post('/:id/items/:itemId/check', canEdit, validateMongoId, validateCheckOffItem, checkOffItem);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+/**
+ * ============================================
+ * Stocktake Routes
+ * ============================================
+ * Handles physical stock counts (Store Owners)
+ *
+ * Routes:
+ * - GET /                - Get stocktakes
+ * - POST /               - Open stocktake
+ * - GET /:id             - Get stocktake with its items
+ * - POST /:id/counts     - Enter counted quantities
+ * - POST /:id/scan       - Count a barcode scan
+ * - GET /:id/variances   - Variances and their cost
+ * - POST /:id/approve    - Post variances as adjustments
+ * - POST /:id/cancel     - Cancel stocktake
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getStocktakes,
+  getStocktake,
+  openStocktake,
+  recordCounts,
+  scanBarcode,
+  getVariances,
+  approveStocktake,
+  cancelStocktake
+} = require('../controllers/stocktakeController');
+
+// Middleware
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const {
+  validateGetStocktakes,
+  validateOpenStocktake,
+  validateStocktakeCounts,
+  validateStocktakeScan,
+  validateStocktakeVariances,
+  validateApproveStocktake,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection - Only store owners and admins
+router.use(protect);
+router.use(authorize('store_owner', 'admin'));
+router.use(apiLimiter);
+
+// ============================================
+// STOCKTAKE ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/stocktakes
+ * @desc    Get stocktakes, newest first
+ * @access  Private (Store Owner/Admin)
+ * @query   status, page, limit
+ */
+router.get('/', validateGetStocktakes, getStocktakes);
+
+/**
+ * @route   POST /api/v1/stocktakes
+ * @desc    Open a stocktake for the whole store or a category (one open at a time)
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/', validateOpenStocktake, openStocktake);
+
+/**
+ * @route   GET /api/v1/stocktakes/:id
+ * @desc    Get stocktake with its items
+ * @access  Private (Store Owner/Admin)
+ */
+router.get('/:id', validateMongoId, getStocktake);
+
+/**
+ * @route   POST /api/v1/stocktakes/:id/counts
+ * @desc    Enter counted quantities by item, barcode or SKU
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/:id/counts', validateStocktakeCounts, recordCounts);
+
+/**
+ * @route   POST /api/v1/stocktakes/:id/scan
+ * @desc    Count a barcode scan (adds to the item's count)
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/:id/scan', validateStocktakeScan, scanBarcode);
+
+/**
+ * @route   GET /api/v1/stocktakes/:id/variances
+ * @desc    Variances against recorded stock with their cost impact
+ * @access  Private (Store Owner/Admin)
+ * @query   zeroUncounted
+ */
+router.get('/:id/variances', validateStocktakeVariances, getVariances);
+
+/**
+ * @route   POST /api/v1/stocktakes/:id/approve
+ * @desc    Approve: post the variances as stock adjustments
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/:id/approve', validateApproveStocktake, approveStocktake);
+
+/**
+ * @route   POST /api/v1/stocktakes/:id/cancel
+ * @desc    Cancel an open stocktake
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/:id/cancel', validateMongoId, cancelStocktake);
+
+module.exports = router;
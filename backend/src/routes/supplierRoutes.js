@@ -0,0 +1,82 @@
+/**
+ * ============================================
+ * Supplier Routes
+ * ============================================
+ * Handles suppliers (Store Owners)
+ *
+ * Routes:
+ * - GET /       - Get suppliers
+ * - POST /      - Create supplier
+ * - GET /:id    - Get supplier with its inventory items
+ * - PUT /:id    - Update supplier
+ * - DELETE /:id - Delete supplier
+ * ============================================
+ */
+
+const express = require('express');
+const router = express.Router();
+
+// Controllers
+const {
+  getSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier
+} = require('../controllers/supplierController');
+
+// Middleware
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { apiLimiter } = require('../middleware/rateLimitMiddleware');
+const {
+  validateCreateSupplier,
+  validateUpdateSupplier,
+  validateMongoId
+} = require('../middleware/validationMiddleware');
+
+// Apply protection - Only store owners and admins
+router.use(protect);
+router.use(authorize('store_owner', 'admin'));
+router.use(apiLimiter);
+
+// ============================================
+// SUPPLIER ROUTES
+// ============================================
+
+/**
+ * @route   GET /api/v1/suppliers
+ * @desc    Get suppliers
+ * @access  Private (Store Owner/Admin)
+ * @query   active, search
+ */
+router.get('/', getSuppliers);
+
+/**
+ * @route   POST /api/v1/suppliers
+ * @desc    Create supplier
+ * @access  Private (Store Owner/Admin)
+ */
+router.post('/', validateCreateSupplier, createSupplier);
+
+/**
+ * @route   GET /api/v1/suppliers/:id
+ * @desc    Get supplier with its inventory items
+ * @access  Private (Store Owner/Admin)
+ */
+router.get('/:id', validateMongoId, getSupplier);
+
+/**
+ * @route   PUT /api/v1/suppliers/:id
+ * @desc    Update supplier
+ * @access  Private (Store Owner/Admin)
+ */
+router.put('/:id', validateUpdateSupplier, updateSupplier);
+
+/**
+ * @route   DELETE /api/v1/suppliers/:id
+ * @desc    Delete supplier
+ * @access  Private (Store Owner/Admin)
+ */
+router.delete('/:id', validateMongoId, deleteSupplier);
+
+module.exports = router;
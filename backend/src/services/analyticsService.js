@@ -5,9 +5,12 @@
  * Handles analytics, reporting, and statistics
  * 
  * Features:
- * - Expense tracking and analysis
- * - Consumption patterns
- * - Waste analysis
+ * - Expense tracking and analysis (in the
+ *   user's base currency)
+ * - Consumption patterns and daily usage
+ *   rates (from the consumption ledger)
+ * - Waste analysis (by reason, category,
+ *   location and month)
  * - Category-wise spending
  * - Monthly/yearly reports
  * - Trend analysis
@@ -15,15 +18,54 @@
  */
 
 const Grocery = require('../models/Grocery');
+const WasteEvent = require('../models/WasteEvent');
+const ConsumptionEvent = require('../models/ConsumptionEvent');
 const User = require('../models/User');
-const mongoose = require('mongoose');
+const { REPORT_TYPES, WASTE_REASONS } = require('../utils/constants');
+const { sumQuantities } = require('../utils/unitConverter');
+const exchangeRateService = require('./exchangeRateService');
+const { ownerFilter } = require('../utils/householdScope');
+
+// Purchase day of a grocery, for converting at that day's exchange rate
+const purchaseDay = {
+  $dateToString: { format: '%Y-%m-%d', date: { $ifNull: ['$purchaseDate', '$createdAt'] } }
+};
+
+const round = (value) => parseFloat(value.toFixed(2));
+
+// Advice for the most common reasons food is thrown out
+const WASTE_REASON_TIPS = {
+  [WASTE_REASONS.EXPIRED]: 'Check expiry alerts and use first-expiring items first',
+  [WASTE_REASONS.SPOILED]: 'Review storage locations; move perishables to the fridge or freezer',
+  [WASTE_REASONS.LEFTOVER]: 'Cook smaller portions or plan meals around leftovers',
+  [WASTE_REASONS.DISLIKED]: 'Buy smaller packs when trying new products'
+};
 
 class AnalyticsService {
   /**
-   * Get user dashboard statistics
+   * Exchange rates for converting aggregated rows into the user's base currency
+   * Rows are grouped by _id.currency and _id.day (purchase day); the returned
+   * table's convertRow(row, amount) converts at that day's rate (0 when unknown)
    */
-  async getDashboardStats(userId) {
+  async getRateTable(userId, rows) {
+    const currency = await exchangeRateService.getBaseCurrency(userId);
+    const rates = await exchangeRateService.getRateTableFor(
+      currency,
+      rows.map(row => ({ currency: row._id.currency, date: row._id.day }))
+    );
+
+    rates.convertRow = (row, amount) => rates.convert(amount, row._id.currency, row._id.day) || 0;
+    return rates;
+  }
+
+  /**
+   * Get dashboard statistics of the active pantry
+   * Values are in the user's base currency, converted at purchase-date rates
+   * @param {object} user - req.user (personal pantry or active household)
+   */
+  async getDashboardStats(user) {
     try {
+      const scope = ownerFilter(user);
       const today = new Date();
       today.setHours(0, 0, 0, 0);
 
@@ -33,25 +75,25 @@ class AnalyticsService {
         expiredItems,
         expiringInWeek,
         lowStockItems,
-        totalValue,
-        categoryCounts
+        valueRows,
+        categoryRows
       ] = await Promise.all([
         // Total items count
-        Grocery.countDocuments({ user: userId }),
+        Grocery.countDocuments(scope),
 
         // Active items
-        Grocery.countDocuments({ user: userId, status: 'active' }),
+        Grocery.countDocuments({ ...scope, status: 'active' }),
 
         // Expired items
         Grocery.countDocuments({
-          user: userId,
+          ...scope,
           expiryDate: { $lt: today },
           status: { $in: ['active', 'expired'] }
         }),
 
         // Expiring within 7 days
         Grocery. countDocuments({
-          user:  userId,
+          ...scope,
           expiryDate: {
             $gte: today,
             $lte: new Date(today. getTime() + 7 * 24 * 60 * 60 * 1000)
@@ -61,28 +103,28 @@ class AnalyticsService {
 
         // Low stock items
         Grocery.countDocuments({
-          user: userId,
+          ...scope,
           isLowStock: true,
           status: 'active'
         }),
 
-        // Total inventory value
+        // Total inventory value (per currency and purchase day)
         Grocery.aggregate([
-          { $match: { user: mongoose.Types.ObjectId(userId), status: 'active' } },
+          { $match: { ...scope, status: 'active' } },
           {
             $group:  {
-              _id: null,
+              _id: { currency: '$currency', day: purchaseDay },
               total: { $sum: { $multiply: ['$quantity', '$price'] } }
             }
           }
         ]),
 
-        // Category distribution
+        // Category distribution (per currency and purchase day)
         Grocery.aggregate([
-          { $match: { user:  mongoose.Types.ObjectId(userId), status: 'active' } },
+          { $match: { ...scope, status: 'active' } },
           {
             $group: {
-              _id: '$category',
+              _id: { category: '$category', currency: '$currency', day: purchaseDay },
               count: { $sum: 1 },
               value: { $sum: { $multiply: ['$quantity', '$price'] } }
             }
@@ -90,7 +132,7 @@ class AnalyticsService {
           {
             $lookup: {
               from: 'categories',
-              localField: '_id',
+              localField: '_id.category',
               foreignField: '_id',
               as: 'categoryInfo'
             }
@@ -106,21 +148,38 @@ class AnalyticsService {
         ])
       ]);
 
+      const rates = await this.getRateTable(user.id, [...valueRows, ...categoryRows]);
+
+      const totalValue = valueRows.reduce((sum, row) => sum + rates.convertRow(row, row.total), 0);
+
+      const categories = new Map();
+      categoryRows.forEach(row => {
+        const key = row._id.category.toString();
+        const entry = categories.get(key) || { _id: row._id.category, category: row.category, count: 0, value: 0 };
+
+        entry.count += row.count;
+        entry.value += rates.convertRow(row, row.value);
+        categories.set(key, entry);
+      });
+
       return {
+        currency: rates.currency,
         overview: {
           totalItems,
           activeItems,
           expiredItems,
           expiringInWeek,
           lowStockItems,
-          totalValue:  totalValue[0]?.total || 0
+          totalValue: round(totalValue)
         },
-        categoryDistribution: categoryCounts,
+        categoryDistribution: Array.from(categories.values())
+          .map(entry => ({ ...entry, value: round(entry.value) })),
         alerts: {
           critical: expiredItems,
           warning: expiringInWeek,
           info: lowStockItems
-        }
+        },
+        missingRates: rates.getMissing()
       };
     } catch (error) {
       console.error('❌ Get dashboard stats error:', error);
@@ -130,103 +189,112 @@ class AnalyticsService {
 
   /**
    * Get expense report for a date range
+   * Amounts are in the user's base currency, converted at purchase-date rates
    */
-  async getExpenseReport(userId, startDate, endDate) {
+  async getExpenseReport(user, startDate, endDate) {
     try {
-      const expenses = await Grocery.aggregate([
-        {
-          $match: {
-            user: mongoose. Types.ObjectId(userId),
-            purchaseDate: {
-              $gte: new Date(startDate),
-              $lte: new Date(endDate)
+      const match = {
+        $match: {
+          ...ownerFilter(user),
+          purchaseDate: {
+            $gte: new Date(startDate),
+            $lte: new Date(endDate)
+          }
+        }
+      };
+
+      const [dailyRows, categoryRows] = await Promise.all([
+        Grocery.aggregate([
+          match,
+          {
+            $group: {
+              _id: { currency: '$currency', day: purchaseDay },
+              totalExpense: { $sum: { $multiply: ['$quantity', '$price'] } },
+              itemCount: { $sum: 1 }
             }
           }
-        },
-        {
-          $group: {
-            _id: {
-              year: { $year: '$purchaseDate' },
-              month: { $month: '$purchaseDate' },
-              day: { $dayOfMonth: '$purchaseDate' }
-            },
-            totalExpense: { $sum: { $multiply: ['$quantity', '$price'] } },
-            itemCount: { $sum: 1 }
+        ]),
+
+        // Group by category
+        Grocery.aggregate([
+          match,
+          {
+            $group: {
+              _id: { category: '$category', currency: '$currency', day: purchaseDay },
+              totalExpense: { $sum: { $multiply: ['$quantity', '$price'] } },
+              itemCount:  { $sum: 1 }
+            }
+          },
+          {
+            $lookup: {
+              from: 'categories',
+              localField: '_id.category',
+              foreignField: '_id',
+              as: 'categoryInfo'
+            }
+          },
+          { $unwind: '$categoryInfo' },
+          {
+            $project: {
+              category: '$categoryInfo.name',
+              totalExpense: 1,
+              itemCount: 1
+            }
           }
-        },
-        { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1 } }
+        ])
       ]);
 
+      const rates = await this.getRateTable(user.id, [...dailyRows, ...categoryRows]);
+
+      const days = new Map();
+      dailyRows.forEach(row => {
+        const entry = days.get(row._id.day) || { date: row._id.day, amount: 0, items: 0 };
+        entry.amount += rates.convertRow(row, row.totalExpense);
+        entry.items += row.itemCount;
+        days.set(row._id.day, entry);
+      });
+
+      const expenses = Array.from(days.values()).sort((a, b) => a.date.localeCompare(b.date));
+
       // Calculate totals
-      const totalExpense = expenses.reduce((sum, day) => sum + day.totalExpense, 0);
-      const totalItems = expenses.reduce((sum, day) => sum + day.itemCount, 0);
+      const totalExpense = expenses.reduce((sum, day) => sum + day.amount, 0);
+      const totalItems = expenses.reduce((sum, day) => sum + day.items, 0);
       const avgExpensePerDay = expenses.length > 0 ? totalExpense / expenses.length : 0;
 
-      // Group by category
-      const categoryExpenses = await Grocery.aggregate([
-        {
-          $match: {
-            user: mongoose.Types.ObjectId(userId),
-            purchaseDate: {
-              $gte:  new Date(startDate),
-              $lte: new Date(endDate)
-            }
-          }
-        },
-        {
-          $group: {
-            _id: '$category',
-            totalExpense: { $sum: { $multiply: ['$quantity', '$price'] } },
-            itemCount:  { $sum: 1 }
-          }
-        },
-        {
-          $lookup: {
-            from: 'categories',
-            localField: '_id',
-            foreignField: '_id',
-            as: 'categoryInfo'
-          }
-        },
-        { $unwind: '$categoryInfo' },
-        {
-          $project: {
-            category: '$categoryInfo.name',
-            totalExpense: 1,
-            itemCount: 1,
-            percentage: {
-              $multiply: [
-                { $divide:  ['$totalExpense', totalExpense || 1] },
-                100
-              ]
-            }
-          }
-        },
-        { $sort: { totalExpense: -1 } }
-      ]);
+      const categories = new Map();
+      categoryRows.forEach(row => {
+        const key = row._id.category.toString();
+        const entry = categories.get(key) || { category: row.category, amount: 0, items: 0 };
+        entry.amount += rates.convertRow(row, row.totalExpense);
+        entry.items += row.itemCount;
+        categories.set(key, entry);
+      });
 
       return {
+        currency: rates.currency,
         period: {
           startDate,
           endDate,
           days: expenses.length
         },
         summary: {
-          totalExpense:  parseFloat(totalExpense.toFixed(2)),
+          totalExpense:  round(totalExpense),
           totalItems,
-          avgExpensePerDay:  parseFloat(avgExpensePerDay.toFixed(2))
+          avgExpensePerDay:  round(avgExpensePerDay)
         },
-        dailyExpenses: expenses.map(e => ({
-          date: `${e._id.year}-${String(e._id.month).padStart(2, '0')}-${String(e._id.day).padStart(2, '0')}`,
-          amount: parseFloat(e.totalExpense. toFixed(2)),
-          items: e.itemCount
+        dailyExpenses: expenses.map(day => ({
+          ...day,
+          amount: round(day.amount)
         })),
-        categoryExpenses: categoryExpenses.map(c => ({
-          category: c. category,
-          amount: parseFloat(c.totalExpense.toFixed(2)),
-          items: c.itemCount,
-          percentage: parseFloat(c.percentage.toFixed(2))
-        }))
+        categoryExpenses: Array.from(categories.values())
+          .sort((a, b) => b.amount - a.amount)
+          .map(c => ({
+            category: c.category,
+            amount: round(c.amount),
+            items: c.items,
+            percentage: round((c.amount / (totalExpense || 1)) * 100)
+          })),
+        missingRates: rates.getMissing()
       };
     } catch (error) {
       console.error('❌ Get expense report error:', error);
@@ -236,73 +304,145 @@ class AnalyticsService {
 
   /**
    * Get waste analysis report
+   * Logged waste events plus expired stock that has not been thrown out yet
+   * Values are in the user's base currency, converted at the rate of the day the
+   * waste was logged (expired stock: its purchase day)
    */
-  async getWasteAnalysis(userId, startDate, endDate) {
+  async getWasteAnalysis(user, startDate, endDate) {
     try {
-      const wastedItems = await Grocery.find({
-        user: userId,
-        status: { $in: ['expired', 'wasted'] },
-        updatedAt: {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate)
-        }
-      }).populate('category');
+      const scope = ownerFilter(user);
+      const period = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
 
-      // Calculate waste statistics
-      const totalWastedItems = wastedItems.length;
-      const totalWasteValue = wastedItems.reduce(
-        (sum, item) => sum + (item.quantity * item.price),
-        0
+      const [events, expiredItems] = await Promise.all([
+        WasteEvent.find({ ...scope, wastedAt: period }).populate('category'),
+        Grocery.find({
+          ...scope,
+          status: 'expired',
+          quantity: { $gt: 0 },
+          updatedAt: period
+        }).populate('category')
+      ]);
+
+      const day = (date) => new Date(date).toISOString().slice(0, 10);
+
+      const entries = [
+        ...events.map(event => ({
+          name: event.name,
+          quantity: event.quantity,
+          unit: event.unit,
+          value: event.value,
+          currency: event.currency,
+          day: day(event.wastedAt),
+          reason: event.reason,
+          category: event.category?.name || 'Uncategorized',
+          location: event.location || 'unknown',
+          expiryDate: event.expiryDate,
+          date: event.wastedAt
+        })),
+        ...expiredItems.map(item => ({
+          name: item.name,
+          quantity: item.quantity,
+          unit: item.unit,
+          value: item.quantity * item.price,
+          currency: item.currency,
+          day: day(item.purchaseDate || item.createdAt),
+          reason: WASTE_REASONS.EXPIRED,
+          category: item.category?.name || 'Uncategorized',
+          location: item.location || 'unknown',
+          expiryDate: item.expiryDate,
+          date: item.updatedAt
+        }))
+      ];
+
+      // Same row shape as the aggregated reports
+      const rates = await this.getRateTable(
+        user.id,
+        entries.map(entry => ({ _id: { currency: entry.currency, day: entry.day } }))
       );
+      entries.forEach(entry => {
+        entry.value = rates.convertRow({ _id: { currency: entry.currency, day: entry.day } }, entry.value);
+      });
 
-      // Group by category
+      // Calculate waste statistics
+      const totalWastedItems = entries.length;
+      const totalWasteValue = entries.reduce((sum, entry) => sum + entry.value, 0);
+
+      // Count and value per key
+      const groupBy = (getKey) => entries.reduce((groups, entry) => {
+        const key = getKey(entry);
+        if (!groups[key]) {
+          groups[key] = { count: 0, value: 0 };
+        }
+        groups[key].count++;
+        groups[key].value += entry.value;
+        return groups;
+      }, {});
+
+      const toRows = (groups, keyName) => Object.entries(groups)
+        .map(([key, data]) => ({
+          [keyName]: key,
+          count: data.count,
+          value: parseFloat(data.value.toFixed(2))
+        }));
+
+      // Group by category (with the wasted items)
       const wasteByCategory = {};
-      wastedItems.forEach(item => {
-        const categoryName = item.category?. name || 'Uncategorized';
-        if (! wasteByCategory[categoryName]) {
-          wasteByCategory[categoryName] = {
+      entries.forEach(entry => {
+        if (!wasteByCategory[entry.category]) {
+          wasteByCategory[entry.category] = {
             count: 0,
-            value:  0,
+            value: 0,
             items: []
           };
         }
-        wasteByCategory[categoryName]. count++;
-        wasteByCategory[categoryName].value += item. quantity * item.price;
-        wasteByCategory[categoryName]. items.push({
-          name: item.name,
-          quantity: item.quantity,
-          value: item.quantity * item.price,
-          expiryDate: item.expiryDate
+        wasteByCategory[entry.category].count++;
+        wasteByCategory[entry.category].value += entry.value;
+        wasteByCategory[entry.category].items.push({
+          name: entry.name,
+          quantity: entry.quantity,
+          unit: entry.unit,
+          value: parseFloat(entry.value.toFixed(2)),
+          reason: entry.reason,
+          location: entry.location,
+          expiryDate: entry.expiryDate
         });
       });
 
+      const wasteByReason = toRows(groupBy(entry => entry.reason), 'reason')
+        .sort((a, b) => b.value - a.value);
+
+      const wasteByLocation = toRows(groupBy(entry => entry.location), 'location')
+        .sort((a, b) => b.value - a.value);
+
+      const wasteByMonth = toRows(groupBy(entry => {
+        const date = new Date(entry.date);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      }), 'month')
+        .sort((a, b) => a.month.localeCompare(b.month));
+
       // Calculate waste percentage
       const totalItems = await Grocery.countDocuments({
-        user: userId,
-        createdAt: {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate)
-        }
+        ...scope,
+        createdAt: period
       });
 
       const wastePercentage = totalItems > 0 
-        ? (totalWastedItems / totalItems) * 100 
+        ? Math.min((totalWastedItems / totalItems) * 100, 100)
         : 0;
 
       // Top wasted categories
-      const topWastedCategories = Object.entries(wasteByCategory)
-        .map(([category, data]) => ({
-          category,
-          count:  data.count,
-          value: parseFloat(data.value.toFixed(2))
-        }))
+      const topWastedCategories = toRows(wasteByCategory, 'category')
         .sort((a, b) => b.value - a.value)
         .slice(0, 5);
 
       // Recommendations
-      const recommendations = this.generateWasteRecommendations(wasteByCategory);
+      const recommendations = this.generateWasteRecommendations(wasteByCategory, wasteByReason);
 
       return {
+        currency: rates.currency,
         period: {
           startDate,
           endDate
@@ -313,9 +453,13 @@ class AnalyticsService {
           wastePercentage:  parseFloat(wastePercentage. toFixed(2))
         },
         wasteByCategory,
+        wasteByReason,
+        wasteByLocation,
+        wasteByMonth,
         topWastedCategories,
         recommendations,
-        potentialSavings: parseFloat(totalWasteValue.toFixed(2))
+        potentialSavings: parseFloat(totalWasteValue.toFixed(2)),
+        missingRates: rates.getMissing()
       };
     } catch (error) {
       console.error('❌ Get waste analysis error:', error);
@@ -326,7 +470,7 @@ class AnalyticsService {
   /**
    * Generate waste reduction recommendations
    */
-  generateWasteRecommendations(wasteByCategory) {
+  generateWasteRecommendations(wasteByCategory, wasteByReason = []) {
     const recommendations = [];
 
     Object.entries(wasteByCategory).forEach(([category, data]) => {
@@ -349,6 +493,17 @@ class AnalyticsService {
       }
     });
 
+    wasteByReason
+      .filter(({ reason, count }) => count >= 3 && WASTE_REASON_TIPS[reason])
+      .forEach(({ reason }) => {
+        recommendations.push({
+          category: 'General',
+          issue: `Frequent waste: ${reason}`,
+          recommendation: WASTE_REASON_TIPS[reason],
+          impact: 'medium'
+        });
+      });
+
     if (recommendations.length === 0) {
       recommendations.push({
         category: 'General',
@@ -363,47 +518,59 @@ class AnalyticsService {
 
   /**
    * Get consumption patterns
+   * Built on the consumption ledger, so partial use of an item counts too
    */
-  async getConsumptionPatterns(userId, days = 30) {
+  async getConsumptionPatterns(user, days = 30) {
     try {
       const startDate = new Date();
       startDate.setDate(startDate.getDate() - days);
 
-      const consumedItems = await Grocery.find({
-        user: userId,
-        status: 'consumed',
-        consumedAt: { $gte:  startDate }
-      }).populate('category');
+      const usage = await ConsumptionEvent.getUsageRates(ownerFilter(user), days);
 
       // Group by category
       const consumptionByCategory = {};
-      consumedItems.forEach(item => {
-        const categoryName = item. category?.name || 'Uncategorized';
+      usage.forEach(item => {
+        const categoryName = item.category?.name || 'Uncategorized';
         if (!consumptionByCategory[categoryName]) {
           consumptionByCategory[categoryName] = {
             count: 0,
-            totalQuantity: 0,
+            quantities: [],
             items: []
           };
         }
-        consumptionByCategory[categoryName].count++;
-        consumptionByCategory[categoryName]. totalQuantity += item.quantity;
-        consumptionByCategory[categoryName].items.push(item. name);
+        consumptionByCategory[categoryName].count += item.events;
+        consumptionByCategory[categoryName].quantities.push({ ...item, quantity: item.consumed });
+        if (!consumptionByCategory[categoryName].items.includes(item.name)) {
+          consumptionByCategory[categoryName].items.push(item.name);
+        }
       });
 
-      // Calculate consumption rate
-      const avgItemsPerDay = consumedItems. length / days;
-
-      // Find most consumed items
-      const itemCounts = {};
-      consumedItems.forEach(item => {
-        itemCounts[item.name] = (itemCounts[item.name] || 0) + 1;
+      // Sum quantities per unit family (kg, l, pcs, ...)
+      Object.values(consumptionByCategory).forEach(category => {
+        category.quantities = sumQuantities(category.quantities);
       });
 
-      const topConsumedItems = Object.entries(itemCounts)
-        .map(([name, count]) => ({ name, count }))
-        .sort((a, b) => b.count - a.count)
-        .slice(0, 10);
+      // Calculate consumption rate (uses of items per day)
+      const totalConsumed = usage.reduce((sum, item) => sum + item.events, 0);
+      const avgItemsPerDay = totalConsumed / days;
+
+      // Daily usage per item, most used first
+      const usageRates = usage
+        .map(item => ({
+          grocery: item.grocery,
+          name: item.name,
+          category: item.category?.name || 'Uncategorized',
+          consumed: item.consumed,
+          unit: item.unit,
+          perDay: item.perDay,
+          count: item.events,
+          lastConsumedAt: item.lastAt
+        }))
+        .sort((a, b) => b.count - a.count || b.perDay - a.perDay);
+
+      const topConsumedItems = usageRates
+        .slice(0, 10)
+        .map(({ name, count, consumed, unit }) => ({ name, count, consumed, unit }));
 
       return {
         period: {
@@ -412,11 +579,13 @@ class AnalyticsService {
           endDate: new Date()
         },
         summary: {
-          totalConsumed: consumedItems.length,
+          totalConsumed,
+          itemsUsed: usageRates.length,
           avgItemsPerDay: parseFloat(avgItemsPerDay.toFixed(2))
         },
         consumptionByCategory,
         topConsumedItems,
+        usageRates,
         insights: this.generateConsumptionInsights(consumptionByCategory, avgItemsPerDay)
       };
     } catch (error) {
@@ -438,7 +607,7 @@ class AnalyticsService {
     if (topCategory) {
       insights.push({
         type: 'top_category',
-        message: `You consume ${topCategory[0]} items most frequently (${topCategory[1].count} items)`,
+        message: `You consume ${topCategory[0]} items most frequently (used ${topCategory[1].count} times)`,
         category: topCategory[0]
       });
     }
@@ -463,16 +632,17 @@ class AnalyticsService {
 
   /**
    * Get monthly trend analysis
+   * Values are in the user's base currency, converted at purchase-date rates
    */
-  async getMonthlyTrends(userId, months = 6) {
+  async getMonthlyTrends(user, months = 6) {
     try {
       const startDate = new Date();
       startDate.setMonth(startDate.getMonth() - months);
 
-      const trends = await Grocery.aggregate([
+      const rows = await Grocery.aggregate([
         {
           $match: {
-            user: mongoose. Types.ObjectId(userId),
+            ...ownerFilter(user),
             createdAt: { $gte:  startDate }
           }
         },
@@ -480,29 +650,48 @@ class AnalyticsService {
           $group: {
             _id: {
               year: { $year: '$createdAt' },
-              month: { $month: '$createdAt' }
+              month: { $month: '$createdAt' },
+              currency: '$currency',
+              day: purchaseDay
             },
             itemsAdded: { $sum: 1 },
             totalValue:  { $sum: { $multiply:  ['$quantity', '$price'] } },
-            avgPrice: { $avg: '$price' }
+            totalPrice: { $sum: '$price' },
+            pricedItems: { $sum: { $cond: [{ $isNumber: '$price' }, 1, 0] } }
           }
-        },
-        { $sort: { '_id.year': 1, '_id.month': 1 } }
+        }
       ]);
 
+      const rates = await this.getRateTable(user.id, rows);
+
+      const byMonth = new Map();
+      rows.forEach(row => {
+        const month = `${row._id.year}-${String(row._id.month).padStart(2, '0')}`;
+        const entry = byMonth.get(month) || { month, itemsAdded: 0, totalValue: 0, totalPrice: 0, pricedItems: 0 };
+
+        entry.itemsAdded += row.itemsAdded;
+        entry.totalValue += rates.convertRow(row, row.totalValue);
+        entry.totalPrice += rates.convertRow(row, row.totalPrice);
+        entry.pricedItems += row.pricedItems;
+        byMonth.set(month, entry);
+      });
+
       // Format data for charts
-      const monthlyData = trends.map(t => ({
-        month: `${t._id.year}-${String(t._id.month).padStart(2, '0')}`,
-        itemsAdded: t.itemsAdded,
-        totalValue: parseFloat(t.totalValue.toFixed(2)),
-        avgPrice: parseFloat(t.avgPrice.toFixed(2))
-      }));
+      const monthlyData = Array.from(byMonth.values())
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map(t => ({
+          month: t.month,
+          itemsAdded: t.itemsAdded,
+          totalValue: round(t.totalValue),
+          avgPrice: round(t.pricedItems > 0 ? t.totalPrice / t.pricedItems : 0)
+        }));
 
       // Calculate trends
-      const isIncreasing = trends.length >= 2 &&
-        trends[trends.length - 1].totalValue > trends[0].totalValue;
+      const isIncreasing = monthlyData.length >= 2 &&
+        monthlyData[monthlyData.length - 1].totalValue > monthlyData[0].totalValue;
 
       return {
+        currency: rates.currency,
         period: {
           months,
           startDate,
@@ -514,7 +703,8 @@ class AnalyticsService {
           message: isIncreasing 
             ? 'Your grocery spending is increasing over time'
             : 'Your grocery spending is decreasing over time'
-        }
+        },
+        missingRates: rates.getMissing()
       };
     } catch (error) {
       console.error('❌ Get monthly trends error:', error);
@@ -524,13 +714,14 @@ class AnalyticsService {
 
   /**
    * Get category-wise spending report
+   * Amounts are in the user's base currency, converted at purchase-date rates
    */
-  async getCategorySpendingReport(userId, startDate, endDate) {
+  async getCategorySpendingReport(user, startDate, endDate) {
     try {
-      const report = await Grocery.aggregate([
+      const rows = await Grocery.aggregate([
         {
           $match: {
-            user: mongoose.Types.ObjectId(userId),
+            ...ownerFilter(user),
             purchaseDate:  {
               $gte: new Date(startDate),
               $lte: new Date(endDate)
@@ -539,17 +730,25 @@ class AnalyticsService {
         },
         {
           $group: {
-            _id:  '$category',
+            _id: { category: '$category', currency: '$currency', day: purchaseDay },
             totalSpent: { $sum: { $multiply: ['$quantity', '$price'] } },
             itemCount: { $sum: 1 },
-            avgItemPrice: { $avg: '$price' },
-            totalQuantity: { $sum: '$quantity' }
+            totalPrice: { $sum: '$price' },
+            pricedItems: { $sum: { $cond: [{ $isNumber: '$price' }, 1, 0] } },
+            units: {
+              $push: {
+                quantity: '$quantity',
+                unit: '$unit',
+                unitSize: '$unitSize',
+                density: '$density'
+              }
+            }
           }
         },
         {
           $lookup:  {
             from: 'categories',
-            localField: '_id',
+            localField: '_id.category',
             foreignField: '_id',
             as: 'categoryInfo'
           }
@@ -562,30 +761,59 @@ class AnalyticsService {
             color: '$categoryInfo.color',
             totalSpent: 1,
             itemCount: 1,
-            avgItemPrice:  1,
-            totalQuantity: 1
+            totalPrice: 1,
+            pricedItems: 1,
+            units: 1
           }
-        },
-        { $sort: { totalSpent: -1 } }
+        }
       ]);
 
+      const rates = await this.getRateTable(user.id, rows);
+
+      const categories = new Map();
+      rows.forEach(row => {
+        const key = row._id.category.toString();
+        const entry = categories.get(key) || {
+          _id: row._id.category,
+          category: row.category,
+          icon: row.icon,
+          color: row.color,
+          totalSpent: 0,
+          itemCount: 0,
+          totalPrice: 0,
+          pricedItems: 0,
+          units: []
+        };
+
+        entry.totalSpent += rates.convertRow(row, row.totalSpent);
+        entry.itemCount += row.itemCount;
+        entry.totalPrice += rates.convertRow(row, row.totalPrice);
+        entry.pricedItems += row.pricedItems;
+        entry.units.push(...row.units);
+        categories.set(key, entry);
+      });
+
+      const report = Array.from(categories.values()).sort((a, b) => b.totalSpent - a.totalSpent);
       const totalSpending = report.reduce((sum, cat) => sum + cat.totalSpent, 0);
 
       // Add percentage
-      const reportWithPercentage = report.map(cat => ({
+      const reportWithPercentage = report.map(({ units, totalPrice, pricedItems, ...cat }) => ({
         ...cat,
-        totalSpent: parseFloat(cat. totalSpent.toFixed(2)),
-        avgItemPrice: parseFloat(cat. avgItemPrice.toFixed(2)),
-        percentage: parseFloat(((cat.totalSpent / totalSpending) * 100).toFixed(2))
+        quantities: sumQuantities(units),
+        totalSpent: round(cat.totalSpent),
+        avgItemPrice: round(pricedItems > 0 ? totalPrice / pricedItems : 0),
+        percentage: round((cat.totalSpent / (totalSpending || 1)) * 100)
       }));
 
       return {
+        currency: rates.currency,
         period:  {
           startDate,
           endDate
         },
-        totalSpending:  parseFloat(totalSpending.toFixed(2)),
-        categories: reportWithPercentage
+        totalSpending:  round(totalSpending),
+        categories: reportWithPercentage,
+        missingRates: rates.getMissing()
       };
     } catch (error) {
       console.error('❌ Get category spending report error:', error);
@@ -594,51 +822,29 @@ class AnalyticsService {
   }
 
   /**
-   * Export report data (CSV format)
+   * Get report data by type (used by exports)
+   * @param {object} user - req.user (personal pantry or active household)
+   * @param {string} reportType - One of REPORT_TYPES
+   * @param {object} options - { startDate, endDate, days, months }
    */
-  async exportReport(userId, reportType, startDate, endDate) {
-    try {
-      let data;
-
-      switch (reportType) {
-        case 'expense':
-          data = await this. getExpenseReport(userId, startDate, endDate);
-          break;
-        case 'waste':
-          data = await this. getWasteAnalysis(userId, startDate, endDate);
-          break;
-        case 'consumption':
-          data = await this.getConsumptionPatterns(userId, 30);
-          break;
-        default:
-          throw new Error('Invalid report type');
-      }
-
-      // Convert to CSV (simplified)
-      const csv = this.convertToCSV(data);
-
-      return {
-        success: true,
-        data: csv,
-        filename: `${reportType}_report_${Date.now()}.csv`,
-        contentType: 'text/csv'
-      };
-    } catch (error) {
-      console.error('❌ Export report error:', error);
-      throw error;
+  async getReport(user, reportType, options = {}) {
+    const { startDate, endDate, days = 30, months = 6 } = options;
+
+    switch (reportType) {
+      case REPORT_TYPES.EXPENSE:
+        return await this.getExpenseReport(user, startDate, endDate);
+      case REPORT_TYPES.WASTE:
+        return await this.getWasteAnalysis(user, startDate, endDate);
+      case REPORT_TYPES.CONSUMPTION:
+        return await this.getConsumptionPatterns(user, days);
+      case REPORT_TYPES.MONTHLY_TRENDS:
+        return await this.getMonthlyTrends(user, months);
+      case REPORT_TYPES.CATEGORY_SPENDING:
+        return await this.getCategorySpendingReport(user, startDate, endDate);
+      default:
+        throw new Error('Invalid report type');
     }
   }
-
-  /**
-   * Convert data to CSV format
-   */
-  convertToCSV(data) {
-    // Simplified CSV conversion
-    // In production, use a proper CSV library like 'csv-writer'
-    const headers = Object.keys(data).join(',');
-    const values = Object.values(data).join(',');
-    return `${headers}\n${values}`;
-  }
 }
 
 module.exports = new AnalyticsService();
\ No newline at end of file
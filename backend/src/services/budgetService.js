@@ -0,0 +1,193 @@
+/**
+ * ============================================
+ * Budget Service
+ * ============================================
+ * Spending against budgets and overspend
+ * alerts
+ *
+ * Features:
+ * - Spent, remaining and projected spending
+ *   to the end of the period
+ * - Spending from recorded purchase prices,
+ *   converted into the budget's currency at
+ *   purchase-date exchange rates
+ * - budget_alert notifications at each
+ *   threshold, once per period
+ * ============================================
+ */
+
+const Budget = require('../models/Budget');
+const Grocery = require('../models/Grocery');
+const PriceObservation = require('../models/PriceObservation');
+const notificationService = require('./notificationService');
+const exchangeRateService = require('./exchangeRateService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Pantry a budget covers
+const budgetScope = (budget) => (budget.household
+  ? { household: budget.household }
+  : { user: budget.user, household: null });
+
+class BudgetService {
+  /**
+   * Amount spent in a period
+   * @param {object} budget - Budget document
+   * @param {object} range - { start, end } (end exclusive)
+   * @returns {object} - { spent, purchases, missingRates }
+   */
+  async getSpending(budget, range) {
+    const scope = budgetScope(budget);
+
+    const query = {
+      ...scope,
+      observedAt: { $gte: range.start, $lt: range.end }
+    };
+
+    if (budget.category) {
+      const categoryId = budget.category._id || budget.category;
+      query.grocery = { $in: await Grocery.distinct('_id', { ...scope, category: categoryId }) };
+    }
+
+    const purchases = await PriceObservation.find(query).select('unitPrice quantity currency observedAt');
+
+    // Purchases in other currencies count at the rate of their purchase date
+    const rates = await exchangeRateService.getRateTableFor(
+      budget.currency,
+      purchases.map(purchase => ({ currency: purchase.currency, date: purchase.observedAt }))
+    );
+
+    const spent = purchases.reduce((sum, purchase) => sum + (rates.convert(
+      purchase.unitPrice * (purchase.quantity || 0),
+      purchase.currency,
+      purchase.observedAt
+    ) || 0), 0);
+
+    return {
+      spent: round(spent),
+      purchases: purchases.length,
+      missingRates: rates.getMissing()
+    };
+  }
+
+  /**
+   * Spent vs remaining for the period containing a date
+   * The projection continues the average daily spending to the period end
+   * @param {object} budget - Budget document
+   * @param {Date} date - Any date in the period (default: now)
+   * @returns {object} - { period, spent, remaining, percentUsed, projected, projectedOverspend, status }
+   */
+  async getStatus(budget, date = new Date()) {
+    try {
+      const range = budget.getPeriodRange(date);
+      const { spent, purchases, missingRates } = await this.getSpending(budget, range);
+
+      const totalDays = Math.round((range.end - range.start) / DAY_MS);
+      const elapsedDays = Math.min(Math.max((date - range.start) / DAY_MS, 1), totalDays);
+
+      const projected = round((spent / elapsedDays) * totalDays);
+      const percentUsed = budget.amount > 0 ? round((spent / budget.amount) * 100) : (spent > 0 ? 100 : 0);
+
+      let status = 'on_track';
+      if (spent > budget.amount) status = 'over_budget';
+      else if (projected > budget.amount) status = 'at_risk';
+
+      return {
+        period: {
+          type: budget.period,
+          start: range.start,
+          end: new Date(range.end - 1),
+          daysElapsed: Math.ceil(elapsedDays),
+          daysTotal: totalDays
+        },
+        amount: budget.amount,
+        currency: budget.currency,
+        spent,
+        purchases,
+        remaining: round(budget.amount - spent),
+        percentUsed,
+        projected,
+        projectedOverspend: round(Math.max(projected - budget.amount, 0)),
+        status,
+        missingRates
+      };
+    } catch (error) {
+      console.error('❌ Budget status error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send alerts for budgets whose thresholds were reached
+   * Called after each recorded purchase
+   * @param {object} scope - { household } or { user, household: null }
+   * @returns {number} - Alerts sent
+   */
+  async checkBudgets(scope) {
+    try {
+      const budgets = await Budget.find({ ...scope, isActive: true }).populate('category', 'name');
+      let alertsSent = 0;
+
+      for (const budget of budgets) {
+        const status = await this.getStatus(budget);
+        const pending = budget.getPendingAlerts(status.percentUsed, status.period.start);
+
+        if (pending.length === 0) continue;
+
+        // One notification for the highest threshold reached
+        await this.sendBudgetAlert(budget, status, Math.max(...pending));
+
+        // Alerts from earlier periods are no longer needed
+        budget.alertsSent = budget.alertsSent.filter(alert =>
+          alert.periodStart.getTime() === status.period.start.getTime()
+        );
+        pending.forEach(threshold => budget.alertsSent.push({ periodStart: status.period.start, threshold }));
+
+        await budget.save();
+        alertsSent++;
+      }
+
+      return alertsSent;
+    } catch (error) {
+      console.error('❌ Check budgets error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify the budget owner that a threshold was reached
+   */
+  async sendBudgetAlert(budget, status, threshold) {
+    const label = budget.name ||
+      (budget.category ? `${budget.category.name} budget` : `${budget.period} grocery budget`);
+    const over = threshold >= 100;
+
+    return await notificationService.sendNotification(
+      budget.user,
+      'budget_alert',
+      over ? '🚨 Budget Exceeded' : '💸 Budget Alert',
+      over
+        ? `You have spent ${status.spent.toFixed(2)} ${budget.currency} of your ${label} ` +
+          `(${budget.amount.toFixed(2)}).`
+        : `You have used ${status.percentUsed}% of your ${label}. ` +
+          `${status.remaining.toFixed(2)} ${budget.currency} left until ${status.period.end.toDateString()}.`,
+      {
+        priority: over ? 'high' : 'medium',
+        household: budget.household,
+        metadata: {
+          budgetId: budget._id,
+          threshold,
+          spent: status.spent,
+          amount: budget.amount,
+          currency: budget.currency,
+          projected: status.projected,
+          periodStart: status.period.start
+        }
+      }
+    );
+  }
+}
+
+module.exports = new BudgetService();
@@ -10,11 +10,14 @@
  * - Password reset emails
  * - Expiry alerts
  * - Low stock notifications
+ * - Household invitations
+ * - Purchase orders to suppliers
  * - Custom transactional emails
  * ============================================
  */
 
 const nodemailer = require('nodemailer');
+const { HOUSEHOLD_INVITATION_EXPIRY_DAYS } = require('../utils/constants');
 
 class EmailService {
   constructor() {
@@ -50,7 +53,8 @@ class EmailService {
         to: options.email,
         subject: options.subject,
         html: options.html,
-        text: options.text
+        text: options.text,
+        replyTo: options.replyTo
       };
 
       const info = await this.transporter.sendMail(mailOptions);
@@ -319,6 +323,142 @@ class EmailService {
     });
   }
 
+  /**
+   * Send household invitation email
+   */
+  async sendHouseholdInvitationEmail(email, household, inviter, token, role) {
+    const acceptUrl = `${process.env.FRONTEND_URL}/households/join?token=${token}`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+                    color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; padding: 12px 30px; background: #667eea; 
+                    color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🏠 You're Invited!</h1>
+          </div>
+          <div class="content">
+            <p>Hi,</p>
+            <p><strong>${inviter.name}</strong> has invited you to join the <strong>${household.name}</strong> household on Smart Grocery as ${role === 'viewer' ? 'a viewer' : 'an editor'}.</p>
+            <p>Members of a household share one pantry: groceries, categories and expiry alerts.</p>
+
+            <a href="${acceptUrl}" class="button">Join Household</a>
+
+            <p>Or use this invitation code in the app:</p>
+            <p style="background: #eee; padding: 10px; word-break: break-all;">${token}</p>
+
+            <p>This invitation expires in ${HOUSEHOLD_INVITATION_EXPIRY_DAYS} days. If you don't know ${inviter.name}, you can ignore this email.</p>
+
+            <p>Happy grocery tracking!<br>
+            The Smart Grocery Team</p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Smart Grocery. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      email,
+      subject: `🏠 ${inviter.name} invited you to ${household.name} - Smart Grocery`,
+      html
+    });
+  }
+
+  /**
+   * Send a purchase order to a supplier (replies go to the store owner)
+   */
+  async sendPurchaseOrderEmail(supplier, order, storeOwner) {
+    const rows = order.items.map(item => `
+      <tr>
+        <td>${item.productName}</td>
+        <td>${item.sku || '-'}</td>
+        <td style="text-align: right;">${item.quantityOrdered} ${item.unit}</td>
+        <td style="text-align: right;">${item.unitCost.toFixed(2)}</td>
+        <td style="text-align: right;">${(item.unitCost * item.quantityOrdered).toFixed(2)}</td>
+      </tr>
+    `).join('');
+
+    const expected = order.expectedDate
+      ? `<p><strong>Requested delivery:</strong> ${new Date(order.expectedDate).toDateString()}</p>`
+      : '';
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #2196f3; color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .item-table { width: 100%; background: white; border-collapse: collapse; margin: 20px 0; }
+          .item-table th, .item-table td { padding: 8px; border-bottom: 1px solid #eee; text-align: left; }
+          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📦 Purchase Order ${order.orderNumber}</h1>
+          </div>
+          <div class="content">
+            <h2>Hi ${supplier.contact || supplier.name},</h2>
+            <p><strong>${storeOwner.name}</strong> would like to order the following items:</p>
+
+            <table class="item-table">
+              <tr>
+                <th>Product</th>
+                <th>SKU</th>
+                <th style="text-align: right;">Quantity</th>
+                <th style="text-align: right;">Unit Cost</th>
+                <th style="text-align: right;">Total</th>
+              </tr>
+              ${rows}
+              <tr>
+                <td colspan="4"><strong>Order Total</strong></td>
+                <td style="text-align: right;"><strong>${order.total.toFixed(2)}</strong></td>
+              </tr>
+            </table>
+
+            ${expected}
+            ${order.notes ? `<p><strong>Notes:</strong> ${order.notes}</p>` : ''}
+
+            <p>Please reply to this email to confirm the order.</p>
+
+            <p>Thank you,<br>
+            ${storeOwner.name}</p>
+          </div>
+          <div class="footer">
+            <p>Sent with Smart Grocery. © ${new Date().getFullYear()} Smart Grocery. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      email: supplier.email,
+      replyTo: storeOwner.email,
+      subject: `📦 Purchase Order ${order.orderNumber} from ${storeOwner.name}`,
+      html
+    });
+  }
+
   /**
    * Send custom email
    */
@@ -0,0 +1,377 @@
+/**
+ * ============================================
+ * Exchange Rate Service
+ * ============================================
+ * Currency conversion from the local exchange
+ * rate table
+ *
+ * Features:
+ * - Rate tables for reports: amounts are
+ *   converted at the rate of their own date
+ *   (latest rate on or before it)
+ * - Direct, inverse and cross rates (e.g.
+ *   USD -> GBP through EUR rates)
+ * - Imports: CSV (long or wide format) and
+ *   ECB reference rate XML
+ * ============================================
+ */
+
+const path = require('path');
+const ExchangeRate = require('../models/ExchangeRate');
+const User = require('../models/User');
+const { parseDataFile } = require('../utils/fileHelpers');
+const { DEFAULT_CURRENCY, EXCHANGE_RATE_SOURCES } = require('../utils/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before a period searched for its opening rates (weekends, holidays)
+const LOOKBACK_DAYS = 14;
+
+const IMPORT_BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 50;
+
+// ECB files quote every rate against the euro
+const ECB_BASE = 'EUR';
+
+const clientError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Midnight UTC of a date; throws for invalid dates
+const toDay = (value) => {
+  const day = new Date(value);
+  if (Number.isNaN(day.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const toCode = (value) => String(value || '').trim().toUpperCase();
+
+/**
+ * Rates loaded for one report
+ * Converts amounts into the report currency at the rate of each amount's date
+ */
+class RateTable {
+  constructor(currency, rows = []) {
+    this.currency = currency;
+    this.pairs = new Map();
+    this.pivots = new Set();
+    this.missing = new Set();
+
+    rows.forEach(({ base, currency: quote, rate, date }) => {
+      const key = `${base}|${quote}`;
+      if (!this.pairs.has(key)) this.pairs.set(key, []);
+      this.pairs.get(key).push({ time: new Date(date).getTime(), rate });
+      this.pivots.add(base);
+    });
+
+    this.pairs.forEach(rates => rates.sort((a, b) => a.time - b.time));
+  }
+
+  // Latest rate on or before a time; the earliest one when all are later
+  lookup(base, quote, time) {
+    const rates = this.pairs.get(`${base}|${quote}`);
+    if (!rates || rates.length === 0) return null;
+
+    let found = null;
+    for (const entry of rates) {
+      if (entry.time > time) break;
+      found = entry;
+    }
+
+    return (found || rates[0]).rate;
+  }
+
+  /**
+   * Units of `to` per unit of `from` on a date (null when unknown)
+   */
+  getRate(from, to, date = new Date()) {
+    if (from === to) return 1;
+
+    const time = toDay(date).getTime();
+
+    const direct = this.lookup(from, to, time);
+    if (direct) return direct;
+
+    const inverse = this.lookup(to, from, time);
+    if (inverse) return 1 / inverse;
+
+    for (const pivot of this.pivots) {
+      const fromRate = this.lookup(pivot, from, time);
+      const toRate = this.lookup(pivot, to, time);
+      if (fromRate && toRate) return toRate / fromRate;
+    }
+
+    return null;
+  }
+
+  /**
+   * Convert an amount into the table's currency
+   * @returns {number|null} - null when no rate is known (currency noted in missing)
+   */
+  convert(amount, from, date) {
+    if (!amount) return 0;
+
+    const rate = this.getRate(from || DEFAULT_CURRENCY, this.currency, date || new Date());
+    if (rate === null) {
+      this.missing.add(from);
+      return null;
+    }
+
+    return amount * rate;
+  }
+
+  /**
+   * Currencies that could not be converted
+   */
+  getMissing() {
+    return Array.from(this.missing);
+  }
+}
+
+class ExchangeRateService {
+  /**
+   * User's base (reporting) currency
+   */
+  async getBaseCurrency(userId) {
+    const user = await User.findById(userId).select('preferences.currency');
+    return (user && user.preferences && user.preferences.currency) || DEFAULT_CURRENCY;
+  }
+
+  /**
+   * Load the rates needed to convert into a currency over a period
+   * @param {string} currency - Target (report) currency
+   * @param {object} options - { currencies (source currencies), from, to }
+   * @returns {RateTable}
+   */
+  async getRateTable(currency, options = {}) {
+    try {
+      const needed = Array.from(new Set([currency, ...(options.currencies || [])].filter(Boolean)));
+
+      if (needed.length < 2) {
+        return new RateTable(currency);
+      }
+
+      const end = options.to ? new Date(options.to) : new Date();
+      const start = new Date((options.from ? new Date(options.from) : end).getTime() - LOOKBACK_DAYS * DAY_MS);
+
+      const involves = (codes) => ({ $or: [{ base: { $in: codes } }, { currency: { $in: codes } }] });
+
+      const rows = await ExchangeRate.find({ date: { $gte: start, $lte: end }, ...involves(needed) })
+        .select('base currency rate date')
+        .lean();
+
+      // Currencies without rates in the period use their last known rates
+      for (const code of needed) {
+        if (rows.some(row => row.base === code || row.currency === code)) continue;
+
+        const latest = await ExchangeRate.findOne({ date: { $lt: start }, ...involves([code]) })
+          .sort({ date: -1 })
+          .select('date');
+
+        if (latest) {
+          rows.push(...await ExchangeRate.find({ date: latest.date, ...involves([code]) })
+            .select('base currency rate date')
+            .lean());
+        }
+      }
+
+      return new RateTable(currency, rows);
+    } catch (error) {
+      console.error('❌ Load exchange rates error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rate table covering a set of amounts
+   * @param {string} currency - Target (report) currency
+   * @param {Array} entries - [{ currency, date }]
+   * @returns {RateTable}
+   */
+  async getRateTableFor(currency, entries) {
+    const dates = entries.map(entry => new Date(entry.date || Date.now()).getTime());
+
+    return await this.getRateTable(currency, {
+      currencies: entries.map(entry => entry.currency || DEFAULT_CURRENCY),
+      from: dates.length > 0 ? new Date(Math.min(...dates)) : new Date(),
+      to: dates.length > 0 ? new Date(Math.max(...dates)) : new Date()
+    });
+  }
+
+  /**
+   * Convert a single amount
+   * @returns {number|null} - null when no rate is known
+   */
+  async convert(amount, from, to, date = new Date()) {
+    const table = await this.getRateTable(to, { currencies: [from], from: date, to: date });
+    return table.convert(amount, from, date);
+  }
+
+  /**
+   * Rates from an ECB reference rate XML file
+   * (<Cube time="2024-01-02"><Cube currency="USD" rate="1.0956"/>...)
+   * @param {string} text - XML
+   * @returns {Array} - [{ base, currency, rate, date }]
+   */
+  parseEcbXml(text) {
+    const records = [];
+    // Rate cubes are self-closing, so a day ends at the first closing tag
+    const dayPattern = /<Cube\s+time=["']([^"']+)["']\s*>([\s\S]*?)<\/Cube>/g;
+    const ratePattern = /<Cube\s+currency=["']([A-Za-z]{3})["']\s+rate=["']([^"']+)["']\s*\/>/g;
+
+    let day;
+    while ((day = dayPattern.exec(text)) !== null) {
+      let rate;
+      while ((rate = ratePattern.exec(day[2])) !== null) {
+        records.push({ base: ECB_BASE, currency: rate[1], rate: rate[2], date: day[1] });
+      }
+      ratePattern.lastIndex = 0;
+    }
+
+    if (records.length === 0) {
+      throw clientError('No exchange rates found in XML file (expected ECB reference rate format)');
+    }
+
+    return records;
+  }
+
+  /**
+   * Rates from CSV/JSON records
+   * Long format: date, currency, rate (base optional, default EUR)
+   * Wide format (ECB CSV): Date plus one column per currency
+   * @param {Array<object>} records - Parsed records
+   * @returns {Array} - [{ base, currency, rate, date }]
+   */
+  normalizeRecords(records) {
+    return records.flatMap(record => {
+      const fields = {};
+      Object.entries(record).forEach(([key, value]) => {
+        fields[key.trim().toLowerCase()] = value;
+      });
+
+      const date = fields.date || fields.time || fields.time_period;
+      const base = toCode(fields.base) || ECB_BASE;
+
+      if (fields.currency !== undefined || fields.rate !== undefined) {
+        return [{ base, currency: fields.currency, rate: fields.rate, date }];
+      }
+
+      return Object.entries(record)
+        .filter(([key]) => /^[A-Za-z]{3}$/.test(key.trim()) && !['date', 'base'].includes(key.trim().toLowerCase()))
+        .filter(([, value]) => value !== '' && value !== 'N/A')
+        .map(([key, value]) => ({ base, currency: key, rate: value, date }));
+    });
+  }
+
+  /**
+   * Check and normalize one rate
+   * @throws {Error} - For missing or invalid fields
+   */
+  normalizeRate(entry) {
+    const base = toCode(entry.base);
+    const currency = toCode(entry.currency);
+    const rate = parseFloat(entry.rate);
+
+    if (!/^[A-Z]{3}$/.test(base) || !/^[A-Z]{3}$/.test(currency)) {
+      throw new Error('Currency codes have three letters');
+    }
+    if (base === currency) {
+      throw new Error('Base and currency must differ');
+    }
+    if (!Number.isFinite(rate) || rate <= 0) {
+      throw new Error(`Invalid rate for ${currency}`);
+    }
+    if (!entry.date) {
+      throw new Error('Rate date is required');
+    }
+
+    return { base, currency, rate, date: toDay(entry.date) };
+  }
+
+  /**
+   * Rates from an uploaded file
+   * @param {Buffer} content - File contents
+   * @param {string} filename - Original file name
+   * @returns {object} - { records, source }
+   */
+  parseRateFile(content, filename = '') {
+    const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+
+    if (path.extname(filename).toLowerCase() === '.xml' || text.trim().startsWith('<')) {
+      return { records: this.parseEcbXml(text), source: EXCHANGE_RATE_SOURCES.ECB };
+    }
+
+    return {
+      records: this.normalizeRecords(parseDataFile(content, filename)),
+      source: EXCHANGE_RATE_SOURCES.CSV
+    };
+  }
+
+  /**
+   * Import rates, replacing existing rates of the same pair and day
+   * @param {Array} records - [{ base, currency, rate, date }]
+   * @param {object} options - { source, userId }
+   * @returns {object} - { received, imported, updated, skipped, errors }
+   */
+  async importRates(records, options = {}) {
+    try {
+      const { source = EXCHANGE_RATE_SOURCES.CSV, userId = null } = options;
+
+      const result = {
+        received: records.length,
+        imported: 0,
+        updated: 0,
+        skipped: 0,
+        errors: []
+      };
+
+      // Last record wins for the same pair and day
+      const rates = new Map();
+      records.forEach((record, index) => {
+        try {
+          const rate = this.normalizeRate(record);
+          rates.set(`${rate.base}|${rate.currency}|${rate.date.getTime()}`, rate);
+        } catch (error) {
+          result.skipped++;
+          if (result.errors.length < MAX_REPORTED_ERRORS) {
+            result.errors.push({ row: index + 1, message: error.message });
+          }
+        }
+      });
+
+      const entries = Array.from(rates.values());
+
+      for (let i = 0; i < entries.length; i += IMPORT_BATCH_SIZE) {
+        const operations = entries.slice(i, i + IMPORT_BATCH_SIZE).map(rate => ({
+          updateOne: {
+            filter: { base: rate.base, currency: rate.currency, date: rate.date },
+            update: {
+              $set: { rate: rate.rate, source },
+              $setOnInsert: { createdBy: userId }
+            },
+            upsert: true
+          }
+        }));
+
+        const write = await ExchangeRate.bulkWrite(operations, { ordered: false });
+        result.imported += write.upsertedCount;
+        result.updated += write.modifiedCount;
+      }
+
+      // Unchanged duplicates of existing rates
+      result.skipped += entries.length - result.imported - result.updated;
+
+      return result;
+    } catch (error) {
+      console.error('❌ Import exchange rates error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ExchangeRateService();
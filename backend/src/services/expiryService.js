@@ -14,6 +14,7 @@
 
 const Grocery = require('../models/Grocery');
 const User = require('../models/User');
+const Household = require('../models/Household');
 const notificationService = require('./notificationService');
 const emailService = require('./emailService');
 
@@ -41,8 +42,26 @@ class ExpiryService {
     }
   }
 
+  /**
+   * Items of every pantry the user belongs to expiring within days
+   * (each item once)
+   */
+  async getExpiringForMember(userId, days) {
+    const scopes = await Household.getPantryScopes(userId);
+    const items = (await Promise.all(scopes.map(scope => Grocery.getExpiringSoon(scope, days)))).flat();
+
+    const seen = new Set();
+    return items.filter(item => {
+      const id = item._id.toString();
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+  }
+
   /**
    * Check expiry for a specific user
+   * Covers their personal pantry and their households' groceries
    */
   async checkExpiryForUser(userId) {
     try {
@@ -55,7 +74,7 @@ class ExpiryService {
       const alertDays = user.preferences.expiryAlertDays || 3;
       
       // Get items expiring within alert days
-      const expiringItems = await Grocery.getExpiringSoon(userId, alertDays);
+      const expiringItems = await this.getExpiringForMember(userId, alertDays);
 
       if (expiringItems.length === 0) {
         return 0;
@@ -66,23 +85,28 @@ class ExpiryService {
 
       let alertsSent = 0;
 
-      // Send notifications for each item
-      for (const item of expiringItems) {
+      // One entry per expiring lot (or per item without lots)
+      const expiringEntries = this.getExpiringEntries(expiringItems, alertDays);
+
+      // Send notifications for each lot
+      for (const { item, lot, expiryDate } of expiringEntries) {
         const daysLeft = Math.ceil(
-          (item.expiryDate - new Date()) / (1000 * 60 * 60 * 24)
+          (expiryDate - new Date()) / (1000 * 60 * 60 * 24)
         );
 
-        await notificationService.sendExpiryAlert(userId, item, daysLeft);
+        await notificationService.sendExpiryAlert(userId, item, daysLeft, lot);
         alertsSent++;
       }
 
       // Send summary email if items are expiring
-      if (expiringItems.length > 0) {
-        const itemsWithDaysLeft = expiringItems.map(item => ({
+      if (expiringEntries.length > 0) {
+        const itemsWithDaysLeft = expiringEntries.map(({ item, lot, expiryDate }) => ({
           name: item.name,
-          expiryDate: item.expiryDate,
+          quantity: lot ? lot.quantity : item.quantity,
+          unit: item.unit,
+          expiryDate,
           daysLeft: Math.ceil(
-            (item.expiryDate - new Date()) / (1000 * 60 * 60 * 24)
+            (expiryDate - new Date()) / (1000 * 60 * 60 * 24)
           )
         }));
 
@@ -97,6 +121,28 @@ class ExpiryService {
     }
   }
 
+  /**
+   * Split items into their lots expiring within days
+   * @returns {Array} - [{ item, lot, expiryDate }] (lot is null for items without lots)
+   */
+  getExpiringEntries(items, days) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const futureDate = new Date(today);
+    futureDate.setDate(today.getDate() + days);
+
+    return items.flatMap(item => {
+      if (item.lots.length === 0) {
+        return [{ item, lot: null, expiryDate: item.effectiveExpiryDate }];
+      }
+
+      // Opened lots count by their "use within" date
+      return item.getLotsExpiringBetween(today, futureDate)
+        .map(lot => ({ item, lot, expiryDate: item.getLotExpiryDate(lot) }));
+    });
+  }
+
   /**
    * Group items by days until expiry
    */
@@ -112,7 +158,7 @@ class ExpiryService {
 
     items.forEach(item => {
       const daysLeft = Math.ceil(
-        (item.expiryDate - today) / (1000 * 60 * 60 * 24)
+        (item.effectiveExpiryDate - today) / (1000 * 60 * 60 * 24)
       );
 
       if (daysLeft === 0) {
@@ -134,10 +180,28 @@ class ExpiryService {
     try {
       console.log('🔄 Auto-marking expired items...');
 
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+
+      // Items with lots expire only when no lot is still good;
+      // a single opened package expires at its "use within" date
       const result = await Grocery.updateMany(
         {
-          expiryDate: { $lt: new Date() },
-          status: 'active'
+          status: 'active',
+          $or: [
+            { 'lots.0': { $exists: false }, expiryDate: { $lt: new Date() } },
+            { 'lots.1': { $exists: false }, openedExpiryDate: { $lt: today } },
+            {
+              'lots.0': { $exists: true },
+              lots: {
+                $not: {
+                  $elemMatch: {
+                    $or: [{ expiryDate: null }, { expiryDate: { $gte: today } }]
+                  }
+                }
+              }
+            }
+          ]
         },
         {
           status: 'expired'
@@ -161,20 +225,9 @@ class ExpiryService {
       today.setHours(0, 0, 0, 0);
 
       const [expiringSoon, expired, fresh] = await Promise.all([
-        Grocery.find({
-          user: userId,
-          expiryDate: {
-            $gte: today,
-            $lte: new Date(today.getTime() + 7 * 24 * 60 * 60 * 1000)
-          },
-          status: 'active'
-        }).populate('category'),
+        Grocery.getExpiringSoon(userId, 7),
 
-        Grocery.find({
-          user: userId,
-          expiryDate: { $lt: today },
-          status: { $in: ['active', 'expired'] }
-        }).populate('category'),
+        Grocery.getExpired(userId),
 
         Grocery.find({
           user: userId,
@@ -212,6 +265,15 @@ class ExpiryService {
 
       const stats = await Grocery.aggregate([
         { $match: { user: userId } },
+        // Count each lot separately
+        { $unwind: { path: '$lots', preserveNullAndEmptyArrays: true } },
+        {
+          $addFields: {
+            expiryDate: {
+              $cond: [{ $ifNull: ['$lots', false] }, '$lots.expiryDate', '$expiryDate']
+            }
+          }
+        },
         {
           $project: {
             name: 1,
@@ -0,0 +1,476 @@
+/**
+ * ============================================
+ * Export Service
+ * ============================================
+ * Renders analytics reports as downloadable files
+ *
+ * Features:
+ * - Report tabulation per report type
+ * - CSV export with proper escaping
+ * - Multi-sheet XLSX workbooks (ExcelJS)
+ * - Printable PDF documents (PDFKit)
+ * - Raw JSON export
+ * ============================================
+ */
+
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { REPORT_TYPES, EXPORT_FORMATS } = require('../utils/constants');
+const { formatDate } = require('../utils/dateHelpers');
+const { formatQuantities } = require('../utils/unitConverter');
+
+const REPORT_TITLES = {
+  [REPORT_TYPES.EXPENSE]: 'Expense Report',
+  [REPORT_TYPES.WASTE]: 'Waste Analysis',
+  [REPORT_TYPES.CONSUMPTION]: 'Consumption Patterns',
+  [REPORT_TYPES.MONTHLY_TRENDS]: 'Monthly Trends',
+  [REPORT_TYPES.CATEGORY_SPENDING]: 'Category Spending Report'
+};
+
+const CONTENT_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [EXPORT_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  [EXPORT_FORMATS.PDF]: 'application/pdf',
+  [EXPORT_FORMATS.JSON]: 'application/json; charset=utf-8'
+};
+
+class ExportService {
+  /**
+   * Build the tables (sheets) that make up a report
+   * Each table: { name, columns: [{ header, key, width }], rows: [] }
+   */
+  getTables(reportType, report) {
+    switch (reportType) {
+      case REPORT_TYPES.EXPENSE:
+        return [
+          this.summaryTable({
+            'Start Date': report.period.startDate,
+            'End Date': report.period.endDate,
+            'Days With Purchases': report.period.days,
+            'Total Expense': report.summary.totalExpense,
+            'Total Items': report.summary.totalItems,
+            'Average Expense Per Day': report.summary.avgExpensePerDay
+          }),
+          {
+            name: 'Daily Expenses',
+            columns: [
+              { header: 'Date', key: 'date', width: 14 },
+              { header: 'Amount', key: 'amount', width: 12 },
+              { header: 'Items', key: 'items', width: 10 }
+            ],
+            rows: report.dailyExpenses
+          },
+          {
+            name: 'Category Expenses',
+            columns: [
+              { header: 'Category', key: 'category', width: 20 },
+              { header: 'Amount', key: 'amount', width: 12 },
+              { header: 'Items', key: 'items', width: 10 },
+              { header: 'Percentage', key: 'percentage', width: 12 }
+            ],
+            rows: report.categoryExpenses
+          }
+        ];
+
+      case REPORT_TYPES.WASTE:
+        return [
+          this.summaryTable({
+            'Start Date': report.period.startDate,
+            'End Date': report.period.endDate,
+            'Wasted Items': report.summary.totalWastedItems,
+            'Waste Value': report.summary.totalWasteValue,
+            'Waste Percentage': report.summary.wastePercentage,
+            'Potential Savings': report.potentialSavings
+          }),
+          {
+            name: 'Waste By Category',
+            columns: [
+              { header: 'Category', key: 'category', width: 20 },
+              { header: 'Count', key: 'count', width: 10 },
+              { header: 'Value', key: 'value', width: 12 }
+            ],
+            rows: Object.entries(report.wasteByCategory).map(([category, data]) => ({
+              category,
+              count: data.count,
+              value: data.value
+            }))
+          },
+          {
+            name: 'Waste By Reason',
+            columns: [
+              { header: 'Reason', key: 'reason', width: 20 },
+              { header: 'Count', key: 'count', width: 10 },
+              { header: 'Value', key: 'value', width: 12 }
+            ],
+            rows: report.wasteByReason
+          },
+          {
+            name: 'Waste By Location',
+            columns: [
+              { header: 'Location', key: 'location', width: 20 },
+              { header: 'Count', key: 'count', width: 10 },
+              { header: 'Value', key: 'value', width: 12 }
+            ],
+            rows: report.wasteByLocation
+          },
+          {
+            name: 'Waste By Month',
+            columns: [
+              { header: 'Month', key: 'month', width: 12 },
+              { header: 'Count', key: 'count', width: 10 },
+              { header: 'Value', key: 'value', width: 12 }
+            ],
+            rows: report.wasteByMonth
+          },
+          {
+            name: 'Wasted Items',
+            columns: [
+              { header: 'Category', key: 'category', width: 20 },
+              { header: 'Item', key: 'name', width: 25 },
+              { header: 'Quantity', key: 'quantity', width: 10 },
+              { header: 'Unit', key: 'unit', width: 8 },
+              { header: 'Value', key: 'value', width: 12 },
+              { header: 'Reason', key: 'reason', width: 12 },
+              { header: 'Location', key: 'location', width: 12 },
+              { header: 'Expiry Date', key: 'expiryDate', width: 14 }
+            ],
+            rows: Object.entries(report.wasteByCategory).flatMap(([category, data]) =>
+              data.items.map(item => ({ category, ...item }))
+            )
+          },
+          {
+            name: 'Recommendations',
+            columns: [
+              { header: 'Category', key: 'category', width: 20 },
+              { header: 'Issue', key: 'issue', width: 35 },
+              { header: 'Recommendation', key: 'recommendation', width: 60 },
+              { header: 'Impact', key: 'impact', width: 10 }
+            ],
+            rows: report.recommendations
+          }
+        ];
+
+      case REPORT_TYPES.CONSUMPTION:
+        return [
+          this.summaryTable({
+            'Period (days)': report.period.days,
+            'Start Date': report.period.startDate,
+            'End Date': report.period.endDate,
+            'Total Consumed': report.summary.totalConsumed,
+            'Items Used': report.summary.itemsUsed,
+            'Average Items Per Day': report.summary.avgItemsPerDay
+          }),
+          {
+            name: 'Consumption By Category',
+            columns: [
+              { header: 'Category', key: 'category', width: 20 },
+              { header: 'Count', key: 'count', width: 10 },
+              { header: 'Total Quantity', key: 'totalQuantity', width: 25 }
+            ],
+            rows: Object.entries(report.consumptionByCategory).map(([category, data]) => ({
+              category,
+              count: data.count,
+              totalQuantity: formatQuantities(data.quantities)
+            }))
+          },
+          {
+            name: 'Top Consumed Items',
+            columns: [
+              { header: 'Item', key: 'name', width: 25 },
+              { header: 'Count', key: 'count', width: 10 },
+              { header: 'Consumed', key: 'consumed', width: 12 },
+              { header: 'Unit', key: 'unit', width: 8 }
+            ],
+            rows: report.topConsumedItems
+          },
+          {
+            name: 'Daily Usage Rates',
+            columns: [
+              { header: 'Item', key: 'name', width: 25 },
+              { header: 'Category', key: 'category', width: 20 },
+              { header: 'Consumed', key: 'consumed', width: 12 },
+              { header: 'Unit', key: 'unit', width: 8 },
+              { header: 'Per Day', key: 'perDay', width: 10 },
+              { header: 'Last Consumed', key: 'lastConsumedAt', width: 16 }
+            ],
+            rows: report.usageRates
+          },
+          {
+            name: 'Insights',
+            columns: [
+              { header: 'Type', key: 'type', width: 18 },
+              { header: 'Message', key: 'message', width: 50 },
+              { header: 'Suggestion', key: 'suggestion', width: 45 }
+            ],
+            rows: report.insights
+          }
+        ];
+
+      case REPORT_TYPES.MONTHLY_TRENDS:
+        return [
+          this.summaryTable({
+            'Period (months)': report.period.months,
+            'Start Date': report.period.startDate,
+            'End Date': report.period.endDate,
+            'Trend': report.trend.direction,
+            'Message': report.trend.message
+          }),
+          {
+            name: 'Monthly Data',
+            columns: [
+              { header: 'Month', key: 'month', width: 12 },
+              { header: 'Items Added', key: 'itemsAdded', width: 12 },
+              { header: 'Total Value', key: 'totalValue', width: 12 },
+              { header: 'Average Price', key: 'avgPrice', width: 14 }
+            ],
+            rows: report.monthlyData
+          }
+        ];
+
+      case REPORT_TYPES.CATEGORY_SPENDING:
+        return [
+          this.summaryTable({
+            'Start Date': report.period.startDate,
+            'End Date': report.period.endDate,
+            'Total Spending': report.totalSpending
+          }),
+          {
+            name: 'Categories',
+            columns: [
+              { header: 'Category', key: 'category', width: 20 },
+              { header: 'Total Spent', key: 'totalSpent', width: 12 },
+              { header: 'Items', key: 'itemCount', width: 10 },
+              { header: 'Average Item Price', key: 'avgItemPrice', width: 18 },
+              { header: 'Total Quantity', key: 'totalQuantity', width: 25 },
+              { header: 'Percentage', key: 'percentage', width: 12 }
+            ],
+            rows: report.categories.map(category => ({
+              ...category,
+              totalQuantity: formatQuantities(category.quantities)
+            }))
+          }
+        ];
+
+      default:
+        throw new Error('Invalid report type');
+    }
+  }
+
+  /**
+   * Build a two-column metric/value summary table
+   */
+  summaryTable(metrics) {
+    return {
+      name: 'Summary',
+      columns: [
+        { header: 'Metric', key: 'metric', width: 28 },
+        { header: 'Value', key: 'value', width: 40 }
+      ],
+      rows: Object.entries(metrics).map(([metric, value]) => ({ metric, value }))
+    };
+  }
+
+  /**
+   * Format a cell value for text output (CSV/PDF)
+   */
+  formatCell(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return formatDate(value, 'iso');
+    if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(2);
+    return String(value);
+  }
+
+  /**
+   * Escape a single CSV field (RFC 4180)
+   * Also neutralises spreadsheet formula injection
+   */
+  escapeCSV(value) {
+    let str = this.formatCell(value);
+
+    if (/^[=+\-@]/.test(str) && isNaN(Number(str))) {
+      str = `'${str}`;
+    }
+
+    if (/[",\r\n]/.test(str)) {
+      str = `"${str.replace(/"/g, '""')}"`;
+    }
+
+    return str;
+  }
+
+  /**
+   * Render tables as CSV
+   * Tables are separated by a blank line and prefixed with their name
+   */
+  toCSV(tables) {
+    return tables.map(table => {
+      const lines = [
+        this.escapeCSV(table.name),
+        table.columns.map(col => this.escapeCSV(col.header)).join(',')
+      ];
+
+      table.rows.forEach(row => {
+        lines.push(table.columns.map(col => this.escapeCSV(row[col.key])).join(','));
+      });
+
+      return lines.join('\r\n');
+    }).join('\r\n\r\n') + '\r\n';
+  }
+
+  /**
+   * Write tables as an XLSX workbook (one sheet per table)
+   */
+  async toXLSX(title, tables, stream) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Smart Grocery';
+    workbook.created = new Date();
+    workbook.title = title;
+
+    tables.forEach(table => {
+      const sheet = workbook.addWorksheet(table.name.substring(0, 31));
+      sheet.columns = table.columns;
+      sheet.getRow(1).font = { bold: true };
+      sheet.views = [{ state: 'frozen', ySplit: 1 }];
+      sheet.addRows(table.rows.map(row => {
+        const values = {};
+        table.columns.forEach(col => {
+          values[col.key] = row[col.key] === undefined ? null : row[col.key];
+        });
+        return values;
+      }));
+    });
+
+    await workbook.xlsx.write(stream);
+  }
+
+  /**
+   * Write tables as a printable PDF document
+   */
+  toPDF(title, tables, stream) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 40 });
+
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+      doc.on('error', reject);
+      doc.pipe(stream);
+
+      doc.font('Helvetica-Bold').fontSize(18).fillColor('#333').text(title);
+      doc.font('Helvetica').fontSize(9).fillColor('#666')
+        .text(`Generated ${formatDate(new Date(), 'datetime')}`);
+
+      tables.forEach(table => this.drawPdfTable(doc, table));
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Draw a single table onto a PDF document
+   * @private
+   */
+  drawPdfTable(doc, table) {
+    const left = doc.page.margins.left;
+    const usableWidth = doc.page.width - left - doc.page.margins.right;
+    const colWidth = usableWidth / table.columns.length;
+    const padding = 3;
+
+    const drawRow = (cells, isHeader) => {
+      doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor('#333');
+
+      const rowHeight = Math.max(
+        ...cells.map(cell => doc.heightOfString(cell, { width: colWidth - padding * 2 }))
+      ) + padding * 2;
+
+      if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+      }
+
+      const y = doc.y;
+
+      if (isHeader) {
+        doc.rect(left, y, usableWidth, rowHeight).fill('#eeeeee');
+        doc.fillColor('#333');
+      }
+
+      cells.forEach((cell, i) => {
+        doc.text(cell, left + i * colWidth + padding, y + padding, {
+          width: colWidth - padding * 2
+        });
+      });
+
+      doc.moveTo(left, y + rowHeight)
+        .lineTo(left + usableWidth, y + rowHeight)
+        .strokeColor('#dddddd')
+        .stroke();
+
+      doc.x = left;
+      doc.y = y + rowHeight;
+    };
+
+    doc.moveDown(1.5);
+    doc.x = left;
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#333').text(table.name);
+    doc.moveDown(0.4);
+
+    drawRow(table.columns.map(col => col.header), true);
+
+    if (table.rows.length === 0) {
+      doc.font('Helvetica-Oblique').fontSize(8).fillColor('#666')
+        .text('No data for this period', left + padding, doc.y + padding);
+      return;
+    }
+
+    table.rows.forEach(row => {
+      drawRow(table.columns.map(col => this.formatCell(row[col.key])), false);
+    });
+  }
+
+  /**
+   * Get download metadata for a report
+   */
+  getFileInfo(reportType, format) {
+    if (!CONTENT_TYPES[format]) {
+      throw new Error('Invalid export format');
+    }
+
+    return {
+      filename: `${reportType}_report_${formatDate(new Date(), 'iso')}.${format}`,
+      contentType: CONTENT_TYPES[format]
+    };
+  }
+
+  /**
+   * Stream a rendered report to an Express response as a download
+   */
+  async sendReport(res, reportType, format, report) {
+    const tables = this.getTables(reportType, report);
+    const title = REPORT_TITLES[reportType];
+    const { filename, contentType } = this.getFileInfo(reportType, format);
+
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    switch (format) {
+      case EXPORT_FORMATS.CSV:
+        // BOM so spreadsheet apps detect UTF-8
+        res.send(`\uFEFF${this.toCSV(tables)}`);
+        break;
+      case EXPORT_FORMATS.XLSX:
+        await this.toXLSX(title, tables, res);
+        res.end();
+        break;
+      case EXPORT_FORMATS.PDF:
+        await this.toPDF(title, tables, res);
+        break;
+      case EXPORT_FORMATS.JSON:
+        res.send(JSON.stringify({ reportType, generatedAt: new Date(), report }, null, 2));
+        break;
+      default:
+        throw new Error('Invalid export format');
+    }
+  }
+}
+
+module.exports = new ExportService();
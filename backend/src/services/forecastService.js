@@ -0,0 +1,204 @@
+/**
+ * ============================================
+ * Forecast Service
+ * ============================================
+ * Predicts when stock runs out and when to
+ * reorder it
+ *
+ * Features:
+ * - Run-out dates for groceries from their
+ *   observed daily usage (consumption ledger)
+ * - Items without history of their own use
+ *   earlier purchases of the same product
+ * - Reorder date and quantity for inventory
+ *   items (reorder level, max stock level,
+ *   supplier lead time)
+ * ============================================
+ */
+
+const Grocery = require('../models/Grocery');
+const ConsumptionEvent = require('../models/ConsumptionEvent');
+const { addDays, startOfDay } = require('../utils/dateHelpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days of consumption history used for usage rates
+const USAGE_WINDOW_DAYS = 30;
+
+// Days of usage an inventory restock should cover when no max stock level is set
+const DEFAULT_COVER_DAYS = 30;
+
+// Items running out within this many days trigger a reminder
+const RUN_OUT_ALERT_DAYS = 3;
+
+const round = (value, digits = 2) => parseFloat(value.toFixed(digits));
+
+// Confidence of a usage rate by number of consumption events
+const getConfidence = (events) => {
+  if (events >= 7) return 'high';
+  if (events >= 3) return 'medium';
+  return 'low';
+};
+
+// Days between a date and now, within the usage window (at least one day)
+const observedDays = (since) => {
+  const days = (Date.now() - new Date(since).getTime()) / DAY_MS;
+  return Math.min(Math.max(days, 1), USAGE_WINDOW_DAYS);
+};
+
+class ForecastService {
+  /**
+   * Usage rates of the pantry, by item and by product name
+   * @param {object} scope - ownerFilter(req.user) or { user }
+   * @returns {object} - { byGrocery: Map, byName: Map }
+   */
+  async getUsageIndex(scope) {
+    const usage = await ConsumptionEvent.getUsageRates(scope, USAGE_WINDOW_DAYS);
+
+    const byGrocery = new Map();
+    const byName = new Map();
+
+    usage.forEach(entry => {
+      byGrocery.set(`${entry.grocery}|${entry.unit}`, entry);
+
+      const key = `${entry.name.toLowerCase()}|${entry.unit}`;
+      const combined = byName.get(key) || { consumed: 0, events: 0, firstAt: entry.firstAt };
+
+      combined.consumed += entry.consumed;
+      combined.events += entry.events;
+      if (entry.firstAt < combined.firstAt) combined.firstAt = entry.firstAt;
+
+      byName.set(key, combined);
+    });
+
+    return { byGrocery, byName };
+  }
+
+  /**
+   * Run-out forecast of a grocery item
+   * @param {object} grocery - Grocery document
+   * @param {object} index - Output of getUsageIndex
+   * @returns {object} - { dailyUsage, unit, daysLeft, runOutDate, basis, confidence, events }
+   */
+  forecastGrocery(grocery, index) {
+    const own = index.byGrocery.get(`${grocery._id}|${grocery.unit}`);
+    const similar = index.byName.get(`${grocery.name.toLowerCase()}|${grocery.unit}`);
+
+    // The item's own history counts from when it was added
+    let usage = null;
+    if (own) {
+      usage = { ...own, days: observedDays(grocery.createdAt || own.firstAt), basis: 'item_history' };
+    } else if (similar) {
+      usage = { ...similar, days: observedDays(similar.firstAt), basis: 'product_history' };
+    }
+
+    if (!usage || usage.consumed <= 0) {
+      return {
+        dailyUsage: null,
+        unit: grocery.unit,
+        daysLeft: null,
+        runOutDate: null,
+        basis: 'no_history',
+        confidence: null,
+        events: 0
+      };
+    }
+
+    const dailyUsage = usage.consumed / usage.days;
+    const daysLeft = grocery.quantity / dailyUsage;
+
+    return {
+      dailyUsage: round(dailyUsage, 3),
+      unit: grocery.unit,
+      daysLeft: round(daysLeft, 1),
+      runOutDate: startOfDay(addDays(new Date(), Math.floor(daysLeft))),
+      basis: usage.basis,
+      confidence: getConfidence(usage.events),
+      events: usage.events
+    };
+  }
+
+  /**
+   * Run-out forecasts of a user's pantry
+   * @param {object} scope - ownerFilter(req.user) or { user }
+   * @param {object} options - { withinDays (default: all) }
+   * @returns {Array} - [{ grocery, forecast }] sorted by run-out date
+   */
+  async forecastPantry(scope, options = {}) {
+    try {
+      const { withinDays = null } = options;
+
+      const groceries = await Grocery.find({
+        ...scope,
+        status: 'active',
+        quantity: { $gt: 0 }
+      });
+
+      const index = await this.getUsageIndex(scope);
+
+      return groceries
+        .map(grocery => ({ grocery, forecast: this.forecastGrocery(grocery, index) }))
+        .filter(({ forecast }) => forecast.daysLeft !== null)
+        .filter(({ forecast }) => withinDays === null || forecast.daysLeft <= withinDays)
+        .sort((a, b) => a.forecast.daysLeft - b.forecast.daysLeft);
+    } catch (error) {
+      console.error('❌ Forecast pantry error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Items expected to run out within the next few days
+   * @param {object} scope - ownerFilter(req.user) or { user }
+   * @returns {Array} - [{ grocery, forecast }]
+   */
+  async getRunningOut(scope) {
+    return await this.forecastPantry(scope, { withinDays: RUN_OUT_ALERT_DAYS });
+  }
+
+  /**
+   * Reorder suggestion for an inventory item
+   * Reorder once stock falls to the reorder level plus what sells during the
+   * supplier's lead time; order enough to refill to the max stock level
+   * @param {object} item - Inventory document
+   * @returns {object} - { dailyUsage, daysLeft, runOutDate, reorderPoint, reorderDate, reorderNow, suggestedQuantity, leadTimeDays }
+   */
+  forecastInventory(item) {
+    const dailyUsage = item.getDailyUsage();
+    const leadTimeDays = item.supplier?.leadTimeDays || 0;
+    const stock = item.stockQuantity;
+
+    const reorderPoint = item.reorderLevel + dailyUsage * leadTimeDays;
+
+    let daysUntilReorder;
+    if (stock <= reorderPoint) {
+      daysUntilReorder = 0;
+    } else if (dailyUsage > 0) {
+      daysUntilReorder = Math.floor((stock - reorderPoint) / dailyUsage);
+    } else {
+      daysUntilReorder = null;
+    }
+
+    // Refill to the max stock level (or a month of sales) when the order arrives
+    const target = item.maxStockLevel ||
+      Math.max(item.reorderLevel * 2, item.reorderLevel + dailyUsage * DEFAULT_COVER_DAYS);
+    const daysToArrival = (daysUntilReorder || 0) + leadTimeDays;
+    const stockOnArrival = Math.max(stock - dailyUsage * daysToArrival, 0);
+
+    const today = startOfDay(new Date());
+
+    return {
+      dailyUsage: round(dailyUsage, 3),
+      unit: item.unit,
+      daysLeft: dailyUsage > 0 ? round(stock / dailyUsage, 1) : null,
+      runOutDate: dailyUsage > 0 ? addDays(today, Math.floor(stock / dailyUsage)) : null,
+      leadTimeDays,
+      reorderPoint: round(reorderPoint),
+      reorderDate: daysUntilReorder !== null ? addDays(today, daysUntilReorder) : null,
+      reorderNow: daysUntilReorder === 0,
+      suggestedQuantity: daysUntilReorder !== null ? Math.ceil(Math.max(target - stockOnArrival, 0)) : 0
+    };
+  }
+}
+
+module.exports = new ForecastService();
@@ -0,0 +1,309 @@
+/**
+ * ============================================
+ * Grocery Import Service
+ * ============================================
+ * Bulk import of a pantry from CSV or JSON
+ *
+ * Features:
+ * - Column mapping (e.g. "Item", "Qty",
+ *   "Best Before") to grocery fields
+ * - Categories by name, units and storage
+ *   locations normalized
+ * - Rows checked with the same rules as a
+ *   single new grocery
+ * - All-or-nothing (one transaction) or
+ *   partial commit, with per-row errors
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const Grocery = require('../models/Grocery');
+const Category = require('../models/Category');
+const priceService = require('./priceService');
+const productService = require('./productService');
+const { checkFields, groceryFieldRules } = require('../middleware/validationMiddleware');
+const { ownerFields, categoryFilter } = require('../utils/householdScope');
+const { normalizeUnit } = require('../utils/unitConverter');
+const { parseReceiptDate } = require('../utils/receiptParser');
+const {
+  IMPORT_MODES,
+  STORAGE_LOCATIONS,
+  PRICE_SOURCES,
+  CONSUMPTION_TYPES,
+  CONSUMPTION_SOURCES
+} = require('../utils/constants');
+
+const MAX_IMPORT_ROWS = 2000;
+const MAX_REPORTED_ERRORS = 50;
+
+// Column names accepted per field (compared without case, spaces or punctuation)
+const COLUMN_ALIASES = {
+  name: ['name', 'item', 'itemname', 'product', 'productname', 'grocery'],
+  description: ['description'],
+  category: ['category', 'categoryname', 'categoryid', 'type'],
+  quantity: ['quantity', 'qty', 'amount', 'count'],
+  unit: ['unit', 'units', 'uom'],
+  price: ['price', 'unitprice', 'cost'],
+  currency: ['currency'],
+  purchaseDate: ['purchasedate', 'purchased', 'boughton', 'dateadded'],
+  expiryDate: ['expirydate', 'expiry', 'expires', 'expirationdate', 'bestbefore', 'useby'],
+  location: ['location', 'storage', 'storagelocation'],
+  barcode: ['barcode', 'ean', 'upc', 'gtin'],
+  brand: ['brand'],
+  store: ['store', 'shop'],
+  notes: ['notes', 'note', 'comments'],
+  lowStockThreshold: ['lowstockthreshold', 'minstock', 'reorderlevel']
+};
+
+const LOCATION_ALIASES = {
+  refrigerator: STORAGE_LOCATIONS.FRIDGE,
+  fridge: STORAGE_LOCATIONS.FRIDGE,
+  freezer: STORAGE_LOCATIONS.FREEZER,
+  pantry: STORAGE_LOCATIONS.PANTRY,
+  cupboard: STORAGE_LOCATIONS.CABINET,
+  cabinet: STORAGE_LOCATIONS.CABINET,
+  counter: STORAGE_LOCATIONS.COUNTER,
+  countertop: STORAGE_LOCATIONS.COUNTER,
+  other: STORAGE_LOCATIONS.OTHER
+};
+
+const NUMBER_FIELDS = ['quantity', 'price', 'lowStockThreshold'];
+const DATE_FIELDS = ['purchaseDate', 'expiryDate'];
+
+const columnKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const clientError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class GroceryImportService {
+  /**
+   * Map an import record to grocery fields
+   * Values that cannot be normalized are kept so the validation rules report them
+   * @param {object} record - Raw CSV row or JSON object
+   * @param {object} options - { dayFirst } for dates like 05/03/2024
+   * @returns {object} - Grocery fields
+   */
+  mapRecord(record, options = {}) {
+    const columns = new Map();
+    Object.entries(record).forEach(([key, value]) => {
+      if (value === undefined || value === null || String(value).trim() === '') return;
+      columns.set(columnKey(key), typeof value === 'string' ? value.trim() : value);
+    });
+
+    const fields = {};
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+      const alias = aliases.find(a => columns.has(a));
+      if (alias) fields[field] = columns.get(alias);
+    });
+
+    if (record.unitSize && typeof record.unitSize === 'object') {
+      fields.unitSize = record.unitSize;
+    }
+
+    NUMBER_FIELDS.forEach(field => {
+      // Decimal commas ("1,5")
+      if (typeof fields[field] === 'string' && /^\d+,\d+$/.test(fields[field])) {
+        fields[field] = fields[field].replace(',', '.');
+      }
+    });
+
+    DATE_FIELDS.forEach(field => {
+      if (typeof fields[field] !== 'string' || /^\d{4}-\d{2}-\d{2}/.test(fields[field])) return;
+
+      const date = parseReceiptDate(fields[field], options.dayFirst);
+      if (date) fields[field] = date.toISOString().slice(0, 10);
+    });
+
+    if (fields.unit) {
+      fields.unit = normalizeUnit(String(fields.unit)) || fields.unit;
+    }
+
+    if (fields.location) {
+      fields.location = LOCATION_ALIASES[columnKey(fields.location)] || fields.location;
+    }
+
+    if (fields.currency) {
+      fields.currency = String(fields.currency).toUpperCase();
+    }
+
+    if (fields.barcode !== undefined) {
+      fields.barcode = String(fields.barcode);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Import groceries into the active pantry
+   * @param {object} user - req.user
+   * @param {Array<object>} records - Raw records
+   * @param {object} options - { mode (IMPORT_MODES, default all-or-nothing), defaultCategory, dayFirst }
+   * @returns {object} - { received, imported, failed, mode, committed, errors: [{ row, name, errors }] }
+   */
+  async importGroceries(user, records, options = {}) {
+    try {
+      const mode = options.mode || IMPORT_MODES.ALL_OR_NOTHING;
+
+      if (records.length > MAX_IMPORT_ROWS) {
+        throw clientError(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+      }
+
+      const result = {
+        received: records.length,
+        imported: 0,
+        failed: 0,
+        mode,
+        committed: false,
+        errors: []
+      };
+
+      const reportRow = (row, name, errors) => {
+        result.failed++;
+        if (result.errors.length < MAX_REPORTED_ERRORS) {
+          result.errors.push({ row, name: name || null, errors });
+        }
+      };
+
+      // Categories by id and by name (case-insensitive)
+      const categories = await Category.find(categoryFilter(user)).select('name');
+      const categoryIds = new Set(categories.map(category => category._id.toString()));
+      const categoryNames = new Map(categories.map(category => [category.name.trim().toLowerCase(), category._id]));
+
+      const resolveCategory = (value) => {
+        if (!value) return null;
+        if (categoryIds.has(value.toString())) return value;
+        return categoryNames.get(String(value).trim().toLowerCase()) || null;
+      };
+
+      const defaultCategory = resolveCategory(options.defaultCategory);
+      if (options.defaultCategory && !defaultCategory) {
+        throw clientError(`Unknown category "${options.defaultCategory}"`);
+      }
+
+      const rows = [];
+
+      for (const [index, record] of records.entries()) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          reportRow(index + 1, null, [{ field: null, message: 'Row must be an object of column values', value: record }]);
+          continue;
+        }
+
+        const errors = [];
+        let fields = this.mapRecord(record, options);
+
+        // Unknown names are reported instead of being checked as ids
+        const categoryName = fields.category;
+        fields.category = resolveCategory(categoryName) || undefined;
+        if (categoryName && !fields.category) {
+          errors.push({ field: 'category', message: `Unknown category "${categoryName}"`, value: categoryName });
+        }
+
+        // Same catalog auto-fill as a single new grocery
+        if (fields.barcode) {
+          ({ fields } = await productService.autofillGrocery(user, fields));
+        }
+
+        if (!fields.category && !categoryName) fields.category = defaultCategory || undefined;
+
+        errors.push(...await checkFields(groceryFieldRules, fields));
+
+        if (!fields.category && !categoryName) {
+          errors.push({ field: 'category', message: 'Please select a category' });
+        }
+
+        if (fields.location && !Object.values(STORAGE_LOCATIONS).includes(fields.location)) {
+          errors.push({ field: 'location', message: 'Invalid storage location', value: fields.location });
+        }
+
+        if (errors.length > 0) {
+          reportRow(index + 1, fields.name, errors);
+          continue;
+        }
+
+        const grocery = new Grocery({
+          ...ownerFields(user),
+          name: fields.name,
+          description: fields.description,
+          category: fields.category,
+          quantity: fields.quantity,
+          unit: normalizeUnit(fields.unit) || 'pcs',
+          unitSize: fields.unitSize,
+          lowStockThreshold: fields.lowStockThreshold,
+          price: fields.price,
+          currency: fields.currency || user.currency,
+          purchaseDate: fields.purchaseDate || new Date(),
+          expiryDate: fields.expiryDate,
+          location: fields.location,
+          barcode: fields.barcode,
+          brand: fields.brand,
+          store: fields.store,
+          imageUrl: fields.imageUrl,
+          notes: fields.notes,
+          status: 'active'
+        });
+
+        try {
+          await grocery.validate();
+        } catch (error) {
+          if (error.name !== 'ValidationError') throw error;
+
+          reportRow(index + 1, fields.name, Object.values(error.errors).map(e => ({
+            field: e.path,
+            message: e.message,
+            value: e.value
+          })));
+          continue;
+        }
+
+        grocery.logMovement(CONSUMPTION_TYPES.RESTOCK, grocery.quantity, {
+          actor: user.id,
+          source: CONSUMPTION_SOURCES.IMPORT
+        });
+
+        rows.push({ row: index + 1, grocery });
+      }
+
+      let saved = [];
+
+      if (mode === IMPORT_MODES.ALL_OR_NOTHING) {
+        if (result.failed > 0 || rows.length === 0) {
+          return result;
+        }
+
+        await mongoose.connection.transaction(async (session) => {
+          for (const { grocery } of rows) {
+            await grocery.save({ session });
+          }
+        });
+        saved = rows.map(({ grocery }) => grocery);
+      } else {
+        for (const { row, grocery } of rows) {
+          try {
+            await grocery.save();
+            saved.push(grocery);
+          } catch (error) {
+            reportRow(row, grocery.name, [{ message: error.message }]);
+          }
+        }
+      }
+
+      // Price history once the groceries exist
+      for (const grocery of saved) {
+        await priceService.recordPurchase(grocery, PRICE_SOURCES.IMPORT);
+      }
+
+      result.imported = saved.length;
+      result.committed = saved.length > 0;
+
+      return result;
+    } catch (error) {
+      console.error('❌ Import groceries error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new GroceryImportService();
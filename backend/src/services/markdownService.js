@@ -0,0 +1,345 @@
+/**
+ * ============================================
+ * Markdown Service
+ * ============================================
+ * Discounts store inventory that is close to
+ * its expiry date
+ *
+ * Features:
+ * - Applies the store owner's markdown rules
+ *   (deeper markdowns as expiry gets closer)
+ * - Ends markdowns when stock sells out,
+ *   expires or gets a new expiry date
+ * - Markdown history and owner notifications
+ * - Report of revenue recovered by markdowns
+ *   against stock written off
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const Inventory = require('../models/Inventory');
+const Markdown = require('../models/Markdown');
+const MarkdownRule = require('../models/MarkdownRule');
+const Sale = require('../models/Sale');
+const StockMovement = require('../models/StockMovement');
+const notificationService = require('./notificationService');
+const analyticsService = require('./analyticsService');
+const { daysUntil, startOfDay } = require('../utils/dateHelpers');
+const { MARKDOWN_END_REASONS, STOCK_MOVEMENT_TYPES } = require('../utils/constants');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const day = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+
+class MarkdownService {
+  /**
+   * Mark an item down (ending its current markdown)
+   * @param {object} item - Inventory document
+   * @param {object} rule - MarkdownRule (null when set by hand)
+   * @param {number} percentOff
+   * @param {object} current - Active markdown history entry, if any
+   * @returns {object} - New history entry
+   */
+  async startMarkdown(item, rule, percentOff, current = null) {
+    if (current) await this.endMarkdown(item, current, MARKDOWN_END_REASONS.REPLACED);
+
+    const entry = await Markdown.create({
+      storeOwner: item.storeOwner,
+      inventory: item._id,
+      productName: item.productName,
+      rule: rule ? rule._id : null,
+      percentOff,
+      originalPrice: item.sellingPrice,
+      price: round(item.sellingPrice * (100 - percentOff) / 100),
+      costPrice: item.costPrice,
+      expiryDate: item.expiryDate,
+      daysLeft: daysUntil(item.expiryDate),
+      stockQuantity: item.stockQuantity
+    });
+
+    item.markdown = {
+      price: entry.price,
+      percentOff,
+      entry: entry._id,
+      appliedAt: entry.startedAt
+    };
+    await item.save();
+
+    return entry;
+  }
+
+  /**
+   * End an item's markdown and restore its selling price
+   */
+  async endMarkdown(item, entry, reason) {
+    if (entry && !entry.endedAt) {
+      entry.endedAt = new Date();
+      entry.endReason = reason;
+      await entry.save();
+    }
+
+    item.markdown = { price: null, percentOff: null, entry: null, appliedAt: null };
+    await item.save();
+  }
+
+  /**
+   * Apply a store owner's markdown rules to their inventory
+   * @param {string} storeOwner - Store owner ID
+   * @returns {object} - { applied: [{ item, entry }], ended: [{ item, entry, reason }] }
+   */
+  async applyMarkdowns(storeOwner) {
+    try {
+      const [rules, items, activeEntries, removedEntries] = await Promise.all([
+        MarkdownRule.find({ storeOwner, isActive: true }),
+        Inventory.find({
+          storeOwner,
+          $or: [{ expiryDate: { $ne: null } }, { 'markdown.entry': { $ne: null } }]
+        }),
+        Markdown.find({ storeOwner, endedAt: null }),
+        Markdown.find({ storeOwner, endReason: MARKDOWN_END_REASONS.REMOVED, expiryDate: { $gte: startOfDay(new Date()) } })
+      ]);
+
+      const entries = new Map(activeEntries.map(entry => [entry.inventory.toString(), entry]));
+      // Markdowns removed by hand stay off until the item gets a new expiry date
+      const removed = new Set(removedEntries.map(entry => `${entry.inventory}:${entry.expiryDate.getTime()}`));
+      const result = { applied: [], ended: [] };
+
+      for (const item of items) {
+        const current = entries.get(item._id.toString()) || null;
+        const daysLeft = item.expiryDate ? daysUntil(item.expiryDate) : null;
+
+        // Restocked with a new batch since the markdown started
+        const stale = Boolean(current && item.expiryDate && item.expiryDate.getTime() !== current.expiryDate.getTime());
+
+        let reason = null;
+        if (daysLeft !== null && daysLeft < 0) reason = MARKDOWN_END_REASONS.EXPIRED;
+        else if (item.stockQuantity <= 0) reason = MARKDOWN_END_REASONS.SOLD_OUT;
+        else if (!item.isActive) reason = MARKDOWN_END_REASONS.WITHDRAWN;
+        else if (!item.expiryDate) reason = MARKDOWN_END_REASONS.EXPIRY_CHANGED;
+
+        const rule = reason || removed.has(`${item._id}:${item.expiryDate.getTime()}`)
+          ? null
+          : MarkdownRule.resolve(rules, item.category, daysLeft);
+
+        if (rule && (!current || stale || current.percentOff !== rule.percentOff)) {
+          if (stale) {
+            await this.endMarkdown(item, current, MARKDOWN_END_REASONS.EXPIRY_CHANGED);
+            result.ended.push({ item, entry: current, reason: MARKDOWN_END_REASONS.EXPIRY_CHANGED });
+          }
+
+          const entry = await this.startMarkdown(item, rule, rule.percentOff, stale ? null : current);
+          result.applied.push({ item, entry });
+        } else if ((current || item.markdown.entry) && !rule) {
+          reason = reason || (stale ? MARKDOWN_END_REASONS.EXPIRY_CHANGED : MARKDOWN_END_REASONS.RULE_CHANGED);
+          await this.endMarkdown(item, current, reason);
+          result.ended.push({ item, entry: current, reason });
+        }
+      }
+
+      return result;
+    } catch (error) {
+      console.error('❌ Apply markdowns error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the store owner what was marked down and what expired unsold
+   */
+  async sendMarkdownAlert(storeOwner, result) {
+    const expired = result.ended.filter(({ reason }) => reason === MARKDOWN_END_REASONS.EXPIRED);
+    if (result.applied.length === 0 && expired.length === 0) return null;
+
+    const list = (entries, format) => {
+      const shown = entries.slice(0, 5).map(format).join(', ');
+      return entries.length > 5 ? `${shown} and ${entries.length - 5} more` : shown;
+    };
+
+    const parts = [];
+    if (result.applied.length > 0) {
+      parts.push(`Marked down: ${list(result.applied, ({ item, entry }) =>
+        `${item.productName} ${entry.percentOff}% off (${entry.price.toFixed(2)})`)}.`);
+    }
+    if (expired.length > 0) {
+      parts.push(`Expired with stock left, write off: ${list(expired, ({ item }) =>
+        `${item.productName} (${item.stockQuantity} ${item.unit})`)}.`);
+    }
+
+    return await notificationService.sendNotification(
+      storeOwner,
+      'markdown',
+      '🏷️ Expiring Stock Marked Down',
+      parts.join(' ').slice(0, 500),
+      {
+        priority: expired.length > 0 ? 'high' : 'medium',
+        metadata: {
+          markedDown: result.applied.map(({ item, entry }) => ({
+            inventoryId: item._id,
+            productName: item.productName,
+            percentOff: entry.percentOff,
+            price: entry.price,
+            expiryDate: entry.expiryDate
+          })),
+          expired: expired.map(({ item }) => ({
+            inventoryId: item._id,
+            productName: item.productName,
+            stockQuantity: item.stockQuantity
+          }))
+        }
+      }
+    );
+  }
+
+  /**
+   * Apply markdown rules for every store owner that has some (scheduled job)
+   * @returns {number} - Markdowns applied
+   */
+  async applyMarkdownsForAllOwners() {
+    try {
+      const owners = await MarkdownRule.distinct('storeOwner', { isActive: true });
+      let applied = 0;
+
+      for (const storeOwner of owners) {
+        try {
+          const result = await this.applyMarkdowns(storeOwner);
+          await this.sendMarkdownAlert(storeOwner, result);
+          applied += result.applied.length;
+        } catch (error) {
+          console.error(`❌ Error applying markdowns for store owner ${storeOwner}:`, error);
+        }
+      }
+
+      return applied;
+    } catch (error) {
+      console.error('❌ Apply markdowns for all owners error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an item's markdown by hand
+   */
+  async removeMarkdown(item) {
+    try {
+      const entry = item.markdown.entry ? await Markdown.findById(item.markdown.entry) : null;
+      await this.endMarkdown(item, entry, MARKDOWN_END_REASONS.REMOVED);
+      return entry;
+    } catch (error) {
+      console.error('❌ Remove markdown error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revenue recovered by selling marked-down stock against stock written off
+   * Sales are in the owner's base currency at sale-date rates; write-offs at cost
+   * @param {string} storeOwner - Store owner ID
+   * @param {Date} startDate
+   * @param {Date} endDate
+   */
+  async getReport(storeOwner, startDate, endDate) {
+    try {
+      const owner = new mongoose.Types.ObjectId(String(storeOwner));
+
+      const [saleRows, writeOffs, started, expiredUnsold] = await Promise.all([
+        Sale.aggregate([
+          { $match: { storeOwner: owner, soldAt: { $gte: startDate, $lte: endDate } } },
+          { $unwind: '$items' },
+          { $match: { 'items.markdown': { $ne: null } } },
+          {
+            $project: {
+              currency: 1,
+              soldAt: 1,
+              // Units kept by customers (refunds excluded)
+              kept: { $subtract: ['$items.quantity', '$items.quantityRefunded'] },
+              quantity: '$items.quantity',
+              netTotal: '$items.netTotal',
+              listPrice: '$items.listPrice',
+              unitPrice: '$items.unitPrice',
+              unitCost: '$items.unitCost'
+            }
+          },
+          {
+            $group: {
+              _id: { currency: '$currency', day: day('$soldAt') },
+              units: { $sum: '$kept' },
+              revenue: { $sum: { $multiply: ['$netTotal', { $divide: ['$kept', '$quantity'] }] } },
+              discount: {
+                $sum: { $multiply: [{ $subtract: [{ $ifNull: ['$listPrice', '$unitPrice'] }, '$unitPrice'] }, '$kept'] }
+              },
+              cost: { $sum: { $multiply: ['$unitCost', '$kept'] } }
+            }
+          }
+        ]),
+
+        StockMovement.aggregate([
+          {
+            $match: {
+              storeOwner: owner,
+              type: STOCK_MOVEMENT_TYPES.WRITE_OFF,
+              occurredAt: { $gte: startDate, $lte: endDate }
+            }
+          },
+          {
+            $group: {
+              _id: null,
+              units: { $sum: { $multiply: ['$quantity', -1] } },
+              cost: { $sum: { $multiply: ['$quantity', -1, { $ifNull: ['$unitCost', 0] }] } },
+              items: { $addToSet: '$inventory' }
+            }
+          }
+        ]),
+
+        Markdown.countDocuments({ storeOwner, startedAt: { $gte: startDate, $lte: endDate } }),
+
+        Markdown.countDocuments({
+          storeOwner,
+          endReason: MARKDOWN_END_REASONS.EXPIRED,
+          endedAt: { $gte: startDate, $lte: endDate }
+        })
+      ]);
+
+      const rates = await analyticsService.getRateTable(storeOwner, saleRows);
+
+      const recovered = saleRows.reduce((sum, row) => ({
+        units: sum.units + row.units,
+        revenue: sum.revenue + rates.convertRow(row, row.revenue),
+        discount: sum.discount + rates.convertRow(row, row.discount),
+        cost: sum.cost + rates.convertRow(row, row.cost)
+      }), { units: 0, revenue: 0, discount: 0, cost: 0 });
+
+      const [writeOff = { units: 0, cost: 0, items: [] }] = writeOffs;
+      const atRisk = recovered.revenue + writeOff.cost;
+
+      return {
+        currency: rates.currency,
+        startDate,
+        endDate,
+        markdowns: {
+          started,
+          expiredUnsold
+        },
+        recovered: {
+          units: parseFloat(recovered.units.toFixed(3)),
+          revenue: round(recovered.revenue),
+          discountGiven: round(recovered.discount),
+          cost: round(recovered.cost),
+          margin: round(recovered.revenue - recovered.cost)
+        },
+        writeOffs: {
+          units: parseFloat(writeOff.units.toFixed(3)),
+          cost: round(writeOff.cost),
+          items: writeOff.items.length
+        },
+        // Share of expiring stock value turned into revenue rather than written off
+        recoveryRate: atRisk > 0 ? round(recovered.revenue / atRisk * 100) : null,
+        missingRates: rates.getMissing()
+      };
+    } catch (error) {
+      console.error('❌ Markdown report error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MarkdownService();
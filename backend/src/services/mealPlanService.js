@@ -0,0 +1,279 @@
+/**
+ * ============================================
+ * Meal Plan Service
+ * ============================================
+ * Builds weekly meal plans and holds pantry
+ * stock for planned meals
+ *
+ * Features:
+ * - Meals from recipes (scaled to servings),
+ *   ingredient lists or free text
+ * - Reservations: planned meals claim stock
+ *   that is not yet reserved, in one
+ *   transaction
+ * - What still needs to be bought for the week
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const Grocery = require('../models/Grocery');
+const recipeService = require('./recipeService');
+const { ownerFilter } = require('../utils/householdScope');
+const { findMatches } = require('../utils/ingredientMatcher');
+const { convert, canConvert, getConversionOptions } = require('../utils/unitConverter');
+
+// Rounding tolerance for quantities after unit conversion
+const EPSILON = 1e-9;
+
+const roundQuantity = (value) => Math.round(value * 100) / 100;
+
+const notFound = (message) => {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+};
+
+class MealPlanService {
+  /**
+   * Claim stock that is not reserved for a meal's ingredients
+   * Claimed quantities are added to the groceries' reservedQuantity (not saved),
+   * so the next meal only sees what is left
+   * @param {object} meal - Meal subdocument
+   * @param {Array} groceries - Active groceries with stock
+   * @returns {object} - { allocations, shortfall } (see recipeService.planCooking)
+   */
+  claimStock(meal, groceries) {
+    const { allocations, shortfall } = recipeService.planCooking(
+      meal.ingredients, groceries, 1, { excludeReserved: true }
+    );
+
+    allocations.forEach(({ grocery, quantity }) => {
+      grocery.reservedQuantity = (grocery.reservedQuantity || 0) + quantity;
+    });
+
+    return { allocations, shortfall };
+  }
+
+  /**
+   * Meal fields from a request entry
+   * Recipe meals copy the recipe's ingredients, scaled to the planned servings
+   * @param {object} user - req.user
+   * @param {object} entry - { date, slot, recipe, title, servings, ingredients, notes }
+   * @returns {object} - Meal fields
+   * @throws {Error} - statusCode 404 when the recipe is not in the active pantry
+   */
+  async buildMeal(user, entry) {
+    const meal = {
+      date: entry.date,
+      slot: entry.slot,
+      title: entry.title,
+      servings: entry.servings || null,
+      notes: entry.notes,
+      recipe: null,
+      ingredients: (entry.ingredients || [])
+        .map(ingredient => recipeService.normalizeIngredient(ingredient))
+        .filter(Boolean)
+    };
+
+    if (!entry.recipe) {
+      return meal;
+    }
+
+    const recipe = await Recipe.findOne({ _id: entry.recipe, ...ownerFilter(user) });
+    if (!recipe) {
+      throw notFound('Recipe not found');
+    }
+
+    const servings = entry.servings || recipe.servings;
+    const multiplier = servings / recipe.servings;
+
+    return {
+      ...meal,
+      recipe: recipe._id,
+      title: entry.title || recipe.name,
+      servings,
+      ingredients: meal.ingredients.length > 0
+        ? meal.ingredients
+        : recipe.ingredients.map(ingredient => ({
+          name: ingredient.name,
+          quantity: ingredient.quantity !== null ? ingredient.quantity * multiplier : null,
+          unit: ingredient.unit,
+          optional: ingredient.optional
+        }))
+    };
+  }
+
+  /**
+   * Reserve pantry stock for meals that are not reserved yet
+   * Stock already reserved by other meals (in any plan) is left alone
+   * @param {object} user - req.user
+   * @param {object} plan - MealPlan document
+   * @param {Array<string>} mealIds - Limit to these meals (default: all)
+   * @returns {object} - { reserved, shortfall }
+   */
+  async reserve(user, plan, mealIds = null) {
+    try {
+      return await mongoose.connection.transaction(async (session) => {
+        const groceries = await Grocery.find({
+          ...ownerFilter(user),
+          status: 'active',
+          quantity: { $gt: 0 }
+        }).session(session);
+
+        const meals = plan.meals.filter(meal =>
+          !meal.reservedAt && (!mealIds || mealIds.includes(meal._id.toString()))
+        );
+
+        const changed = new Set();
+        const shortfall = [];
+        let reserved = 0;
+
+        meals.forEach(meal => {
+          const claimed = this.claimStock(meal, groceries);
+
+          claimed.allocations.forEach(({ ingredient, grocery, quantity }) => {
+            changed.add(grocery);
+            meal.reservations.push({ grocery: grocery._id, ingredient, quantity });
+            reserved++;
+          });
+
+          claimed.shortfall.forEach(entry => shortfall.push({ ...entry, meal: meal._id, title: meal.title }));
+          meal.reservedAt = new Date();
+        });
+
+        for (const grocery of changed) {
+          await grocery.save({ session });
+        }
+        await plan.save({ session });
+
+        return { reserved, shortfall };
+      });
+    } catch (error) {
+      console.error('❌ Reserve meal plan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Give reserved stock back to the pantry
+   * @param {object} plan - MealPlan document
+   * @param {Array<string>} mealIds - Limit to these meals (default: all)
+   * @param {object} options - { save (default: true) }
+   * @returns {number} - Reservations released
+   */
+  async release(plan, mealIds = null, options = {}) {
+    try {
+      const { save = true } = options;
+
+      const meals = plan.getReservedMeals().filter(meal =>
+        !mealIds || mealIds.includes(meal._id.toString())
+      );
+
+      const reservations = meals.flatMap(meal => meal.reservations);
+
+      await mongoose.connection.transaction(async (session) => {
+        const groceries = await Grocery.find({
+          _id: { $in: reservations.map(reservation => reservation.grocery) }
+        }).session(session);
+
+        const byId = new Map(groceries.map(grocery => [grocery._id.toString(), grocery]));
+
+        reservations.forEach(reservation => {
+          const grocery = byId.get(reservation.grocery.toString());
+          if (!grocery) return;
+
+          grocery.reservedQuantity = Math.max((grocery.reservedQuantity || 0) - reservation.quantity, 0);
+        });
+
+        for (const grocery of groceries) {
+          await grocery.save({ session });
+        }
+
+        meals.forEach(meal => {
+          meal.reservations = [];
+          meal.reservedAt = null;
+        });
+
+        if (save) await plan.save({ session });
+      });
+
+      return reservations.length;
+    } catch (error) {
+      console.error('❌ Release meal plan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * What still needs to be bought for the plan
+   * Reserved meals need whatever their reservations do not cover;
+   * other meals are checked against stock that is not reserved
+   * @param {object} user - req.user
+   * @param {object} plan - MealPlan document
+   * @returns {Array} - [{ name, quantity, unit, meals }] (quantity null for "to taste")
+   */
+  async getShoppingNeeds(user, plan) {
+    try {
+      const groceries = await Grocery.find({
+        ...ownerFilter(user),
+        status: 'active',
+        quantity: { $gt: 0 }
+      });
+
+      const needs = new Map();
+      const addNeed = (name, quantity, unit, meal) => {
+        const key = `${name.toLowerCase()}|${unit || ''}`;
+        const need = needs.get(key) || { name, quantity: null, unit, meals: [] };
+
+        if (quantity !== null) need.quantity = roundQuantity((need.quantity || 0) + quantity);
+        if (!need.meals.includes(meal.title)) need.meals.push(meal.title);
+
+        needs.set(key, need);
+      };
+
+      const reservedMeals = plan.getReservedMeals();
+      const reservedIds = reservedMeals.flatMap(meal => meal.reservations.map(r => r.grocery));
+      const reservedGroceries = await Grocery.find({ _id: { $in: reservedIds } });
+      const byId = new Map(reservedGroceries.map(grocery => [grocery._id.toString(), grocery]));
+
+      reservedMeals.forEach(meal => {
+        meal.ingredients.forEach(ingredient => {
+          if (ingredient.optional || ingredient.quantity === null) return;
+
+          const covered = meal.reservations
+            .filter(reservation => reservation.ingredient === ingredient.name)
+            .reduce((sum, reservation) => {
+              const grocery = byId.get(reservation.grocery.toString());
+              const options = getConversionOptions(grocery);
+
+              if (!grocery || !canConvert(grocery.unit, ingredient.unit, options)) return sum;
+              return sum + convert(reservation.quantity, grocery.unit, ingredient.unit, options);
+            }, 0);
+
+          const missing = ingredient.quantity - covered;
+          if (missing > EPSILON) addNeed(ingredient.name, missing, ingredient.unit, meal);
+        });
+      });
+
+      // Meals without reservations share the stock nobody has reserved
+      plan.meals.filter(meal => !meal.reservedAt).forEach(meal => {
+        const { shortfall } = this.claimStock(meal, groceries);
+        shortfall.forEach(entry => addNeed(entry.name, entry.shortBy, entry.unit, meal));
+
+        // "To taste" ingredients are only needed when none is in stock
+        meal.ingredients
+          .filter(ingredient => ingredient.quantity === null && !ingredient.optional)
+          .filter(ingredient => findMatches(ingredient.name, groceries).length === 0)
+          .forEach(ingredient => addNeed(ingredient.name, null, null, meal));
+      });
+
+      return Array.from(needs.values()).sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('❌ Meal plan shopping needs error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MealPlanService();
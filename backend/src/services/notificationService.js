@@ -47,6 +47,7 @@ class NotificationService {
     try {
       const notification = await Notification.create({
         user: data.userId,
+        household: data.household || null,
         type: data.type,
         title: data.title,
         message: data.message,
@@ -120,6 +121,7 @@ class NotificationService {
         message,
         priority: options.priority || 'medium',
         relatedItem: options.relatedItem || null,
+        household: options.household || null,
         metadata: options. metadata || {}
       });
 
@@ -173,20 +175,32 @@ class NotificationService {
   /**
    * Send expiry alert notification
    */
-  async sendExpiryAlert(userId, groceryItem, daysLeft) {
+  async sendExpiryAlert(userId, groceryItem, daysLeft, lot = null) {
     let title, message, priority;
 
+    // Name the batch when only part of the stock is expiring
+    const baseName = lot && groceryItem.lots.length > 1
+      ? `${lot.quantity} ${groceryItem.unit} of ${groceryItem.name}`
+      : groceryItem.name;
+
+    // Opened packages go by their "use within" date
+    const opened = groceryItem.openedExpiryDate && (lot
+      ? !!groceryItem.openedLot && lot._id.equals(groceryItem.openedLot)
+      : true);
+    const itemName = opened ? `Opened ${baseName}` : baseName;
+    const expiryDate = lot ? groceryItem.getLotExpiryDate(lot) : groceryItem.effectiveExpiryDate;
+
     if (daysLeft === 0) {
       title = '🚨 Item Expires Today! ';
-      message = `${groceryItem.name} expires today.  Use or discard it immediately.`;
+      message = `${itemName} expires today.  Use or discard it immediately.`;
       priority = 'urgent';
     } else if (daysLeft === 1) {
       title = '⚠️ Item Expires Tomorrow';
-      message = `${groceryItem.name} expires tomorrow. Plan to use it soon.`;
+      message = `${itemName} expires tomorrow. Plan to use it soon.`;
       priority = 'high';
     } else {
       title = '📅 Item Expiring Soon';
-      message = `${groceryItem.name} expires in ${daysLeft} days. `;
+      message = `${itemName} expires in ${daysLeft} days. `;
       priority = 'medium';
     }
 
@@ -198,9 +212,13 @@ class NotificationService {
       {
         priority,
         relatedItem: groceryItem._id,
+        household: groceryItem.household,
         metadata: {
           itemName: groceryItem.name,
-          expiryDate: groceryItem.expiryDate,
+          expiryDate,
+          opened: !!opened,
+          lotId: lot ? lot._id : null,
+          quantity: lot ? lot.quantity : groceryItem.quantity,
           daysLeft
         }
       }
@@ -219,6 +237,7 @@ class NotificationService {
       {
         priority: 'medium',
         relatedItem: groceryItem._id,
+        household: groceryItem.household,
         metadata: {
           itemName: groceryItem.name,
           quantity: groceryItem.quantity,
@@ -228,6 +247,33 @@ class NotificationService {
     );
   }
 
+  /**
+   * Send "running out soon" reminder (from the run-out forecast)
+   */
+  async sendRunOutAlert(userId, groceryItem, forecast) {
+    const days = Math.floor(forecast.daysLeft);
+    const when = days <= 0 ? 'today' : days === 1 ? 'tomorrow' : `in about ${days} days`;
+
+    return await this.sendNotification(
+      userId,
+      'reminder',
+      '⏳ Running Out Soon',
+      `At your usual rate, ${groceryItem.name} will run out ${when} (${groceryItem.quantity} ${groceryItem.unit} left). Add it to your shopping list.`,
+      {
+        priority: days <= 1 ? 'high' : 'medium',
+        relatedItem: groceryItem._id,
+        household: groceryItem.household,
+        metadata: {
+          itemName: groceryItem.name,
+          quantity: groceryItem.quantity,
+          unit: groceryItem.unit,
+          dailyUsage: forecast.dailyUsage,
+          runOutDate: forecast.runOutDate
+        }
+      }
+    );
+  }
+
   /**
    * Get unread notification count
    */
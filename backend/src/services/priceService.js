@@ -0,0 +1,416 @@
+/**
+ * ============================================
+ * Price Service
+ * ============================================
+ * Price history, trends and price alerts
+ *
+ * Features:
+ * - Record a price observation per purchase
+ * - Price trend over time
+ * - Store comparison
+ * - price_alert notifications for watched
+ *   products (below target / sharp rise)
+ * - Budget threshold checks per purchase
+ * ============================================
+ */
+
+const PriceObservation = require('../models/PriceObservation');
+const PriceWatch = require('../models/PriceWatch');
+const notificationService = require('./notificationService');
+const budgetService = require('./budgetService');
+const { convert, getConversionOptions, getReportingUnit } = require('../utils/unitConverter');
+const { PRICE_ALERT } = require('../utils/constants');
+
+class PriceService {
+  /**
+   * Record the price of the latest purchase of a grocery
+   * Items without a price are skipped; failures are logged, never thrown,
+   * so price tracking cannot break the purchase itself
+   * @param {object} grocery - Saved grocery document
+   * @param {string} source - One of PRICE_SOURCES
+   * @returns {object|null} - Created observation
+   */
+  async recordPurchase(grocery, source) {
+    try {
+      // Newest lot is the purchase that was just made
+      const lot = grocery.lots.length > 0
+        ? grocery.lots.reduce((newest, l) => (l.addedAt > newest.addedAt ? l : newest))
+        : null;
+
+      const unitPrice = lot ? lot.price : grocery.price;
+
+      if (!unitPrice || unitPrice <= 0) {
+        return null;
+      }
+
+      const observation = await PriceObservation.create({
+        user: grocery.user,
+        household: grocery.household || null,
+        grocery: grocery._id,
+        productKey: PriceObservation.buildProductKey(grocery),
+        name: grocery.name,
+        brand: grocery.brand,
+        barcode: grocery.barcode,
+        store: (lot && lot.store) || grocery.store || null,
+        unitPrice,
+        unit: grocery.unit,
+        ...this.normalizePrice(unitPrice, grocery),
+        quantity: lot ? lot.quantity : grocery.quantity,
+        currency: grocery.currency,
+        source,
+        observedAt: (lot && lot.purchaseDate) || grocery.purchaseDate || new Date()
+      });
+
+      await this.checkPriceAlerts(observation);
+
+      // The purchase may push a budget over one of its alert thresholds
+      await budgetService.checkBudgets(
+        observation.household
+          ? { household: observation.household }
+          : { user: observation.user, household: null }
+      );
+
+      return observation;
+    } catch (error) {
+      console.error('❌ Record price error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Price per reporting unit (kg, l, pcs)
+   * @returns {object} - { normalizedPrice, normalizedUnit } (nulls if not convertible)
+   */
+  normalizePrice(unitPrice, grocery) {
+    const options = getConversionOptions(grocery);
+    const normalizedUnit = getReportingUnit(grocery.unit, options);
+
+    try {
+      const perItemUnit = convert(1, grocery.unit, normalizedUnit, options);
+      return {
+        normalizedPrice: parseFloat((unitPrice / perItemUnit).toFixed(4)),
+        normalizedUnit
+      };
+    } catch (error) {
+      return { normalizedPrice: null, normalizedUnit: null };
+    }
+  }
+
+  /**
+   * Fire price_alert notifications for watches on the observed product
+   * @param {object} observation - PriceObservation document
+   * @returns {number} - Alerts sent
+   */
+  async checkPriceAlerts(observation) {
+    const watches = await PriceWatch.find({
+      productKey: observation.productKey,
+      isActive: true,
+      household: observation.household,
+      ...(observation.household ? {} : { user: observation.user })
+    });
+
+    let alertsSent = 0;
+
+    for (const watch of watches) {
+      const price = this.priceInUnit(observation, watch.unit);
+      if (price === null) continue;
+
+      const unitLabel = watch.unit || observation.unit;
+      const storeLabel = observation.store ? ` at ${observation.store}` : '';
+
+      // Rule 1: at or below the user's target
+      if (watch.targetPrice !== null && price <= watch.targetPrice) {
+        if (!watch.canAlert('target')) continue;
+
+        await notificationService.sendNotification(
+          watch.user,
+          'price_alert',
+          '💰 Price Target Reached',
+          `${observation.name} is ${price.toFixed(2)} ${observation.currency}/${unitLabel}${storeLabel}, ` +
+            `at or below your target of ${watch.targetPrice.toFixed(2)}.`,
+          {
+            priority: 'medium',
+            relatedItem: observation.grocery,
+            household: observation.household,
+            metadata: {
+              rule: 'target',
+              productKey: observation.productKey,
+              price,
+              targetPrice: watch.targetPrice,
+              unit: unitLabel,
+              store: observation.store
+            }
+          }
+        );
+
+        watch.lastAlertAt = new Date();
+        watch.lastAlertType = 'target';
+        await watch.save();
+        alertsSent++;
+        continue;
+      }
+
+      // Rule 2: sharp rise over the recent average
+      const average = await this.getRecentAverage(observation, watch.unit);
+      if (!average) continue;
+
+      const risePercent = ((price - average) / average) * 100;
+
+      if (risePercent >= watch.risePercent && watch.canAlert('rise')) {
+        await notificationService.sendNotification(
+          watch.user,
+          'price_alert',
+          '📈 Price Increase',
+          `${observation.name} cost ${price.toFixed(2)} ${observation.currency}/${unitLabel}${storeLabel}, ` +
+            `${Math.round(risePercent)}% above your recent average of ${average.toFixed(2)}.`,
+          {
+            priority: 'high',
+            relatedItem: observation.grocery,
+            household: observation.household,
+            metadata: {
+              rule: 'rise',
+              productKey: observation.productKey,
+              price,
+              averagePrice: parseFloat(average.toFixed(2)),
+              risePercent: parseFloat(risePercent.toFixed(1)),
+              unit: unitLabel,
+              store: observation.store
+            }
+          }
+        );
+
+        watch.lastAlertAt = new Date();
+        watch.lastAlertType = 'rise';
+        await watch.save();
+        alertsSent++;
+      }
+    }
+
+    return alertsSent;
+  }
+
+  /**
+   * Observation price expressed in a unit (null if not convertible)
+   */
+  priceInUnit(observation, unit) {
+    if (!unit || unit === observation.unit) return observation.unitPrice;
+    if (unit === observation.normalizedUnit) return observation.normalizedPrice;
+
+    try {
+      return observation.unitPrice / convert(1, observation.unit, unit);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Average price of earlier observations of the product in the lookback window
+   */
+  async getRecentAverage(observation, unit) {
+    const since = new Date(observation.observedAt);
+    since.setDate(since.getDate() - PRICE_ALERT.LOOKBACK_DAYS);
+
+    const previous = await PriceObservation.find({
+      _id: { $ne: observation._id },
+      productKey: observation.productKey,
+      household: observation.household,
+      ...(observation.household ? {} : { user: observation.user }),
+      observedAt: { $gte: since, $lte: observation.observedAt }
+    });
+
+    const prices = previous
+      .map(prev => this.priceInUnit(prev, unit || observation.unit))
+      .filter(price => price !== null);
+
+    if (prices.length === 0) return null;
+
+    return prices.reduce((sum, price) => sum + price, 0) / prices.length;
+  }
+
+  /**
+   * Get price observations of a product
+   * @param {object} scope - ownerFilter(req.user)
+   * @param {string} productKey - Product key
+   * @param {object} options - { days, store }
+   */
+  async getHistory(scope, productKey, options = {}) {
+    const { days = 365, store } = options;
+
+    const since = new Date();
+    since.setDate(since.getDate() - days);
+
+    const query = {
+      ...scope,
+      productKey,
+      observedAt: { $gte: since }
+    };
+
+    if (store) {
+      query.store = store;
+    }
+
+    return await PriceObservation.find(query).sort({ observedAt: 1 });
+  }
+
+  /**
+   * Get a product's price trend
+   * @param {object} scope - ownerFilter(req.user)
+   * @param {string} productKey - Product key
+   * @param {object} options - { days (default: 180), interval (day/week/month) }
+   */
+  async getTrend(scope, productKey, options = {}) {
+    try {
+      const { days = 180, interval = 'week' } = options;
+
+      const observations = await this.getHistory(scope, productKey, { days });
+      const { unit, points: priced } = this.comparablePrices(observations);
+
+      // Bucket prices per period
+      const buckets = new Map();
+      priced.forEach(({ price, observedAt }) => {
+        const period = this.periodKey(observedAt, interval);
+        if (!buckets.has(period)) buckets.set(period, []);
+        buckets.get(period).push(price);
+      });
+
+      const points = Array.from(buckets.entries()).map(([period, prices]) => ({
+        period,
+        avgPrice: parseFloat((prices.reduce((a, b) => a + b, 0) / prices.length).toFixed(2)),
+        minPrice: Math.min(...prices),
+        maxPrice: Math.max(...prices),
+        count: prices.length
+      }));
+
+      const first = points[0];
+      const last = points[points.length - 1];
+      const changePercent = first && last && first.avgPrice > 0
+        ? parseFloat((((last.avgPrice - first.avgPrice) / first.avgPrice) * 100).toFixed(1))
+        : 0;
+
+      return {
+        productKey,
+        name: observations.length > 0 ? observations[observations.length - 1].name : null,
+        unit,
+        interval,
+        period: { days },
+        summary: {
+          observations: priced.length,
+          firstPrice: first ? first.avgPrice : null,
+          latestPrice: last ? last.avgPrice : null,
+          minPrice: priced.length > 0 ? Math.min(...priced.map(p => p.price)) : null,
+          maxPrice: priced.length > 0 ? Math.max(...priced.map(p => p.price)) : null,
+          changePercent
+        },
+        points
+      };
+    } catch (error) {
+      console.error('❌ Get price trend error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare a product's prices across stores
+   * @param {object} scope - ownerFilter(req.user)
+   * @param {string} productKey - Product key
+   * @param {object} options - { days (default: 90) }
+   */
+  async compareStores(scope, productKey, options = {}) {
+    try {
+      const { days = 90 } = options;
+
+      const observations = await this.getHistory(scope, productKey, { days });
+      const { unit, points } = this.comparablePrices(observations);
+
+      const stores = new Map();
+      points.forEach(({ price, observedAt, store }) => {
+        const name = store || 'Unknown';
+        if (!stores.has(name)) {
+          stores.set(name, { store: name, prices: [], latestPrice: null, latestAt: null });
+        }
+
+        const entry = stores.get(name);
+        entry.prices.push(price);
+
+        if (!entry.latestAt || observedAt > entry.latestAt) {
+          entry.latestPrice = price;
+          entry.latestAt = observedAt;
+        }
+      });
+
+      const comparison = Array.from(stores.values())
+        .map(({ prices, ...entry }) => ({
+          ...entry,
+          avgPrice: parseFloat((prices.reduce((a, b) => a + b, 0) / prices.length).toFixed(2)),
+          minPrice: Math.min(...prices),
+          count: prices.length
+        }))
+        .sort((a, b) => a.avgPrice - b.avgPrice);
+
+      const cheapest = comparison[0] || null;
+      const mostExpensive = comparison[comparison.length - 1] || null;
+
+      return {
+        productKey,
+        name: observations.length > 0 ? observations[observations.length - 1].name : null,
+        unit,
+        period: { days },
+        cheapestStore: cheapest ? cheapest.store : null,
+        savingsPercent: cheapest && mostExpensive && mostExpensive.avgPrice > 0
+          ? parseFloat((((mostExpensive.avgPrice - cheapest.avgPrice) / mostExpensive.avgPrice) * 100).toFixed(1))
+          : 0,
+        stores: comparison
+      };
+    } catch (error) {
+      console.error('❌ Compare store prices error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put observations on one unit so they can be compared
+   * Uses the normalized price where available and keeps the most common unit
+   * @returns {object} - { unit, points: [{ price, observedAt, store }] }
+   */
+  comparablePrices(observations) {
+    const points = observations.map(obs => ({
+      price: obs.normalizedPrice !== null ? obs.normalizedPrice : obs.unitPrice,
+      unit: obs.normalizedPrice !== null ? obs.normalizedUnit : obs.unit,
+      observedAt: obs.observedAt,
+      store: obs.store
+    }));
+
+    const unitCounts = {};
+    points.forEach(point => {
+      unitCounts[point.unit] = (unitCounts[point.unit] || 0) + 1;
+    });
+
+    const unit = Object.keys(unitCounts).sort((a, b) => unitCounts[b] - unitCounts[a])[0] || null;
+
+    return {
+      unit,
+      points: points.filter(point => point.unit === unit)
+    };
+  }
+
+  /**
+   * Period label for a date (YYYY-MM-DD, week start date, or YYYY-MM)
+   */
+  periodKey(date, interval) {
+    const d = new Date(date);
+
+    if (interval === 'month') {
+      return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    if (interval === 'week') {
+      // Monday of the week
+      const day = (d.getDay() + 6) % 7;
+      d.setDate(d.getDate() - day);
+    }
+
+    return d.toISOString().split('T')[0];
+  }
+}
+
+module.exports = new PriceService();
@@ -0,0 +1,260 @@
+/**
+ * ============================================
+ * Product Service
+ * ============================================
+ * Shared product catalog: bulk import and
+ * grocery auto-fill by barcode
+ *
+ * Features:
+ * - Open Food Facts style record mapping
+ *   (code, product_name, brands, categories,
+ *   quantity, image_url)
+ * - Upsert by barcode in batches
+ * - Auto-fill grocery fields from the catalog
+ * ============================================
+ */
+
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { categoryFilter } = require('../utils/householdScope');
+const { normalizeUnit } = require('../utils/unitConverter');
+const { isValidBarcode } = require('../utils/validators');
+const { STORAGE_LOCATIONS, PRODUCT_SOURCES } = require('../utils/constants');
+
+const IMPORT_BATCH_SIZE = 500;
+const MAX_REPORTED_ERRORS = 50;
+
+const LOCATIONS = Object.values(STORAGE_LOCATIONS);
+
+/**
+ * First non-empty value among record keys
+ */
+const pick = (record, keys) => {
+  for (const key of keys) {
+    const value = record[key];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      return typeof value === 'string' ? value.trim() : value;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * First entry of a comma separated list or array, without language prefixes (en:dairies)
+ */
+const firstListValue = (value) => {
+  if (!value) return undefined;
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const first = list.map(v => String(v).trim()).find(Boolean);
+
+  if (!first) return undefined;
+
+  const stripped = first.replace(/^[a-z]{2}:/, '').replace(/-/g, ' ');
+  return stripped.charAt(0).toUpperCase() + stripped.slice(1);
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class ProductService {
+  /**
+   * Map an import record to catalog fields
+   * @param {object} record - Raw CSV row or JSON object
+   * @returns {object} - Product fields
+   * @throws {Error} - When barcode or name is missing/invalid
+   */
+  normalizeRecord(record) {
+    const barcode = pick(record, ['barcode', 'code', '_id', 'ean']);
+    const name = pick(record, ['name', 'product_name', 'product_name_en', 'generic_name']);
+
+    if (!barcode || !isValidBarcode(String(barcode))) {
+      throw new Error('Missing or invalid barcode');
+    }
+
+    if (!name) {
+      throw new Error('Missing product name');
+    }
+
+    const product = {
+      barcode: String(barcode),
+      name: String(name).slice(0, 100),
+      brand: firstListValue(pick(record, ['brand', 'brands'])),
+      category: pick(record, ['category']) ||
+        firstListValue(pick(record, ['categories', 'categories_tags', 'main_category'])) ||
+        null,
+      imageUrl: pick(record, ['imageUrl', 'image_url', 'image_front_url', 'image_small_url']) || null
+    };
+
+    if (product.brand) product.brand = product.brand.slice(0, 50);
+
+    // Pack size, e.g. "500 g", "1,5 l", "6 x 330 ml" (per item)
+    const unitSize = this.parsePackSize(record);
+    if (unitSize) product.unitSize = unitSize;
+
+    const unit = normalizeUnit(pick(record, ['unit']));
+    if (unit) product.unit = unit;
+
+    const location = pick(record, ['defaultLocation', 'location', 'storage_location']);
+    if (location && LOCATIONS.includes(String(location).toLowerCase())) {
+      product.defaultLocation = String(location).toLowerCase();
+    }
+
+    const shelfLife = this.parseShelfLife(record);
+    if (Object.keys(shelfLife).length > 0) product.shelfLife = shelfLife;
+
+    return product;
+  }
+
+  /**
+   * Parse the pack size of a record
+   * @returns {object|null} - { quantity, unit }
+   */
+  parsePackSize(record) {
+    if (record.unitSize && typeof record.unitSize === 'object') {
+      const unit = normalizeUnit(record.unitSize.unit);
+      const quantity = parseFloat(record.unitSize.quantity);
+      return unit && quantity > 0 ? { quantity, unit } : null;
+    }
+
+    const text = pick(record, ['quantity', 'product_quantity', 'size']);
+    if (!text) return null;
+
+    const match = String(text).match(/(\d+(?:[.,]\d+)?)\s*([a-zA-Z]+)\s*$/);
+    if (!match) return null;
+
+    const unit = normalizeUnit(match[2]);
+    const quantity = parseFloat(match[1].replace(',', '.'));
+
+    return unit && quantity > 0 ? { quantity, unit } : null;
+  }
+
+  /**
+   * Shelf life per location from a shelfLife object or shelf_life_<location> columns
+   * @returns {object} - { fridge: days, ... }
+   */
+  parseShelfLife(record) {
+    const shelfLife = {};
+    const source = record.shelfLife && typeof record.shelfLife === 'object' ? record.shelfLife : {};
+
+    LOCATIONS.forEach(location => {
+      const value = source[location] !== undefined
+        ? source[location]
+        : pick(record, [`shelf_life_${location}`, `shelfLife.${location}`]);
+
+      const days = parseInt(value);
+      if (!isNaN(days) && days >= 0) {
+        shelfLife[location] = days;
+      }
+    });
+
+    return shelfLife;
+  }
+
+  /**
+   * Bulk import catalog records, upserting by barcode
+   * @param {Array<object>} records - Raw records
+   * @param {object} options - { userId, overwrite (default: true) }
+   * @returns {object} - { received, imported, updated, skipped, errors }
+   */
+  async importProducts(records, options = {}) {
+    try {
+      const { userId = null, overwrite = true } = options;
+
+      const result = {
+        received: records.length,
+        imported: 0,
+        updated: 0,
+        skipped: 0,
+        errors: []
+      };
+
+      // Last record wins for duplicate barcodes
+      const products = new Map();
+      records.forEach((record, index) => {
+        try {
+          const product = this.normalizeRecord(record);
+          products.set(product.barcode, product);
+        } catch (error) {
+          result.skipped++;
+          if (result.errors.length < MAX_REPORTED_ERRORS) {
+            result.errors.push({ row: index + 1, message: error.message });
+          }
+        }
+      });
+
+      const entries = Array.from(products.values());
+
+      for (let i = 0; i < entries.length; i += IMPORT_BATCH_SIZE) {
+        const operations = entries.slice(i, i + IMPORT_BATCH_SIZE).map(product => ({
+          updateOne: {
+            filter: { barcode: product.barcode },
+            update: overwrite
+              ? {
+                $set: { ...product, source: PRODUCT_SOURCES.IMPORT },
+                $setOnInsert: { createdBy: userId }
+              }
+              : {
+                $setOnInsert: { ...product, source: PRODUCT_SOURCES.IMPORT, createdBy: userId }
+              },
+            upsert: true
+          }
+        }));
+
+        const write = await Product.bulkWrite(operations, { ordered: false });
+        result.imported += write.upsertedCount;
+        result.updated += write.modifiedCount;
+      }
+
+      result.skipped += entries.length - result.imported - result.updated;
+
+      return result;
+    } catch (error) {
+      console.error('❌ Import products error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fill missing grocery fields from the catalog entry of the posted barcode
+   * Posted values always win over catalog defaults; a missing expiry is
+   * predicted from the catalog shelf life when the grocery is saved
+   * @param {object} user - req.user (for category lookup)
+   * @param {object} fields - Grocery fields from the request
+   * @returns {object} - { fields, product }
+   */
+  async autofillGrocery(user, fields) {
+    if (!fields.barcode) {
+      return { fields, product: null };
+    }
+
+    const product = await Product.findByBarcode(fields.barcode);
+    if (!product) {
+      return { fields, product: null };
+    }
+
+    const filled = { ...fields };
+
+    if (!filled.name) filled.name = product.name;
+    if (!filled.brand && product.brand) filled.brand = product.brand;
+    if (!filled.unit) filled.unit = product.unit;
+    if (!filled.imageUrl && product.imageUrl) filled.imageUrl = product.imageUrl;
+    if (!filled.location) filled.location = product.defaultLocation;
+
+    if (!filled.unitSize && product.unitSize && product.unitSize.quantity) {
+      filled.unitSize = { quantity: product.unitSize.quantity, unit: product.unitSize.unit };
+    }
+
+    if (!filled.category && product.category) {
+      const category = await Category.findOne({
+        name: { $regex: `^${escapeRegex(product.category)}$`, $options: 'i' },
+        ...categoryFilter(user)
+      }).select('_id');
+
+      if (category) filled.category = category._id;
+    }
+
+    return { fields: filled, product };
+  }
+}
+
+module.exports = new ProductService();
@@ -0,0 +1,292 @@
+/**
+ * ============================================
+ * Purchase Order Service
+ * ============================================
+ * Ordering stock from suppliers
+ *
+ * Features:
+ * - Orders built from inventory items (unit
+ *   cost defaults to the item's cost price)
+ * - Sending emails the order to the supplier
+ * - Receiving deliveries in full or in part
+ *   restocks the inventory items
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const Inventory = require('../models/Inventory');
+const emailService = require('./emailService');
+const { PURCHASE_ORDER_STATUS } = require('../utils/constants');
+
+const clientError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+class PurchaseOrderService {
+  /**
+   * Supplier belonging to a store owner
+   */
+  async getSupplier(storeOwner, supplierId) {
+    const supplier = await Supplier.findOne({ _id: supplierId, storeOwner });
+    if (!supplier) {
+      throw clientError('Supplier not found', 404);
+    }
+    return supplier;
+  }
+
+  /**
+   * Order lines from requested items
+   * @param {string} storeOwner - Store owner ID
+   * @param {Array} items - [{ inventory, quantity, unitCost }]
+   * @returns {Array} - Order items
+   */
+  async buildItems(storeOwner, items = []) {
+    if (items.length === 0) {
+      throw clientError('A purchase order needs at least one item');
+    }
+
+    const ids = items.map(item => item.inventory.toString());
+    if (new Set(ids).size !== ids.length) {
+      throw clientError('Each inventory item can only be ordered once per purchase order');
+    }
+
+    const inventory = await Inventory.find({ _id: { $in: ids }, storeOwner });
+    const byId = new Map(inventory.map(item => [item._id.toString(), item]));
+
+    return items.map(item => {
+      const stock = byId.get(item.inventory.toString());
+      if (!stock) {
+        throw clientError(`Inventory item ${item.inventory} not found`);
+      }
+
+      return {
+        inventory: stock._id,
+        productName: stock.productName,
+        sku: stock.sku || null,
+        unit: stock.unit,
+        quantityOrdered: item.quantity,
+        unitCost: item.unitCost ?? stock.costPrice
+      };
+    });
+  }
+
+  /**
+   * Create a draft purchase order
+   * @param {object} user - req.user
+   * @param {object} data - { supplier, items: [{ inventory, quantity, unitCost }], expectedDate, notes }
+   * @returns {object} - Purchase order
+   */
+  async createOrder(user, data) {
+    try {
+      const supplier = await this.getSupplier(user.id, data.supplier);
+      if (!supplier.isActive) {
+        throw clientError('Supplier is inactive');
+      }
+
+      const items = await this.buildItems(user.id, data.items);
+
+      // Order numbers are unique per store owner; retry if another order took the number
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await PurchaseOrder.create({
+            storeOwner: user.id,
+            supplier: supplier._id,
+            orderNumber: await PurchaseOrder.nextOrderNumber(user.id),
+            items,
+            expectedDate: data.expectedDate || null,
+            notes: data.notes
+          });
+        } catch (error) {
+          if (error.code !== 11000 || attempt >= 2) throw error;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Create purchase order error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a draft purchase order
+   * @param {object} user - req.user
+   * @param {object} order - Purchase order document
+   * @param {object} edits - { supplier, items, expectedDate, notes }
+   */
+  async updateOrder(user, order, edits) {
+    try {
+      if (order.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+        throw clientError('Only draft purchase orders can be edited');
+      }
+
+      if (edits.supplier !== undefined) {
+        const supplier = await this.getSupplier(user.id, edits.supplier);
+        order.supplier = supplier._id;
+      }
+      if (edits.items !== undefined) order.items = await this.buildItems(user.id, edits.items);
+      if (edits.expectedDate !== undefined) order.expectedDate = edits.expectedDate;
+      if (edits.notes !== undefined) order.notes = edits.notes;
+
+      return await order.save();
+    } catch (error) {
+      console.error('❌ Update purchase order error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a draft purchase order to its supplier
+   * @param {object} user - req.user (the order is sent on their behalf)
+   * @param {object} order - Purchase order document
+   * @param {object} options - { email: false marks the order sent without emailing it }
+   */
+  async sendOrder(user, order, options = {}) {
+    try {
+      if (!order.canTransitionTo(PURCHASE_ORDER_STATUS.SENT)) {
+        throw clientError(`A ${order.status.replace('_', ' ')} purchase order cannot be sent`);
+      }
+
+      const supplier = await this.getSupplier(order.storeOwner, order.supplier);
+
+      if (options.email !== false) {
+        if (!supplier.email) {
+          throw clientError(`${supplier.name} has no email address`);
+        }
+
+        const result = await emailService.sendPurchaseOrderEmail(supplier, order, user);
+        if (!result.success) {
+          throw clientError(`Could not email the purchase order: ${result.error}`, 502);
+        }
+      }
+
+      order.status = PURCHASE_ORDER_STATUS.SENT;
+      order.sentAt = new Date();
+      return await order.save();
+    } catch (error) {
+      console.error('❌ Send purchase order error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Receive a delivery and restock the inventory items
+   * @param {object} user - req.user
+   * @param {object} order - Purchase order document
+   * @param {object} delivery - { items: [{ inventory, quantity }] (default: everything outstanding), notes }
+   */
+  async receiveOrder(user, order, delivery = {}) {
+    try {
+      if (![PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED].includes(order.status)) {
+        throw clientError(`A ${order.status.replace('_', ' ')} purchase order cannot be received`);
+      }
+
+      const lines = Array.isArray(delivery.items) && delivery.items.length > 0
+        ? delivery.items
+        : order.items.map(item => ({ inventory: item.inventory, quantity: order.getOutstanding(item) }));
+
+      const ids = lines.map(line => line.inventory.toString());
+      if (new Set(ids).size !== ids.length) {
+        throw clientError('Each inventory item can only appear once per delivery');
+      }
+
+      // Check every line before restocking any
+      const received = lines
+        .filter(line => line.quantity > 0)
+        .map(line => {
+          const item = order.items.find(i => i.inventory.toString() === line.inventory.toString());
+          if (!item) {
+            throw clientError(`Inventory item ${line.inventory} is not on this purchase order`);
+          }
+
+          const outstanding = order.getOutstanding(item);
+          if (line.quantity > outstanding) {
+            throw clientError(`Only ${outstanding} ${item.unit} of ${item.productName} are outstanding`);
+          }
+
+          return { item, quantity: line.quantity };
+        });
+
+      if (received.length === 0) {
+        throw clientError('Nothing to receive');
+      }
+
+      received.forEach(({ item, quantity }) => {
+        item.quantityReceived = round(item.quantityReceived + quantity);
+      });
+
+      order.deliveries.push({
+        receivedBy: user.id,
+        items: received.map(({ item, quantity }) => ({ inventory: item.inventory, quantity })),
+        notes: delivery.notes
+      });
+
+      if (order.isFullyReceived) {
+        order.status = PURCHASE_ORDER_STATUS.RECEIVED;
+        order.receivedAt = new Date();
+      } else {
+        order.status = PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED;
+      }
+
+      // Stock and order change together: a failed save (e.g. a concurrent receive)
+      // leaves the stock untouched (retried transactions reload the stock)
+      await mongoose.connection.transaction(async (session) => {
+        const inventory = await Inventory.find({
+          _id: { $in: received.map(({ item }) => item.inventory) },
+          storeOwner: order.storeOwner
+        }).session(session);
+        const byId = new Map(inventory.map(stock => [stock._id.toString(), stock]));
+
+        const missing = received.find(({ item }) => !byId.has(item.inventory.toString()));
+        if (missing) {
+          throw clientError(`${missing.item.productName} is no longer in your inventory`);
+        }
+
+        for (const { item, quantity } of received) {
+          await byId.get(item.inventory.toString()).restock(quantity, {
+            actor: user.id,
+            unitCost: item.unitCost,
+            reference: order.orderNumber,
+            referenceId: order._id,
+            referenceModel: 'PurchaseOrder'
+          });
+        }
+
+        await order.save({ session });
+      });
+
+      return order;
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        throw clientError('The purchase order was received by someone else meanwhile. Reload it and try again', 409);
+      }
+
+      console.error('❌ Receive purchase order error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a purchase order (stock already received is kept)
+   */
+  async cancelOrder(order) {
+    try {
+      if (!order.canTransitionTo(PURCHASE_ORDER_STATUS.CANCELLED)) {
+        throw clientError(`A ${order.status.replace('_', ' ')} purchase order cannot be cancelled`);
+      }
+
+      order.status = PURCHASE_ORDER_STATUS.CANCELLED;
+      order.cancelledAt = new Date();
+      return await order.save();
+    } catch (error) {
+      console.error('❌ Cancel purchase order error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PurchaseOrderService();
@@ -0,0 +1,322 @@
+/**
+ * ============================================
+ * Receipt Service
+ * ============================================
+ * Reads receipts into draft grocery items and
+ * turns confirmed drafts into groceries
+ *
+ * Features:
+ * - Pluggable parsers: { name, formats, parse }
+ *   where parse({ format, buffer, text, options })
+ *   resolves to { text, store, purchaseDate,
+ *   currency, items, subtotal, tax, total }.
+ *   A parser may return only { text } (e.g.
+ *   OCR for images); the text parser then
+ *   reads the items from it
+ * - Built-in text parser for plain-text and
+ *   PDF e-receipts
+ * - Category suggestions from groceries of
+ *   the same name
+ * - Confirmation creates the groceries with
+ *   their purchase price recorded
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const fs = require('fs').promises;
+const path = require('path');
+const Receipt = require('../models/Receipt');
+const Grocery = require('../models/Grocery');
+const Category = require('../models/Category');
+const priceService = require('./priceService');
+const storageService = require('./storageService');
+const { ownerFilter, ownerFields, categoryFilter } = require('../utils/householdScope');
+const { extractPdfText, deleteFile } = require('../utils/fileHelpers');
+const { parseReceiptText } = require('../utils/receiptParser');
+const { findMatches } = require('../utils/ingredientMatcher');
+const { normalizeUnit } = require('../utils/unitConverter');
+const {
+  RECEIPT_STATUS,
+  RECEIPT_FORMATS,
+  PRICE_SOURCES,
+  CONSUMPTION_TYPES,
+  CURRENCIES
+} = require('../utils/constants');
+
+const clientError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Built-in parser for text and PDF e-receipts
+ */
+const textParser = {
+  name: 'text',
+  formats: [RECEIPT_FORMATS.TEXT, RECEIPT_FORMATS.PDF],
+  async parse({ format, buffer, text, options }) {
+    let content = text;
+    if (content === undefined) {
+      content = format === RECEIPT_FORMATS.PDF ? extractPdfText(buffer) : buffer.toString('utf8');
+    }
+
+    return { text: content, ...parseReceiptText(content, options) };
+  }
+};
+
+class ReceiptService {
+  constructor() {
+    this.parsers = [];
+    this.registerParser(textParser);
+  }
+
+  /**
+   * Add a parser; parsers registered later are tried first
+   * @param {object} parser - { name, formats, parse }
+   */
+  registerParser(parser) {
+    if (!parser || !parser.name || !Array.isArray(parser.formats) || typeof parser.parse !== 'function') {
+      throw new Error('A receipt parser needs a name, formats and a parse function');
+    }
+
+    this.parsers = [parser, ...this.parsers.filter(p => p.name !== parser.name)];
+  }
+
+  /**
+   * Parser for a receipt format (null when none is registered)
+   */
+  getParser(format) {
+    return this.parsers.find(parser => parser.formats.includes(format)) || null;
+  }
+
+  /**
+   * Format of an uploaded receipt
+   */
+  detectFormat(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (file.mimetype === 'application/pdf' || extension === '.pdf') return RECEIPT_FORMATS.PDF;
+    if ((file.mimetype || '').startsWith('image/')) return RECEIPT_FORMATS.IMAGE;
+    return RECEIPT_FORMATS.TEXT;
+  }
+
+  /**
+   * Read a receipt with the parser for its format
+   * @param {object} input - { format, buffer, text, options }
+   * @returns {object} - Parsed receipt plus the parser name and warnings
+   */
+  async parseReceipt(input) {
+    const parser = this.getParser(input.format);
+
+    if (!parser) {
+      return {
+        parser: null,
+        text: input.text || '',
+        items: [],
+        warnings: [`No parser is set up for ${input.format} receipts; add the items manually`]
+      };
+    }
+
+    let result;
+    try {
+      result = await parser.parse(input);
+    } catch (error) {
+      if (error.statusCode) throw error;
+
+      console.error(`❌ Receipt parser "${parser.name}" error:`, error);
+      return {
+        parser: parser.name,
+        text: input.text || '',
+        items: [],
+        warnings: [`Could not read the receipt: ${error.message}`]
+      };
+    }
+
+    // Parsers that only recognize text (e.g. OCR) leave the items to the text parser
+    if (!Array.isArray(result.items)) {
+      result = { ...result, ...parseReceiptText(result.text || '', input.options) };
+    }
+
+    return { parser: parser.name, warnings: [], ...result };
+  }
+
+  /**
+   * Suggest categories for receipt items from groceries with the same name
+   * @param {object} user - req.user
+   * @param {Array} items - Parsed items
+   */
+  async suggestCategories(user, items) {
+    if (items.length === 0) return items;
+
+    const groceries = await Grocery.find(ownerFilter(user))
+      .select('name category expiryDate')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return items.map(item => {
+      const [match] = findMatches(item.name, groceries);
+      return { ...item, category: item.category || (match ? match.category : null) };
+    });
+  }
+
+  /**
+   * Read an uploaded or pasted receipt into a draft
+   * @param {object} user - req.user
+   * @param {object} input - { file (multer file on disk) or text, dayFirst }
+   * @returns {object} - Draft receipt
+   */
+  async createDraft(user, input) {
+    const { file, text } = input;
+
+    try {
+      const format = file ? this.detectFormat(file) : RECEIPT_FORMATS.TEXT;
+      const buffer = file ? await fs.readFile(file.path) : null;
+
+      const options = { currency: user.currency };
+      if (input.dayFirst !== undefined) options.dayFirst = input.dayFirst;
+
+      const parsed = await this.parseReceipt({
+        format,
+        buffer,
+        text: file ? undefined : text,
+        filename: file ? file.originalname : null,
+        options
+      });
+
+      let imageUrl = null;
+      if (format === RECEIPT_FORMATS.IMAGE) {
+        const upload = await storageService.uploadImage(file, 'receipts');
+        imageUrl = upload.url;
+      }
+
+      const items = await this.suggestCategories(user, parsed.items || []);
+
+      return await Receipt.create({
+        ...ownerFields(user),
+        format,
+        parser: parsed.parser,
+        store: parsed.store ? parsed.store.slice(0, 50) : undefined,
+        purchaseDate: parsed.purchaseDate || null,
+        currency: Object.values(CURRENCIES).includes(parsed.currency) ? parsed.currency : user.currency,
+        items,
+        subtotal: parsed.subtotal ?? null,
+        tax: parsed.tax ?? null,
+        total: parsed.total ?? null,
+        imageUrl,
+        rawText: parsed.text || '',
+        warnings: parsed.warnings || []
+      });
+    } catch (error) {
+      console.error('❌ Create receipt draft error:', error);
+      throw error;
+    } finally {
+      // Uploads are only kept as the stored image
+      if (file && file.path) await deleteFile(file.path);
+    }
+  }
+
+  /**
+   * Create groceries from a draft
+   * @param {object} user - req.user
+   * @param {object} receipt - Draft receipt document
+   * @param {object} edits - { items, store, purchaseDate, currency, category, location }
+   *                          (items replace the draft items; items with skip: true are left out)
+   * @returns {object} - { receipt, groceries }
+   */
+  async confirmReceipt(user, receipt, edits = {}) {
+    try {
+      if (receipt.status === RECEIPT_STATUS.CONFIRMED) {
+        throw clientError('Receipt is already confirmed');
+      }
+
+      if (edits.store !== undefined) receipt.store = edits.store;
+      if (edits.purchaseDate !== undefined) receipt.purchaseDate = edits.purchaseDate;
+      if (edits.currency !== undefined) receipt.currency = edits.currency;
+
+      const items = (Array.isArray(edits.items) ? edits.items : receipt.items.map(item => item.toObject()))
+        .filter(item => !item.skip)
+        .map(item => ({ ...item, category: item.category || edits.category || null }));
+
+      if (items.length === 0) {
+        throw clientError('No items to add');
+      }
+
+      const unassigned = items.find(item => !item.category);
+      if (unassigned) {
+        throw clientError(`Choose a category for "${unassigned.name}"`);
+      }
+
+      const categoryIds = [...new Set(items.map(item => item.category.toString()))];
+      const categories = await Category.countDocuments({ _id: { $in: categoryIds }, ...categoryFilter(user) });
+      if (categories !== categoryIds.length) {
+        throw clientError('Invalid category ID');
+      }
+
+      const purchaseDate = receipt.purchaseDate || new Date();
+
+      const groceries = items.map(item => new Grocery({
+        ...ownerFields(user),
+        name: item.name,
+        category: item.category,
+        quantity: item.quantity,
+        unit: normalizeUnit(item.unit) || 'pcs',
+        price: item.unitPrice,
+        currency: receipt.currency,
+        purchaseDate,
+        expiryDate: item.expiryDate,
+        location: item.location || edits.location,
+        store: receipt.store
+      }));
+
+      // Check every item before creating any
+      try {
+        await Promise.all(groceries.map(grocery => grocery.validate()));
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        throw clientError(Object.values(error.errors).map(e => e.message).join(', '));
+      }
+
+      receipt.items = items.map((item, index) => ({ ...item, grocery: groceries[index]._id }));
+      receipt.status = RECEIPT_STATUS.CONFIRMED;
+      receipt.confirmedAt = new Date();
+
+      // Groceries and the confirmed receipt are saved together. The draft is claimed
+      // first, so a second confirm of the same receipt (double submit) adds nothing
+      await mongoose.connection.transaction(async (session) => {
+        const claimed = await Receipt.updateOne(
+          { _id: receipt._id, status: { $ne: RECEIPT_STATUS.CONFIRMED } },
+          { status: RECEIPT_STATUS.CONFIRMED },
+          { session }
+        );
+        if (claimed.modifiedCount === 0) {
+          throw clientError('Receipt is already confirmed', 409);
+        }
+
+        for (const grocery of groceries) {
+          // Queued per attempt: the ledger entry is written by the save
+          grocery.logMovement(CONSUMPTION_TYPES.RESTOCK, grocery.quantity, { actor: user.id });
+          await grocery.save({ session });
+        }
+
+        await receipt.save({ session });
+      });
+
+      // Price history once the groceries exist
+      for (const grocery of groceries) {
+        await priceService.recordPurchase(grocery, PRICE_SOURCES.RECEIPT);
+      }
+
+      return { receipt, groceries };
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        throw clientError('Receipt is already confirmed', 409);
+      }
+
+      console.error('❌ Confirm receipt error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReceiptService();
@@ -0,0 +1,489 @@
+/**
+ * ============================================
+ * Recipe Service
+ * ============================================
+ * Recipe import and suggestions based on what
+ * is in the pantry
+ *
+ * Features:
+ * - Import native JSON and schema.org Recipe
+ *   (JSON-LD, including @graph documents)
+ * - Ingredient matching against groceries in
+ *   stock, with unit conversion
+ * - Ranking weighted toward items that expire
+ *   soon
+ * - Cooking: consume all ingredients in one
+ *   transaction, with dry run
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const Recipe = require('../models/Recipe');
+const Grocery = require('../models/Grocery');
+const { ownerFilter, ownerFields } = require('../utils/householdScope');
+const { parseIngredient, findMatches } = require('../utils/ingredientMatcher');
+const { convert, canConvert, getConversionOptions, normalizeRecipeUnit } = require('../utils/unitConverter');
+const { CONSUMPTION_SOURCES } = require('../utils/constants');
+
+const MAX_REPORTED_ERRORS = 50;
+
+// Score bonus for using an item that expires today (scaled down over the window)
+const EXPIRING_WEIGHT = 25;
+
+// Rounding tolerance for quantities after unit conversion
+const EPSILON = 1e-9;
+
+const roundQuantity = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Minutes from an ISO 8601 duration (PT1H30M) or a number
+ */
+const parseDuration = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value;
+
+  const match = String(value).match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/i);
+  if (!match) {
+    const minutes = parseInt(value);
+    return isNaN(minutes) ? null : minutes;
+  }
+
+  const [, days, hours, minutes] = match.map(part => parseInt(part) || 0);
+  return days * 1440 + hours * 60 + minutes;
+};
+
+/**
+ * Strings from a value that may be a string, an array or a list of objects
+ */
+const toList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  return [value];
+};
+
+/**
+ * Step texts from schema.org recipeInstructions
+ * (string, array of strings, HowToStep or HowToSection)
+ */
+const parseInstructions = (value) => {
+  if (typeof value === 'string') {
+    return value.split(/\r?\n/).map(step => step.trim()).filter(Boolean);
+  }
+
+  return toList(value).flatMap(step => {
+    if (typeof step === 'string') return [step.trim()];
+    if (step.itemListElement) return parseInstructions(step.itemListElement);
+    return [String(step.text || step.name || '').trim()];
+  }).filter(Boolean);
+};
+
+class RecipeService {
+  /**
+   * Recipe records in an imported document
+   * Supports arrays, { recipes: [] }, schema.org @graph and single objects
+   * @param {*} data - Parsed JSON
+   * @returns {Array<object>} - Raw recipe records
+   */
+  extractRecipes(data) {
+    if (Array.isArray(data)) {
+      return data.flatMap(entry => this.extractRecipes(entry));
+    }
+
+    if (!data || typeof data !== 'object') return [];
+
+    if (Array.isArray(data.recipes)) return this.extractRecipes(data.recipes);
+    if (Array.isArray(data['@graph'])) return this.extractRecipes(data['@graph']);
+
+    const type = data['@type'];
+    if (type && !toList(type).includes('Recipe')) return [];
+
+    return [data];
+  }
+
+  /**
+   * Map a native or schema.org record to recipe fields
+   * @param {object} record - Raw recipe record
+   * @returns {object} - Recipe fields
+   * @throws {Error} - When name or ingredients are missing
+   */
+  normalizeRecord(record) {
+    const name = String(record.name || record.title || '').trim();
+    if (!name) {
+      throw new Error('Missing recipe name');
+    }
+
+    const ingredients = toList(record.ingredients || record.recipeIngredient)
+      .map(ingredient => this.normalizeIngredient(ingredient))
+      .filter(Boolean);
+
+    if (ingredients.length === 0) {
+      throw new Error('Recipe has no ingredients');
+    }
+
+    const tags = [
+      ...toList(record.tags),
+      ...toList(record.recipeCategory),
+      ...toList(record.recipeCuisine),
+      ...(typeof record.keywords === 'string' ? record.keywords.split(',') : toList(record.keywords))
+    ].map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+
+    const image = toList(record.imageUrl || record.image)[0];
+
+    return {
+      name: name.slice(0, 150),
+      description: record.description ? String(record.description).slice(0, 1000) : undefined,
+      ingredients,
+      steps: parseInstructions(record.steps || record.recipeInstructions),
+      tags: [...new Set(tags)],
+      servings: parseInt(toList(record.servings || record.recipeYield)[0]) || 1,
+      prepTime: parseDuration(record.prepTime),
+      cookTime: parseDuration(record.cookTime),
+      imageUrl: (image && typeof image === 'object' ? image.url : image) || null,
+      sourceUrl: record.sourceUrl || record.url || null
+    };
+  }
+
+  /**
+   * Ingredient fields from a line ("2 cups flour") or an object
+   * @returns {object|null}
+   */
+  normalizeIngredient(ingredient) {
+    if (!ingredient) return null;
+
+    if (typeof ingredient === 'string') {
+      return ingredient.trim() ? parseIngredient(ingredient) : null;
+    }
+
+    if (!ingredient.name) return null;
+
+    const quantity = parseFloat(ingredient.quantity);
+
+    return {
+      name: String(ingredient.name).trim(),
+      quantity: isNaN(quantity) ? null : quantity,
+      unit: normalizeRecipeUnit(ingredient.unit) || (isNaN(quantity) ? null : 'pcs'),
+      optional: !!ingredient.optional,
+      raw: ingredient.raw
+    };
+  }
+
+  /**
+   * Import recipes into the active pantry
+   * @param {object} user - req.user
+   * @param {*} data - Parsed JSON document(s)
+   * @returns {object} - { received, imported, skipped, errors }
+   */
+  async importRecipes(user, data) {
+    try {
+      const records = this.extractRecipes(data);
+
+      const result = {
+        received: records.length,
+        imported: 0,
+        skipped: 0,
+        errors: []
+      };
+
+      const recipes = [];
+      records.forEach((record, index) => {
+        try {
+          recipes.push({ ...this.normalizeRecord(record), ...ownerFields(user) });
+        } catch (error) {
+          result.skipped++;
+          if (result.errors.length < MAX_REPORTED_ERRORS) {
+            result.errors.push({ row: index + 1, message: error.message });
+          }
+        }
+      });
+
+      if (recipes.length > 0) {
+        const created = await Recipe.insertMany(recipes);
+        result.imported = created.length;
+      }
+
+      return result;
+    } catch (error) {
+      console.error('❌ Import recipes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check one ingredient against the groceries in stock
+   * @param {object} ingredient - { name, quantity, unit }
+   * @param {Array} groceries - Active groceries with stock
+   * @param {number} multiplier - Servings multiplier
+   * @returns {object} - { grocery, available, shortBy }
+   */
+  checkIngredient(ingredient, groceries, multiplier = 1) {
+    const matches = findMatches(ingredient.name, groceries);
+
+    if (matches.length === 0) {
+      return { grocery: null, available: false, shortBy: null };
+    }
+
+    // "To taste" ingredients only need to be in stock
+    if (ingredient.quantity === null || ingredient.quantity === undefined) {
+      return { grocery: matches[0], available: true, shortBy: null };
+    }
+
+    const needed = ingredient.quantity * multiplier;
+    const convertible = matches.filter(grocery =>
+      canConvert(ingredient.unit, grocery.unit, getConversionOptions(grocery))
+    );
+
+    // Unknown conversion (e.g. "2 cups" of an item tracked in pcs): count as available
+    if (convertible.length === 0) {
+      return { grocery: matches[0], available: true, shortBy: null };
+    }
+
+    let remaining = needed;
+    for (const grocery of convertible) {
+      const inStock = convert(grocery.quantity, grocery.unit, ingredient.unit, getConversionOptions(grocery));
+      remaining -= inStock;
+      if (remaining <= 0) break;
+    }
+
+    return {
+      grocery: convertible[0],
+      available: remaining <= EPSILON,
+      shortBy: remaining > EPSILON ? roundQuantity(remaining) : null
+    };
+  }
+
+  /**
+   * Rank recipes by ingredients in stock, weighted toward expiring items
+   * @param {object} user - req.user
+   * @param {object} options - { days (default: 3), limit (default: 10), tags, servings }
+   * @returns {Array} - Ranked suggestions
+   */
+  async rankRecipes(user, options = {}) {
+    try {
+      const { days = 3, limit = 10, tags = [], servings = null } = options;
+      const scope = ownerFilter(user);
+
+      const recipeQuery = { ...scope };
+      if (tags.length > 0) recipeQuery.tags = { $all: tags };
+
+      const [recipes, groceries, expiring] = await Promise.all([
+        Recipe.find(recipeQuery),
+        Grocery.find({ ...scope, status: 'active', quantity: { $gt: 0 } }),
+        Grocery.getExpiringSoon(scope, days)
+      ]);
+
+      const expiringIds = new Set(expiring.map(item => item._id.toString()));
+
+      const suggestions = recipes.map(recipe => {
+        const multiplier = servings ? servings / recipe.servings : 1;
+        const required = recipe.ingredients.filter(ingredient => !ingredient.optional);
+
+        let matched = 0;
+        let expiringBonus = 0;
+        const usesExpiring = [];
+        const missing = [];
+
+        recipe.ingredients.forEach(ingredient => {
+          const check = this.checkIngredient(ingredient, groceries, multiplier);
+
+          if (check.available) {
+            if (!ingredient.optional) matched++;
+
+            if (expiringIds.has(check.grocery._id.toString())) {
+              const daysLeft = Math.max(check.grocery.daysUntilExpiry || 0, 0);
+              expiringBonus += EXPIRING_WEIGHT * (1 - daysLeft / (days + 1));
+
+              usesExpiring.push({
+                ingredient: ingredient.name,
+                grocery: { _id: check.grocery._id, name: check.grocery.name },
+                daysLeft
+              });
+            }
+            return;
+          }
+
+          if (ingredient.optional) return;
+
+          missing.push({
+            name: ingredient.name,
+            quantity: ingredient.quantity !== null ? ingredient.quantity * multiplier : null,
+            unit: ingredient.unit,
+            reason: check.grocery ? 'insufficient' : 'not_in_stock',
+            shortBy: check.shortBy
+          });
+        });
+
+        const coverage = required.length > 0 ? matched / required.length : 1;
+
+        return {
+          recipe: {
+            _id: recipe._id,
+            name: recipe.name,
+            tags: recipe.tags,
+            servings: servings || recipe.servings,
+            totalTime: recipe.totalTime,
+            imageUrl: recipe.imageUrl
+          },
+          score: Math.round((coverage * 100 + expiringBonus) * 10) / 10,
+          matched,
+          total: required.length,
+          coverage: Math.round(coverage * 100),
+          canCook: missing.length === 0,
+          usesExpiring,
+          missing
+        };
+      });
+
+      return suggestions
+        .filter(suggestion => suggestion.matched > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+    } catch (error) {
+      console.error('❌ Rank recipes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Plan which groceries cover each ingredient (first-expiring matches first)
+   * @param {Array} ingredients - Normalized ingredients
+   * @param {Array} groceries - Active groceries with stock
+   * @param {number} multiplier - Servings multiplier
+   * @param {object} options - { excludeReserved: leave stock reserved for meal plans alone }
+   * @returns {object} - { allocations, shortfall, skipped }
+   */
+  planCooking(ingredients, groceries, multiplier = 1, options = {}) {
+    // Stock left per grocery (item unit) as ingredients claim it
+    const left = new Map(groceries.map(grocery => [
+      grocery._id.toString(),
+      options.excludeReserved ? grocery.availableQuantity : grocery.quantity
+    ]));
+
+    const allocations = [];
+    const shortfall = [];
+    const skipped = [];
+
+    ingredients.forEach(ingredient => {
+      // "To taste" ingredients have nothing to consume
+      if (ingredient.quantity === null || ingredient.quantity === undefined) {
+        skipped.push({ name: ingredient.name, reason: 'no_quantity' });
+        return;
+      }
+
+      const needed = ingredient.quantity * multiplier;
+      const matches = findMatches(ingredient.name, groceries);
+      const convertible = matches.filter(grocery =>
+        canConvert(ingredient.unit, grocery.unit, getConversionOptions(grocery))
+      );
+
+      let remaining = needed;
+
+      for (const grocery of convertible) {
+        if (remaining <= EPSILON) break;
+
+        const id = grocery._id.toString();
+        const options = getConversionOptions(grocery);
+        const wanted = convert(remaining, ingredient.unit, grocery.unit, options);
+
+        // Take the rest of the stock when only a rounding error would be left
+        const take = left.get(id) - wanted <= EPSILON ? left.get(id) : wanted;
+        if (take <= 0) continue;
+
+        left.set(id, left.get(id) - take);
+        remaining -= convert(take, grocery.unit, ingredient.unit, options);
+
+        allocations.push({ ingredient: ingredient.name, grocery, quantity: take });
+      }
+
+      if (remaining <= EPSILON) return;
+
+      if (ingredient.optional) {
+        skipped.push({ name: ingredient.name, reason: 'optional' });
+        return;
+      }
+
+      shortfall.push({
+        name: ingredient.name,
+        quantity: roundQuantity(needed),
+        unit: ingredient.unit,
+        shortBy: roundQuantity(remaining),
+        reason: matches.length === 0
+          ? 'not_in_stock'
+          : convertible.length === 0 ? 'incompatible_unit' : 'insufficient'
+      });
+    });
+
+    return { allocations, shortfall, skipped };
+  }
+
+  /**
+   * Cook: consume the ingredients from the active pantry
+   * All groceries are updated in one transaction; available stock is
+   * consumed and anything missing is reported as shortfall
+   * @param {object} user - req.user
+   * @param {Array} ingredients - Ingredient lines or { name, quantity, unit, optional }
+   * @param {object} options - { multiplier (default: 1), dryRun }
+   * @returns {object} - { dryRun, multiplier, canCook, consumed, shortfall, skipped }
+   */
+  async cook(user, ingredients, options = {}) {
+    try {
+      const { multiplier = 1, dryRun = false } = options;
+
+      const normalized = ingredients
+        .map(ingredient => this.normalizeIngredient(ingredient))
+        .filter(Boolean);
+
+      const prepare = async (session = null) => {
+        const groceries = await Grocery.find({
+          ...ownerFilter(user),
+          status: 'active',
+          quantity: { $gt: 0 }
+        }).session(session);
+
+        return this.planCooking(normalized, groceries, multiplier);
+      };
+
+      const consumeAll = async (allocations) => {
+        // One consume per grocery, even when several ingredients use it
+        const totals = new Map();
+        allocations.forEach(({ grocery, quantity }) => {
+          totals.set(grocery, (totals.get(grocery) || 0) + quantity);
+        });
+
+        for (const [grocery, quantity] of totals) {
+          await grocery.consume(Math.min(quantity, grocery.quantity), null, {
+            actor: user.id,
+            source: CONSUMPTION_SOURCES.RECIPE
+          });
+        }
+      };
+
+      const plan = dryRun
+        ? await prepare()
+        : await mongoose.connection.transaction(async (session) => {
+          const result = await prepare(session);
+          await consumeAll(result.allocations);
+          return result;
+        });
+
+      return {
+        dryRun,
+        multiplier,
+        canCook: plan.shortfall.length === 0,
+        consumed: plan.allocations.map(({ ingredient, grocery, quantity }) => ({
+          ingredient,
+          grocery: { _id: grocery._id, name: grocery.name },
+          quantity: roundQuantity(quantity),
+          unit: grocery.unit,
+          depleted: dryRun ? false : grocery.status === 'consumed'
+        })),
+        shortfall: plan.shortfall,
+        skipped: plan.skipped
+      };
+    } catch (error) {
+      console.error('❌ Cook error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RecipeService();
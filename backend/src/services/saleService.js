@@ -0,0 +1,419 @@
+/**
+ * ============================================
+ * Sale Service
+ * ============================================
+ * Point-of-sale transactions of store
+ * inventory
+ *
+ * Features:
+ * - Baskets with line and basket discounts
+ *   and tax; stock reduced in the same
+ *   transaction as the sale, oversells
+ *   rejected
+ * - Full or partial refunds, optionally back
+ *   into stock
+ * - Daily revenue and profit report in the
+ *   owner's base currency
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale');
+const Inventory = require('../models/Inventory');
+const analyticsService = require('./analyticsService');
+const { SALE_STATUS } = require('../utils/constants');
+
+const clientError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const saleDay = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+
+class SaleService {
+  /**
+   * Price a basket
+   * @param {Array} lines - [{ quantity, unitPrice, discount }]
+   * @param {number} discount - Basket discount (amount)
+   * @param {number} taxRate - Percent, applied after discounts
+   * @returns {object} - { lines (with netTotal), subtotal, discount, tax, total }
+   */
+  priceBasket(lines, discount = 0, taxRate = 0) {
+    const priced = lines.map(line => {
+      const gross = line.unitPrice * line.quantity;
+      const lineDiscount = line.discount || 0;
+      if (lineDiscount > gross) {
+        throw clientError(`Discount on ${line.productName} exceeds its price`);
+      }
+      return { ...line, discount: lineDiscount, netTotal: round(gross - lineDiscount) };
+    });
+
+    const subtotal = round(priced.reduce((sum, line) => sum + line.netTotal, 0));
+    if (discount > subtotal) {
+      throw clientError('Discount exceeds the basket total');
+    }
+
+    // Spread the basket discount over the lines (by value) so refunds give back what was paid
+    if (discount > 0 && subtotal > 0) {
+      let remaining = discount;
+      priced.forEach((line, index) => {
+        const share = index === priced.length - 1
+          ? remaining
+          : round(discount * line.netTotal / subtotal);
+        line.netTotal = round(line.netTotal - share);
+        remaining = round(remaining - share);
+      });
+    }
+
+    const tax = round((subtotal - discount) * taxRate / 100);
+
+    return {
+      lines: priced,
+      subtotal,
+      discount,
+      tax,
+      total: round(subtotal - discount + tax)
+    };
+  }
+
+  /**
+   * Record a sale and take the items out of stock
+   * @param {object} user - req.user (store owner or admin selling their stock)
+   * @param {object} data - { items: [{ inventory, quantity, unitPrice, discount }], discount, taxRate,
+   *                          paymentMethod, notes }
+   * @returns {object} - Sale
+   */
+  async createSale(user, data) {
+    try {
+      const items = data.items || [];
+      if (items.length === 0) {
+        throw clientError('A sale needs at least one item');
+      }
+
+      const ids = items.map(item => item.inventory.toString());
+      if (new Set(ids).size !== ids.length) {
+        throw clientError('Each inventory item can only appear once per sale');
+      }
+
+      // Sale numbers are unique per store owner; retry if another sale took the number
+      for (let attempt = 0; ; attempt++) {
+        try {
+          let sale;
+
+          await mongoose.connection.transaction(async (session) => {
+            const inventory = await Inventory.find({ _id: { $in: ids }, storeOwner: user.id }).session(session);
+            const byId = new Map(inventory.map(stock => [stock._id.toString(), stock]));
+
+            const lines = items.map(item => {
+              const stock = byId.get(item.inventory.toString());
+              if (!stock || !stock.isActive) {
+                throw clientError(`Inventory item ${item.inventory} not found`);
+              }
+
+              if (item.quantity > stock.stockQuantity) {
+                throw clientError(`Only ${stock.stockQuantity} ${stock.unit} of ${stock.productName} in stock`);
+              }
+
+              // Marked-down stock sells at its markdown price unless priced by hand
+              const markedDown = Boolean(stock.markdown && stock.markdown.entry) &&
+                (item.unitPrice === undefined || item.unitPrice === null);
+
+              return {
+                inventory: stock._id,
+                productName: stock.productName,
+                sku: stock.sku || null,
+                unit: stock.unit,
+                quantity: item.quantity,
+                unitPrice: item.unitPrice ?? stock.currentPrice,
+                listPrice: stock.sellingPrice,
+                markdown: markedDown ? stock.markdown.entry : null,
+                unitCost: stock.costPrice,
+                discount: item.discount
+              };
+            });
+
+            const basket = this.priceBasket(lines, data.discount || 0, data.taxRate || 0);
+
+            sale = new Sale({
+              storeOwner: user.id,
+              saleNumber: await Sale.nextSaleNumber(user.id, session),
+              soldBy: user.id,
+              items: basket.lines,
+              subtotal: basket.subtotal,
+              discount: basket.discount,
+              taxRate: data.taxRate || 0,
+              tax: basket.tax,
+              total: basket.total,
+              costTotal: round(basket.lines.reduce((sum, line) => sum + line.unitCost * line.quantity, 0)),
+              currency: user.currency,
+              paymentMethod: data.paymentMethod,
+              notes: data.notes
+            });
+
+            for (const line of basket.lines) {
+              await byId.get(line.inventory.toString()).reduceStock(line.quantity, {
+                actor: user.id,
+                unitCost: line.unitCost,
+                reference: sale.saleNumber,
+                referenceId: sale._id,
+                referenceModel: 'Sale'
+              });
+            }
+
+            await sale.save({ session });
+          });
+
+          return sale;
+        } catch (error) {
+          if (error.code !== 11000 || attempt >= 2) throw error;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Create sale error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refund a sale in full or in part
+   * @param {object} user - req.user
+   * @param {object} sale - Sale document
+   * @param {object} refund - { items: [{ inventory, quantity }] (default: everything not yet refunded),
+   *                            restock (default true), reason }
+   * @returns {object} - Sale
+   */
+  async refundSale(user, sale, refund = {}) {
+    try {
+      if (sale.status === SALE_STATUS.REFUNDED) {
+        throw clientError('Sale is already fully refunded');
+      }
+
+      const restock = refund.restock !== false;
+
+      const lines = Array.isArray(refund.items) && refund.items.length > 0
+        ? refund.items
+        : sale.items.map(item => ({ inventory: item.inventory, quantity: item.quantity - item.quantityRefunded }));
+
+      const ids = lines.map(line => line.inventory.toString());
+      if (new Set(ids).size !== ids.length) {
+        throw clientError('Each inventory item can only appear once per refund');
+      }
+
+      // Check every line before refunding any
+      const refunded = lines
+        .filter(line => line.quantity > 0)
+        .map(line => {
+          const item = sale.items.find(i => i.inventory.toString() === line.inventory.toString());
+          if (!item) {
+            throw clientError(`Inventory item ${line.inventory} is not on this sale`);
+          }
+
+          const refundable = item.quantity - item.quantityRefunded;
+          if (line.quantity > refundable) {
+            throw clientError(`Only ${refundable} ${item.unit} of ${item.productName} can be refunded`);
+          }
+
+          // Last units refunded get whatever is left of the line (no rounding drift)
+          const alreadyRefunded = sale.refunds
+            .flatMap(r => r.items)
+            .filter(i => i.inventory.toString() === item.inventory.toString())
+            .reduce((sum, i) => sum + i.amount, 0);
+          const amount = line.quantity === refundable
+            ? round(item.netTotal - alreadyRefunded)
+            : round(item.netTotal / item.quantity * line.quantity);
+
+          return {
+            item,
+            quantity: line.quantity,
+            amount,
+            cost: restock ? round(item.unitCost * line.quantity) : 0
+          };
+        });
+
+      if (refunded.length === 0) {
+        throw clientError('Nothing to refund');
+      }
+
+      const subtotal = round(refunded.reduce((sum, line) => sum + line.amount, 0));
+      const tax = round(subtotal * sale.taxRate / 100);
+
+      refunded.forEach(({ item, quantity }) => {
+        item.quantityRefunded += quantity;
+      });
+
+      sale.refunds.push({
+        refundedBy: user.id,
+        items: refunded.map(({ item, quantity, amount, cost }) => ({
+          inventory: item.inventory,
+          quantity,
+          amount,
+          cost
+        })),
+        subtotal,
+        tax,
+        amount: round(subtotal + tax),
+        restocked: restock,
+        reason: refund.reason
+      });
+
+      sale.status = sale.items.every(item => item.quantityRefunded >= item.quantity)
+        ? SALE_STATUS.REFUNDED
+        : SALE_STATUS.PARTIALLY_REFUNDED;
+
+      // Stock and sale change together (retried transactions reload the stock)
+      await mongoose.connection.transaction(async (session) => {
+        if (restock) {
+          const inventory = await Inventory.find({
+            _id: { $in: refunded.map(({ item }) => item.inventory) },
+            storeOwner: sale.storeOwner
+          }).session(session);
+          const byId = new Map(inventory.map(stock => [stock._id.toString(), stock]));
+
+          for (const { item, quantity } of refunded) {
+            const stock = byId.get(item.inventory.toString());
+            if (!stock) {
+              throw clientError(`${item.productName} is no longer in your inventory; refund without restocking`);
+            }
+
+            await stock.returnStock(quantity, {
+              actor: user.id,
+              unitCost: item.unitCost,
+              reference: sale.saleNumber,
+              referenceId: sale._id,
+              referenceModel: 'Sale',
+              reason: refund.reason
+            });
+          }
+        }
+
+        await sale.save({ session });
+      });
+
+      return sale;
+    } catch (error) {
+      console.error('❌ Refund sale error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revenue and profit per day, net of refunds (refunds count on the day they were made)
+   * Amounts are in the store owner's base currency, converted at sale-date rates
+   * @param {string} storeOwner - Store owner ID
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {object} - { currency, days: [{ date, transactions, refunds, grossSales, discounts,
+   *                      refunded, revenue, tax, cost, profit }], totals, missingRates }
+   */
+  async getDailyReport(storeOwner, startDate, endDate) {
+    try {
+      const owner = new mongoose.Types.ObjectId(String(storeOwner));
+
+      const [saleRows, refundRows] = await Promise.all([
+        Sale.aggregate([
+          { $match: { storeOwner: owner, soldAt: { $gte: startDate, $lte: endDate } } },
+          {
+            $group: {
+              _id: { currency: '$currency', day: saleDay('$soldAt') },
+              transactions: { $sum: 1 },
+              subtotal: { $sum: '$subtotal' },
+              lineDiscounts: { $sum: { $sum: '$items.discount' } },
+              discount: { $sum: '$discount' },
+              tax: { $sum: '$tax' },
+              cost: { $sum: '$costTotal' }
+            }
+          }
+        ]),
+
+        Sale.aggregate([
+          { $match: { storeOwner: owner, 'refunds.refundedAt': { $gte: startDate, $lte: endDate } } },
+          { $unwind: '$refunds' },
+          { $match: { 'refunds.refundedAt': { $gte: startDate, $lte: endDate } } },
+          {
+            $group: {
+              _id: { currency: '$currency', day: saleDay('$refunds.refundedAt') },
+              refunds: { $sum: 1 },
+              subtotal: { $sum: '$refunds.subtotal' },
+              tax: { $sum: '$refunds.tax' },
+              cost: { $sum: { $sum: '$refunds.items.cost' } }
+            }
+          }
+        ])
+      ]);
+
+      const rates = await analyticsService.getRateTable(storeOwner, [...saleRows, ...refundRows]);
+
+      const days = new Map();
+      const dayEntry = (day) => days.get(day) || {
+        date: day,
+        transactions: 0,
+        refunds: 0,
+        grossSales: 0,
+        discounts: 0,
+        refunded: 0,
+        tax: 0,
+        cost: 0
+      };
+
+      saleRows.forEach(row => {
+        const entry = dayEntry(row._id.day);
+        entry.transactions += row.transactions;
+        entry.grossSales += rates.convertRow(row, row.subtotal + row.lineDiscounts);
+        entry.discounts += rates.convertRow(row, row.lineDiscounts + row.discount);
+        entry.tax += rates.convertRow(row, row.tax);
+        entry.cost += rates.convertRow(row, row.cost);
+        days.set(row._id.day, entry);
+      });
+
+      refundRows.forEach(row => {
+        const entry = dayEntry(row._id.day);
+        entry.refunds += row.refunds;
+        entry.refunded += rates.convertRow(row, row.subtotal);
+        entry.tax -= rates.convertRow(row, row.tax);
+        entry.cost -= rates.convertRow(row, row.cost);
+        days.set(row._id.day, entry);
+      });
+
+      const finish = (entry) => {
+        const revenue = entry.grossSales - entry.discounts - entry.refunded;
+        return {
+          ...entry,
+          grossSales: round(entry.grossSales),
+          discounts: round(entry.discounts),
+          refunded: round(entry.refunded),
+          revenue: round(revenue),
+          tax: round(entry.tax),
+          cost: round(entry.cost),
+          profit: round(revenue - entry.cost)
+        };
+      };
+
+      const daily = Array.from(days.values())
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+      const totals = daily.reduce((sum, entry) => {
+        Object.keys(sum).forEach(key => { sum[key] += entry[key]; });
+        return sum;
+      }, { transactions: 0, refunds: 0, grossSales: 0, discounts: 0, refunded: 0, tax: 0, cost: 0 });
+
+      const { date, ...summary } = finish({ date: null, ...totals });
+
+      return {
+        currency: rates.currency,
+        startDate,
+        endDate,
+        days: daily.map(finish),
+        totals: summary,
+        missingRates: rates.getMissing()
+      };
+    } catch (error) {
+      console.error('❌ Sales report error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SaleService();
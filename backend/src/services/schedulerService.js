@@ -7,6 +7,8 @@
  * 
  * Features:
  * - Daily expiry checks
+ * - Daily "running out soon" reminders
+ * - Daily markdowns of expiring store stock
  * - Weekly reports
  * - Monthly cleanup
  * - Auto-notifications
@@ -19,8 +21,11 @@ const expiryService = require('./expiryService');
 const notificationService = require('./notificationService');
 const analyticsService = require('./analyticsService');
 const emailService = require('./emailService');
+const forecastService = require('./forecastService');
+const markdownService = require('./markdownService');
 const User = require('../models/User');
 const Grocery = require('../models/Grocery');
+const Household = require('../models/Household');
 
 class SchedulerService {
   constructor() {
@@ -42,6 +47,8 @@ class SchedulerService {
     // Schedule all tasks
     this.scheduleDailyExpiryCheck();
     this.scheduleHourlyNotifications();
+    this.scheduleRunOutReminders();
+    this.scheduleDailyMarkdowns();
     this.scheduleWeeklyReports();
     this.scheduleMonthlyCleanup();
     this.scheduleDatabaseMaintenance();
@@ -100,17 +107,26 @@ class SchedulerService {
           const tomorrow = new Date(today);
           tomorrow.setDate(tomorrow.getDate() + 1);
 
-          // Get items expiring today
+          // Get items expiring today, in the user's own pantry and their households
+          const scopes = await Household.getPantryScopes(user._id);
           const itemsExpiringToday = await Grocery. find({
-            user: user._id,
-            expiryDate: { $gte: today, $lt: tomorrow },
+            $and: [{ $or: scopes }, Grocery.expiryFilter({ $gte: today, $lt: tomorrow })],
             status: 'active'
           });
 
           if (itemsExpiringToday.length > 0) {
             for (const item of itemsExpiringToday) {
-              await notificationService.sendExpiryAlert(user._id, item, 0);
-              notificationsSent++;
+              const lots = item.getLotsExpiringBetween(today, new Date(tomorrow - 1));
+
+              if (lots.length === 0) {
+                await notificationService.sendExpiryAlert(user._id, item, 0);
+                notificationsSent++;
+              }
+
+              for (const lot of lots) {
+                await notificationService.sendExpiryAlert(user._id, item, 0, lot);
+                notificationsSent++;
+              }
             }
           }
         }
@@ -128,6 +144,79 @@ class SchedulerService {
     console.log('📅 Scheduled: Hourly notification check');
   }
 
+  /**
+   * "Running out soon" reminders (runs at 10:00 AM every day)
+   * Items forecast to run out within a few days at their usual usage rate
+   */
+  scheduleRunOutReminders() {
+    const job = cron.schedule('0 10 * * *', async () => {
+      console.log('⏳ Running run-out reminder check...');
+
+      try {
+        const users = await User.find({
+          isActive: true,
+          'preferences.pushNotifications': true
+        });
+
+        let remindersSent = 0;
+
+        for (const user of users) {
+          try {
+            // The user's own pantry and every household they belong to, each item once
+            const scopes = await Household.getPantryScopes(user._id);
+            const reminded = new Set();
+
+            for (const scope of scopes) {
+              const runningOut = await forecastService.getRunningOut(scope);
+
+              for (const { grocery, forecast } of runningOut) {
+                if (reminded.has(grocery._id.toString())) continue;
+                reminded.add(grocery._id.toString());
+
+                await notificationService.sendRunOutAlert(user._id, grocery, forecast);
+                remindersSent++;
+              }
+            }
+          } catch (error) {
+            console.error(`❌ Error checking run-out for user ${user._id}:`, error);
+          }
+        }
+
+        console.log(`✅ Run-out reminder check complete. Sent: ${remindersSent}`);
+      } catch (error) {
+        console.error('❌ Run-out reminder error:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: process.env.TIMEZONE || 'UTC'
+    });
+
+    this.jobs.push({ name: 'Run-Out Reminders', job });
+    console.log('📅 Scheduled: Run-out reminders at 10:00 AM');
+  }
+
+  /**
+   * Markdowns of expiring store stock (runs at 6:00 AM every day, before opening)
+   */
+  scheduleDailyMarkdowns() {
+    const job = cron.schedule('0 6 * * *', async () => {
+      console.log('🏷️ Running daily markdowns...');
+
+      try {
+        const applied = await markdownService.applyMarkdownsForAllOwners();
+        console.log(`✅ Daily markdowns complete. Applied: ${applied}`);
+      } catch (error) {
+        console.error('❌ Daily markdown error:', error);
+      }
+    }, {
+      scheduled: true,
+      timezone: process.env.TIMEZONE || 'UTC'
+    });
+
+    this.jobs.push({ name: 'Daily Markdowns', job });
+    console.log('📅 Scheduled: Daily markdowns at 6:00 AM');
+  }
+
   /**
    * Weekly summary reports (runs every Monday at 8:00 AM)
    */
@@ -148,15 +237,16 @@ class SchedulerService {
             const startDate = new Date();
             startDate.setDate(startDate.getDate() - 7);
 
-            // Generate reports
+            // Generate reports (for the pantry the user last worked in, like the dashboard)
+            const pantry = { id: user._id, household: user.activeHousehold || null };
             const [expenseReport, wasteReport] = await Promise.all([
               analyticsService.getExpenseReport(
-                user._id,
+                pantry,
                 startDate. toISOString(),
                 endDate.toISOString()
               ),
               analyticsService. getWasteAnalysis(
-                user._id,
+                pantry,
                 startDate.toISOString(),
                 endDate.toISOString()
               )
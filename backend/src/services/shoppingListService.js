@@ -0,0 +1,202 @@
+/**
+ * ============================================
+ * Shopping List Service
+ * ============================================
+ * Turns pantry state into things to buy
+ *
+ * Features:
+ * - Suggest items from low-stock, expired and
+ *   recently consumed groceries
+ * - Add suggestions to a list without duplicates
+ * - Convert bought items into groceries
+ * ============================================
+ */
+
+const Grocery = require('../models/Grocery');
+const { ownerFilter, ownerFields } = require('../utils/householdScope');
+const priceService = require('./priceService');
+const {
+  SHOPPING_ITEM_SOURCES,
+  PRICE_SOURCES,
+  CONSUMPTION_TYPES,
+  CONSUMPTION_SOURCES
+} = require('../utils/constants');
+
+// Order in which duplicate suggestions win
+const SOURCE_PRIORITY = [
+  SHOPPING_ITEM_SOURCES.LOW_STOCK,
+  SHOPPING_ITEM_SOURCES.EXPIRED,
+  SHOPPING_ITEM_SOURCES.CONSUMED
+];
+
+class ShoppingListService {
+  /**
+   * Build suggestions for the active pantry
+   * @param {object} user - req.user
+   * @param {object} options - { sources, consumedWithinDays }
+   * @returns {Array} - Shopping item payloads
+   */
+  async getSuggestions(user, options = {}) {
+    try {
+      const {
+        sources = SOURCE_PRIORITY,
+        consumedWithinDays = 14
+      } = options;
+
+      const scope = ownerFilter(user);
+
+      const today = new Date();
+      today.setHours(0, 0, 0, 0);
+
+      const consumedSince = new Date(today);
+      consumedSince.setDate(today.getDate() - consumedWithinDays);
+
+      const [lowStock, expired, consumed, inStock] = await Promise.all([
+        sources.includes(SHOPPING_ITEM_SOURCES.LOW_STOCK)
+          ? Grocery.find({ ...scope, isLowStock: true, status: 'active' })
+          : [],
+        sources.includes(SHOPPING_ITEM_SOURCES.EXPIRED)
+          ? Grocery.find({
+            ...scope,
+            ...Grocery.expiryFilter({ $lt: today }),
+            status: { $in: ['active', 'expired'] }
+          })
+          : [],
+        sources.includes(SHOPPING_ITEM_SOURCES.CONSUMED)
+          ? Grocery.find({
+            ...scope,
+            status: 'consumed',
+            consumedAt: { $gte: consumedSince }
+          }).sort({ consumedAt: -1 })
+          : [],
+        // Products still comfortably in stock don't need replacing
+        Grocery.find({
+          ...scope,
+          status: 'active',
+          isLowStock: false,
+          $or: [{ expiryDate: null }, { expiryDate: { $gte: today } }]
+        }).select('name unit')
+      ]);
+
+      const stocked = new Set(inStock.map(grocery => this.productKey(grocery)));
+      const suggestions = new Map();
+
+      const collect = (groceries, source) => {
+        groceries.forEach(grocery => {
+          const key = this.productKey(grocery);
+
+          if (suggestions.has(key)) return;
+          if (source !== SHOPPING_ITEM_SOURCES.LOW_STOCK && stocked.has(key)) return;
+
+          suggestions.set(key, this.buildItemFromGrocery(grocery, source));
+        });
+      };
+
+      collect(lowStock, SHOPPING_ITEM_SOURCES.LOW_STOCK);
+      collect(expired, SHOPPING_ITEM_SOURCES.EXPIRED);
+      collect(consumed, SHOPPING_ITEM_SOURCES.CONSUMED);
+
+      return Array.from(suggestions.values());
+    } catch (error) {
+      console.error('❌ Get shopping suggestions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add suggestions to a list, skipping products already on it
+   * @param {object} list - ShoppingList document
+   * @param {Array} suggestions - Shopping item payloads
+   * @param {string} userId - User adding the items
+   * @returns {number} - Number of items added
+   */
+  addSuggestionsToList(list, suggestions, userId) {
+    let added = 0;
+
+    suggestions.forEach(suggestion => {
+      if (list.findOpenItem(suggestion)) return;
+
+      list.items.push({ ...suggestion, addedBy: userId });
+      added++;
+    });
+
+    return added;
+  }
+
+  /**
+   * Shopping item payload for a grocery
+   * @param {object} grocery - Grocery document
+   * @param {string} source - Suggestion source
+   * @returns {object}
+   */
+  buildItemFromGrocery(grocery, source) {
+    let quantity = 1;
+
+    // Top low-stock items back up above their threshold
+    if (source === SHOPPING_ITEM_SOURCES.LOW_STOCK) {
+      quantity = Math.max(1, grocery.getLowStockThreshold() - grocery.availableQuantity + 1);
+    }
+
+    return {
+      name: grocery.name,
+      quantity,
+      unit: grocery.unit,
+      category: grocery.category,
+      brand: grocery.brand,
+      barcode: grocery.barcode,
+      location: grocery.location,
+      estimatedPrice: grocery.price || 0,
+      source,
+      sourceGrocery: grocery._id
+    };
+  }
+
+  /**
+   * Create the grocery for a bought shopping item
+   * @param {object} user - req.user
+   * @param {object} item - Shopping item subdocument
+   * @param {object} details - Purchase details overriding item values
+   * @returns {object} - Saved grocery
+   */
+  async createGroceryFromItem(user, item, details = {}) {
+    try {
+      const grocery = new Grocery({
+        ...ownerFields(user),
+        name: item.name,
+        category: details.category || item.category,
+        quantity: details.quantity !== undefined ? details.quantity : item.quantity,
+        unit: item.unit,
+        brand: item.brand,
+        barcode: item.barcode,
+        price: details.price !== undefined ? details.price : item.estimatedPrice,
+        purchaseDate: details.purchaseDate || new Date(),
+        expiryDate: details.expiryDate,
+        location: details.location || item.location,
+        store: details.store || item.store,
+        notes: item.notes
+      });
+
+      grocery.logMovement(CONSUMPTION_TYPES.RESTOCK, grocery.quantity, {
+        actor: user.id,
+        source: CONSUMPTION_SOURCES.AUTO
+      });
+
+      await grocery.save();
+      await priceService.recordPurchase(grocery, PRICE_SOURCES.SHOPPING_LIST);
+
+      return grocery;
+    } catch (error) {
+      console.error('❌ Create grocery from shopping item error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Key identifying the same product across groceries
+   */
+  productKey(grocery) {
+    return `${grocery.name.trim().toLowerCase()}|${grocery.unit}`;
+  }
+}
+
+module.exports = new ShoppingListService();
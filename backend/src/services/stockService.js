@@ -0,0 +1,173 @@
+/**
+ * ============================================
+ * Stock Service
+ * ============================================
+ * Stock movements of store inventory
+ *
+ * Features:
+ * - Manual movements: adjustments, returns,
+ *   transfers and write-offs
+ * - Ledger check: stock recomputed from the
+ *   movement ledger and compared with the
+ *   recorded stock
+ * - Rebuild of an item's stock from its ledger
+ * ============================================
+ */
+
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const { STOCK_MOVEMENT_TYPES } = require('../utils/constants');
+
+// Direction of movement types entered as a positive quantity (others are signed)
+const DIRECTIONS = {
+  [STOCK_MOVEMENT_TYPES.RECEIPT]: 1,
+  [STOCK_MOVEMENT_TYPES.RETURN]: 1,
+  [STOCK_MOVEMENT_TYPES.SALE]: -1,
+  [STOCK_MOVEMENT_TYPES.WRITE_OFF]: -1
+};
+
+const clientError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+class StockService {
+  /**
+   * Signed change in stock for a movement type
+   * @param {string} type - STOCK_MOVEMENT_TYPES value
+   * @param {number} quantity - Positive for receipts, returns, sales and write-offs; signed otherwise
+   */
+  getDelta(type, quantity) {
+    const direction = DIRECTIONS[type];
+    if (direction && quantity <= 0) {
+      throw clientError(`Enter the ${type.replace('_', '-')} quantity as a positive number`);
+    }
+    return direction ? direction * quantity : quantity;
+  }
+
+  /**
+   * Record a manual stock movement
+   * @param {object} user - req.user
+   * @param {object} item - Inventory document
+   * @param {object} movement - { type, quantity, reason, reference, unitCost }
+   * @returns {object} - Updated item
+   */
+  async recordMovement(user, item, movement) {
+    try {
+      const delta = this.getDelta(movement.type, movement.quantity);
+
+      if (!delta) {
+        throw clientError('Quantity cannot be zero');
+      }
+
+      const stock = parseFloat((item.stockQuantity + delta).toFixed(3));
+      if (stock < 0) {
+        throw clientError(`Only ${item.stockQuantity} ${item.unit} of ${item.productName} in stock`);
+      }
+
+      item.stockQuantity = stock;
+      if (movement.type === STOCK_MOVEMENT_TYPES.RECEIPT) item.lastRestockDate = Date.now();
+      if (movement.type === STOCK_MOVEMENT_TYPES.SALE) item.stockUsed += -delta;
+
+      item.logMovement(movement.type, delta, {
+        actor: user.id,
+        reason: movement.reason,
+        reference: movement.reference,
+        unitCost: movement.unitCost
+      });
+
+      return await item.save();
+    } catch (error) {
+      console.error('❌ Record stock movement error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute stock from the ledger and compare it with the recorded stock
+   * @param {string} storeOwner - Store owner ID
+   * @param {Array} items - Inventory documents (default: all of the owner's items)
+   * @returns {object} - { checked, mismatched, untracked, items: [{ inventory, productName, unit,
+   *                      stockQuantity, ledgerQuantity, difference, movements, status }] }
+   */
+  async checkStock(storeOwner, items = null) {
+    try {
+      const inventory = items || await Inventory.find({ storeOwner }).select('productName sku unit stockQuantity');
+      const ledger = await StockMovement.getLedgerStock(storeOwner, items ? items.map(item => item._id) : null);
+
+      const results = inventory.map(item => {
+        const entry = ledger.get(item._id.toString());
+        const ledgerQuantity = entry ? entry.quantity : 0;
+        const difference = parseFloat((item.stockQuantity - ledgerQuantity).toFixed(3));
+
+        let status = 'ok';
+        if (!entry) status = item.stockQuantity ? 'untracked' : 'ok';
+        else if (difference !== 0) status = 'mismatch';
+
+        return {
+          inventory: item._id,
+          productName: item.productName,
+          sku: item.sku || null,
+          unit: item.unit,
+          stockQuantity: item.stockQuantity,
+          ledgerQuantity,
+          difference,
+          movements: entry ? entry.movements : 0,
+          lastMovementAt: entry ? entry.lastMovementAt : null,
+          status
+        };
+      });
+
+      return {
+        checked: results.length,
+        mismatched: results.filter(result => result.status === 'mismatch').length,
+        untracked: results.filter(result => result.status === 'untracked').length,
+        items: results.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference))
+      };
+    } catch (error) {
+      console.error('❌ Stock check error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reset an item's stock to its ledger total
+   * Items with stock from before the ledger get an opening adjustment instead
+   * @param {object} user - req.user
+   * @param {object} item - Inventory document
+   * @returns {object} - { item, previous, stockQuantity, difference }
+   */
+  async rebuildStock(user, item) {
+    try {
+      const [result] = (await this.checkStock(item.storeOwner, [item])).items;
+      const previous = item.stockQuantity;
+
+      if (result.status === 'untracked') {
+        // Record the current stock as the starting balance
+        item.logMovement(STOCK_MOVEMENT_TYPES.ADJUSTMENT, item.stockQuantity, {
+          actor: user.id,
+          reason: 'Opening stock (recorded by ledger rebuild)'
+        });
+        item.$locals.skipLedger = true;
+        await item.save();
+      } else if (result.status === 'mismatch') {
+        item.stockQuantity = result.ledgerQuantity;
+        item.$locals.skipLedger = true;
+        await item.save();
+      }
+
+      return {
+        item,
+        previous,
+        stockQuantity: item.stockQuantity,
+        difference: parseFloat((item.stockQuantity - previous).toFixed(3))
+      };
+    } catch (error) {
+      console.error('❌ Rebuild stock error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new StockService();
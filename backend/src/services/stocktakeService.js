@@ -0,0 +1,348 @@
+/**
+ * ============================================
+ * Stocktake Service
+ * ============================================
+ * Physical counts of store inventory
+ *
+ * Features:
+ * - Opens a stocktake for the whole store or a
+ *   category (one open stocktake at a time)
+ * - Records counts by item, SKU or barcode
+ *   scan; retries counts that raced another
+ *   counter
+ * - Variances against recorded stock, allowing
+ *   for sales and deliveries since each count
+ * - Approval posts the variances as stock
+ *   adjustments in one transaction
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const Stocktake = require('../models/Stocktake');
+const Inventory = require('../models/Inventory');
+const StockMovement = require('../models/StockMovement');
+const { STOCKTAKE_STATUS, STOCK_MOVEMENT_TYPES } = require('../utils/constants');
+
+const clientError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const money = (value) => Math.round(value * 100) / 100;
+
+class StocktakeService {
+  /**
+   * Open a stocktake
+   * @param {object} user - req.user
+   * @param {object} data - { category (default: whole store), notes }
+   * @returns {object} - Stocktake
+   */
+  async openStocktake(user, data) {
+    try {
+      const open = await Stocktake.findOne({ storeOwner: user.id, status: STOCKTAKE_STATUS.OPEN }).select('number');
+      if (open) {
+        throw clientError(`Stocktake ${open.number} is already open. Approve or cancel it first`, 409);
+      }
+
+      const query = { storeOwner: user.id, isActive: true };
+      if (data.category) query.category = data.category;
+
+      const inventory = await Inventory.find(query).sort({ productName: 1 });
+      if (inventory.length === 0) {
+        throw clientError('No inventory to count');
+      }
+
+      const items = inventory.map(stock => ({
+        inventory: stock._id,
+        productName: stock.productName,
+        sku: stock.sku || null,
+        barcode: stock.barcode || null,
+        unit: stock.unit,
+        unitCost: stock.costPrice || 0,
+        expected: stock.stockQuantity
+      }));
+
+      // Stocktake numbers are unique per store owner; retry if another stocktake took the number
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await Stocktake.create({
+            storeOwner: user.id,
+            number: await Stocktake.nextNumber(user.id),
+            category: data.category || null,
+            items,
+            notes: data.notes,
+            openedBy: user.id
+          });
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+
+          // The open-stocktake index: someone else opened one meanwhile
+          if (!error.keyPattern || !error.keyPattern.number) {
+            throw clientError('Another stocktake was just opened. Approve or cancel it first', 409);
+          }
+          if (attempt >= 2) throw error;
+        }
+      }
+    } catch (error) {
+      console.error('❌ Open stocktake error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record counted quantities
+   * @param {object} user - req.user
+   * @param {object} stocktake - Stocktake document
+   * @param {Array} counts - [{ inventory | barcode | sku, quantity }]
+   * @param {boolean} add - Add to the quantity counted so far (scans) instead of replacing it
+   * @returns {object} - Saved stocktake
+   */
+  async recordCounts(user, stocktake, counts, add = false) {
+    try {
+      // Counts from another counter may land between loading and saving: reload and reapply
+      for (let attempt = 0; ; attempt++) {
+        if (stocktake.status !== STOCKTAKE_STATUS.OPEN) {
+          throw clientError(`Stocktake ${stocktake.number} is ${stocktake.status}`);
+        }
+
+        const countedAt = new Date();
+        counts.forEach(count => {
+          const item = stocktake.findItem(count);
+          if (!item) {
+            const key = count.barcode ? `barcode ${count.barcode}` : (count.sku ? `SKU ${count.sku}` : `item ${count.inventory}`);
+            throw clientError(`No ${key} in stocktake ${stocktake.number}`);
+          }
+
+          item.counted = round(add ? (item.counted || 0) + count.quantity : count.quantity);
+          item.countedAt = countedAt;
+          item.countedBy = user.id;
+        });
+
+        try {
+          return await stocktake.save();
+        } catch (error) {
+          if (error.name !== 'VersionError' || attempt >= 4) throw error;
+
+          stocktake = await Stocktake.findById(stocktake._id);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Record stocktake counts error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stock moved since each item was counted (sales, deliveries...), which the
+   * count could not have seen
+   * @returns {Map} - inventory id -> signed quantity
+   */
+  async getMovedSinceCount(stocktake, session = null) {
+    // Items counted as 0 on approval (never counted) have no count time
+    const counted = stocktake.items.filter(item => item.counted !== null && item.countedAt);
+    if (counted.length === 0) return new Map();
+
+    const since = new Date(Math.min(...counted.map(item => item.countedAt.getTime())));
+    const movements = await StockMovement.find({
+      storeOwner: stocktake.storeOwner,
+      inventory: { $in: counted.map(item => item.inventory) },
+      occurredAt: { $gt: since }
+    })
+      .select('inventory quantity occurredAt')
+      .session(session)
+      .lean();
+
+    const countedAt = new Map(counted.map(item => [item.inventory.toString(), item.countedAt]));
+    const moved = new Map();
+    movements.forEach(movement => {
+      const id = movement.inventory.toString();
+      if (movement.occurredAt > countedAt.get(id)) {
+        moved.set(id, round((moved.get(id) || 0) + movement.quantity));
+      }
+    });
+
+    return moved;
+  }
+
+  /**
+   * Variances of the counted quantities against recorded stock
+   * (for an approved stocktake, the adjustments that were posted)
+   * @param {object} stocktake - Stocktake document
+   * @param {object} options - { zeroUncounted: count items not counted as 0, session }
+   * @returns {object} - { items, totals }
+   */
+  async getVariances(stocktake, { zeroUncounted = false, session = null } = {}) {
+    try {
+      const approved = stocktake.status === STOCKTAKE_STATUS.APPROVED;
+
+      let stockById = new Map();
+      let moved = new Map();
+      if (!approved) {
+        const inventory = await Inventory.find({
+          _id: { $in: stocktake.items.map(item => item.inventory) },
+          storeOwner: stocktake.storeOwner
+        })
+          .select('stockQuantity')
+          .session(session);
+
+        stockById = new Map(inventory.map(stock => [stock._id.toString(), stock.stockQuantity]));
+        moved = await this.getMovedSinceCount(stocktake, session);
+      }
+
+      const items = stocktake.items.map(item => {
+        const id = item.inventory.toString();
+        const counted = item.counted === null && zeroUncounted && !approved ? 0 : item.counted;
+
+        let recorded;
+        let variance = null;
+        if (approved) {
+          recorded = item.stockBefore;
+          variance = item.adjustment;
+        } else {
+          // Recorded stock at the time of the count
+          recorded = stockById.has(id) ? round(stockById.get(id) - (moved.get(id) || 0)) : null;
+          if (counted !== null && recorded !== null) variance = round(counted - recorded);
+        }
+
+        return {
+          inventory: item.inventory,
+          productName: item.productName,
+          sku: item.sku,
+          barcode: item.barcode,
+          unit: item.unit,
+          expected: item.expected,
+          recorded,
+          counted,
+          variance,
+          unitCost: item.unitCost,
+          varianceCost: variance === null ? null : money(variance * item.unitCost),
+          removed: !approved && !stockById.has(id)
+        };
+      });
+
+      const withVariance = items.filter(item => item.variance);
+      const sumCost = (lines) => money(lines.reduce((sum, line) => sum + line.varianceCost, 0));
+
+      return {
+        items,
+        totals: {
+          items: items.length,
+          counted: items.filter(item => item.counted !== null).length,
+          uncounted: items.filter(item => item.counted === null).length,
+          withVariance: withVariance.length,
+          shrinkageCost: sumCost(withVariance.filter(item => item.variance < 0)),
+          overageCost: sumCost(withVariance.filter(item => item.variance > 0)),
+          netCost: sumCost(withVariance)
+        }
+      };
+    } catch (error) {
+      console.error('❌ Stocktake variance error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a stocktake: post each variance as a stock adjustment
+   * @param {object} user - req.user
+   * @param {object} stocktake - Stocktake document
+   * @param {object} options - { zeroUncounted: items not counted are out of stock }
+   * @returns {object} - Approved stocktake
+   */
+  async approveStocktake(user, stocktake, { zeroUncounted = false } = {}) {
+    try {
+      if (stocktake.status !== STOCKTAKE_STATUS.OPEN) {
+        throw clientError(`Stocktake ${stocktake.number} is ${stocktake.status}`);
+      }
+
+      if (stocktake.countedItems === 0 && !zeroUncounted) {
+        throw clientError('Nothing has been counted yet');
+      }
+
+      await mongoose.connection.transaction(async (session) => {
+        const { items } = await this.getVariances(stocktake, { zeroUncounted, session });
+
+        const inventory = await Inventory.find({
+          _id: { $in: items.filter(item => item.variance).map(item => item.inventory) },
+          storeOwner: stocktake.storeOwner
+        }).session(session);
+        const byId = new Map(inventory.map(stock => [stock._id.toString(), stock]));
+
+        let adjustmentCost = 0;
+
+        for (const [index, line] of items.entries()) {
+          const item = stocktake.items[index];
+          item.stockBefore = line.recorded;
+          item.adjustment = line.variance;
+          if (line.counted !== null && item.counted === null) item.counted = line.counted;
+
+          if (!line.variance) continue;
+
+          const stock = byId.get(line.inventory.toString());
+          if (!stock) continue;
+
+          const quantity = round(stock.stockQuantity + line.variance);
+          if (quantity < 0) {
+            throw clientError(`${stock.productName} sold more since it was counted than was counted. Recount it`);
+          }
+
+          stock.stockQuantity = quantity;
+          stock.logMovement(STOCK_MOVEMENT_TYPES.ADJUSTMENT, line.variance, {
+            actor: user.id,
+            unitCost: line.unitCost,
+            reference: stocktake.number,
+            referenceId: stocktake._id,
+            referenceModel: 'Stocktake',
+            reason: 'Stocktake count'
+          });
+          await stock.save({ session });
+
+          adjustmentCost += line.varianceCost;
+        }
+
+        stocktake.status = STOCKTAKE_STATUS.APPROVED;
+        stocktake.approvedBy = user.id;
+        stocktake.approvedAt = new Date();
+        stocktake.adjustmentCost = money(adjustmentCost);
+
+        await stocktake.save({ session });
+      });
+
+      return stocktake;
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        throw clientError('New counts came in while approving. Review the variances and approve again', 409);
+      }
+
+      console.error('❌ Approve stocktake error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an open stocktake (stock is left as recorded)
+   */
+  async cancelStocktake(stocktake) {
+    try {
+      if (stocktake.status !== STOCKTAKE_STATUS.OPEN) {
+        throw clientError(`Stocktake ${stocktake.number} is ${stocktake.status}`);
+      }
+
+      stocktake.status = STOCKTAKE_STATUS.CANCELLED;
+      stocktake.cancelledAt = new Date();
+
+      return await stocktake.save();
+    } catch (error) {
+      if (error.name === 'VersionError') {
+        throw clientError('The stocktake changed while cancelling. Try again', 409);
+      }
+
+      console.error('❌ Cancel stocktake error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new StocktakeService();
@@ -0,0 +1,93 @@
+/**
+ * ============================================
+ * Waste Service
+ * ============================================
+ * Logs groceries thrown out, with reason and
+ * value lost
+ *
+ * Features:
+ * - Partial or full quantity (any convertible
+ *   unit), first-expiring lots first
+ * - Value from the prices of the wasted lots
+ * - Item, event and ledger entry saved in one
+ *   transaction
+ * ============================================
+ */
+
+const mongoose = require('mongoose');
+const WasteEvent = require('../models/WasteEvent');
+const { ownerFields } = require('../utils/householdScope');
+const { GROCERY_STATUS, CONSUMPTION_TYPES } = require('../utils/constants');
+
+const clientError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class WasteService {
+  /**
+   * Throw out a quantity of a grocery item
+   * @param {object} user - req.user
+   * @param {object} grocery - Grocery document
+   * @param {object} details - { quantity (default: all), unit, reason, notes }
+   * @returns {object} - { grocery, event }
+   * @throws {Error} - statusCode 400 for items without stock or too large quantities,
+   *                   409 for stock reserved for planned meals
+   */
+  async recordWaste(user, grocery, details) {
+    try {
+      const { quantity, unit, reason, notes } = details;
+
+      if (![GROCERY_STATUS.ACTIVE, GROCERY_STATUS.EXPIRED].includes(grocery.status) || grocery.quantity <= 0) {
+        throw clientError('Only items in stock can be wasted');
+      }
+
+      const amount = quantity ? grocery.toItemUnit(Number(quantity), unit) : grocery.quantity;
+
+      if (amount > grocery.quantity + 1e-9) {
+        throw clientError('Cannot waste more than available quantity');
+      }
+
+      grocery.assertUnreserved(amount);
+
+      const drawn = grocery.drawDown(Math.min(amount, grocery.quantity));
+
+      const value = drawn.reduce((sum, portion) => sum + portion.quantity * (portion.price || 0), 0);
+      const expiryDates = drawn.map(portion => portion.expiryDate).filter(Boolean);
+
+      if (grocery.quantity === 0) {
+        grocery.status = GROCERY_STATUS.WASTED;
+      }
+
+      const event = new WasteEvent({
+        ...ownerFields(user),
+        grocery: grocery._id,
+        name: grocery.name,
+        category: grocery.category && grocery.category._id ? grocery.category._id : grocery.category,
+        location: grocery.location || null,
+        quantity: amount,
+        unit: grocery.unit,
+        value: Math.round(value * 100) / 100,
+        currency: grocery.currency,
+        reason,
+        notes,
+        expiryDate: expiryDates.length > 0 ? new Date(Math.min(...expiryDates)) : null
+      });
+
+      await mongoose.connection.transaction(async (session) => {
+        // Queued per attempt: the ledger entry is written by the save
+        grocery.logMovement(CONSUMPTION_TYPES.WASTE, amount, { actor: user.id });
+        await grocery.save({ session });
+        await event.save({ session });
+      });
+
+      return { grocery, event };
+    } catch (error) {
+      if (!error.statusCode) console.error('❌ Record waste error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WasteService();
@@ -13,6 +13,16 @@ exports.USER_ROLES = {
   STORE_OWNER: 'store_owner'
 };
 
+// Household Roles
+exports.HOUSEHOLD_ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer'
+};
+
+// Household Invitations
+exports.HOUSEHOLD_INVITATION_EXPIRY_DAYS = 7;
+
 // Grocery Status
 exports.GROCERY_STATUS = {
   ACTIVE: 'active',
@@ -21,6 +31,51 @@ exports.GROCERY_STATUS = {
   WASTED: 'wasted'
 };
 
+// Waste Reasons
+exports.WASTE_REASONS = {
+  EXPIRED: 'expired',
+  SPOILED: 'spoiled',
+  LEFTOVER: 'leftover',
+  DISLIKED: 'disliked'
+};
+
+// Stock Movement Types (consumption ledger)
+exports.CONSUMPTION_TYPES = {
+  CONSUME: 'consume',
+  RESTOCK: 'restock',
+  WASTE: 'waste',
+  ADJUST: 'adjust'      // Manual quantity corrections (signed)
+};
+
+// What caused a stock movement
+exports.CONSUMPTION_SOURCES = {
+  MANUAL: 'manual',
+  RECIPE: 'recipe',
+  AUTO: 'auto',         // Shopping list purchases and other automated changes
+  IMPORT: 'import'      // Bulk grocery imports
+};
+
+// Budget Periods
+exports.BUDGET_PERIODS = {
+  WEEKLY: 'weekly',     // Monday to Sunday
+  MONTHLY: 'monthly'
+};
+
+// Shopping List Status
+exports.SHOPPING_LIST_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  ARCHIVED: 'archived'
+};
+
+// Shopping List Item Sources
+exports.SHOPPING_ITEM_SOURCES = {
+  MANUAL: 'manual',
+  LOW_STOCK: 'low_stock',
+  EXPIRED: 'expired',
+  CONSUMED: 'consumed'
+};
+
 // Notification Types
 exports.NOTIFICATION_TYPES = {
   EXPIRY_ALERT: 'expiry_alert',
@@ -28,7 +83,9 @@ exports.NOTIFICATION_TYPES = {
   PRICE_ALERT: 'price_alert',
   GENERAL:  'general',
   SYSTEM: 'system',
-  REMINDER: 'reminder'
+  REMINDER: 'reminder',
+  BUDGET_ALERT: 'budget_alert',
+  MARKDOWN: 'markdown'
 };
 
 // Notification Priority
@@ -125,6 +182,175 @@ exports.EXPIRY_THRESHOLDS = {
   ATTENTION: 10
 };
 
+// Typical shelf life in days by category name and storage location
+// (cabinet/other fall back to pantry; opened = use within N days after opening)
+exports.SHELF_LIFE_DEFAULTS = {
+  fruits: { fridge: 14, freezer: 240, pantry: 5, counter: 5, opened: 3 },
+  vegetables: { fridge: 10, freezer: 240, pantry: 5, counter: 4, opened: 4 },
+  dairy: { fridge: 10, freezer: 90, pantry: 1, counter: 1, opened: 5 },
+  meat: { fridge: 3, freezer: 180, pantry: 1, counter: 1, opened: 2 },
+  bakery: { fridge: 7, freezer: 90, pantry: 5, counter: 4, opened: 4 },
+  beverages: { fridge: 180, freezer: 365, pantry: 270, counter: 270, opened: 7 },
+  snacks: { fridge: 90, freezer: 180, pantry: 90, counter: 60, opened: 14 },
+  frozen: { fridge: 2, freezer: 180, pantry: 1, counter: 1, opened: 2 },
+  canned: { fridge: 365, freezer: 365, pantry: 730, counter: 365, opened: 4 },
+  spices: { fridge: 730, freezer: 730, pantry: 730, counter: 365, opened: 180 }
+};
+
+// Shelf life in days when nothing more specific is known
+exports.SHELF_LIFE_FALLBACK = {
+  fridge: 7,
+  freezer: 180,
+  pantry: 90,
+  cabinet: 90,
+  counter: 5,
+  other: 30,
+  opened: 5
+};
+
+// Where a predicted shelf life came from
+exports.SHELF_LIFE_SOURCES = {
+  RULE: 'rule',
+  CATALOG: 'catalog',
+  CATEGORY_DEFAULT: 'category_default',
+  LOCATION_DEFAULT: 'location_default'
+};
+
+// Price Observation Sources
+exports.PRICE_SOURCES = {
+  CREATE: 'create',
+  RESTOCK: 'restock',
+  SHOPPING_LIST: 'shopping_list',
+  RECEIPT: 'receipt',
+  IMPORT: 'import'
+};
+
+// Price Alert Rules
+exports.PRICE_ALERT = {
+  DEFAULT_RISE_PERCENT: 20,   // Alert when price rises this much over the recent average
+  LOOKBACK_DAYS: 90,          // Window for the recent average
+  COOLDOWN_HOURS: 24          // Minimum gap between alerts for the same watch
+};
+
+// Product Catalog Sources
+exports.PRODUCT_SOURCES = {
+  MANUAL: 'manual',
+  IMPORT: 'import'
+};
+
+// Supported Currencies
+exports.CURRENCIES = {
+  USD: 'USD',
+  EUR: 'EUR',
+  GBP: 'GBP',
+  PKR: 'PKR',
+  INR: 'INR'
+};
+
+exports.DEFAULT_CURRENCY = 'USD';
+
+// Exchange Rate Sources
+exports.EXCHANGE_RATE_SOURCES = {
+  MANUAL: 'manual',
+  CSV: 'csv',
+  ECB: 'ecb'            // European Central Bank reference rates (XML)
+};
+
+// Purchase Order Lifecycle
+exports.PURCHASE_ORDER_STATUS = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  PARTIALLY_RECEIVED: 'partially_received',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled'
+};
+
+// Inventory stock movement types
+exports.STOCK_MOVEMENT_TYPES = {
+  RECEIPT: 'receipt',       // Deliveries and restocks (adds stock)
+  SALE: 'sale',             // Removes stock
+  ADJUSTMENT: 'adjustment', // Corrections and counts (signed)
+  RETURN: 'return',         // Customer returns back into stock (adds stock)
+  TRANSFER: 'transfer',     // Moved in or out of another location (signed)
+  WRITE_OFF: 'write_off'    // Damaged, expired or lost stock (removes stock)
+};
+
+// Point-of-sale Sale Status
+exports.SALE_STATUS = {
+  COMPLETED: 'completed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
+};
+
+exports.PAYMENT_METHODS = {
+  CASH: 'cash',
+  CARD: 'card',
+  MOBILE: 'mobile',
+  OTHER: 'other'
+};
+
+// Why a markdown on expiring stock ended
+exports.MARKDOWN_END_REASONS = {
+  REPLACED: 'replaced',     // Another rule took over
+  EXPIRED: 'expired',
+  SOLD_OUT: 'sold_out',
+  EXPIRY_CHANGED: 'expiry_changed',
+  RULE_CHANGED: 'rule_changed', // No active rule covers the item any more
+  WITHDRAWN: 'withdrawn',   // Item deactivated
+  REMOVED: 'removed'        // Ended by the store owner (not reapplied to the same batch)
+};
+
+// Stocktake (cycle count) Status
+exports.STOCKTAKE_STATUS = {
+  OPEN: 'open',             // Counting; one open stocktake per store at a time
+  APPROVED: 'approved',     // Variances posted as stock adjustments
+  CANCELLED: 'cancelled'
+};
+
+// Grocery Import Modes
+exports.IMPORT_MODES = {
+  ALL_OR_NOTHING: 'all_or_nothing',   // Nothing is saved when any row fails
+  PARTIAL: 'partial'                  // Valid rows are saved, failed rows reported
+};
+
+// Receipt Draft Status
+exports.RECEIPT_STATUS = {
+  DRAFT: 'draft',
+  CONFIRMED: 'confirmed'
+};
+
+// What a receipt was read from
+exports.RECEIPT_FORMATS = {
+  IMAGE: 'image',
+  PDF: 'pdf',
+  TEXT: 'text'
+};
+
+// Meal Plan Slots
+exports.MEAL_SLOTS = {
+  BREAKFAST: 'breakfast',
+  LUNCH: 'lunch',
+  DINNER: 'dinner',
+  SNACK: 'snack'
+};
+
+// Report Types (analytics exports)
+exports.REPORT_TYPES = {
+  EXPENSE: 'expense',
+  WASTE: 'waste',
+  CONSUMPTION: 'consumption',
+  MONTHLY_TRENDS: 'monthly_trends',
+  CATEGORY_SPENDING: 'category_spending'
+};
+
+// Export Formats
+exports.EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  PDF: 'pdf',
+  JSON: 'json'
+};
+
 // Email Templates
 exports.EMAIL_SUBJECTS = {
   WELCOME: 'Welcome to Smart Grocery! ',
@@ -9,10 +9,13 @@
  * - File extension handling
  * - MIME type detection
  * - File path utilities
+ * - CSV/TSV/JSON data file parsing
+ * - Text extraction from simple PDFs
  * ============================================
  */
 
 const path = require('path');
+const zlib = require('zlib');
 const fs = require('fs').promises;
 
 /**
@@ -142,4 +145,277 @@ exports.getFileStats = async (filePath) => {
   } catch (error) {
     return null;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Parse CSV/TSV text into row objects keyed by the header row
+ * Handles quoted fields, escaped quotes and embedded newlines
+ * @param {string} text - File contents
+ * @param {string} delimiter - Field delimiter (detected from the header if omitted)
+ * @returns {Array<object>} - Rows
+ */
+exports.parseCsv = (text, delimiter) => {
+  const content = text.replace(/^\uFEFF/, '');
+
+  if (!delimiter) {
+    const header = content.split(/\r?\n/, 1)[0];
+    delimiter = [',', '\t', ';']
+      .map(d => ({ d, count: header.split(d).length }))
+      .sort((a, b) => b.count - a.count)[0].d;
+  }
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headers, ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (!headers) return [];
+
+  const keys = headers.map(h => h.trim());
+
+  return records.map(values => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key) record[key] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    return record;
+  });
+};
+
+/**
+ * Parse an uploaded data file into records
+ * Supports CSV/TSV, a JSON array, a JSON object with a products/groceries/
+ * items/data array, and JSON Lines (one object per line)
+ * @param {Buffer|string} content - File contents
+ * @param {string} filename - Original file name (used to pick the format)
+ * @returns {Array<object>} - Records
+ */
+exports.parseDataFile = (content, filename = '') => {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+  const extension = path.extname(filename).toLowerCase();
+  const trimmed = text.trim();
+
+  if (['.csv', '.tsv', '.txt'].includes(extension)) {
+    return exports.parseCsv(text, extension === '.tsv' ? '\t' : undefined);
+  }
+
+  if (!trimmed) return [];
+
+  if (!['[', '{'].includes(trimmed[0])) {
+    return exports.parseCsv(text);
+  }
+
+  try {
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data)) return data;
+
+    const list = data.products || data.groceries || data.items || data.data;
+    if (Array.isArray(list)) return list;
+
+    return [data];
+  } catch (error) {
+    // Not a single JSON document, try JSON Lines
+    try {
+      return trimmed
+        .split(/\r?\n/)
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    } catch (lineError) {
+      const parseError = new Error('Could not parse file. Expected CSV, TSV, JSON or JSON Lines.');
+      parseError.statusCode = 400;
+      throw parseError;
+    }
+  }
+};
+
+/**
+ * Decode a PDF string literal "(...)" or hex string "<...>"
+ */
+const decodePdfString = (token) => {
+  if (token[0] === '<') {
+    const hex = token.slice(1, -1).replace(/\s/g, '');
+    let text = '';
+    for (let i = 0; i < hex.length; i += 2) {
+      text += String.fromCharCode(parseInt(hex.substr(i, 2).padEnd(2, '0'), 16));
+    }
+    return text;
+  }
+
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+  return token.slice(1, -1).replace(/\\([0-7]{1,3}|[\s\S])/g, (match, code) => {
+    if (/^[0-7]+$/.test(code)) return String.fromCharCode(parseInt(code, 8));
+    if (code === '\n' || code === '\r') return '';
+    return escapes[code] !== undefined ? escapes[code] : code;
+  });
+};
+
+/**
+ * Lines of text drawn by one PDF content stream
+ * Text placed on the same line is joined with a double space, so right
+ * aligned columns (e.g. prices) stay separate from the text before them
+ */
+const pdfContentLines = (content) => {
+  const tokenPattern = /\((?:\\[\s\S]|[^\\)])*\)|<[0-9A-Fa-f\s]*>|\[|\]|-?\d*\.?\d+|\/[^\s/[\]()<>]+|[A-Za-z'"*]+/g;
+  const lines = [];
+  let line = '';
+  let operands = [];
+  let array = null;
+  let lineY = null;
+
+  const breakLine = () => {
+    if (line.trim()) lines.push(line.trim());
+    line = '';
+  };
+
+  const moveTo = (x, y) => {
+    if (lineY !== null && Math.abs(y - lineY) > 0.5) {
+      breakLine();
+    } else if (line) {
+      line += '  ';
+    }
+    lineY = y;
+  };
+
+  let match;
+  while ((match = tokenPattern.exec(content)) !== null) {
+    const token = match[0];
+
+    if (token === '[') {
+      array = [];
+    } else if (token === ']') {
+      operands.push(array || []);
+      array = null;
+    } else if (token[0] === '(' || token[0] === '<' || /^-?\d*\.?\d+$/.test(token) || token[0] === '/') {
+      const value = token[0] === '(' || token[0] === '<' ? decodePdfString(token)
+        : token[0] === '/' ? token : parseFloat(token);
+      if (array) array.push(value); else operands.push(value);
+    } else {
+      const args = operands;
+      operands = [];
+
+      switch (token) {
+        case 'Tj':
+          line += args[args.length - 1] || '';
+          break;
+        case 'TJ':
+          (args[args.length - 1] || []).forEach(part => {
+            // Large negative offsets are word gaps
+            if (typeof part === 'string') line += part;
+            else if (part < -200) line += ' ';
+          });
+          break;
+        case "'":
+        case '"':
+          breakLine();
+          line += args[args.length - 1] || '';
+          break;
+        case 'T*':
+          breakLine();
+          break;
+        case 'Td':
+        case 'TD':
+          if (args[1]) {
+            lineY = (lineY || 0) + args[1];
+            breakLine();
+          } else if (args[0] > 0 && line) {
+            line += '  ';
+          }
+          break;
+        case 'Tm':
+          moveTo(args[4], args[5]);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  breakLine();
+  return lines;
+};
+
+/**
+ * Extract the text of a PDF (uncompressed or Flate-compressed content
+ * streams with simple fonts, e.g. generated e-receipts)
+ * Scanned PDFs and PDFs with embedded CID fonts yield little or no text
+ * @param {Buffer} content - File contents
+ * @returns {string} - Text, one line per line of the document
+ */
+exports.extractPdfText = (content) => {
+  const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'latin1');
+  const raw = data.toString('latin1');
+
+  if (!raw.startsWith('%PDF-')) {
+    const error = new Error('Not a PDF file');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const lines = [];
+  const streamPattern = /\d+\s+\d+\s+obj\b([\s\S]*?)\bstream\r?\n/g;
+
+  let match;
+  while ((match = streamPattern.exec(raw)) !== null) {
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) break;
+
+    streamPattern.lastIndex = end;
+
+    const dictionary = match[1];
+    let stream = data.subarray(start, end);
+
+    if (/\/FlateDecode/.test(dictionary)) {
+      try {
+        stream = zlib.inflateSync(stream);
+      } catch (error) {
+        continue;
+      }
+    } else if (/\/Filter/.test(dictionary)) {
+      // Images and other encodings hold no text
+      continue;
+    }
+
+    const text = stream.toString('latin1');
+    if (/\bBT\b/.test(text)) {
+      lines.push(...pdfContentLines(text));
+    }
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,58 @@
+/**
+ * ============================================
+ * Household Scope Utility
+ * ============================================
+ * Builds query filters for the pantry the
+ * request is working on: the active household
+ * (set by authMiddleware.protect) or the
+ * user's personal pantry.
+ * ============================================
+ */
+
+/**
+ * Filter for groceries in the active pantry
+ * @param {object} user - req.user
+ * @returns {object} - Mongo filter
+ */
+exports.ownerFilter = (user) => {
+  if (user.household) {
+    return { household: user.household };
+  }
+
+  return { user: user.id, household: null };
+};
+
+/**
+ * Ownership fields for documents created in the active pantry
+ * @param {object} user - req.user
+ * @returns {object} - { user, household }
+ */
+exports.ownerFields = (user) => ({
+  user: user.id,
+  household: user.household || null
+});
+
+/**
+ * Filter for categories visible in the active pantry
+ * (shared defaults plus household-specific or the user's personal ones)
+ * @param {object} user - req.user
+ * @returns {object} - Mongo filter
+ */
+exports.categoryFilter = (user) => {
+  if (user.household) {
+    return { household: { $in: [null, user.household] }, user: null };
+  }
+
+  return { household: null, user: { $in: [null, user.id] } };
+};
+
+/**
+ * Filter for the user's notifications in the active pantry
+ * Personal/system notifications stay visible in every household
+ * @param {object} user - req.user
+ * @returns {object} - Mongo filter
+ */
+exports.notificationFilter = (user) => ({
+  user: user.id,
+  household: { $in: [null, user.household || null] }
+});
@@ -0,0 +1,153 @@
+/**
+ * ============================================
+ * Ingredient Matcher Utility
+ * ============================================
+ * Parses recipe ingredient lines and matches
+ * ingredients to grocery items by name
+ *
+ * Features:
+ * - "1 1/2 cups flour, sifted" -> quantity,
+ *   unit, name
+ * - Unicode fractions and ranges
+ * - Name keys (lowercase, singular, without
+ *   size/prep words) for fuzzy matching
+ * ============================================
+ */
+
+const { normalizeRecipeUnit } = require('./unitConverter');
+
+const UNICODE_FRACTIONS = {
+  '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4',
+  '⅕': '1/5', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8'
+};
+
+// Words that describe size or preparation rather than the ingredient
+const IGNORED_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'to', 'taste', 'optional', 'fresh', 'freshly',
+  'large', 'small', 'medium', 'whole', 'chopped', 'diced', 'sliced',
+  'minced', 'grated', 'peeled', 'ripe', 'finely', 'roughly'
+]);
+
+const QUANTITY_PATTERN = /^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:[.,]\d+)?)(?:\s*[-–]\s*(?:\d+(?:[.,]\d+)?))?\s*/;
+
+/**
+ * Parse "1 1/2", "3/4" or "2,5" into a number
+ */
+const parseAmount = (text) => {
+  const value = text.trim().replace(',', '.');
+
+  if (value.includes('/')) {
+    return value.split(/\s+/).reduce((sum, part) => {
+      const [numerator, denominator] = part.split('/').map(Number);
+      return sum + (denominator ? numerator / denominator : numerator);
+    }, 0);
+  }
+
+  return parseFloat(value);
+};
+
+/**
+ * Singular form of a word (tomatoes -> tomato, berries -> berry, eggs -> egg)
+ */
+const singular = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('oes')) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Words identifying an ingredient or grocery name
+ * @param {string} name - e.g. "Large Free-Range Eggs"
+ * @returns {Array<string>} - e.g. ['free', 'range', 'egg']
+ */
+exports.nameTokens = (name) => {
+  if (!name) return [];
+
+  return String(name)
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !IGNORED_WORDS.has(word))
+    .map(singular);
+};
+
+/**
+ * Parse an ingredient line
+ * @param {string} text - e.g. "2 cups all-purpose flour, sifted"
+ * @returns {object} - { name, quantity, unit, raw } (quantity null for "to taste")
+ */
+exports.parseIngredient = (text) => {
+  const raw = String(text || '').trim();
+
+  let rest = raw.replace(/[½⅓⅔¼¾⅕⅛⅜⅝⅞]/g, match => ` ${UNICODE_FRACTIONS[match]}`).trim();
+
+  let quantity = null;
+  let unit = null;
+
+  const amount = rest.match(QUANTITY_PATTERN);
+  if (amount) {
+    quantity = parseAmount(amount[1]);
+    rest = rest.slice(amount[0].length);
+  }
+
+  const [firstWord] = rest.split(/\s+/);
+  const recipeUnit = normalizeRecipeUnit(firstWord);
+  if (quantity !== null && recipeUnit) {
+    unit = recipeUnit;
+    rest = rest.slice(firstWord.length).trim().replace(/^of\s+/i, '');
+  }
+
+  // Preparation notes after a comma are not part of the name
+  const name = rest.split(',')[0].replace(/\(.*?\)/g, '').trim() || raw;
+
+  return {
+    name,
+    quantity,
+    unit: quantity !== null ? unit || 'pcs' : unit,
+    raw
+  };
+};
+
+/**
+ * How well a grocery name matches an ingredient name (0 = no match, 1 = same)
+ * One name's words must all appear in the other ("milk" ~ "whole milk")
+ * @param {string} ingredientName - Ingredient name
+ * @param {string} groceryName - Grocery item name
+ * @returns {number} - Match score between 0 and 1
+ */
+exports.matchScore = (ingredientName, groceryName) => {
+  const ingredient = exports.nameTokens(ingredientName);
+  const grocery = exports.nameTokens(groceryName);
+
+  if (ingredient.length === 0 || grocery.length === 0) return 0;
+
+  const shared = ingredient.filter(word => grocery.includes(word)).length;
+  const contained = shared === ingredient.length || shared === grocery.length;
+
+  return contained ? shared / Math.max(ingredient.length, grocery.length) : 0;
+};
+
+/**
+ * Best matching groceries for an ingredient, best first
+ * @param {string} ingredientName - Ingredient name
+ * @param {Array} groceries - Grocery documents
+ * @returns {Array} - Groceries with a match, sorted by score then expiry
+ */
+exports.findMatches = (ingredientName, groceries) => {
+  return groceries
+    .map(grocery => ({ grocery, score: exports.matchScore(ingredientName, grocery.name) }))
+    .filter(match => match.score > 0)
+    .sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+
+      const aExpiry = a.grocery.effectiveExpiryDate || a.grocery.expiryDate;
+      const bExpiry = b.grocery.effectiveExpiryDate || b.grocery.expiryDate;
+      if (!aExpiry) return 1;
+      if (!bExpiry) return -1;
+      return aExpiry - bExpiry;
+    })
+    .map(match => match.grocery);
+};
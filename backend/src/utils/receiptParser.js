@@ -0,0 +1,325 @@
+/**
+ * ============================================
+ * Receipt Parser Utility
+ * ============================================
+ * Reads line items from the text of a
+ * shopping receipt
+ *
+ * Features:
+ * - "Milk 2 x 1.49 2.98", "2 x Milk 2.98",
+ *   "Bananas 1.2 kg @ 0.99/kg 1.19" and
+ *   quantity lines below the item name
+ * - Discount lines reduce the item above
+ * - Store, purchase date, currency, subtotal,
+ *   tax and total
+ * ============================================
+ */
+
+const { normalizeUnit } = require('./unitConverter');
+const { CURRENCIES } = require('./constants');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Weights without a stock unit, converted on the way in
+const WEIGHT_UNITS = {
+  lb: { unit: 'kg', factor: 0.45359237 },
+  lbs: { unit: 'kg', factor: 0.45359237 },
+  oz: { unit: 'g', factor: 28.349523 }
+};
+
+const CURRENCY_SYMBOLS = {
+  '$': CURRENCIES.USD,
+  '€': CURRENCIES.EUR,
+  '£': CURRENCIES.GBP,
+  '₹': CURRENCIES.INR
+};
+
+const UNIT_WORDS = 'kg|g|gm|gr|lb|lbs|oz|l|ltr|ml|pcs|pc|ea|each|pk|pack';
+
+// Price at the end of a line, optionally followed by a tax flag ("2.98 A")
+const LINE_PRICE = /(?:^|[\s:])(-)?\s*(?:[$€£₹]|[Rr][Ss]\.?)?\s*(\d{1,6}[.,]\d{2})(-)?(?:\s+[A-Z*]{1,2})?\s*$/;
+
+// "2 x 1.49", "1.20 kg @ 0.99/kg", "3 @ 0.50 ea"
+const QUANTITY_AT_PRICE = new RegExp(
+  `(\\d+(?:[.,]\\d+)?)\\s*(${UNIT_WORDS})?\\s*(?:x|×|@|\\*)\\s*(?:[$€£₹])?\\s*(\\d+(?:[.,]\\d+)?)` +
+  `(?:\\s*\\/\\s*(?:${UNIT_WORDS}))?(?:\\s*(?:ea|each))?`,
+  'i'
+);
+
+// "2 x Milk" (quantity before the name)
+const LEADING_QUANTITY = /^(\d{1,3})\s*(?:x|×|\*)\s+/i;
+
+// "Bananas 1.234kg" (weighed item without a unit price)
+const TRAILING_WEIGHT = /\s(\d+(?:[.,]\d+)?)\s*(kg|g|gm|gr|lb|lbs|oz|l|ltr|ml)\s*$/i;
+
+const SUMMARY_LINES = [
+  { field: 'subtotal', pattern: /^sub[\s-]?total\b/i },
+  { field: 'tax', pattern: /^(?:sales\s+)?(?:tax|vat|gst|hst)\b/i },
+  { field: 'total', pattern: /^(?:grand\s+)?total\b|^(?:amount|balance)\s+due\b/i }
+];
+
+// Payment and loyalty lines that are not purchases
+const IGNORED_LINES = /^(?:cash|change|card|visa|master\s?card|amex|debit|credit|tender|paid|payment|rounding|balance|points|auth|approval|ref|terminal|tel|phone|thank|items?\s+sold|no\.?\s+of\s+items|you\s+saved|total\s+sav)/i;
+
+const DISCOUNT_LINES = /discount|coupon|promo|savings|saving|\boff\b|rebate|voucher|multibuy|deal/i;
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const toNumber = (text) => parseFloat(String(text).replace(',', '.'));
+
+/**
+ * Convert a receipt weight unit to a stock unit
+ * @returns {object} - { quantity, unit }
+ */
+const toStockUnit = (quantity, unit) => {
+  const key = (unit || '').toLowerCase();
+
+  if (WEIGHT_UNITS[key]) {
+    return { quantity: round(quantity * WEIGHT_UNITS[key].factor, 3), unit: WEIGHT_UNITS[key].unit };
+  }
+
+  const pack = ['pk'].includes(key) ? 'pack' : key;
+  return { quantity, unit: normalizeUnit(pack) || 'pcs' };
+};
+
+/**
+ * Build a date, rejecting impossible ones
+ */
+const makeDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day, 12));
+
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date;
+};
+
+/**
+ * Find a purchase date in a line
+ * @param {string} line - Receipt line
+ * @param {boolean} dayFirst - Read 05/03/2024 as 5 March (otherwise May 3)
+ * @returns {Date|null}
+ */
+exports.parseReceiptDate = (line, dayFirst = false) => {
+  let match = line.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (match) return makeDate(+match[1], +match[2], +match[3]);
+
+  match = line.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})\b/);
+  if (match) {
+    let [first, second] = [+match[1], +match[2]];
+    // A part above 12 can only be the day
+    if (first > 12) dayFirst = true;
+    else if (second > 12) dayFirst = false;
+    if (dayFirst) [first, second] = [second, first];
+    return makeDate(+match[3], first, second);
+  }
+
+  match = line.match(/\b(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3})[a-z]*\.?[\s,-]+(\d{4})\b/i);
+  if (match && MONTHS.includes(match[2].toLowerCase())) {
+    return makeDate(+match[3], MONTHS.indexOf(match[2].toLowerCase()) + 1, +match[1]);
+  }
+
+  match = line.match(/\b([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})\b/i);
+  if (match && MONTHS.includes(match[1].toLowerCase())) {
+    return makeDate(+match[3], MONTHS.indexOf(match[1].toLowerCase()) + 1, +match[2]);
+  }
+
+  return null;
+};
+
+/**
+ * Currency named or symbolized in the receipt text
+ * @returns {string|null}
+ */
+exports.detectCurrency = (text) => {
+  const code = text.match(/\b(USD|EUR|GBP|PKR|INR)\b/);
+  if (code) return code[1];
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(s => text.includes(s));
+  return symbol ? CURRENCY_SYMBOLS[symbol] : null;
+};
+
+/**
+ * Tidy an item name: drop article codes, tax flags and stray punctuation
+ */
+const cleanName = (name) => name
+  .replace(/^\d{4,}\s+/, '')
+  .replace(/\s+[A-Z*]$/, '')
+  .replace(/[\s.:·-]+$/, '')
+  .replace(/\s{2,}/g, ' ')
+  .trim();
+
+/**
+ * Parse the text of a receipt
+ * @param {string} text - Receipt text, one line per receipt line
+ * @param {object} options - { dayFirst, currency } (dates are read day first unless the
+ *                           receipt's currency, or else options.currency, is USD)
+ * @returns {object} - { store, purchaseDate, currency, items, subtotal, tax, total, warnings }
+ */
+exports.parseReceiptText = (text, options = {}) => {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.replace(/\t/g, '  ').trim())
+    .filter(Boolean);
+
+  const currency = exports.detectCurrency(lines.join('\n'));
+  const dayFirst = options.dayFirst !== undefined
+    ? options.dayFirst
+    : (currency || options.currency || CURRENCIES.USD) !== CURRENCIES.USD;
+
+  const result = {
+    store: null,
+    purchaseDate: null,
+    currency,
+    items: [],
+    subtotal: null,
+    tax: null,
+    total: null,
+    warnings: []
+  };
+
+  let pendingName = null;
+
+  lines.forEach(line => {
+    const date = exports.parseReceiptDate(line, dayFirst);
+    if (date) {
+      if (!result.purchaseDate) result.purchaseDate = date;
+      return;
+    }
+
+    const priceMatch = line.match(LINE_PRICE);
+    const quantityAt = line.match(QUANTITY_AT_PRICE);
+    const summary = SUMMARY_LINES.find(entry => entry.pattern.test(line));
+
+    if (summary) {
+      // The first total after the items; later ones repeat it in payment blocks
+      if (priceMatch && result[summary.field] === null) {
+        result[summary.field] = toNumber(priceMatch[2]);
+      }
+      pendingName = null;
+      return;
+    }
+
+    if (IGNORED_LINES.test(line)) {
+      pendingName = null;
+      return;
+    }
+
+    // Quantity line without a name: "2 @ 1.49  2.98" or "1.2 kg @ 0.99/kg"
+    if (quantityAt && !/[a-z]{2}/i.test(line.replace(quantityAt[0], ''))) {
+      const quantity = toNumber(quantityAt[1]);
+      const after = line.slice(quantityAt.index + quantityAt[0].length).match(LINE_PRICE);
+      const total = after ? toNumber(after[2]) : round(quantity * toNumber(quantityAt[3]));
+      const stock = toStockUnit(quantity, quantityAt[2]);
+
+      if (pendingName) {
+        // Below the item name
+        result.items.push({
+          name: pendingName,
+          quantity: stock.quantity,
+          unit: stock.unit,
+          unitPrice: round(total / (stock.quantity || 1), 4),
+          total,
+          line
+        });
+      } else if (result.items.length > 0) {
+        // Below the item line, which already has the total
+        const item = result.items[result.items.length - 1];
+        item.quantity = stock.quantity;
+        item.unit = stock.unit;
+        item.unitPrice = round(item.total / (stock.quantity || 1), 4);
+        item.line += `\n${line}`;
+      }
+
+      pendingName = null;
+      return;
+    }
+
+    if (!priceMatch) {
+      // Header lines before the first item name the store
+      if (result.items.length === 0 && !pendingName && !result.store && /[a-z]{3}/i.test(line)) {
+        result.store = cleanName(line.replace(/^welcome\s+to\s+/i, ''));
+        return;
+      }
+
+      // A name whose price is on the next line
+      if (/[a-z]{2}/i.test(line)) pendingName = cleanName(line);
+      return;
+    }
+
+    const amount = toNumber(priceMatch[2]) * (priceMatch[1] || priceMatch[3] ? -1 : 1);
+    let rest = line.slice(0, priceMatch.index).trim();
+
+    // Discounts reduce the item above
+    if (amount < 0 || (DISCOUNT_LINES.test(rest) && result.items.length > 0)) {
+      const item = result.items[result.items.length - 1];
+      if (item) {
+        item.total = round(item.total - Math.abs(amount));
+        item.unitPrice = round(item.total / item.quantity, 4);
+        item.discount = round((item.discount || 0) + Math.abs(amount));
+      }
+      pendingName = null;
+      return;
+    }
+
+    let quantity = 1;
+    let unit = null;
+
+    const leading = rest.match(LEADING_QUANTITY);
+    if (leading) {
+      quantity = toNumber(leading[1]);
+      rest = rest.slice(leading[0].length);
+    }
+
+    const inline = rest.match(QUANTITY_AT_PRICE);
+    if (inline) {
+      quantity = toNumber(inline[1]);
+      unit = inline[2] || null;
+      rest = (rest.slice(0, inline.index) + rest.slice(inline.index + inline[0].length)).trim();
+    } else {
+      const weight = rest.match(TRAILING_WEIGHT);
+      if (weight) {
+        quantity = toNumber(weight[1]);
+        unit = weight[2];
+        rest = rest.slice(0, weight.index).trim();
+      }
+    }
+
+    let name = cleanName(rest);
+
+    // Price on its own line under the item name
+    if (!/[a-z]{2}/i.test(name)) {
+      if (!pendingName) {
+        result.warnings.push(`Could not read an item name from "${line}"`);
+        return;
+      }
+      name = pendingName;
+    }
+    pendingName = null;
+
+    const stock = toStockUnit(quantity, unit);
+
+    result.items.push({
+      name,
+      quantity: stock.quantity,
+      unit: stock.unit,
+      unitPrice: round(amount / (stock.quantity || 1), 4),
+      total: round(amount),
+      line
+    });
+  });
+
+  const itemsTotal = round(result.items.reduce((sum, item) => sum + item.total, 0));
+  const expected = result.subtotal !== null ? result.subtotal
+    : (result.total !== null ? round(result.total - (result.tax || 0)) : null);
+
+  if (result.items.length === 0) {
+    result.warnings.push('No line items found');
+  } else if (expected !== null && Math.abs(expected - itemsTotal) > 0.01) {
+    result.warnings.push(`Items add up to ${itemsTotal.toFixed(2)} but the receipt says ${expected.toFixed(2)}`);
+  }
+
+  return result;
+};
@@ -0,0 +1,277 @@
+/**
+ * ============================================
+ * Unit Converter Utility
+ * ============================================
+ * Converts quantities between MEASUREMENT_UNITS
+ *
+ * Features:
+ * - Mass (g, kg), volume (ml, l) and count
+ *   (pcs, dozen) families
+ * - Package units (pack, bottle, can, box)
+ * - Per-product overrides:
+ *   - unitSize: what one unit of the product
+ *     holds (e.g. 1 can = 400 g)
+ *   - density: grams per millilitre, for
+ *     mass <-> volume
+ * - Unit alias normalization
+ * - Kitchen units for recipes (cup, tbsp, tsp,
+ *   oz, lb)
+ * - Summing mixed quantities per family
+ * ============================================
+ */
+
+const { MEASUREMENT_UNITS } = require('./constants');
+
+// Family and factor to the family's base unit
+const UNITS = {
+  [MEASUREMENT_UNITS.GRAM]: { family: 'mass', factor: 1 },
+  [MEASUREMENT_UNITS.KG]: { family: 'mass', factor: 1000 },
+  [MEASUREMENT_UNITS.MILLILITER]: { family: 'volume', factor: 1 },
+  [MEASUREMENT_UNITS.LITER]: { family: 'volume', factor: 1000 },
+  [MEASUREMENT_UNITS.PIECES]: { family: 'count', factor: 1 },
+  [MEASUREMENT_UNITS.DOZEN]: { family: 'count', factor: 12 },
+  // Package sizes differ per product, so each is its own family
+  [MEASUREMENT_UNITS.PACK]: { family: 'pack', factor: 1 },
+  [MEASUREMENT_UNITS.BOTTLE]: { family: 'bottle', factor: 1 },
+  [MEASUREMENT_UNITS.CAN]: { family: 'can', factor: 1 },
+  [MEASUREMENT_UNITS.BOX]: { family: 'box', factor: 1 }
+};
+
+// Unit used when reporting totals of a family
+const DISPLAY_UNITS = {
+  mass: MEASUREMENT_UNITS.KG,
+  volume: MEASUREMENT_UNITS.LITER,
+  count: MEASUREMENT_UNITS.PIECES
+};
+
+// Spellings accepted from forms and imports
+const UNIT_ALIASES = {
+  gram: 'g', grams: 'g', gm: 'g', gr: 'g',
+  kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg', kgs: 'kg',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l', ltr: 'l',
+  milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  piece: 'pcs', pieces: 'pcs', pc: 'pcs', unit: 'pcs', units: 'pcs', each: 'pcs', ea: 'pcs',
+  dozens: 'dozen', dz: 'dozen',
+  packet: 'pack', packets: 'pack', packs: 'pack', pkg: 'pack',
+  bottles: 'bottle', btl: 'bottle',
+  cans: 'can', tin: 'can', tins: 'can',
+  boxes: 'box'
+};
+
+// Recipe-only units; convertible, but never used for stock
+const KITCHEN_UNITS = {
+  cup: { family: 'volume', factor: 240 },
+  tbsp: { family: 'volume', factor: 15 },
+  tsp: { family: 'volume', factor: 5 },
+  oz: { family: 'mass', factor: 28.3495 },
+  lb: { family: 'mass', factor: 453.592 }
+};
+
+const KITCHEN_ALIASES = {
+  cups: 'cup', c: 'cup',
+  tablespoon: 'tbsp', tablespoons: 'tbsp', tbs: 'tbsp', tbl: 'tbsp',
+  teaspoon: 'tsp', teaspoons: 'tsp',
+  ounce: 'oz', ounces: 'oz',
+  pound: 'lb', pounds: 'lb', lbs: 'lb'
+};
+
+/**
+ * Error for quantities that cannot be converted
+ */
+const conversionError = (from, to) => {
+  const error = new Error(`Cannot convert ${from} to ${to} for this item`);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Normalize a unit name (e.g. 'Kg', 'Grams', 'Packet')
+ * @param {string} unit - Unit as entered
+ * @returns {string|null} - Known unit or null
+ */
+exports.normalizeUnit = (unit) => {
+  if (!unit || typeof unit !== 'string') return null;
+
+  const key = unit.trim().toLowerCase();
+  if (UNITS[key]) return key;
+
+  return UNIT_ALIASES[key] || null;
+};
+
+/**
+ * Normalize a unit from a recipe: stock units plus kitchen units
+ * @param {string} unit - Unit as written (e.g. 'Tablespoons', 'g')
+ * @returns {string|null} - Known unit or null
+ */
+exports.normalizeRecipeUnit = (unit) => {
+  const stockUnit = exports.normalizeUnit(unit);
+  if (stockUnit) return stockUnit;
+
+  if (!unit || typeof unit !== 'string') return null;
+
+  const key = unit.trim().toLowerCase().replace(/\.$/, '');
+  if (KITCHEN_UNITS[key]) return key;
+
+  return KITCHEN_ALIASES[key] || null;
+};
+
+/**
+ * Get the family of a unit
+ * @param {string} unit - Unit
+ * @returns {string|null} - mass, volume, count or the package unit itself
+ */
+exports.getUnitFamily = (unit) => {
+  const normalized = exports.normalizeUnit(unit);
+  return normalized ? UNITS[normalized].family : null;
+};
+
+/**
+ * Conversion options for a grocery (or any doc with unit/unitSize/density)
+ * @param {object} item - Grocery-like document
+ * @returns {object} - { itemUnit, unitSize, density }
+ */
+exports.getConversionOptions = (item) => {
+  if (!item) return {};
+
+  const hasUnitSize = item.unitSize && item.unitSize.quantity > 0 && item.unitSize.unit;
+
+  return {
+    itemUnit: item.unit,
+    unitSize: hasUnitSize
+      ? { quantity: item.unitSize.quantity, unit: item.unitSize.unit }
+      : null,
+    density: item.density > 0 ? item.density : null
+  };
+};
+
+/**
+ * Convert a quantity between units
+ * @param {number} quantity - Amount in the source unit
+ * @param {string} fromUnit - Source unit
+ * @param {string} toUnit - Target unit
+ * @param {object} options - { itemUnit, unitSize, density } (see getConversionOptions)
+ * @returns {number} - Amount in the target unit
+ * @throws {Error} - statusCode 400 when units are incompatible
+ */
+exports.convert = (quantity, fromUnit, toUnit, options = {}) => {
+  const from = exports.normalizeRecipeUnit(fromUnit);
+  const to = exports.normalizeRecipeUnit(toUnit);
+
+  if (!from || !to) {
+    throw conversionError(fromUnit, toUnit);
+  }
+
+  if (from === to) return quantity;
+
+  const a = UNITS[from] || KITCHEN_UNITS[from];
+  const b = UNITS[to] || KITCHEN_UNITS[to];
+
+  // Same family: plain scaling
+  if (a.family === b.family) {
+    return (quantity * a.factor) / b.factor;
+  }
+
+  const { itemUnit, unitSize, density } = options;
+
+  // Bridge through what one unit of the product holds
+  const item = UNITS[exports.normalizeUnit(itemUnit)];
+  const size = unitSize && UNITS[exports.normalizeUnit(unitSize.unit)];
+
+  if (item && size && size.family !== item.family) {
+    if (a.family === item.family) {
+      const itemUnits = (quantity * a.factor) / item.factor;
+      return exports.convert(itemUnits * unitSize.quantity, unitSize.unit, to, { density });
+    }
+
+    if (b.family === item.family) {
+      const sizeQuantity = exports.convert(quantity, from, unitSize.unit, { density });
+      const itemUnits = sizeQuantity / unitSize.quantity;
+      return (itemUnits * item.factor) / b.factor;
+    }
+  }
+
+  // Mass <-> volume through density (g per ml)
+  if (density > 0) {
+    if (a.family === 'mass' && b.family === 'volume') {
+      return (quantity * a.factor) / density / b.factor;
+    }
+
+    if (a.family === 'volume' && b.family === 'mass') {
+      return (quantity * a.factor * density) / b.factor;
+    }
+  }
+
+  throw conversionError(fromUnit, toUnit);
+};
+
+/**
+ * Check whether two units can be converted
+ * @returns {boolean}
+ */
+exports.canConvert = (fromUnit, toUnit, options = {}) => {
+  try {
+    exports.convert(1, fromUnit, toUnit, options);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Unit a quantity is reported in (kg, l, pcs)
+ * Package units with a unitSize report in what they hold; otherwise themselves
+ * @param {string} unit - Unit
+ * @param {object} options - Conversion options (see getConversionOptions)
+ * @returns {string|null}
+ */
+exports.getReportingUnit = (unit, options = {}) => {
+  const normalized = exports.normalizeUnit(unit);
+  if (!normalized) return null;
+
+  const family = UNITS[normalized].family;
+  if (DISPLAY_UNITS[family]) return DISPLAY_UNITS[family];
+
+  const sizeFamily = options.unitSize && exports.getUnitFamily(options.unitSize.unit);
+  return DISPLAY_UNITS[sizeFamily] || normalized;
+};
+
+/**
+ * Sum quantities in mixed units, one total per family
+ * Package units with a unitSize are counted in what they hold
+ * @param {Array} entries - [{ quantity, unit, unitSize, density }]
+ * @returns {Array} - [{ quantity, unit }] (kg, l, pcs, then package units)
+ */
+exports.sumQuantities = (entries) => {
+  const totals = new Map();
+
+  entries.forEach(entry => {
+    const unit = exports.normalizeUnit(entry.unit);
+    if (!unit || !entry.quantity) return;
+
+    // e.g. 2 cans of 400 g count as 0.8 kg
+    const options = exports.getConversionOptions(entry);
+    const targetUnit = exports.getReportingUnit(unit, options);
+
+    const quantity = exports.convert(entry.quantity, unit, targetUnit, options);
+    totals.set(targetUnit, (totals.get(targetUnit) || 0) + quantity);
+  });
+
+  const order = Object.values(DISPLAY_UNITS);
+
+  return Array.from(totals.entries())
+    .map(([unit, quantity]) => ({ quantity: parseFloat(quantity.toFixed(3)), unit }))
+    .sort((x, y) => {
+      const ix = order.includes(x.unit) ? order.indexOf(x.unit) : order.length;
+      const iy = order.includes(y.unit) ? order.indexOf(y.unit) : order.length;
+      return ix - iy || x.unit.localeCompare(y.unit);
+    });
+};
+
+/**
+ * Format summed quantities for display
+ * @param {Array} quantities - Output of sumQuantities
+ * @returns {string} - e.g. "2.5 kg, 3 l, 12 pcs"
+ */
+exports.formatQuantities = (quantities) => {
+  return quantities.map(({ quantity, unit }) => `${quantity} ${unit}`).join(', ');
+};